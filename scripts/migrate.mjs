@@ -17,7 +17,7 @@ const MIGRATION_SQL = `
 -- Create daily_newsletters table
 CREATE TABLE IF NOT EXISTS daily_newsletters (
   id SERIAL PRIMARY KEY,
-  publish_date DATE NOT NULL UNIQUE,
+  publish_date DATE NOT NULL,
   title VARCHAR(500) NOT NULL,
   hook TEXT NOT NULL,
   sections JSONB NOT NULL DEFAULT '[]'::jsonb,
@@ -61,7 +61,7 @@ CREATE TRIGGER update_daily_newsletters_updated_at
 
 -- Add comments for documentation
 COMMENT ON TABLE daily_newsletters IS 'Stores daily market pulse newsletters with audio';
-COMMENT ON COLUMN daily_newsletters.publish_date IS 'Date the newsletter is published (unique)';
+COMMENT ON COLUMN daily_newsletters.publish_date IS 'Date the newsletter is published (unique per edition)';
 COMMENT ON COLUMN daily_newsletters.title IS 'Newsletter headline';
 COMMENT ON COLUMN daily_newsletters.hook IS 'Opening paragraph';
 COMMENT ON COLUMN daily_newsletters.sections IS 'Array of section objects with title and content';
@@ -69,8 +69,285 @@ COMMENT ON COLUMN daily_newsletters.conclusion IS 'Closing paragraph';
 COMMENT ON COLUMN daily_newsletters.sources IS 'Array of source URLs from Gemini Search Grounding';
 COMMENT ON COLUMN daily_newsletters.audio_url IS 'URL to WAV audio file';
 COMMENT ON COLUMN daily_newsletters.audio_duration_seconds IS 'Duration of audio in seconds';
-COMMENT ON COLUMN daily_newsletters.generation_status IS 'Status: pending, generating, complete, failed';
+COMMENT ON COLUMN daily_newsletters.generation_status IS 'Status: pending, generating, complete, failed, blocked';
 COMMENT ON COLUMN daily_newsletters.error_message IS 'Error message if generation failed';
+
+-- Retries, timeouts and circuit breaker state recorded during generation
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS generation_stats JSONB;
+COMMENT ON COLUMN daily_newsletters.generation_stats IS 'LLM call attempts, retries and circuit breaker state for the last generation';
+
+-- Numeric fact-check of the generated figures against market data
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS fact_check JSONB;
+COMMENT ON COLUMN daily_newsletters.fact_check IS 'Fact-check result: status (passed, flagged, blocked, skipped), checks and issues';
+
+-- Create prompt_templates table (versioned prompts)
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  activated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (name, version)
+);
+
+-- At most one active version per template
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active 
+  ON prompt_templates(name) WHERE is_active;
+
+COMMENT ON TABLE prompt_templates IS 'Versioned prompt templates; built-in defaults are used when no version is active';
+COMMENT ON COLUMN prompt_templates.body IS 'Template text with {{variable}} placeholders';
+
+-- Prompt template versions that produced the newsletter
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(200);
+COMMENT ON COLUMN daily_newsletters.prompt_version IS 'Template versions used, e.g. newsletter_search@3,newsletter_format@builtin';
+
+-- Editions: one newsletter per publish_date and edition (was one per publish_date)
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS edition VARCHAR(20) NOT NULL DEFAULT 'post-close';
+ALTER TABLE daily_newsletters DROP CONSTRAINT IF EXISTS daily_newsletters_publish_date_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_newsletters_date_edition 
+  ON daily_newsletters(publish_date, edition);
+COMMENT ON COLUMN daily_newsletters.edition IS 'Edition: post-close (recap after the close) or pre-market (what to watch before the open)';
+
+-- Create newsletter_revisions table (every published version of a newsletter)
+CREATE TABLE IF NOT EXISTS newsletter_revisions (
+  id SERIAL PRIMARY KEY,
+  newsletter_id INTEGER NOT NULL REFERENCES daily_newsletters(id) ON DELETE CASCADE,
+  publish_date DATE NOT NULL,
+  edition VARCHAR(20) NOT NULL,
+  revision INTEGER NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'generation',
+  restored_from INTEGER,
+  title VARCHAR(500) NOT NULL,
+  hook TEXT NOT NULL,
+  sections JSONB NOT NULL DEFAULT '[]'::jsonb,
+  conclusion TEXT NOT NULL,
+  sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+  audio_url VARCHAR(1000),
+  audio_duration_seconds INTEGER,
+  generation_status VARCHAR(50) NOT NULL,
+  prompt_version VARCHAR(200),
+  fact_check JSONB,
+  generation_stats JSONB,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (newsletter_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_revisions_date_edition 
+  ON newsletter_revisions(publish_date, edition);
+
+COMMENT ON TABLE newsletter_revisions IS 'Full copy of each generated or restored version of a newsletter';
+COMMENT ON COLUMN newsletter_revisions.revision IS 'Revision number, incrementing per newsletter from 1';
+COMMENT ON COLUMN newsletter_revisions.source IS 'Source: generation, rollback or audio (audio-only regeneration)';
+COMMENT ON COLUMN newsletter_revisions.restored_from IS 'Revision number a rollback restored';
+
+-- Chapter markers (start offsets of title, hook, sections, conclusion)
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS audio_chapters JSONB;
+ALTER TABLE newsletter_revisions ADD COLUMN IF NOT EXISTS audio_chapters JSONB;
+COMMENT ON COLUMN daily_newsletters.audio_chapters IS 'Array of { type, title, start, end } with offsets in seconds';
+COMMENT ON COLUMN daily_newsletters.audio_duration_seconds IS 'Duration of audio in seconds (measured from the PCM data)';
+
+-- Every encoded audio format (audio_url points at the first one)
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS audio_formats JSONB;
+ALTER TABLE newsletter_revisions ADD COLUMN IF NOT EXISTS audio_formats JSONB;
+COMMENT ON COLUMN daily_newsletters.audio_formats IS 'Array of { format, url, mime_type, bytes, bitrate_kbps } (wav, mp3, opus)';
+
+-- Podcast audio mode (two-host dialogue script rendered with multi-speaker TTS)
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS audio_mode VARCHAR(20);
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS dialogue_script JSONB;
+ALTER TABLE newsletter_revisions ADD COLUMN IF NOT EXISTS audio_mode VARCHAR(20);
+ALTER TABLE newsletter_revisions ADD COLUMN IF NOT EXISTS dialogue_script JSONB;
+COMMENT ON COLUMN daily_newsletters.audio_mode IS 'Audio mode: monologue or podcast';
+COMMENT ON COLUMN daily_newsletters.dialogue_script IS 'Podcast script: { hosts, intro, sections: [{ heading, turns }], outro, prompt_version }';
+
+-- Audio status, separate from the text (the newsletter publishes when TTS fails)
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS audio_status VARCHAR(20);
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS audio_error TEXT;
+ALTER TABLE newsletter_revisions ADD COLUMN IF NOT EXISTS audio_status VARCHAR(20);
+ALTER TABLE newsletter_revisions ADD COLUMN IF NOT EXISTS audio_error TEXT;
+COMMENT ON COLUMN daily_newsletters.audio_status IS 'Audio status: generating, complete, failed, skipped';
+COMMENT ON COLUMN daily_newsletters.audio_error IS 'Why the audio could not be generated (audio_status failed)';
+
+-- Rows from before audio_status: TTS failures were recorded in generation_stats
+-- and published a silent placeholder
+UPDATE daily_newsletters
+SET audio_status = CASE WHEN generation_stats ? 'audioError' THEN 'failed' ELSE 'complete' END,
+    audio_error = generation_stats->>'audioError'
+WHERE audio_status IS NULL AND audio_url IS NOT NULL;
+UPDATE newsletter_revisions
+SET audio_status = CASE WHEN generation_stats ? 'audioError' THEN 'failed' ELSE 'complete' END,
+    audio_error = generation_stats->>'audioError'
+WHERE audio_status IS NULL AND audio_url IS NOT NULL;
+
+-- Caption cues (WebVTT/SRT are rendered from them)
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS audio_captions JSONB;
+ALTER TABLE newsletter_revisions ADD COLUMN IF NOT EXISTS audio_captions JSONB;
+COMMENT ON COLUMN daily_newsletters.audio_captions IS 'Array of { start, end, text, speaker? } caption cues with offsets in seconds';
+
+-- Create pronunciation_lexicon table (spoken forms for the TTS script)
+CREATE TABLE IF NOT EXISTS pronunciation_lexicon (
+  id SERIAL PRIMARY KEY,
+  term VARCHAR(100) NOT NULL UNIQUE,
+  spoken VARCHAR(300) NOT NULL,
+  kind VARCHAR(20) NOT NULL DEFAULT 'term',
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_pronunciation_lexicon_updated_at ON pronunciation_lexicon;
+CREATE TRIGGER update_pronunciation_lexicon_updated_at
+  BEFORE UPDATE ON pronunciation_lexicon
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE pronunciation_lexicon IS 'Spoken forms for the TTS script; entries override the built-in lexicon';
+COMMENT ON COLUMN pronunciation_lexicon.kind IS 'ticker (also matches $TERM), abbreviation (case-sensitive) or term (any case)';
+
+-- Create audio_assets table (every audio file written to storage)
+CREATE TABLE IF NOT EXISTS audio_assets (
+  id SERIAL PRIMARY KEY,
+  newsletter_id INTEGER REFERENCES daily_newsletters(id) ON DELETE SET NULL,
+  format VARCHAR(10) NOT NULL,
+  storage_key VARCHAR(500) NOT NULL,
+  mime_type VARCHAR(50),
+  bytes INTEGER NOT NULL,
+  sha256 CHAR(64) NOT NULL,
+  sample_rate INTEGER,
+  bitrate_kbps INTEGER,
+  duration_seconds DOUBLE PRECISION,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  deleted_reason VARCHAR(20)
+);
+
+-- At most one live asset per storage key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audio_assets_storage_key 
+  ON audio_assets(storage_key) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_audio_assets_newsletter_id 
+  ON audio_assets(newsletter_id);
+
+COMMENT ON TABLE audio_assets IS 'Audio files in storage with their checksums; the API resolves audio through this registry';
+COMMENT ON COLUMN audio_assets.newsletter_id IS 'Newsletter the audio was generated for (NULL once the newsletter is deleted)';
+COMMENT ON COLUMN audio_assets.storage_key IS 'Key in the storage backend, e.g. audio/daily-pulse-2025-12-01.mp3 (follows archive renames)';
+COMMENT ON COLUMN audio_assets.sha256 IS 'SHA-256 (hex) of the stored bytes';
+COMMENT ON COLUMN audio_assets.sample_rate IS 'Sample rate (Hz) of the encoded PCM';
+COMMENT ON COLUMN audio_assets.deleted_at IS 'When the file was removed or overwritten (NULL while it is stored)';
+COMMENT ON COLUMN audio_assets.deleted_reason IS 'Why: replaced (new audio under the same key) or cleanup (retention)';
+
+-- Audio removed by retention (the row keeps its text; audio_url is cleared)
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS audio_expired_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE newsletter_revisions ADD COLUMN IF NOT EXISTS audio_expired_at TIMESTAMP WITH TIME ZONE;
+COMMENT ON COLUMN daily_newsletters.audio_expired_at IS 'When cleanup removed the audio files (audio_status expired)';
+COMMENT ON COLUMN daily_newsletters.audio_status IS 'Audio status: generating, complete, failed, skipped, expired';
+
+-- Pinned newsletters are kept forever (cleanup skips their audio and text)
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_daily_newsletters_pinned 
+  ON daily_newsletters(publish_date) WHERE pinned;
+COMMENT ON COLUMN daily_newsletters.pinned IS 'Keep forever: retention cleanup never removes the audio or the record';
+
+-- Create retention_rules table (override the configured retention periods)
+CREATE TABLE IF NOT EXISTS retention_rules (
+  id SERIAL PRIMARY KEY,
+  data_type VARCHAR(20) NOT NULL,
+  edition VARCHAR(20),
+  format VARCHAR(10),
+  days INTEGER,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- One rule per data type, edition and format (NULL = any)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_rules_scope 
+  ON retention_rules(data_type, COALESCE(edition, ''), COALESCE(format, ''));
+
+DROP TRIGGER IF EXISTS update_retention_rules_updated_at ON retention_rules;
+CREATE TRIGGER update_retention_rules_updated_at
+  BEFORE UPDATE ON retention_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE retention_rules IS 'Retention periods; a rule overrides the configured period for the same scope';
+COMMENT ON COLUMN retention_rules.data_type IS 'audio (audio files) or newsletter (newsletter records)';
+COMMENT ON COLUMN retention_rules.edition IS 'Edition the rule applies to (NULL: every edition)';
+COMMENT ON COLUMN retention_rules.format IS 'Audio format the rule applies to (NULL: every format; audio rules only)';
+COMMENT ON COLUMN retention_rules.days IS 'Days after publish_date the data is kept (NULL: forever)';
+
+-- Create generation_jobs table (durable job queue)
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id SERIAL PRIMARY KEY,
+  job_type VARCHAR(50) NOT NULL DEFAULT 'generate',
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  stage VARCHAR(50),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  error_message TEXT,
+  result JSONB,
+  locked_by VARCHAR(200),
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create index on status for the worker's claim query
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_status 
+  ON generation_jobs(status, created_at);
+
+-- Backfill: delayed jobs grouped into batches
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS run_after TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW();
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS batch_id VARCHAR(64);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_batch_id 
+  ON generation_jobs(batch_id) WHERE batch_id IS NOT NULL;
+
+-- Lease: a running job belongs to its worker until locked_until; workers
+-- extend it while the job runs, so only jobs of dead workers are recovered
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+-- At most one queued or running job per type, date and edition
+-- (older duplicates are failed first so the index can be built)
+UPDATE generation_jobs j
+SET status = 'failed', error_message = 'Duplicate of an active job', finished_at = NOW()
+WHERE status IN ('queued', 'running')
+  AND EXISTS (
+    SELECT 1 FROM generation_jobs d
+    WHERE d.job_type = j.job_type
+      AND d.payload->>'date' = j.payload->>'date'
+      AND COALESCE(d.payload->>'edition', 'post-close') = COALESCE(j.payload->>'edition', 'post-close')
+      AND d.status IN ('queued', 'running')
+      AND d.id > j.id
+  );
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generation_jobs_active 
+  ON generation_jobs(job_type, (payload->>'date'), (COALESCE(payload->>'edition', 'post-close')))
+  WHERE status IN ('queued', 'running');
+
+DROP TRIGGER IF EXISTS update_generation_jobs_updated_at ON generation_jobs;
+CREATE TRIGGER update_generation_jobs_updated_at
+  BEFORE UPDATE ON generation_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE generation_jobs IS 'Durable queue of newsletter generation jobs';
+COMMENT ON COLUMN generation_jobs.job_type IS 'Job type: generate or audio (audio-only regeneration)';
+COMMENT ON COLUMN generation_jobs.payload IS 'Job arguments, e.g. { "date": "2025-12-01", "edition": "post-close" }';
+COMMENT ON COLUMN generation_jobs.status IS 'Status: queued, running, complete, failed';
+COMMENT ON COLUMN generation_jobs.stage IS 'Current pipeline stage: content, audio, saving, done';
+COMMENT ON COLUMN generation_jobs.attempts IS 'Number of times the job has been started';
+COMMENT ON COLUMN generation_jobs.locked_by IS 'Worker ID that claimed the job';
+COMMENT ON COLUMN generation_jobs.locked_until IS 'Lease expiry of a running job; after it the job counts as interrupted';
+COMMENT ON COLUMN generation_jobs.run_after IS 'Earliest time the worker may start the job (spaces out backfills)';
+COMMENT ON COLUMN generation_jobs.batch_id IS 'Backfill batch the job belongs to';
+
+-- Audio of the other mode (monologue or podcast), kept when the audio is
+-- regenerated in a different mode (the audio_* columns hold the latest mode)
+ALTER TABLE daily_newsletters ADD COLUMN IF NOT EXISTS audio_variants JSONB;
+COMMENT ON COLUMN daily_newsletters.audio_variants IS 'Other audio modes by name: { podcast: { audio_url, audio_formats, audio_duration_seconds, audio_chapters, audio_captions, dialogue_script } }';
 `;
 
 async function migrate() {
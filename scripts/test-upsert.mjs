@@ -3,8 +3,9 @@
  * 
  * This script tests that:
  * 1. First insert creates a new newsletter
- * 2. Second insert with same date updates the existing newsletter
- * 3. Only one record exists for the date
+ * 2. Second insert with same date and edition updates the existing newsletter
+ * 3. Only one record exists for the date and edition
+ * 4. Another edition of the same date is a separate record, left untouched
  */
 
 import { Newsletter } from '../src/models/newsletter.js';
@@ -13,12 +14,15 @@ async function testUpsert() {
   console.log('🧪 Testing Newsletter UPSERT functionality...\n');
 
   const testDate = new Date().toISOString().split('T')[0]; // Today's date (YYYY-MM-DD)
+  const edition = 'post-close';
+  const otherEdition = 'pre-market';
 
   try {
     // Test 1: Create first newsletter
-    console.log('📝 Test 1: Creating first newsletter for', testDate);
+    console.log('📝 Test 1: Creating first newsletter for', testDate, edition);
     const newsletter1 = await Newsletter.create({
       publish_date: testDate,
+      edition,
       title: 'Test Newsletter v1',
       hook: 'This is the first version',
       sections: [
@@ -37,12 +41,25 @@ async function testUpsert() {
     });
 
     // Test 2: Create second newsletter with same date (should UPDATE)
-    console.log('\n📝 Test 2: Creating second newsletter for same date', testDate);
+    // Another edition of the same day (must not be replaced)
+    const other = await Newsletter.create({
+      publish_date: testDate,
+      edition: otherEdition,
+      title: 'Test Newsletter - other edition',
+      hook: 'This edition must stay as it is',
+      sections: [],
+      conclusion: 'Other conclusion',
+      sources: [],
+      generation_status: 'complete',
+    });
+
+    console.log('\n📝 Test 2: Creating second newsletter for same date and edition', testDate, edition);
     console.log('⏳ Waiting 2 seconds to see updated_at change...');
     await new Promise(resolve => setTimeout(resolve, 2000));
 
     const newsletter2 = await Newsletter.create({
       publish_date: testDate,
+      edition,
       title: 'Test Newsletter v2 - UPDATED',
       hook: 'This is the UPDATED version',
       sections: [
@@ -62,8 +79,9 @@ async function testUpsert() {
     });
 
     // Test 3: Verify only one record exists
-    console.log('\n📝 Test 3: Verifying only one record exists for', testDate);
-    const retrieved = await Newsletter.getByDate(testDate);
+    console.log('\n📝 Test 3: Verifying only one record exists for', testDate, edition);
+    const retrieved = await Newsletter.getByDate(testDate, edition);
+    const retrievedOther = await Newsletter.getByDate(testDate, otherEdition);
     console.log('✅ Retrieved newsletter:', {
       id: retrieved.id,
       title: retrieved.title,
@@ -80,6 +98,7 @@ async function testUpsert() {
       'Sections updated': retrieved.sections.length === 2,
       'Sources updated': retrieved.sources.length === 2,
       'updated_at changed': new Date(newsletter2.updated_at) > new Date(newsletter1.updated_at),
+      'Other edition untouched': retrievedOther?.id === other.id && retrievedOther.title === other.title,
     };
 
     console.log('Verification results:');
@@ -91,15 +110,16 @@ async function testUpsert() {
 
     if (allPassed) {
       console.log('\n🎉 All tests passed! UPSERT is working correctly.');
-      console.log('✅ Same-day updates will replace the existing newsletter.');
+      console.log('✅ Same-day updates will replace the existing newsletter of that edition.');
     } else {
       console.log('\n❌ Some tests failed. Please check the implementation.');
     }
 
     // Cleanup
     console.log('\n🧹 Cleaning up test data...');
-    await Newsletter.delete(testDate);
-    console.log('✅ Test newsletter deleted');
+    await Newsletter.delete(testDate, edition);
+    await Newsletter.delete(testDate, otherEdition);
+    console.log('✅ Test newsletters deleted');
 
   } catch (error) {
     console.error('❌ Test failed:', error.message);
@@ -2,6 +2,31 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+const volumePath = process.env.RAILWAY_VOLUME_MOUNT_PATH || '/data';
+
+/**
+ * Parse a comma-separated environment variable into a list
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a retention period in days ('forever' keeps data indefinitely → null)
+ */
+function parseRetentionDays(value, defaultDays) {
+  if (value === undefined || value === '') {
+    return defaultDays;
+  }
+  if (value.trim().toLowerCase() === 'forever') {
+    return null;
+  }
+  return parseInt(value) || defaultDays;
+}
+
 export const config = {
   // Server
   port: process.env.PORT || 3001,
@@ -14,39 +39,212 @@ export const config = {
   // Gemini API
   geminiApiKey: process.env.GEMINI_API_KEY,
   
-  // Storage
-  useS3: process.env.USE_S3 === 'true',
-  railwayVolumePath: process.env.RAILWAY_VOLUME_MOUNT_PATH || '/data',
+  // LLM provider ('gemini' or 'mock' for offline, deterministic output)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    textModel: process.env.LLM_TEXT_MODEL || 'gemini-2.5-flash',
+    textFallbackModels: parseList(process.env.LLM_TEXT_FALLBACK_MODELS),
+    temperature: process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : undefined,
+    ttsModel: process.env.LLM_TTS_MODEL || 'gemini-2.5-flash-preview-tts',
+    ttsFallbackModels: parseList(process.env.LLM_TTS_FALLBACK_MODELS),
+    ttsVoice: process.env.LLM_TTS_VOICE || 'Fenrir', // Deep, authoritative male voice
+  },
+  
+  // Text-to-speech chunking: long scripts are split at section boundaries,
+  // synthesized in parallel and joined with a short pause. The script is
+  // normalized for speech first (pronunciation lexicon, numbers, markdown)
+  tts: {
+    normalizeScript: process.env.TTS_NORMALIZE_SCRIPT !== 'false',
+    chunkMaxChars: parseInt(process.env.TTS_CHUNK_MAX_CHARS) || 2000,
+    chunkConcurrency: parseInt(process.env.TTS_CHUNK_CONCURRENCY) || 2,
+    chunkPauseMs: parseInt(process.env.TTS_CHUNK_PAUSE_MS ?? '700'),
+  },
+  
+  // Audio mode: 'monologue' (one voice, LLM_TTS_VOICE) or 'podcast'
+  // (two-host dialogue scripted from the newsletter, multi-speaker TTS)
+  podcast: {
+    mode: process.env.AUDIO_MODE || 'monologue',
+    hosts: [
+      { name: process.env.PODCAST_HOST_A_NAME || 'Alex', voice: process.env.PODCAST_HOST_A_VOICE || 'Fenrir' },
+      { name: process.env.PODCAST_HOST_B_NAME || 'Jordan', voice: process.env.PODCAST_HOST_B_VOICE || 'Kore' },
+    ],
+  },
+  
+  // Published audio formats (wav, mp3, opus), encoded in-process;
+  // the first one is used as audio_url
+  audio: {
+    formats: parseList(process.env.AUDIO_FORMATS || 'wav,mp3,opus'),
+    mp3BitrateKbps: parseInt(process.env.AUDIO_MP3_BITRATE_KBPS) || 64,
+    opusBitrateKbps: parseInt(process.env.AUDIO_OPUS_BITRATE_KBPS) || 32,
+  },
+  
+  // Post-processing of the joined speech before encoding (pure JS DSP):
+  // silence trim, loudness normalization, ducked music bed, intro/outro
+  // stingers. Clip paths are WAV files, relative to the volume.
+  audioPost: {
+    enabled: process.env.AUDIO_POSTPROCESS_ENABLED !== 'false',
+    trimSilence: process.env.AUDIO_TRIM_SILENCE !== 'false',
+    silenceThresholdDb: parseFloat(process.env.AUDIO_SILENCE_THRESHOLD_DB ?? '-50'),
+    silencePaddingMs: parseInt(process.env.AUDIO_SILENCE_PADDING_MS ?? '250'),
+    normalize: process.env.AUDIO_NORMALIZE !== 'false',
+    targetLufs: parseFloat(process.env.AUDIO_TARGET_LUFS ?? '-16'),
+    peakCeilingDb: parseFloat(process.env.AUDIO_PEAK_CEILING_DB ?? '-1'),
+    introPath: process.env.AUDIO_INTRO_PATH,
+    outroPath: process.env.AUDIO_OUTRO_PATH,
+    stingerGainDb: parseFloat(process.env.AUDIO_STINGER_GAIN_DB ?? '0'),
+    stingerGapMs: parseInt(process.env.AUDIO_STINGER_GAP_MS ?? '300'),
+    bedPath: process.env.AUDIO_BED_PATH,
+    bedGainDb: parseFloat(process.env.AUDIO_BED_GAIN_DB ?? '-20'),
+    bedDuckGainDb: parseFloat(process.env.AUDIO_BED_DUCK_GAIN_DB ?? '-32'),
+  },
+  
+  // Audio streaming route (/api/audio): cache lifetime, and editions that
+  // need a signed, expiring URL (or the API key) to be played
+  audioAccess: {
+    cacheMaxAgeSeconds: parseInt(process.env.AUDIO_CACHE_MAX_AGE_SECONDS ?? '3600'),
+    privateEditions: parseList(process.env.AUDIO_PRIVATE_EDITIONS),
+    signingSecret: process.env.AUDIO_SIGNING_SECRET || process.env.API_SECRET_KEY,
+    signedUrlTtlSeconds: parseInt(process.env.AUDIO_SIGNED_URL_TTL_SECONDS) || 3600,
+  },
+  
+  // Podcast RSS feed (/api/podcast/feed.xml) channel metadata
+  podcastFeed: {
+    title: process.env.PODCAST_TITLE || 'CycleScope Daily Pulse',
+    description: process.env.PODCAST_DESCRIPTION || 'A short daily briefing on the US stock market: what moved, why it matters and what to watch next.',
+    author: process.env.PODCAST_AUTHOR || 'CycleScope',
+    ownerName: process.env.PODCAST_OWNER_NAME || process.env.PODCAST_AUTHOR || 'CycleScope',
+    ownerEmail: process.env.PODCAST_OWNER_EMAIL,
+    imageUrl: process.env.PODCAST_IMAGE_URL,
+    category: process.env.PODCAST_CATEGORY || 'Business',
+    subcategory: process.env.PODCAST_SUBCATEGORY || 'Investing',
+    language: process.env.PODCAST_LANGUAGE || 'en-us',
+    limit: parseInt(process.env.PODCAST_FEED_LIMIT) || 100,
+  },
+  
+  // Retention: days audio files and newsletter records are kept ('forever'
+  // keeps them). Overrides are <edition>=<days>, <format>=<days> or
+  // <edition>:<format>=<days> (e.g. "pre-market=7,wav=3"); rules stored in
+  // retention_rules take precedence (see services/retentionService.js)
+  retention: {
+    audioDays: parseRetentionDays(process.env.AUDIO_RETENTION_DAYS, 14),
+    newsletterDays: parseRetentionDays(process.env.NEWSLETTER_RETENTION_DAYS, 365),
+    audioOverrides: parseList(process.env.AUDIO_RETENTION_OVERRIDES),
+    newsletterOverrides: parseList(process.env.NEWSLETTER_RETENTION_OVERRIDES),
+  },
+  
+  // Archive-before-delete: cleanup writes expiring newsletters (and their
+  // audio) to compressed bundles under archives/ in storage first; a bundle
+  // is built in memory, so maxBundleMb bounds what one holds
+  archive: {
+    enabled: process.env.ARCHIVE_ENABLED === 'true',
+    includeAudio: process.env.ARCHIVE_INCLUDE_AUDIO !== 'false',
+    maxBundleMb: parseInt(process.env.ARCHIVE_MAX_BUNDLE_MB) || 200,
+  },
+  
+  // Storage backend for audio files: 'local' (the volume) or 's3' (AWS S3
+  // or an S3-compatible service); USE_S3=true is the same as 's3'
+  storage: {
+    backend: process.env.STORAGE_BACKEND || (process.env.USE_S3 === 'true' ? 's3' : 'local'),
+  },
+  railwayVolumePath: volumePath,
   publicUrl: process.env.PUBLIC_URL || 
     (process.env.RAILWAY_PUBLIC_DOMAIN 
       ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}` 
       : 'http://localhost:3001'),
   
-  // AWS S3 (optional)
+  // AWS S3 or an S3-compatible service such as MinIO (STORAGE_BACKEND=s3)
   aws: {
     region: process.env.AWS_REGION || 'us-west-2',
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
     s3BucketName: process.env.S3_BUCKET_NAME,
+    s3Endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000; default AWS
+    s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    s3Prefix: process.env.S3_PREFIX || '',
+    s3PublicUrl: process.env.S3_PUBLIC_URL, // CDN or public bucket URL, if any
+    s3SignedUrlTtlSeconds: parseInt(process.env.S3_SIGNED_URL_TTL_SECONDS) || 900,
+    s3TimeoutMs: parseInt(process.env.S3_TIMEOUT_MS) || 30000,
   },
   
   // CORS
-  allowedOrigins: (process.env.ALLOWED_ORIGINS || 'http://localhost:8080')
-    .split(',')
-    .map(origin => origin.trim()),
+  allowedOrigins: parseList(process.env.ALLOWED_ORIGINS || 'http://localhost:8080'),
   
   // API Authentication
   apiSecretKey: process.env.API_SECRET_KEY,
+  
+  // Retry, timeout and circuit breaker settings for LLM calls
+  resilience: {
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES ?? '3'),
+    baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS) || 2000,
+    maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS) || 30000,
+    textTimeoutMs: parseInt(process.env.LLM_TEXT_TIMEOUT_MS) || 180000,
+    speechTimeoutMs: parseInt(process.env.LLM_TTS_TIMEOUT_MS) || 300000,
+    breakerFailureThreshold: parseInt(process.env.LLM_BREAKER_FAILURE_THRESHOLD) || 5,
+    breakerResetMs: parseInt(process.env.LLM_BREAKER_RESET_MS) || 60000,
+  },
+  
+  // Market data snapshots ('file' reads MARKET_DATA_PATH, 'none' disables)
+  marketData: {
+    provider: process.env.MARKET_DATA_PROVIDER || 'file',
+    path: process.env.MARKET_DATA_PATH || `${volumePath}/market-data`,
+  },
+  
+  // Numeric fact-check against the market data snapshot
+  // mode: 'off', 'flag' (publish with issues recorded) or 'block' (do not publish)
+  factCheck: {
+    mode: process.env.FACT_CHECK_MODE || 'flag',
+    levelTolerancePct: parseFloat(process.env.FACT_CHECK_LEVEL_TOLERANCE_PCT) || 1.5,
+    changeTolerancePts: parseFloat(process.env.FACT_CHECK_CHANGE_TOLERANCE_PTS) || 0.5,
+  },
+  
+  // Automatic newsletter generation schedule, one cron per edition
+  // Default: post-close edition at 17:30 New York time on weekdays, after the US close
+  // (the pre-market edition runs at 08:00 when listed in GENERATION_EDITIONS)
+  generationSchedule: {
+    enabled: process.env.GENERATION_SCHEDULE_ENABLED === 'true',
+    editions: parseList(process.env.GENERATION_EDITIONS || 'post-close'),
+    cron: {
+      'post-close': process.env.GENERATION_CRON || '30 17 * * 1-5',
+      'pre-market': process.env.PREMARKET_GENERATION_CRON || '0 8 * * 1-5',
+    },
+    timezone: process.env.GENERATION_TIMEZONE || 'America/New_York',
+  },
+  
+  // Generation job queue
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    // A running job is extended every leaseMs / 3; it is requeued once its
+    // lease runs out (its worker died)
+    leaseMs: parseInt(process.env.JOB_LEASE_MS) || 300000,
+  },
+  
+  // Historical backfill: longest range per request and spacing between job starts
+  backfill: {
+    maxDays: parseInt(process.env.BACKFILL_MAX_DAYS) || 92,
+    spacingMs: parseInt(process.env.BACKFILL_SPACING_MS ?? '120000'),
+  },
 };
 
 // Validate required config
 export function validateConfig() {
   const required = [
     'databaseUrl',
-    'geminiApiKey',
     'apiSecretKey',
   ];
   
+  // The mock provider runs without network access or an API key
+  if (config.llm.provider === 'gemini') {
+    required.push('geminiApiKey');
+  }
+  
+  if (config.storage.backend === 's3') {
+    required.push('aws.s3BucketName', 'aws.accessKeyId', 'aws.secretAccessKey');
+  }
+  
   const missing = required.filter(key => {
     const value = key.split('.').reduce((obj, k) => obj?.[k], config);
     return !value;
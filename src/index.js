@@ -1,13 +1,24 @@
 import express from 'express';
 import cors from 'cors';
-import path from 'path';
 import { config, validateConfig } from './config.js';
 import { logger } from './utils/logger.js';
 import { errorHandler } from './utils/error-handler.js';
 import newsletterRoutes from './routes/newsletter.js';
 import cleanupRoutes from './routes/cleanup.js';
+import schedulerRoutes from './routes/scheduler.js';
+import promptRoutes from './routes/prompts.js';
+import audioRoutes, { serveStoredAudioFile } from './routes/audio.js';
+import podcastRoutes from './routes/podcast.js';
+import lexiconRoutes from './routes/lexicon.js';
 import { ensureAudioStorageExists } from './services/newsletterService.js';
-import { startCleanupScheduler, stopCleanupScheduler } from './services/cronScheduler.js';
+import {
+  startCleanupScheduler,
+  stopCleanupScheduler,
+  startGenerationScheduler,
+  stopGenerationScheduler,
+} from './services/cronScheduler.js';
+import { startJobWorker, stopJobWorker } from './services/jobQueue.js';
+import { getProviderHealth } from './services/providers/index.js';
 
 // Validate configuration on startup
 try {
@@ -48,6 +59,7 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     environment: config.nodeEnv,
+    llm: getProviderHealth(),
   });
 });
 
@@ -61,28 +73,73 @@ app.get('/', (req, res) => {
       health: '/health',
       newsletter: {
         generate: 'POST /api/newsletter/generate',
+        job: 'GET /api/newsletter/jobs/:id',
+        backfill: 'POST /api/newsletter/backfill',
+        backfillProgress: 'GET /api/newsletter/backfill/:batchId',
         latest: 'GET /api/newsletter/latest',
         history: 'GET /api/newsletter/history',
         byDate: 'GET /api/newsletter/:date',
+        byDateAndEdition: 'GET /api/newsletter/:date/:edition',
+        revisions: 'GET /api/newsletter/:date/:edition/revisions',
+        revisionDiff: 'GET /api/newsletter/:date/:edition/revisions/diff?from=&to=',
+        rollback: 'POST /api/newsletter/:date/:edition/revisions/:revision/rollback',
+        regenerateAudio: 'POST /api/newsletter/:date/:edition/audio/regenerate',
+        captions: 'GET /api/newsletter/:date/:edition/captions.vtt (or .srt)',
+        pin: 'POST /api/newsletter/:date/:edition/pin (DELETE to unpin)',
+      },
+      audio: {
+        byId: 'GET /api/audio/id/:id?format=mp3',
+        byDate: 'GET /api/audio/:date/:edition?format=mp3',
+        sign: 'POST /api/audio/sign',
+        integrity: 'GET /api/audio/integrity?checksums=true',
+      },
+      podcast: {
+        feed: 'GET /api/podcast/feed.xml',
+        chapters: 'GET /api/podcast/episodes/:id/chapters.json',
       },
       cleanup: {
         run: 'POST /api/cleanup/run',
         stats: 'GET /api/cleanup/stats',
         scheduler: 'GET /api/cleanup/scheduler',
+        policy: 'GET /api/cleanup/policy',
+        setPolicy: 'PUT /api/cleanup/policy',
+        deletePolicy: 'DELETE /api/cleanup/policy?type=&edition=&format=',
+        archives: 'GET /api/cleanup/archives',
+        restoreArchive: 'POST /api/cleanup/archives/:name/restore',
+      },
+      scheduler: {
+        status: 'GET /api/scheduler',
+        generation: 'POST /api/scheduler/generation',
+      },
+      prompts: {
+        list: 'GET /api/prompts',
+        versions: 'GET /api/prompts/:name/versions',
+        create: 'POST /api/prompts/:name/versions',
+        preview: 'POST /api/prompts/:name/versions/:version/preview',
+        activate: 'POST /api/prompts/:name/versions/:version/activate',
+      },
+      lexicon: {
+        list: 'GET /api/lexicon',
+        upsert: 'PUT /api/lexicon/:term',
+        delete: 'DELETE /api/lexicon/:term',
+        preview: 'POST /api/lexicon/preview',
       },
     },
   });
 });
 
-// Serve audio files from storage
-const audioDir = config.useS3
-  ? '/tmp/audio'
-  : path.join(config.railwayVolumePath, 'audio');
-app.use('/audio', express.static(audioDir));
+// Serve audio files from storage (stored audio_url links; new clients use /api/audio)
+// Private editions need X-API-Key or a signed URL here too
+app.get('/audio/:fileName', serveStoredAudioFile);
 
 // API routes
 app.use('/api/newsletter', newsletterRoutes);
 app.use('/api/cleanup', cleanupRoutes);
+app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/audio', audioRoutes);
+app.use('/api/podcast', podcastRoutes);
+app.use('/api/lexicon', lexiconRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -100,7 +157,7 @@ app.use(errorHandler);
 
 // Start server
 const PORT = config.port;
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   logger.success(`🚀 Server running on port ${PORT}`);
   logger.info(`Environment: ${config.nodeEnv}`);
   logger.info(`Health check: http://localhost:${PORT}/health`);
@@ -112,17 +169,35 @@ app.listen(PORT, () => {
     logger.error('Failed to start cleanup scheduler:', error.message);
     // Don't crash the server if scheduler fails
   }
+  
+  // Start automatic generation scheduler (no-op unless enabled)
+  try {
+    startGenerationScheduler();
+  } catch (error) {
+    logger.error('Failed to start generation scheduler:', error.message);
+  }
+  
+  // Start generation job worker (also recovers jobs interrupted by a restart)
+  try {
+    await startJobWorker();
+  } catch (error) {
+    logger.error('Failed to start job worker:', error.message);
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
   stopCleanupScheduler();
+  stopGenerationScheduler();
+  stopJobWorker();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received: closing HTTP server');
   stopCleanupScheduler();
+  stopGenerationScheduler();
+  stopJobWorker();
   process.exit(0);
 });
@@ -0,0 +1,150 @@
+/**
+ * Audio Asset Database Model
+ *
+ * Provides operations for audio_assets table: one row per audio file written
+ * to storage. A row is live while deleted_at is NULL; at most one live row
+ * exists per storage key.
+ */
+
+import { Newsletter } from './newsletter.js';
+
+const pool = Newsletter.getPool();
+
+/**
+ * Audio Asset Model
+ */
+export const AudioAsset = {
+  /**
+   * Record newly stored files
+   * Live rows for the same keys were overwritten and are marked 'replaced'.
+   *
+   * @param {Array<Object>} assets - { newsletter_id, format, storage_key, mime_type, bytes,
+   *   sha256, sample_rate, bitrate_kbps, duration_seconds }
+   * @returns {Array<Object>} - Inserted rows
+   */
+  async register(assets) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const rows = [];
+      for (const asset of assets) {
+        await client.query(
+          `UPDATE audio_assets
+           SET deleted_at = NOW(), deleted_reason = 'replaced'
+           WHERE storage_key = $1 AND deleted_at IS NULL`,
+          [asset.storage_key]
+        );
+        const result = await client.query(
+          `INSERT INTO audio_assets (
+             newsletter_id, format, storage_key, mime_type, bytes,
+             sha256, sample_rate, bitrate_kbps, duration_seconds
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [
+            asset.newsletter_id,
+            asset.format,
+            asset.storage_key,
+            asset.mime_type || null,
+            asset.bytes,
+            asset.sha256,
+            asset.sample_rate || null,
+            asset.bitrate_kbps || null,
+            asset.duration_seconds ?? null,
+          ]
+        );
+        rows.push(result.rows[0]);
+      }
+      await client.query('COMMIT');
+      return rows;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Follow a file that was moved to another key
+   */
+  async moveKey(fromKey, toKey) {
+    const query = `
+      UPDATE audio_assets
+      SET storage_key = $2
+      WHERE storage_key = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+    const result = await pool.query(query, [fromKey, toKey]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Mark the live asset of a key as deleted
+   */
+  async markDeleted(key, reason) {
+    const query = `
+      UPDATE audio_assets
+      SET deleted_at = NOW(), deleted_reason = $2
+      WHERE storage_key = $1 AND deleted_at IS NULL
+      RETURNING *
+    `;
+    const result = await pool.query(query, [key, reason]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get the asset of a key: the live one, or else the most recently deleted
+   */
+  async getByKey(key) {
+    const query = `
+      SELECT * FROM audio_assets
+      WHERE storage_key = $1
+      ORDER BY (deleted_at IS NULL) DESC, id DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [key]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get the latest asset of each of the keys (live rows first)
+   */
+  async getByKeys(keys) {
+    const query = `
+      SELECT DISTINCT ON (storage_key) * FROM audio_assets
+      WHERE storage_key = ANY($1::text[])
+      ORDER BY storage_key, (deleted_at IS NULL) DESC, id DESC
+    `;
+    const result = await pool.query(query, [keys]);
+    return result.rows;
+  },
+
+  /**
+   * List the live assets of a newsletter (all revisions)
+   */
+  async listLiveByNewsletter(newsletterId) {
+    const query = `
+      SELECT * FROM audio_assets
+      WHERE newsletter_id = $1 AND deleted_at IS NULL
+      ORDER BY storage_key ASC
+    `;
+    const result = await pool.query(query, [newsletterId]);
+    return result.rows;
+  },
+
+  /**
+   * List all live assets (by key)
+   */
+  async listLive() {
+    const query = `
+      SELECT * FROM audio_assets
+      WHERE deleted_at IS NULL
+      ORDER BY storage_key ASC
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  },
+};
+
+export default AudioAsset;
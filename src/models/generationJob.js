@@ -0,0 +1,239 @@
+/**
+ * Generation Job Database Model
+ *
+ * Provides queue operations for generation_jobs table
+ */
+
+import { Newsletter } from './newsletter.js';
+import { DEFAULT_EDITION } from '../services/editions.js';
+
+const pool = Newsletter.getPool();
+
+/**
+ * Generation Job Model
+ */
+export const GenerationJob = {
+  /**
+   * Enqueue a new job, unless one of the same type is already queued or
+   * running for the date and edition (a unique index makes this atomic)
+   * runAfter delays the job (used to space out backfill jobs); batchId groups them.
+   *
+   * @returns {Object} - { job, created }: the new job, or the active one
+   */
+  async create({ jobType = 'generate', payload = {}, maxAttempts = 3, runAfter = null, batchId = null }) {
+    const query = `
+      INSERT INTO generation_jobs (job_type, payload, max_attempts, run_after, batch_id)
+      VALUES ($1, $2, $3, COALESCE($4, NOW()), $5)
+      ON CONFLICT (job_type, (payload->>'date'), (COALESCE(payload->>'edition', '${DEFAULT_EDITION}')))
+        WHERE status IN ('queued', 'running')
+        DO NOTHING
+      RETURNING *
+    `;
+    // The active job may finish between the conflict and the lookup; try again then
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const result = await pool.query(query, [jobType, JSON.stringify(payload), maxAttempts, runAfter, batchId]);
+      if (result.rows[0]) {
+        return { job: result.rows[0], created: true };
+      }
+      const active = await this.findActive(jobType, payload.date, payload.edition || DEFAULT_EDITION);
+      if (active) {
+        return { job: active, created: false };
+      }
+    }
+    throw new Error(`Could not enqueue ${jobType} job for ${payload.date}`);
+  },
+
+  /**
+   * Get all jobs of a batch in date order
+   */
+  async getByBatch(batchId) {
+    const query = `
+      SELECT * FROM generation_jobs
+      WHERE batch_id = $1
+      ORDER BY payload->>'date' ASC, id ASC
+    `;
+    const result = await pool.query(query, [batchId]);
+    return result.rows;
+  },
+
+  /**
+   * Get job by ID
+   */
+  async getById(id) {
+    const query = `
+      SELECT * FROM generation_jobs
+      WHERE id = $1
+    `;
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Find a queued or running job of the given type for a date and edition
+   * Jobs queued before editions existed count as the default edition.
+   */
+  async findActive(jobType, date, edition = DEFAULT_EDITION) {
+    const query = `
+      SELECT * FROM generation_jobs
+      WHERE job_type = $1
+        AND payload->>'date' = $2
+        AND COALESCE(payload->>'edition', $4) = $3
+        AND status IN ('queued', 'running')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [jobType, date, edition, DEFAULT_EDITION]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Atomically claim the oldest queued job that is due for a worker
+   * SKIP LOCKED lets several workers poll the same table safely. A job whose
+   * date and edition already has a running job (of any type) waits, so a
+   * generation and an audio regeneration never write the same newsletter
+   * and audio files at once; claims take an advisory lock so two workers
+   * cannot start two such jobs together.
+   */
+  async claimNext(workerId, leaseMs) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('generation_jobs:claim'))`);
+      const result = await client.query(
+        `UPDATE generation_jobs
+         SET status = 'running',
+             stage = 'starting',
+             attempts = attempts + 1,
+             locked_by = $1,
+             locked_until = NOW() + $2 * INTERVAL '1 millisecond',
+             started_at = NOW(),
+             finished_at = NULL,
+             error_message = NULL
+         WHERE id = (
+           SELECT id FROM generation_jobs j
+           WHERE status = 'queued'
+             AND run_after <= NOW()
+             AND NOT EXISTS (
+               SELECT 1 FROM generation_jobs r
+               WHERE r.status = 'running'
+                 AND r.payload->>'date' = j.payload->>'date'
+                 AND COALESCE(r.payload->>'edition', $3) = COALESCE(j.payload->>'edition', $3)
+             )
+           ORDER BY run_after ASC, id ASC
+           FOR UPDATE SKIP LOCKED
+           LIMIT 1
+         )
+         RETURNING *`,
+        [workerId, leaseMs, DEFAULT_EDITION]
+      );
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Extend the lease of the jobs a worker is running
+   */
+  async heartbeat(ids, workerId, leaseMs) {
+    const query = `
+      UPDATE generation_jobs
+      SET locked_until = NOW() + $3 * INTERVAL '1 millisecond'
+      WHERE id = ANY($1::int[])
+        AND status = 'running'
+        AND locked_by = $2
+    `;
+    const result = await pool.query(query, [ids, workerId, leaseMs]);
+    return { count: result.rowCount };
+  },
+
+  /**
+   * Update the current pipeline stage of a running job
+   * Like complete() and fail(), only the worker holding the lease can do this;
+   * returns null once the job was recovered and claimed again.
+   */
+  async setStage(id, workerId, stage) {
+    const query = `
+      UPDATE generation_jobs
+      SET stage = $3
+      WHERE id = $1
+        AND status = 'running'
+        AND locked_by = $2
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, workerId, stage]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Mark job as complete
+   * Returns null if the worker no longer holds the job's lease.
+   */
+  async complete(id, workerId, result) {
+    const query = `
+      UPDATE generation_jobs
+      SET status = 'complete',
+          stage = 'done',
+          result = $3,
+          error_message = NULL,
+          locked_by = NULL,
+          locked_until = NULL,
+          finished_at = NOW()
+      WHERE id = $1
+        AND status = 'running'
+        AND locked_by = $2
+      RETURNING *
+    `;
+    const res = await pool.query(query, [id, workerId, JSON.stringify(result || {})]);
+    return res.rows[0] || null;
+  },
+
+  /**
+   * Record a failed attempt
+   * The job goes back to the queue until max_attempts is reached. Returns
+   * null if the worker no longer holds the job's lease.
+   */
+  async fail(id, workerId, errorMessage) {
+    const query = `
+      UPDATE generation_jobs
+      SET status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+          error_message = $3,
+          locked_by = NULL,
+          locked_until = NULL,
+          finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE NOW() END
+      WHERE id = $1
+        AND status = 'running'
+        AND locked_by = $2
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, workerId, errorMessage]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Requeue jobs left 'running' by a process that is no longer alive (their
+   * lease ran out; jobs from before leases count from started_at)
+   * Jobs that already used all their attempts are marked failed instead.
+   */
+  async recoverStale(leaseMs) {
+    const query = `
+      UPDATE generation_jobs
+      SET status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+          error_message = COALESCE(error_message, 'Interrupted: worker stopped renewing its lease'),
+          finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE NOW() END,
+          locked_by = NULL,
+          locked_until = NULL
+      WHERE status = 'running'
+        AND COALESCE(locked_until, started_at + $1 * INTERVAL '1 millisecond') < NOW()
+      RETURNING *
+    `;
+    const result = await pool.query(query, [leaseMs]);
+    return result.rows;
+  },
+};
+
+export default GenerationJob;
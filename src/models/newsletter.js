@@ -6,6 +6,7 @@
 
 import pg from 'pg';
 import { config } from '../config.js';
+import { DEFAULT_EDITION } from '../services/editions.js';
 
 const { Pool } = pg;
 
@@ -29,23 +30,113 @@ pool.on('error', (err) => {
   console.error('❌ Unexpected database error:', err);
 });
 
+/**
+ * JSONB columns that need to be serialized before writing
+ */
+const JSON_COLUMNS = new Set(['sections', 'sources', 'generation_stats', 'fact_check', 'audio_chapters', 'audio_captions', 'audio_formats', 'dialogue_script', 'audio_variants']);
+
+/**
+ * Statuses with real content; only these are recorded as revisions
+ * (placeholders written while generating or after a failure are not)
+ */
+const REVISION_STATUSES = new Set(['complete', 'blocked']);
+
+/**
+ * Columns copied between daily_newsletters and newsletter_revisions
+ */
+const REVISION_COLUMNS = [
+  'title', 'hook', 'sections', 'conclusion', 'sources',
+  'audio_url', 'audio_duration_seconds', 'audio_chapters', 'audio_captions', 'audio_formats', 'audio_mode',
+  'audio_status', 'audio_error', 'audio_expired_at', 'dialogue_script', 'generation_status',
+  'prompt_version', 'fact_check', 'generation_stats',
+];
+
+/**
+ * Columns of each table, read once (archived rows may come from an older schema)
+ */
+const tableColumns = new Map();
+
+async function getTableColumns(client, table) {
+  if (!tableColumns.has(table)) {
+    const result = await client.query(
+      'SELECT column_name FROM information_schema.columns WHERE table_name = $1',
+      [table]
+    );
+    tableColumns.set(table, new Set(result.rows.map(row => row.column_name)));
+  }
+  return tableColumns.get(table);
+}
+
+/**
+ * Insert a row as it was archived (its own ID included), keeping only the
+ * columns the table still has
+ * Must run inside the caller's transaction.
+ */
+async function insertArchivedRow(client, table, row) {
+  const columns = await getTableColumns(client, table);
+  const names = Object.keys(row).filter(name => columns.has(name));
+  const result = await client.query(
+    `INSERT INTO ${table} (${names.join(', ')})
+     VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    names.map(name => JSON_COLUMNS.has(name) && row[name] !== null ? JSON.stringify(row[name]) : row[name])
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record the current state of a newsletter row as its next revision
+ * Must run inside the caller's transaction.
+ */
+async function insertRevision(client, newsletter, { source = 'generation', restoredFrom = null } = {}) {
+  const query = `
+    INSERT INTO newsletter_revisions (
+      newsletter_id, publish_date, edition, revision, source, restored_from,
+      ${REVISION_COLUMNS.join(', ')}
+    )
+    VALUES (
+      $1, $2, $3,
+      (SELECT COALESCE(MAX(revision), 0) + 1 FROM newsletter_revisions WHERE newsletter_id = $1),
+      $4, $5,
+      ${REVISION_COLUMNS.map((_, i) => `$${i + 6}`).join(', ')}
+    )
+    RETURNING *
+  `;
+  const values = [
+    newsletter.id,
+    newsletter.publish_date,
+    newsletter.edition,
+    source,
+    restoredFrom,
+    ...REVISION_COLUMNS.map(column => JSON_COLUMNS.has(column) && newsletter[column] !== null
+      ? JSON.stringify(newsletter[column])
+      : newsletter[column]),
+  ];
+  const result = await client.query(query, values);
+  return result.rows[0];
+}
+
 /**
  * Newsletter Model
  */
 export const Newsletter = {
   /**
    * Create or update newsletter (UPSERT)
-   * If a newsletter already exists for the same publish_date, it will be updated.
-   * This ensures only the latest newsletter is kept for each day.
+   * If a newsletter already exists for the same publish_date and edition, it will be updated.
+   * This ensures only the latest newsletter is kept for each day and edition;
+   * complete and blocked versions are also kept in newsletter_revisions.
    */
   async create(data) {
     const query = `
       INSERT INTO daily_newsletters (
         publish_date, title, hook, sections, conclusion, sources,
-        audio_url, audio_duration_seconds, generation_status, error_message
+        audio_url, audio_duration_seconds, generation_status, error_message,
+        generation_stats, fact_check, prompt_version, edition, audio_chapters,
+        audio_formats, audio_mode, dialogue_script, audio_status, audio_error,
+        audio_captions
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      ON CONFLICT (publish_date)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+      ON CONFLICT (publish_date, edition)
       DO UPDATE SET
         title = EXCLUDED.title,
         hook = EXCLUDED.hook,
@@ -54,8 +145,20 @@ export const Newsletter = {
         sources = EXCLUDED.sources,
         audio_url = EXCLUDED.audio_url,
         audio_duration_seconds = EXCLUDED.audio_duration_seconds,
+        audio_chapters = EXCLUDED.audio_chapters,
+        audio_captions = EXCLUDED.audio_captions,
+        audio_formats = EXCLUDED.audio_formats,
+        audio_mode = EXCLUDED.audio_mode,
+        dialogue_script = EXCLUDED.dialogue_script,
+        audio_status = EXCLUDED.audio_status,
+        audio_error = EXCLUDED.audio_error,
+        audio_expired_at = NULL,
+        audio_variants = NULL,
         generation_status = EXCLUDED.generation_status,
         error_message = EXCLUDED.error_message,
+        generation_stats = EXCLUDED.generation_stats,
+        fact_check = EXCLUDED.fact_check,
+        prompt_version = EXCLUDED.prompt_version,
         updated_at = NOW()
       RETURNING *
     `;
@@ -71,10 +174,118 @@ export const Newsletter = {
       data.audio_duration_seconds || null,
       data.generation_status || 'pending',
       data.error_message || null,
+      data.generation_stats ? JSON.stringify(data.generation_stats) : null,
+      data.fact_check ? JSON.stringify(data.fact_check) : null,
+      data.prompt_version || null,
+      data.edition || DEFAULT_EDITION,
+      data.audio_chapters ? JSON.stringify(data.audio_chapters) : null,
+      data.audio_formats ? JSON.stringify(data.audio_formats) : null,
+      data.audio_mode || null,
+      data.dialogue_script ? JSON.stringify(data.dialogue_script) : null,
+      data.audio_status || null,
+      data.audio_error || null,
+      data.audio_captions ? JSON.stringify(data.audio_captions) : null,
     ];
 
-    const result = await pool.query(query, values);
-    return result.rows[0];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(query, values);
+      const newsletter = result.rows[0];
+      if (REVISION_STATUSES.has(newsletter.generation_status)) {
+        await insertRevision(client, newsletter);
+      }
+      await client.query('COMMIT');
+      return newsletter;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Replace the audio of a newsletter (audio-only regeneration)
+   * Only the given columns change. When the new audio is complete, the
+   * result is also recorded as a revision with source 'audio'.
+   *
+   * @param {number} id - Newsletter ID
+   * @param {Object} audio - audio_url, audio_duration_seconds, audio_chapters, audio_captions, audio_formats,
+   *   audio_mode, dialogue_script, audio_variants, audio_status, audio_error, audio_expired_at, prompt_version,
+   *   generation_stats
+   */
+  async updateAudio(id, audio) {
+    const columns = Object.keys(audio);
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+    const values = columns.map(column => JSON_COLUMNS.has(column) && audio[column] !== null
+      ? JSON.stringify(audio[column])
+      : audio[column]);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE daily_newsletters
+         SET ${assignments.join(', ')}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...values]
+      );
+      const newsletter = result.rows[0] || null;
+      if (newsletter && REVISION_STATUSES.has(newsletter.generation_status) && audio.audio_status === 'complete') {
+        await insertRevision(client, newsletter, { source: 'audio' });
+      }
+      await client.query('COMMIT');
+      return newsletter;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Publish an earlier revision again
+   * Copies the revision back into daily_newsletters and records the result
+   * as a new revision, so the rollback itself shows up in the history.
+   * Audio variants are kept only when the restored text is the same.
+   *
+   * @returns {Object} - { newsletter, revision }
+   */
+  async restoreRevision(revision) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const assignments = REVISION_COLUMNS.map((column, i) => `${column} = $${i + 2}`);
+      const sectionsParam = REVISION_COLUMNS.indexOf('sections') + 2;
+      const result = await client.query(
+        `UPDATE daily_newsletters
+         SET ${assignments.join(', ')}, error_message = NULL,
+             audio_variants = CASE WHEN sections = $${sectionsParam}::jsonb THEN audio_variants END
+         WHERE id = $1
+         RETURNING *`,
+        [
+          revision.newsletter_id,
+          ...REVISION_COLUMNS.map(column => JSON_COLUMNS.has(column) && revision[column] !== null
+            ? JSON.stringify(revision[column])
+            : revision[column]),
+        ]
+      );
+      const newsletter = result.rows[0];
+      const restored = await insertRevision(client, newsletter, {
+        source: 'rollback',
+        restoredFrom: revision.revision,
+      });
+      await client.query('COMMIT');
+      return { newsletter, revision: restored };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   },
 
   /**
@@ -90,56 +301,72 @@ export const Newsletter = {
   },
 
   /**
-   * Get newsletter by publish date
+   * Get newsletter by publish date and edition
    */
-  async getByDate(publishDate) {
+  async getByDate(publishDate, edition = DEFAULT_EDITION) {
+    const query = `
+      SELECT * FROM daily_newsletters
+      WHERE publish_date = $1 AND edition = $2
+    `;
+    const result = await pool.query(query, [publishDate, edition]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get all editions for a publish date
+   */
+  async getEditionsByDate(publishDate) {
     const query = `
       SELECT * FROM daily_newsletters
       WHERE publish_date = $1
+      ORDER BY edition ASC
     `;
     const result = await pool.query(query, [publishDate]);
-    return result.rows[0] || null;
+    return result.rows;
   },
 
   /**
-   * Get latest newsletter
+   * Get latest newsletter (optionally of one edition)
+   * Ordered by publish_date first, so a backfilled past date never counts as latest.
    */
-  async getLatest() {
+  async getLatest(edition = null) {
     const query = `
       SELECT * FROM daily_newsletters
       WHERE generation_status = 'complete'
-      ORDER BY updated_at DESC
+        AND ($1::varchar IS NULL OR edition = $1)
+      ORDER BY publish_date DESC, updated_at DESC
       LIMIT 1
     `;
-    const result = await pool.query(query);
+    const result = await pool.query(query, [edition]);
     return result.rows[0] || null;
   },
 
   /**
-   * Get newsletter history (last N days)
+   * Get newsletter history (last N newsletters, optionally of one edition)
    */
-  async getHistory(limit = 30) {
+  async getHistory(limit = 30, edition = null) {
     const query = `
       SELECT * FROM daily_newsletters
       WHERE generation_status = 'complete'
-      ORDER BY publish_date DESC
+        AND ($2::varchar IS NULL OR edition = $2)
+      ORDER BY publish_date DESC, edition ASC
       LIMIT $1
     `;
-    const result = await pool.query(query, [limit]);
+    const result = await pool.query(query, [limit, edition]);
     return result.rows;
   },
 
   /**
    * Update newsletter
    */
-  async update(publishDate, data) {
+  async update(publishDate, data, edition = DEFAULT_EDITION) {
     const fields = [];
     const values = [];
     let paramIndex = 1;
 
     // Build dynamic UPDATE query
     Object.entries(data).forEach(([key, value]) => {
-      if (key === 'sections' || key === 'sources') {
+      if (JSON_COLUMNS.has(key)) {
         fields.push(`${key} = $${paramIndex}`);
         values.push(JSON.stringify(value));
       } else {
@@ -149,12 +376,12 @@ export const Newsletter = {
       paramIndex++;
     });
 
-    values.push(publishDate);
+    values.push(publishDate, edition);
 
     const query = `
       UPDATE daily_newsletters
       SET ${fields.join(', ')}
-      WHERE publish_date = $${paramIndex}
+      WHERE publish_date = $${paramIndex} AND edition = $${paramIndex + 1}
       RETURNING *
     `;
 
@@ -163,15 +390,15 @@ export const Newsletter = {
   },
 
   /**
-   * Delete newsletter by publish_date
+   * Delete newsletter by publish_date and edition
    */
-  async delete(publishDate) {
+  async delete(publishDate, edition = DEFAULT_EDITION) {
     const query = `
       DELETE FROM daily_newsletters
-      WHERE publish_date = $1
+      WHERE publish_date = $1 AND edition = $2
       RETURNING *
     `;
-    const result = await pool.query(query, [publishDate]);
+    const result = await pool.query(query, [publishDate, edition]);
     return result.rows[0] || null;
   },
 
@@ -189,16 +416,16 @@ export const Newsletter = {
   },
 
   /**
-   * Check if newsletter exists for date
+   * Check if newsletter exists for date and edition
    */
-  async exists(publishDate) {
+  async exists(publishDate, edition = DEFAULT_EDITION) {
     const query = `
       SELECT EXISTS(
         SELECT 1 FROM daily_newsletters
-        WHERE publish_date = $1
+        WHERE publish_date = $1 AND edition = $2
       ) as exists
     `;
-    const result = await pool.query(query, [publishDate]);
+    const result = await pool.query(query, [publishDate, edition]);
     return result.rows[0].exists;
   },
 
@@ -222,29 +449,304 @@ export const Newsletter = {
   },
 
   /**
-   * Get newsletters older than a specific date
+   * List every audio URL a newsletter or revision points at
+   * (audio_url and each audio_formats entry)
+   */
+  async listAudioUrls() {
+    const query = `
+      SELECT audio_url AS url FROM daily_newsletters WHERE audio_url IS NOT NULL
+      UNION
+      SELECT audio_url FROM newsletter_revisions WHERE audio_url IS NOT NULL
+      UNION
+      SELECT f->>'url' FROM daily_newsletters, jsonb_array_elements(audio_formats) f
+      UNION
+      SELECT f->>'url' FROM newsletter_revisions, jsonb_array_elements(audio_formats) f
+      UNION
+      SELECT v->>'audio_url' FROM daily_newsletters, jsonb_each(audio_variants) e(mode, v)
+      UNION
+      SELECT f->>'url' FROM daily_newsletters, jsonb_each(audio_variants) e(mode, v),
+        jsonb_array_elements(COALESCE(v->'audio_formats', '[]'::jsonb)) f
+    `;
+    const result = await pool.query(query);
+    return result.rows.map(row => row.url).filter(Boolean);
+  },
+
+  /**
+   * Find the newsletter an audio file belongs to, by the file name at the
+   * end of audio_url or an audio_formats URL (the live newsletter and its
+   * audio_variants first, then revisions, whose archived audio has its own
+   * file name)
+   *
+   * @returns {Object|null} - { newsletter_id, edition, revision, variant } (revision null for the live row,
+   *   variant the audio_variants mode or null)
+   */
+  async findByAudioFile(fileName) {
+    const query = `
+      SELECT newsletter_id, edition, revision, variant FROM (
+        SELECT id AS newsletter_id, edition, NULL::int AS revision, NULL::text AS variant,
+          audio_url, audio_formats, 0 AS rank
+        FROM daily_newsletters
+        UNION ALL
+        SELECT id, edition, NULL::int, mode, v->>'audio_url', v->'audio_formats', 0
+        FROM daily_newsletters, jsonb_each(audio_variants) e(mode, v)
+        UNION ALL
+        SELECT newsletter_id, edition, revision, NULL::text, audio_url, audio_formats, 1 AS rank
+        FROM newsletter_revisions
+      ) owners
+      WHERE right(audio_url, length($1) + 1) = '/' || $1
+         OR EXISTS (
+           SELECT 1 FROM jsonb_array_elements(COALESCE(audio_formats, '[]'::jsonb)) f
+           WHERE right(f->>'url', length($1) + 1) = '/' || $1
+         )
+      ORDER BY rank ASC, revision DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [fileName]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Newsletters whose complete audio is a single WAV from before audio_formats
+   * (the versions that published a silent placeholder when TTS failed)
+   */
+  async listLegacyAudio() {
+    const query = `
+      SELECT id, publish_date, edition, audio_url FROM daily_newsletters
+      WHERE audio_status = 'complete'
+        AND audio_url IS NOT NULL
+        AND (audio_formats IS NULL OR jsonb_array_length(audio_formats) = 0)
+      ORDER BY publish_date ASC
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  },
+
+  /**
+   * Get newsletters older than a specific date (optionally of one edition)
+   * Pinned newsletters are never returned.
    */
-  async getOlderThan(date) {
+  async getOlderThan(date, edition = null) {
     const query = `
       SELECT * FROM daily_newsletters
       WHERE publish_date < $1
+        AND NOT pinned
+        AND ($2::varchar IS NULL OR edition = $2)
       ORDER BY publish_date ASC
     `;
-    const result = await pool.query(query, [date]);
+    const result = await pool.query(query, [date, edition]);
     return result.rows;
   },
 
   /**
-   * Delete newsletters older than a specific date
-   * Returns the number of deleted records
+   * Get newsletters published before a date whose audio has not expired yet
+   * (the newsletter or one of its revisions still points at audio, or a live
+   * audio asset belongs to it). Pinned rows and rows generating audio right
+   * now are skipped.
    */
-  async deleteOlderThan(date) {
+  async getWithAudioBefore(date) {
     const query = `
-      DELETE FROM daily_newsletters
+      SELECT * FROM daily_newsletters n
       WHERE publish_date < $1
+        AND NOT pinned
+        AND audio_expired_at IS NULL
+        AND audio_status IS DISTINCT FROM 'generating'
+        AND (
+          audio_url IS NOT NULL
+          OR audio_variants IS NOT NULL
+          OR EXISTS (SELECT 1 FROM newsletter_revisions r WHERE r.newsletter_id = n.id AND r.audio_url IS NOT NULL)
+          OR EXISTS (SELECT 1 FROM audio_assets a WHERE a.newsletter_id = n.id AND a.deleted_at IS NULL)
+        )
+      ORDER BY publish_date ASC, edition ASC
     `;
     const result = await pool.query(query, [date]);
-    return { count: result.rowCount };
+    return result.rows;
+  },
+
+  /**
+   * Record which audio files of a newsletter are left after retention removed some
+   * Each changed row (the newsletter and its revisions) gets its remaining
+   * audio_url and audio_formats; a row with no audio left keeps its text,
+   * chapters and captions, and gets audio_status 'expired' and audio_expired_at.
+   *
+   * @param {number} id - Newsletter ID
+   * @param {Object} remaining
+   * @param {Object} remaining.newsletter - { audio_url, audio_formats, audio_variants? } for the newsletter,
+   *   or null if unchanged (audio_variants only when it changed)
+   * @param {Array} remaining.revisions - [{ id, audio_url, audio_formats }] for changed revisions
+   * @returns {Object|null} - Updated newsletter row (null if it was unchanged)
+   */
+  async setRemainingAudio(id, { newsletter = null, revisions = [] }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      let updated = null;
+      if (newsletter) {
+        // audio_variants is only replaced when given
+        const result = await client.query(
+          `UPDATE daily_newsletters
+           SET audio_url = $2, audio_formats = $3,
+               audio_status = CASE WHEN $2::text IS NULL THEN 'expired' ELSE audio_status END,
+               audio_error = CASE WHEN $2::text IS NULL THEN NULL ELSE audio_error END,
+               audio_expired_at = CASE WHEN $2::text IS NULL THEN NOW() ELSE audio_expired_at END,
+               audio_variants = CASE WHEN $4 THEN $5::jsonb ELSE audio_variants END,
+               updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [
+            id,
+            newsletter.audio_url,
+            newsletter.audio_formats ? JSON.stringify(newsletter.audio_formats) : null,
+            newsletter.audio_variants !== undefined,
+            newsletter.audio_variants ? JSON.stringify(newsletter.audio_variants) : null,
+          ]
+        );
+        updated = result.rows[0] || null;
+      }
+      for (const revision of revisions) {
+        await client.query(
+          `UPDATE newsletter_revisions
+           SET audio_url = $3, audio_formats = $4,
+               audio_status = CASE WHEN $3::text IS NULL THEN 'expired' ELSE audio_status END,
+               audio_expired_at = CASE WHEN $3::text IS NULL THEN NOW() ELSE audio_expired_at END
+           WHERE id = $1 AND newsletter_id = $2`,
+          [revision.id, id, revision.audio_url, revision.audio_formats ? JSON.stringify(revision.audio_formats) : null]
+        );
+      }
+      await client.query('COMMIT');
+      return updated;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Pin (keep forever) or unpin a newsletter
+   */
+  async setPinned(id, pinned) {
+    const query = `
+      UPDATE daily_newsletters
+      SET pinned = $2, pinned_at = CASE WHEN $2 THEN COALESCE(pinned_at, NOW()) ELSE NULL END
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, pinned]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * List pinned newsletters (without the full content)
+   */
+  async listPinned() {
+    const query = `
+      SELECT id, publish_date, edition, title, audio_status, pinned_at
+      FROM daily_newsletters
+      WHERE pinned
+      ORDER BY publish_date DESC, edition ASC
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  },
+
+  /**
+   * Delete newsletters by ID (pinned newsletters are kept)
+   * Their revisions are deleted with them. Returns the number and IDs of the deleted records
+   */
+  async deleteByIds(ids) {
+    const query = `
+      DELETE FROM daily_newsletters
+      WHERE id = ANY($1::int[])
+        AND NOT pinned
+      RETURNING id
+    `;
+    const result = await pool.query(query, [ids]);
+    return { count: result.rowCount, ids: result.rows.map(row => row.id) };
+  },
+
+  /**
+   * Put back a deleted newsletter and its revisions from an archive, with
+   * their original IDs
+   * Returns null (and inserts nothing) if a newsletter already exists for the
+   * date and edition, or with the same ID.
+   */
+  async insertArchived(newsletter, revisions = []) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const existing = await client.query(
+        `SELECT id FROM daily_newsletters
+         WHERE (publish_date = $1 AND edition = $2) OR id = $3`,
+        [newsletter.publish_date, newsletter.edition, newsletter.id]
+      );
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      const restored = await insertArchivedRow(client, 'daily_newsletters', newsletter);
+      for (const revision of revisions) {
+        await insertArchivedRow(client, 'newsletter_revisions', revision);
+      }
+      await client.query('COMMIT');
+      return restored;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Point a newsletter and its revisions at archived audio again
+   * Clears audio_expired_at on every row that gets audio back.
+   *
+   * @param {number} id - Newsletter ID
+   * @param {Object} audio
+   * @param {Object} audio.newsletter - { audio_url, audio_formats, audio_status, audio_variants? }, or null
+   * @param {Array} audio.revisions - [{ id, audio_url, audio_formats, audio_status }]
+   * @returns {Object|null} - Updated newsletter row
+   */
+  async restoreAudio(id, { newsletter = null, revisions = [] }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      let updated = null;
+      if (newsletter) {
+        const result = await client.query(
+          `UPDATE daily_newsletters
+           SET audio_url = $2, audio_formats = $3, audio_status = $4,
+               audio_variants = COALESCE($5::jsonb, audio_variants),
+               audio_expired_at = NULL, updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [
+            id,
+            newsletter.audio_url,
+            newsletter.audio_formats ? JSON.stringify(newsletter.audio_formats) : null,
+            newsletter.audio_status,
+            newsletter.audio_variants ? JSON.stringify(newsletter.audio_variants) : null,
+          ]
+        );
+        updated = result.rows[0] || null;
+      }
+      for (const revision of revisions) {
+        await client.query(
+          `UPDATE newsletter_revisions
+           SET audio_url = $3, audio_formats = $4, audio_status = $5, audio_expired_at = NULL
+           WHERE id = $1 AND newsletter_id = $2`,
+          [revision.id, id, revision.audio_url, revision.audio_formats ? JSON.stringify(revision.audio_formats) : null, revision.audio_status]
+        );
+      }
+      await client.query('COMMIT');
+      return updated;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   },
 };
 
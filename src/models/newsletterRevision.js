@@ -0,0 +1,102 @@
+/**
+ * Newsletter Revision Database Model
+ *
+ * Read operations for newsletter_revisions table
+ * (revisions are written by Newsletter.create, Newsletter.restoreRevision
+ * and Newsletter.insertArchived)
+ */
+
+import { Newsletter } from './newsletter.js';
+
+const pool = Newsletter.getPool();
+
+/**
+ * Newsletter Revision Model
+ */
+export const NewsletterRevision = {
+  /**
+   * List revisions for a date and edition (newest first, without the full content)
+   */
+  async listByDate(publishDate, edition) {
+    const query = `
+      SELECT id, newsletter_id, publish_date, edition, revision, source, restored_from,
+             title, generation_status, prompt_version, audio_url, audio_duration_seconds,
+             audio_formats, audio_status,
+             jsonb_array_length(sections) AS section_count,
+             jsonb_array_length(sources) AS source_count,
+             fact_check->>'status' AS fact_check_status,
+             created_at
+      FROM newsletter_revisions
+      WHERE publish_date = $1 AND edition = $2
+      ORDER BY revision DESC
+    `;
+    const result = await pool.query(query, [publishDate, edition]);
+    return result.rows;
+  },
+
+  /**
+   * Get one full revision
+   */
+  async getRevision(publishDate, edition, revision) {
+    const query = `
+      SELECT * FROM newsletter_revisions
+      WHERE publish_date = $1 AND edition = $2 AND revision = $3
+    `;
+    const result = await pool.query(query, [publishDate, edition, revision]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Find revisions of a newsletter that point at any of the audio URLs
+   */
+  async findByAudioUrls(newsletterId, audioUrls) {
+    const query = `
+      SELECT * FROM newsletter_revisions
+      WHERE newsletter_id = $1 AND audio_url = ANY($2::text[])
+      ORDER BY revision ASC
+    `;
+    const result = await pool.query(query, [newsletterId, audioUrls]);
+    return result.rows;
+  },
+
+  /**
+   * List the audio of every revision of a newsletter that still has audio
+   */
+  async listAudioByNewsletter(newsletterId) {
+    const query = `
+      SELECT id, revision, audio_url, audio_formats, audio_status FROM newsletter_revisions
+      WHERE newsletter_id = $1 AND audio_url IS NOT NULL
+      ORDER BY revision ASC
+    `;
+    const result = await pool.query(query, [newsletterId]);
+    return result.rows;
+  },
+
+  /**
+   * List the full revisions of a newsletter (oldest first)
+   */
+  async listByNewsletter(newsletterId) {
+    const query = `
+      SELECT * FROM newsletter_revisions
+      WHERE newsletter_id = $1
+      ORDER BY revision ASC
+    `;
+    const result = await pool.query(query, [newsletterId]);
+    return result.rows;
+  },
+
+  /**
+   * Point revisions at different audio files (after the files were moved)
+   */
+  async setAudio(ids, audioUrl, audioFormats) {
+    const query = `
+      UPDATE newsletter_revisions
+      SET audio_url = $2, audio_formats = $3
+      WHERE id = ANY($1::int[])
+    `;
+    const result = await pool.query(query, [ids, audioUrl, audioFormats ? JSON.stringify(audioFormats) : null]);
+    return { count: result.rowCount };
+  },
+};
+
+export default NewsletterRevision;
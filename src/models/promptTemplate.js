@@ -0,0 +1,127 @@
+/**
+ * Prompt Template Database Model
+ *
+ * Provides versioned storage for prompt_templates table
+ */
+
+import { Newsletter } from './newsletter.js';
+
+const pool = Newsletter.getPool();
+
+/**
+ * Prompt Template Model
+ */
+export const PromptTemplate = {
+  /**
+   * Create the next version of a template (inactive)
+   * A transaction-level advisory lock on the name serializes concurrent
+   * creates, so two requests never compute the same MAX(version) + 1
+   * (a row lock would not cover the first version of a template).
+   */
+  async createVersion(name, body, description = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('prompt_templates:' || $1))`, [name]);
+      const result = await client.query(
+        `INSERT INTO prompt_templates (name, version, body, description)
+         VALUES (
+           $1,
+           (SELECT COALESCE(MAX(version), 0) + 1 FROM prompt_templates WHERE name = $1),
+           $2,
+           $3
+         )
+         RETURNING *`,
+        [name, body, description]
+      );
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Get a specific version of a template
+   */
+  async getVersion(name, version) {
+    const query = `
+      SELECT * FROM prompt_templates
+      WHERE name = $1 AND version = $2
+    `;
+    const result = await pool.query(query, [name, version]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get the active version of a template
+   */
+  async getActive(name) {
+    const query = `
+      SELECT * FROM prompt_templates
+      WHERE name = $1 AND is_active = TRUE
+    `;
+    const result = await pool.query(query, [name]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * List all versions of a template (newest first)
+   */
+  async listVersions(name) {
+    const query = `
+      SELECT * FROM prompt_templates
+      WHERE name = $1
+      ORDER BY version DESC
+    `;
+    const result = await pool.query(query, [name]);
+    return result.rows;
+  },
+
+  /**
+   * Deactivate all versions of a template (built-in default is used again)
+   */
+  async deactivateAll(name) {
+    const query = `
+      UPDATE prompt_templates
+      SET is_active = FALSE, activated_at = NULL
+      WHERE name = $1 AND is_active = TRUE
+    `;
+    const result = await pool.query(query, [name]);
+    return { count: result.rowCount };
+  },
+
+  /**
+   * Make one version the active one for its template
+   */
+  async activate(name, version) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE prompt_templates SET is_active = FALSE, activated_at = NULL WHERE name = $1 AND is_active = TRUE`,
+        [name]
+      );
+      const result = await client.query(
+        `UPDATE prompt_templates SET is_active = TRUE, activated_at = NOW() WHERE name = $1 AND version = $2 RETURNING *`,
+        [name, version]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+};
+
+export default PromptTemplate;
@@ -0,0 +1,72 @@
+/**
+ * Pronunciation Lexicon Database Model
+ *
+ * Provides CRUD operations for pronunciation_lexicon table
+ * (entries override the built-in lexicon of services/lexiconService.js)
+ */
+
+import { Newsletter } from './newsletter.js';
+
+const pool = Newsletter.getPool();
+
+/**
+ * Pronunciation Lexicon Model
+ */
+export const PronunciationLexicon = {
+  /**
+   * List all entries (by term)
+   */
+  async list() {
+    const query = `
+      SELECT * FROM pronunciation_lexicon
+      ORDER BY term ASC
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  },
+
+  /**
+   * Get one entry by term
+   */
+  async getByTerm(term) {
+    const query = `
+      SELECT * FROM pronunciation_lexicon
+      WHERE term = $1
+    `;
+    const result = await pool.query(query, [term]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Create or replace the entry for a term
+   */
+  async upsert({ term, spoken, kind, notes = null }) {
+    const query = `
+      INSERT INTO pronunciation_lexicon (term, spoken, kind, notes)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (term)
+      DO UPDATE SET
+        spoken = EXCLUDED.spoken,
+        kind = EXCLUDED.kind,
+        notes = EXCLUDED.notes
+      RETURNING *, (xmax = 0) AS created
+    `;
+    const result = await pool.query(query, [term, spoken, kind, notes]);
+    return result.rows[0];
+  },
+
+  /**
+   * Delete the entry for a term
+   */
+  async delete(term) {
+    const query = `
+      DELETE FROM pronunciation_lexicon
+      WHERE term = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [term]);
+    return result.rows[0] || null;
+  },
+};
+
+export default PronunciationLexicon;
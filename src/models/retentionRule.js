@@ -0,0 +1,62 @@
+/**
+ * Retention Rule Database Model
+ *
+ * Provides CRUD operations for retention_rules table
+ * (rules override the configured retention, see services/retentionService.js)
+ */
+
+import { Newsletter } from './newsletter.js';
+
+const pool = Newsletter.getPool();
+
+/**
+ * Retention Rule Model
+ */
+export const RetentionRule = {
+  /**
+   * List all rules
+   */
+  async list() {
+    const query = `
+      SELECT * FROM retention_rules
+      ORDER BY data_type ASC, edition ASC NULLS FIRST, format ASC NULLS FIRST
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  },
+
+  /**
+   * Create or replace the rule for a scope
+   * edition and format are null for "any"; days is null for "forever".
+   */
+  async upsert({ data_type, edition = null, format = null, days, notes = null }) {
+    const query = `
+      INSERT INTO retention_rules (data_type, edition, format, days, notes)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (data_type, COALESCE(edition, ''), COALESCE(format, ''))
+      DO UPDATE SET
+        days = EXCLUDED.days,
+        notes = EXCLUDED.notes
+      RETURNING *, (xmax = 0) AS created
+    `;
+    const result = await pool.query(query, [data_type, edition, format, days, notes]);
+    return result.rows[0];
+  },
+
+  /**
+   * Delete the rule for a scope
+   */
+  async delete({ data_type, edition = null, format = null }) {
+    const query = `
+      DELETE FROM retention_rules
+      WHERE data_type = $1
+        AND edition IS NOT DISTINCT FROM $2
+        AND format IS NOT DISTINCT FROM $3
+      RETURNING *
+    `;
+    const result = await pool.query(query, [data_type, edition, format]);
+    return result.rows[0] || null;
+  },
+};
+
+export default RetentionRule;
@@ -0,0 +1,445 @@
+/**
+ * Audio API Routes
+ *
+ * Streams newsletter audio with byte-range support, ETag/Last-Modified and
+ * Cache-Control. Files removed by the retention policy return 410 Gone.
+ * With S3 storage the route redirects to a presigned URL of the object.
+ *
+ * Endpoints:
+ * - POST /api/audio/sign - Create a signed, expiring audio URL (auth)
+ * - GET /api/audio/integrity?checksums=true - Compare the audio asset registry with storage (auth)
+ * - POST /api/audio/integrity/placeholders - Mark silent placeholder audio as failed (auth)
+ * - GET /api/audio/id/:id?format=mp3&mode=podcast - Stream audio of a newsletter by ID
+ * - GET /api/audio/:date[/:edition]?format=mp3&mode=podcast - Stream audio by date and edition
+ *
+ * Without ?format the primary format (audio_url) is streamed; without ?mode
+ * the newsletter's own audio (?mode picks the other mode's audio kept in
+ * audio_variants). Editions in AUDIO_PRIVATE_EDITIONS need
+ * ?expires=&signature= from /sign (or X-API-Key).
+ *
+ * serveStoredAudioFile handles the legacy /audio/<file> path (stored
+ * audio_url links) with the same access rules.
+ *
+ * IMPORTANT: /sign, /integrity and /id/:id must be defined BEFORE /:date.
+ */
+
+import express from 'express';
+import { getNewsletterById, getNewsletterByDate } from '../services/newsletterService.js';
+import {
+  findAudioFileOwner,
+  isPrivateEdition,
+  resolveAudioFile,
+  signAudioAccess,
+  verifyAudioAccess,
+} from '../services/audioAccessService.js';
+import { AUDIO_FORMAT_NAMES, isValidAudioFormat } from '../services/audioEncoding.js';
+import { checkAudioIntegrity, failPlaceholderAudio } from '../services/audioIntegrityService.js';
+import { AUDIO_MODES, isValidAudioMode } from '../services/podcastScriptService.js';
+import { getAudioKey, getStorage } from '../services/storage/index.js';
+import { DEFAULT_EDITION, EDITION_NAMES, isValidEdition } from '../services/editions.js';
+import { hasValidApiKey, requireApiKey } from '../utils/auth.js';
+import { formatDateOnly } from '../utils/dates.js';
+import { config } from '../config.js';
+
+const router = express.Router();
+
+// Longest lifetime a signed URL can be created with (7 days)
+const MAX_SIGNED_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * POST /api/audio/sign
+ * Create a signed, expiring URL for a newsletter's audio
+ *
+ * Body: { id } or { date, edition? }, plus format?, mode? and ttl_seconds?
+ * Auth: Requires API_SECRET_KEY
+ */
+router.post('/sign', requireApiKey, async (req, res) => {
+  try {
+    const { id, date, edition = DEFAULT_EDITION, format, mode, ttl_seconds: ttlSeconds } = req.body;
+
+    if (format !== undefined && !isValidAudioFormat(format)) {
+      return res.status(400).json({ error: `Invalid format. Use one of: ${AUDIO_FORMAT_NAMES.join(', ')}` });
+    }
+    if (mode !== undefined && !isValidAudioMode(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Use one of: ${AUDIO_MODES.join(', ')}` });
+    }
+
+    const ttl = ttlSeconds === undefined ? config.audioAccess.signedUrlTtlSeconds : parseInt(ttlSeconds);
+    if (isNaN(ttl) || ttl < 1 || ttl > MAX_SIGNED_URL_TTL_SECONDS) {
+      return res.status(400).json({ error: `ttl_seconds must be between 1 and ${MAX_SIGNED_URL_TTL_SECONDS}` });
+    }
+
+    let newsletter;
+    if (id !== undefined) {
+      if (isNaN(parseInt(id))) {
+        return res.status(400).json({ error: 'Invalid newsletter ID' });
+      }
+      newsletter = await getNewsletterById(parseInt(id));
+    } else {
+      const validationError = validateDateAndEdition(date, edition);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      newsletter = await getNewsletterByDate(date, edition);
+    }
+
+    if (!newsletter) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+
+    const audio = await resolveAudioFile(newsletter, format || null, mode || null);
+    const errorResponse = getAudioErrorResponse(audio, newsletter);
+    if (errorResponse) {
+      return res.status(errorResponse.status).json(errorResponse.body);
+    }
+
+    const { expires, signature, expiresAt } = signAudioAccess(newsletter.id, audio.format, ttl, mode || null);
+    const query = new URLSearchParams({ format: audio.format, ...(mode && { mode }), expires, signature });
+
+    res.json({
+      success: true,
+      url: `${getBaseUrl(req)}/api/audio/id/${newsletter.id}?${query}`,
+      format: audio.format,
+      ...(mode && { mode }),
+      expires_at: expiresAt,
+    });
+
+  } catch (error) {
+    console.error('❌ Sign audio URL error:', error);
+    res.status(500).json({
+      error: 'Failed to sign audio URL',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/audio/integrity
+ * Report missing assets, size or checksum mismatches and orphan files
+ *
+ * Query: checksums=true also hashes every stored file (reads all audio)
+ * Auth: Requires API_SECRET_KEY
+ */
+router.get('/integrity', requireApiKey, async (req, res) => {
+  try {
+    const report = await checkAudioIntegrity({ verifyChecksums: req.query.checksums === 'true' });
+    const { summary } = report;
+    const healthy = summary.missing + summary.size_mismatches + summary.checksum_mismatches === 0;
+
+    res.json({
+      success: true,
+      healthy,
+      ...report,
+    });
+
+  } catch (error) {
+    console.error('❌ Audio integrity check error:', error);
+    res.status(500).json({
+      error: 'Failed to check audio integrity',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/audio/integrity/placeholders
+ * Mark newsletters whose audio is the silent placeholder older versions
+ * published when TTS failed as audio 'failed' (regenerate with
+ * POST /api/newsletter/:date/audio/regenerate)
+ *
+ * Auth: Requires API_SECRET_KEY
+ */
+router.post('/integrity/placeholders', requireApiKey, async (req, res) => {
+  try {
+    const updated = await failPlaceholderAudio();
+
+    res.json({
+      success: true,
+      count: updated.length,
+      newsletters: updated,
+    });
+
+  } catch (error) {
+    console.error('❌ Fail placeholder audio error:', error);
+    res.status(500).json({
+      error: 'Failed to mark placeholder audio',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/audio/id/:id
+ * Stream the audio of a newsletter by ID
+ */
+router.get('/id/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid newsletter ID' });
+    }
+
+    const newsletter = await getNewsletterById(id);
+    if (!newsletter) {
+      return res.status(404).json({ error: `Newsletter ${id} not found` });
+    }
+
+    await streamNewsletterAudio(req, res, newsletter);
+
+  } catch (error) {
+    console.error('❌ Stream audio by ID error:', error);
+    res.status(500).json({
+      error: 'Failed to stream audio',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/audio/:date/:edition
+ * Stream the audio of a newsletter by date (post-close edition unless one is given)
+ */
+router.get(['/:date', '/:date/:edition'], async (req, res) => {
+  try {
+    const { date, edition = DEFAULT_EDITION } = req.params;
+
+    const validationError = validateDateAndEdition(date, edition);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const newsletter = await getNewsletterByDate(date, edition);
+    if (!newsletter) {
+      return res.status(404).json({ error: `No ${edition} newsletter found for ${date}` });
+    }
+
+    await streamNewsletterAudio(req, res, newsletter);
+
+  } catch (error) {
+    console.error('❌ Stream audio by date error:', error);
+    res.status(500).json({
+      error: 'Failed to stream audio',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Check access, resolve the file and send it
+ * Range requests, conditional requests (ETag, Last-Modified) and HEAD are
+ * handled by res.sendFile, or by the storage service behind the redirect.
+ */
+async function streamNewsletterAudio(req, res, newsletter, format = req.query.format || null, mode = req.query.mode || null) {
+  if (format && !isValidAudioFormat(format)) {
+    return res.status(400).json({ error: `Invalid format. Use one of: ${AUDIO_FORMAT_NAMES.join(', ')}` });
+  }
+  if (mode && !isValidAudioMode(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Use one of: ${AUDIO_MODES.join(', ')}` });
+  }
+
+  const isPrivate = isPrivateEdition(newsletter.edition);
+  const denied = checkPrivateAccess(req, newsletter.edition, newsletter.id, format, mode);
+  if (denied) {
+    return res.status(403).json({ error: denied });
+  }
+
+  const audio = await resolveAudioFile(newsletter, format, mode);
+  const errorResponse = getAudioErrorResponse(audio, newsletter);
+  if (errorResponse) {
+    return res.status(errorResponse.status).json(errorResponse.body);
+  }
+
+  const newsletterPath = getNewsletterPath(newsletter);
+
+  if (!audio.filePath) {
+    // Access was checked above; the presigned URL is short-lived
+    const url = await getStorage().getSignedUrl(audio.key, { expiresInSeconds: config.aws.s3SignedUrlTtlSeconds });
+    res.set({
+      'Cache-Control': 'private, no-store',
+      'Link': `<${newsletterPath}>; rel="describedby"`,
+    });
+    return res.redirect(302, url);
+  }
+
+  res.set({
+    'Cache-Control': `${isPrivate ? 'private' : 'public'}, max-age=${config.audioAccess.cacheMaxAgeSeconds}`,
+    'Content-Disposition': `inline; filename="${audio.fileName}"`,
+    'Link': `<${newsletterPath}>; rel="describedby"`,
+  });
+  if (audio.sha256) {
+    // Registered files have a content hash; sendFile keeps an ETag that is already set
+    res.set('ETag', `"${audio.sha256}"`);
+  }
+  res.type(audio.mimeType);
+
+  res.sendFile(audio.filePath, { cacheControl: false }, (error) => {
+    if (!error || res.headersSent) {
+      return;
+    }
+    // The response is JSON after all
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('ETag');
+    if (error.code === 'ENOENT') {
+      // Removed between the lookup and the read
+      const gone = getAudioErrorResponse({ status: 'expired', fileName: audio.fileName, format: audio.format }, newsletter);
+      return res.status(gone.status).json(gone.body);
+    }
+    // e.g. 416 Range Not Satisfiable
+    res.status(error.status || 500).json({
+      error: 'Failed to stream audio',
+      message: error.message,
+    });
+  });
+}
+
+/**
+ * Map an unsuccessful resolveAudioFile() result to an HTTP response
+ * Returns null when the file can be streamed.
+ */
+function getAudioErrorResponse(audio, newsletter) {
+  const details = {
+    newsletter_id: newsletter.id,
+    publish_date: formatDateOnly(newsletter.publish_date),
+    edition: newsletter.edition,
+    newsletter_url: getNewsletterPath(newsletter),
+  };
+
+  switch (audio.status) {
+    case 'no_audio':
+      if (newsletter.audio_expired_at) {
+        return {
+          status: 410,
+          body: {
+            error: 'Audio has expired',
+            message: 'The audio was removed by the audio retention policy; the newsletter text is still available',
+            audio_status: newsletter.audio_status,
+            audio_expired_at: newsletter.audio_expired_at,
+            ...details,
+          },
+        };
+      }
+      return {
+        status: 404,
+        body: {
+          error: 'This newsletter has no audio',
+          audio_status: newsletter.audio_status || null,
+          ...(newsletter.audio_error && { audio_error: newsletter.audio_error }),
+          ...details,
+        },
+      };
+    case 'unknown_mode':
+      return {
+        status: 404,
+        body: { error: 'Audio is not available in this mode', available_modes: audio.available, ...details },
+      };
+    case 'unknown_format':
+      return {
+        status: 404,
+        body: { error: 'Audio is not available in this format', available_formats: audio.available, ...details },
+      };
+    case 'expired':
+      return {
+        status: 410,
+        body: {
+          error: 'Audio has expired',
+          message: `${audio.fileName} was removed by the audio retention policy; the newsletter text is still available`,
+          format: audio.format,
+          ...details,
+        },
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * GET /audio/:fileName
+ * Serve a stored audio file by name (the audio_url links of older clients)
+ * Files of the live newsletter (and of its audio_variants) go through the
+ * same route as /api/audio; the archived audio of a revision is served directly. Either way private
+ * editions need X-API-Key or a signed URL, and files no newsletter points
+ * at are not served.
+ */
+export async function serveStoredAudioFile(req, res, next) {
+  try {
+    const { fileName } = req.params;
+    const owner = await findAudioFileOwner(fileName);
+    if (!owner || !owner.format) {
+      return next();
+    }
+
+    if (owner.revision === null) {
+      const newsletter = await getNewsletterById(owner.newsletterId);
+      if (newsletter) {
+        return await streamNewsletterAudio(req, res, newsletter, owner.format, owner.mode);
+      }
+    }
+
+    const denied = checkPrivateAccess(req, owner.edition, owner.newsletterId, owner.format);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
+    const storage = getStorage();
+    const key = getAudioKey(fileName);
+    if (!(await storage.head(key))) {
+      return next();
+    }
+    if (!storage.getLocalPath) {
+      res.set('Cache-Control', 'private, no-store');
+      return res.redirect(302, await storage.getSignedUrl(key, { expiresInSeconds: config.aws.s3SignedUrlTtlSeconds }));
+    }
+    res.set('Cache-Control', `${isPrivateEdition(owner.edition) ? 'private' : 'public'}, max-age=${config.audioAccess.cacheMaxAgeSeconds}`);
+    res.sendFile(storage.getLocalPath(key), { cacheControl: false }, (error) => {
+      if (error && !res.headersSent) {
+        next(error.code === 'ENOENT' ? undefined : error);
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Check access to the audio of a private edition
+ * Returns the reason access is denied, or null if the request may stream.
+ */
+function checkPrivateAccess(req, edition, newsletterId, format, mode = null) {
+  if (!isPrivateEdition(edition) || hasValidApiKey(req)) {
+    return null;
+  }
+  // Signed URLs always name the format (and mode) they were signed for
+  const access = format
+    ? verifyAudioAccess(newsletterId, format, req.query.expires, req.query.signature, mode)
+    : 'invalid';
+  if (access === 'valid') {
+    return null;
+  }
+  return access === 'expired' ? 'Signed URL has expired' : 'A valid signed URL is required for this edition';
+}
+
+/**
+ * Validate date and edition parameters
+ * Returns an error message, or null if both are valid.
+ */
+function validateDateAndEdition(date, edition) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    return 'Invalid date format. Use YYYY-MM-DD';
+  }
+  if (!isValidEdition(edition)) {
+    return `Invalid edition. Use one of: ${EDITION_NAMES.join(', ')}`;
+  }
+  return null;
+}
+
+function getNewsletterPath(newsletter) {
+  return `/api/newsletter/${formatDateOnly(newsletter.publish_date)}/${newsletter.edition}`;
+}
+
+function getBaseUrl(req) {
+  return `${req.protocol || 'https'}://${req.get('host')}`;
+}
+
+export default router;
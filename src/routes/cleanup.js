@@ -1,15 +1,59 @@
 /**
  * Cleanup API Routes
  * 
- * Provides endpoints for manual cleanup and monitoring
+ * Provides endpoints for manual cleanup and monitoring, for viewing and
+ * changing the retention policy, and for listing and restoring archive
+ * bundles (API_SECRET_KEY required)
  */
 
 import express from 'express';
 import { runCleanup, getCleanupStats } from '../services/cleanupService.js';
-import { getSchedulerStatus } from '../services/cronScheduler.js';
+import { getSchedulerStatus, getGenerationSchedulerStatus } from '../services/cronScheduler.js';
+import {
+  MAX_RETENTION_DAYS,
+  RETENTION_TYPES,
+  isValidRetentionType,
+  getRetentionPolicy,
+  saveRetentionRule,
+  deleteRetentionRule,
+} from '../services/retentionService.js';
+import { AUDIO_FORMAT_NAMES, isValidAudioFormat } from '../services/audioEncoding.js';
+import { EDITION_NAMES, isValidEdition } from '../services/editions.js';
+import { getPinnedNewsletters } from '../services/newsletterService.js';
+import { isValidArchiveName, listArchives, restoreArchive } from '../services/archiveService.js';
+import { requireApiKey } from '../utils/auth.js';
 
 const router = express.Router();
 
+const MAX_NOTES_LENGTH = 500;
+
+/**
+ * Validate the scope of a retention rule (type, edition, format)
+ * Returns an error message, or null if valid
+ */
+function validateRuleScope({ type, edition, format }) {
+  if (!isValidRetentionType(type)) {
+    return `Invalid type. Use one of: ${RETENTION_TYPES.join(', ')}`;
+  }
+  if (edition !== null && !isValidEdition(edition)) {
+    return `Invalid edition. Use one of: ${EDITION_NAMES.join(', ')}`;
+  }
+  if (format !== null && type !== 'audio') {
+    return 'format only applies to audio rules';
+  }
+  if (format !== null && !isValidAudioFormat(format)) {
+    return `Invalid format. Use one of: ${AUDIO_FORMAT_NAMES.join(', ')}`;
+  }
+  return null;
+}
+
+function sendValidationError(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: { message },
+  });
+}
+
 /**
  * POST /api/cleanup/run
  * Manually trigger cleanup process
@@ -60,9 +104,198 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/cleanup/policy
+ * Get the effective retention policy (configured and stored rules, the
+ * resulting days per edition and format) and the pinned newsletters
+ */
+router.get('/policy', requireApiKey, async (req, res) => {
+  try {
+    const [policy, pinned] = await Promise.all([getRetentionPolicy(), getPinnedNewsletters()]);
+    
+    res.json({
+      success: true,
+      policy,
+      pinned,
+    });
+  } catch (error) {
+    console.error('❌ Failed to get retention policy:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get retention policy',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/cleanup/policy
+ * Create or replace a stored rule (overrides a configured rule with the same scope)
+ *
+ * Body: { type: "audio" | "newsletter", edition?: "pre-market", format?: "wav",
+ *         days: 30 | null | "forever", notes?: "..." }
+ */
+router.put('/policy', requireApiKey, async (req, res) => {
+  try {
+    const { type, edition = null, format = null, notes = null } = req.body || {};
+    let { days } = req.body || {};
+    
+    const scopeError = validateRuleScope({ type, edition, format });
+    if (scopeError) {
+      return sendValidationError(res, scopeError);
+    }
+    if (days === 'forever') {
+      days = null;
+    }
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS)) {
+      return sendValidationError(res, `days must be an integer between 1 and ${MAX_RETENTION_DAYS}, or "forever"`);
+    }
+    if (notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+      return sendValidationError(res, `notes must be a string of at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    
+    const { rule, created } = await saveRetentionRule({ dataType: type, edition, format, days, notes });
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      rule,
+    });
+  } catch (error) {
+    console.error('❌ Failed to save retention rule:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to save retention rule',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/cleanup/policy?type=audio&edition=pre-market&format=wav
+ * Delete a stored rule; a configured rule with the same scope applies again
+ */
+router.delete('/policy', requireApiKey, async (req, res) => {
+  try {
+    const { type, edition = null, format = null } = req.query;
+    
+    const scopeError = validateRuleScope({ type, edition, format });
+    if (scopeError) {
+      return sendValidationError(res, scopeError);
+    }
+    
+    const deleted = await deleteRetentionRule({ dataType: type, edition, format });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'No stored retention rule for this scope' },
+      });
+    }
+    
+    res.json({
+      success: true,
+      deleted,
+    });
+  } catch (error) {
+    console.error('❌ Failed to delete retention rule:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete retention rule',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/cleanup/archives
+ * List the archive bundles written by cleanup (newest first)
+ */
+router.get('/archives', requireApiKey, async (req, res) => {
+  try {
+    const archives = await listArchives();
+    
+    res.json({
+      success: true,
+      count: archives.length,
+      archives,
+    });
+  } catch (error) {
+    console.error('❌ Failed to list archives:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to list archives',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/cleanup/archives/:name/restore
+ * Restore a bundle: deleted newsletters are inserted again and audio files
+ * put back; data that exists again is skipped. If some lines fail, the
+ * response is a 500 that still carries what was restored (restore the
+ * bundle again to retry them).
+ *
+ * Body: { pin?: true } (pin the restored newsletters so cleanup keeps them)
+ */
+router.post('/archives/:name/restore', requireApiKey, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { pin = false } = req.body || {};
+    
+    if (!isValidArchiveName(name)) {
+      return sendValidationError(res, 'Invalid archive name');
+    }
+    if (typeof pin !== 'boolean') {
+      return sendValidationError(res, 'pin must be a boolean');
+    }
+    
+    console.log(`📦 Restoring archive ${name} via API`);
+    const result = await restoreArchive(name, { pin });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: { message: `Archive not found: ${name}` },
+      });
+    }
+    if (result.failed.length > 0) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Archive restored partially',
+          details: `${result.failed.length} entries failed; restore the archive again to retry them`,
+        },
+        ...result,
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('❌ Failed to restore archive:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to restore archive',
+        details: error.message,
+      },
+    });
+  }
+});
+
 /**
  * GET /api/cleanup/scheduler
- * Get scheduler status
+ * Get scheduler status (cleanup job, plus the generation job next to it)
  */
 router.get('/scheduler', (req, res) => {
   try {
@@ -71,6 +304,7 @@ router.get('/scheduler', (req, res) => {
     res.json({
       success: true,
       scheduler: status,
+      generation: getGenerationSchedulerStatus(),
     });
   } catch (error) {
     console.error('❌ Failed to get scheduler status:', error);
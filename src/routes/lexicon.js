@@ -0,0 +1,166 @@
+/**
+ * Pronunciation Lexicon Admin Routes
+ *
+ * Endpoints (all require API_SECRET_KEY):
+ * - GET /api/lexicon - List the effective lexicon (built-in + stored entries)
+ * - PUT /api/lexicon/:term - Create or replace an entry
+ * - DELETE /api/lexicon/:term - Delete a stored entry
+ * - POST /api/lexicon/preview - Normalize text as TTS would receive it
+ */
+
+import express from 'express';
+import {
+  LEXICON_KINDS,
+  isValidLexiconKind,
+  getLexicon,
+  loadSpeechNormalizer,
+  saveLexiconEntry,
+  deleteLexiconEntry,
+} from '../services/lexiconService.js';
+import { requireApiKey } from '../utils/auth.js';
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+const MAX_TERM_LENGTH = 100;
+const MAX_SPOKEN_LENGTH = 300;
+const MAX_PREVIEW_LENGTH = 20000;
+
+/**
+ * GET /api/lexicon
+ * List the effective lexicon
+ *
+ * Query params:
+ * - kind: ticker, abbreviation or term (optional)
+ * - source: builtin or database (optional)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { kind, source } = req.query;
+
+    if (kind && !isValidLexiconKind(kind)) {
+      return res.status(400).json({ error: `Invalid kind. Use one of: ${LEXICON_KINDS.join(', ')}` });
+    }
+
+    const entries = (await getLexicon())
+      .filter(entry => !kind || entry.kind === kind)
+      .filter(entry => !source || entry.source === source);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      kinds: LEXICON_KINDS,
+      entries,
+    });
+
+  } catch (error) {
+    console.error('❌ List lexicon error:', error);
+    res.status(500).json({
+      error: 'Failed to list lexicon',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/lexicon/preview
+ * Normalize text with the current lexicon
+ *
+ * Body: { text: "..." }
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+    if (text.length > MAX_PREVIEW_LENGTH) {
+      return res.status(400).json({ error: `text must be at most ${MAX_PREVIEW_LENGTH} characters` });
+    }
+
+    const normalize = await loadSpeechNormalizer();
+
+    res.json({
+      success: true,
+      text,
+      normalized: normalize(text),
+    });
+
+  } catch (error) {
+    console.error('❌ Preview lexicon error:', error);
+    res.status(500).json({
+      error: 'Failed to preview normalization',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/lexicon/:term
+ * Create or replace an entry (overrides a built-in entry with the same term)
+ *
+ * Body: { spoken: "Nvidia", kind?: "ticker" | "abbreviation" | "term", notes?: "..." }
+ */
+router.put('/:term', async (req, res) => {
+  try {
+    const term = req.params.term.trim();
+    const { spoken, kind = 'term', notes = null } = req.body;
+
+    if (!term || term.length > MAX_TERM_LENGTH) {
+      return res.status(400).json({ error: `term must be 1-${MAX_TERM_LENGTH} characters` });
+    }
+    if (typeof spoken !== 'string' || !spoken.trim() || spoken.length > MAX_SPOKEN_LENGTH) {
+      return res.status(400).json({ error: `spoken is required (at most ${MAX_SPOKEN_LENGTH} characters)` });
+    }
+    if (!isValidLexiconKind(kind)) {
+      return res.status(400).json({ error: `Invalid kind. Use one of: ${LEXICON_KINDS.join(', ')}` });
+    }
+    if (notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'notes must be a string' });
+    }
+
+    const { entry, created } = await saveLexiconEntry({ term, spoken: spoken.trim(), kind, notes });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      entry,
+    });
+
+  } catch (error) {
+    console.error('❌ Save lexicon entry error:', error);
+    res.status(500).json({
+      error: 'Failed to save lexicon entry',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/lexicon/:term
+ * Delete a stored entry; a built-in entry with the same term applies again
+ */
+router.delete('/:term', async (req, res) => {
+  try {
+    const deleted = await deleteLexiconEntry(req.params.term.trim());
+    if (!deleted) {
+      return res.status(404).json({ error: `No stored lexicon entry for ${req.params.term}` });
+    }
+
+    res.json({
+      success: true,
+      deleted,
+    });
+
+  } catch (error) {
+    console.error('❌ Delete lexicon entry error:', error);
+    res.status(500).json({
+      error: 'Failed to delete lexicon entry',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -2,41 +2,86 @@
  * Newsletter API Routes
  * 
  * Endpoints:
- * - POST /api/newsletter/generate - Generate newsletter for a specific date
- * - GET /api/newsletter/latest - Get latest newsletter
- * - GET /api/newsletter/history - Get newsletter history
- * - GET /api/newsletter/:date - Get newsletter by date
+ * - POST /api/newsletter/generate - Queue newsletter generation for a specific date
+ * - GET /api/newsletter/jobs/:id - Get generation job status
+ * - POST /api/newsletter/backfill - Queue generation for a range of past trading days
+ * - GET /api/newsletter/backfill/:batchId - Get per-date backfill progress
+ * - GET /api/newsletter/latest - Get latest newsletter (?edition=pre-market)
+ * - GET /api/newsletter/history - Get newsletter history (?edition=pre-market)
+ * - GET /api/newsletter/:date - Get the post-close newsletter for a date
+ * - GET /api/newsletter/:date/:edition - Get a specific edition for a date
+ * - GET /api/newsletter/:date[/:edition]/revisions - List revisions
+ * - GET /api/newsletter/:date[/:edition]/revisions/diff?from=1&to=2 - Diff two revisions
+ * - GET /api/newsletter/:date[/:edition]/revisions/:revision - Get a full revision
+ * - POST /api/newsletter/:date[/:edition]/revisions/:revision/rollback - Publish an earlier revision
+ * - POST /api/newsletter/:date[/:edition]/audio/regenerate - Queue audio-only regeneration
+ * - POST /api/newsletter/:date[/:edition]/pin - Pin a newsletter (kept forever by cleanup)
+ * - DELETE /api/newsletter/:date[/:edition]/pin - Unpin a newsletter
+ * - GET /api/newsletter/:date[/:edition]/captions.vtt - WebVTT captions of the audio
+ * - GET /api/newsletter/:date[/:edition]/captions.srt - SRT captions of the audio
+ *   (?mode=podcast for the captions of the other mode's audio in audio_variants)
  * 
- * IMPORTANT: Specific routes (/latest, /history) must be defined BEFORE /:date
- * to avoid being caught by the date parameter route.
+ * IMPORTANT: Specific routes (/latest, /history, /backfill, revisions, audio, pin, captions) must be defined
+ * BEFORE /:date and /:date/:edition to avoid being caught by the parameter routes.
  */
 
 import express from 'express';
 import {
-  generateDailyNewsletter,
   getNewsletterByDate,
+  getNewsletterEditions,
   getLatestNewsletter,
   getNewsletterHistory,
+  setNewsletterPinned,
 } from '../services/newsletterService.js';
+import { DEFAULT_EDITION, EDITION_NAMES, isValidEdition } from '../services/editions.js';
+import {
+  getAudioInMode,
+  getAudioUrlKey,
+  getAvailableAudioModes,
+  getNewsletterAudioAssets,
+  hideDirectAudioUrls,
+  isPrivateEdition,
+  verifyAudioAccess,
+} from '../services/audioAccessService.js';
+import {
+  listRevisions,
+  getRevision,
+  diffRevisionNumbers,
+  rollbackToRevision,
+} from '../services/revisionService.js';
+import {
+  enqueueGenerationJob,
+  enqueueAudioJob,
+  isGenerationActive,
+  enqueueBackfill,
+  getBackfillProgress,
+  getJob,
+} from '../services/jobQueue.js';
+import { getTradingDayInfo, getPreviousTradingDay } from '../services/tradingCalendar.js';
+import { AUDIO_MODES, isValidAudioMode } from '../services/podcastScriptService.js';
+import {
+  CAPTION_FORMATS,
+  isValidCaptionFormat,
+  formatCaptions,
+  getCaptionsPath,
+} from '../services/captionService.js';
+import { hasValidApiKey, requireApiKey } from '../utils/auth.js';
+import { formatDateOnly, getDateInTimeZone } from '../utils/dates.js';
+import { config } from '../config.js';
 
 const router = express.Router();
 
 /**
  * POST /api/newsletter/generate
- * Generate newsletter for a specific date
+ * Queue newsletter generation for a specific date
  * 
- * Body: { date: "YYYY-MM-DD" }
+ * Body: { date: "YYYY-MM-DD", edition?: "post-close" | "pre-market", watch_items?: ["CPI release", "NVDA earnings"],
+ *         audio_mode?: "monologue" | "podcast" }
  * Auth: Requires API_SECRET_KEY
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', requireApiKey, async (req, res) => {
   try {
-    // API key authentication
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey !== process.env.API_SECRET_KEY) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const { date } = req.body;
+    const { date, edition = DEFAULT_EDITION, watch_items: watchItems = [], audio_mode: audioMode } = req.body;
     
     if (!date) {
       return res.status(400).json({ error: 'Date is required (YYYY-MM-DD)' });
@@ -47,30 +92,51 @@ router.post('/generate', async (req, res) => {
       return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
     }
 
-    console.log(`📨 API request: Generate newsletter for ${date}`);
+    if (!isValidEdition(edition)) {
+      return res.status(400).json({ error: `Invalid edition. Use one of: ${EDITION_NAMES.join(', ')}` });
+    }
+
+    if (!Array.isArray(watchItems) || watchItems.some(item => typeof item !== 'string')) {
+      return res.status(400).json({ error: 'watch_items must be an array of strings' });
+    }
+
+    if (audioMode !== undefined && !isValidAudioMode(audioMode)) {
+      return res.status(400).json({ error: `Invalid audio_mode. Use one of: ${AUDIO_MODES.join(', ')}` });
+    }
+
+    console.log(`📨 API request: Generate ${edition} newsletter for ${date}`);
+
+    // Non-trading days are still generated on request, but the caller is warned
+    const tradingDay = getTradingDayInfo(date);
+    let warning;
+    if (!tradingDay.isTradingDay) {
+      const reason = tradingDay.holiday || 'weekend';
+      warning = `Market closed on ${date} (${reason}); newsletter will recap the ${getPreviousTradingDay(date)} session`;
+      console.log(`⚠️  ${warning}`);
+    } else if (tradingDay.earlyClose) {
+      warning = `${date} is an early-close session (${tradingDay.earlyClose.name}, ${tradingDay.earlyClose.closeTime} ET)`;
+    }
+
+    // Persist the job and return immediately with 202 Accepted
+    // The job worker picks it up, so a restart mid-run does not lose the work
+    const { job, created } = await enqueueGenerationJob(date, { edition, watchItems, audioMode });
 
-    // Return immediately with 202 Accepted and generate in background
-    // This prevents HTTP timeout issues during long-running generation (4-5 minutes)
     res.status(202).json({
       success: true,
-      message: 'Newsletter generation started',
+      message: created
+        ? 'Newsletter generation queued'
+        : 'Newsletter generation already in progress',
+      job_id: job.id,
+      jobId: job.id, // Add camelCase alias for frontend compatibility
       date: date,
-      status: 'generating',
+      edition,
+      status: job.status,
+      status_url: `/api/newsletter/jobs/${job.id}`,
+      trading_day: tradingDay.isTradingDay,
+      ...(warning && { warning }),
       estimated_duration: '4-5 minutes',
     });
 
-    // Generate newsletter in background (async, takes 4-5 minutes)
-    // Don't await - let it run independently
-    generateDailyNewsletter(date)
-      .then(newsletter => {
-        console.log(`✅ Newsletter generation completed for ${date}`);
-        console.log(`   - Title: ${newsletter.title}`);
-        console.log(`   - Audio: ${newsletter.audio_duration_seconds}s`);
-      })
-      .catch(error => {
-        console.error(`❌ Newsletter generation failed for ${date}:`, error);
-      });
-
   } catch (error) {
     console.error('❌ Generate newsletter error:', error);
     res.status(500).json({
@@ -80,21 +146,175 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/newsletter/jobs/:id
+ * Get generation job status (stage, timestamps, attempts, error)
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await getJob(id);
+
+    if (!job) {
+      return res.status(404).json({ error: `Job ${id} not found` });
+    }
+
+    res.json({
+      success: true,
+      job: formatJobResponse(job),
+    });
+
+  } catch (error) {
+    console.error('❌ Get job error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve job',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/newsletter/backfill
+ * Queue generation for every trading day in a past date range
+ * Each newsletter is stored under its own date and framed as a recap of that session.
+ * 
+ * Body: {
+ *   start_date: "YYYY-MM-DD",
+ *   end_date: "YYYY-MM-DD",
+ *   edition?: "post-close" | "pre-market",
+ *   watch_items?: [...],
+ *   overwrite?: false   // regenerate days that already have a complete newsletter
+ * }
+ * Auth: Requires API_SECRET_KEY
+ */
+router.post('/backfill', requireApiKey, async (req, res) => {
+  try {
+    const {
+      start_date: startDate,
+      end_date: endDate,
+      edition = DEFAULT_EDITION,
+      watch_items: watchItems = [],
+      overwrite = false,
+    } = req.body;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+      return res.status(400).json({ error: 'start_date and end_date are required (YYYY-MM-DD)' });
+    }
+
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'start_date must be on or before end_date' });
+    }
+
+    const today = getDateInTimeZone(new Date(), config.generationSchedule.timezone);
+    if (endDate > today) {
+      return res.status(400).json({ error: `end_date cannot be in the future (today is ${today})` });
+    }
+
+    const rangeDays = (Date.parse(endDate) - Date.parse(startDate)) / 86400000 + 1;
+    if (rangeDays > config.backfill.maxDays) {
+      return res.status(400).json({ error: `Range is ${rangeDays} days; the maximum is ${config.backfill.maxDays}` });
+    }
+
+    if (!isValidEdition(edition)) {
+      return res.status(400).json({ error: `Invalid edition. Use one of: ${EDITION_NAMES.join(', ')}` });
+    }
+
+    if (!Array.isArray(watchItems) || watchItems.some(item => typeof item !== 'string')) {
+      return res.status(400).json({ error: 'watch_items must be an array of strings' });
+    }
+
+    console.log(`📨 API request: Backfill ${edition} newsletters for ${startDate}..${endDate}`);
+
+    const { batchId, dates } = await enqueueBackfill(startDate, endDate, {
+      edition,
+      watchItems,
+      overwrite: overwrite === true,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Queued ${dates.filter(d => d.outcome === 'queued').length} of ${dates.length} trading days`,
+      batch_id: batchId,
+      edition,
+      start_date: startDate,
+      end_date: endDate,
+      spacing_seconds: config.backfill.spacingMs / 1000,
+      status_url: `/api/newsletter/backfill/${batchId}`,
+      dates: dates.map(d => ({
+        date: d.date,
+        outcome: d.outcome,
+        job_id: d.jobId,
+        ...(d.runAfter && { run_after: d.runAfter }),
+        ...(d.newsletterId && { newsletter_id: d.newsletterId }),
+      })),
+    });
+
+  } catch (error) {
+    console.error('❌ Backfill error:', error);
+    res.status(500).json({
+      error: 'Failed to queue backfill',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/newsletter/backfill/:batchId
+ * Get per-date progress of a backfill batch
+ */
+router.get('/backfill/:batchId', async (req, res) => {
+  try {
+    const progress = await getBackfillProgress(req.params.batchId);
+
+    if (!progress) {
+      return res.status(404).json({ error: `Backfill batch ${req.params.batchId} not found` });
+    }
+
+    res.json({
+      success: true,
+      batch_id: progress.batchId,
+      done: progress.done,
+      summary: progress.summary,
+      dates: progress.jobs.map(formatJobResponse),
+    });
+
+  } catch (error) {
+    console.error('❌ Get backfill progress error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve backfill progress',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/newsletter/latest
  * Get the latest published newsletter
+ * 
+ * Query: ?edition=post-close|pre-market (default: any edition)
  */
 router.get('/latest', async (req, res) => {
   try {
-    const newsletter = await getLatestNewsletter();
+    const { edition } = req.query;
+
+    if (edition !== undefined && !isValidEdition(edition)) {
+      return res.status(400).json({ error: `Invalid edition. Use one of: ${EDITION_NAMES.join(', ')}` });
+    }
+
+    const newsletter = await getLatestNewsletter(edition);
 
     if (!newsletter) {
-      return res.status(404).json({ error: 'No newsletters found' });
+      return res.status(404).json({ error: edition ? `No ${edition} newsletters found` : 'No newsletters found' });
     }
 
     res.json({
       success: true,
-      newsletter: formatNewsletterResponse(newsletter, req),
+      newsletter: formatNewsletterResponse(newsletter, req, await getNewsletterAudioAssets([newsletter])),
     });
 
   } catch (error) {
@@ -108,24 +328,32 @@ router.get('/latest', async (req, res) => {
 
 /**
  * GET /api/newsletter/history
- * Get newsletter history (last 30 days by default)
+ * Get newsletter history (last 30 newsletters by default)
+ * 
+ * Query: ?limit=30&edition=post-close|pre-market (default: all editions)
  * 
  * IMPORTANT: Must be defined BEFORE /:date route to avoid being caught by date parameter
  */
 router.get('/history', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 30;
+    const { edition } = req.query;
 
     if (limit < 1 || limit > 365) {
       return res.status(400).json({ error: 'Limit must be between 1 and 365' });
     }
 
-    const newsletters = await getNewsletterHistory(limit);
+    if (edition !== undefined && !isValidEdition(edition)) {
+      return res.status(400).json({ error: `Invalid edition. Use one of: ${EDITION_NAMES.join(', ')}` });
+    }
+
+    const newsletters = await getNewsletterHistory(limit, edition);
+    const assets = await getNewsletterAudioAssets(newsletters);
 
     res.json({
       success: true,
       count: newsletters.length,
-      newsletters: newsletters.map(n => formatNewsletterResponse(n, req)),
+      newsletters: newsletters.map(n => formatNewsletterResponse(n, req, assets)),
     });
 
   } catch (error) {
@@ -137,30 +365,394 @@ router.get('/history', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/newsletter/:date/revisions
+ * GET /api/newsletter/:date/:edition/revisions
+ * List revisions of a newsletter (newest first)
+ */
+router.get(['/:date/revisions', '/:date/:edition/revisions'], async (req, res) => {
+  try {
+    const { date, edition = DEFAULT_EDITION } = req.params;
+
+    const invalid = validateDateAndEdition(date, edition);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const revisions = await listRevisions(date, edition);
+
+    res.json({
+      success: true,
+      date,
+      edition,
+      count: revisions.length,
+      revisions: revisions.map(hideDirectAudioUrls),
+    });
+
+  } catch (error) {
+    console.error('❌ List revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve revisions',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/newsletter/:date/revisions/diff?from=1&to=2
+ * GET /api/newsletter/:date/:edition/revisions/diff?from=1&to=2
+ * Structured diff between two revisions
+ * 
+ * IMPORTANT: Must be defined BEFORE /revisions/:revision
+ */
+router.get(['/:date/revisions/diff', '/:date/:edition/revisions/diff'], async (req, res) => {
+  try {
+    const { date, edition = DEFAULT_EDITION } = req.params;
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    const invalid = validateDateAndEdition(date, edition);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'from and to revision numbers are required' });
+    }
+
+    const diff = await diffRevisionNumbers(date, edition, from, to);
+
+    if (!diff) {
+      return res.status(404).json({ error: `Revision ${from} or ${to} not found for ${date} (${edition})` });
+    }
+
+    res.json({
+      success: true,
+      date,
+      edition,
+      diff: isPrivateEdition(edition)
+        ? { ...diff, fields: diff.fields.filter(field => field.field !== 'audio_url') }
+        : diff,
+    });
+
+  } catch (error) {
+    console.error('❌ Diff revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to diff revisions',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/newsletter/:date/revisions/:revision
+ * GET /api/newsletter/:date/:edition/revisions/:revision
+ * Get a full revision
+ */
+router.get(['/:date/revisions/:revision', '/:date/:edition/revisions/:revision'], async (req, res) => {
+  try {
+    const { date, edition = DEFAULT_EDITION } = req.params;
+    const revisionNumber = parseInt(req.params.revision);
+
+    const invalid = validateDateAndEdition(date, edition);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (isNaN(revisionNumber)) {
+      return res.status(400).json({ error: 'Invalid revision number' });
+    }
+
+    const revision = await getRevision(date, edition, revisionNumber);
+
+    if (!revision) {
+      return res.status(404).json({ error: `Revision ${revisionNumber} not found for ${date} (${edition})` });
+    }
+
+    res.json({
+      success: true,
+      revision: hideDirectAudioUrls(revision),
+    });
+
+  } catch (error) {
+    console.error('❌ Get revision error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve revision',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/newsletter/:date/revisions/:revision/rollback
+ * POST /api/newsletter/:date/:edition/revisions/:revision/rollback
+ * Publish an earlier revision again (recorded as a new revision)
+ * 
+ * Auth: Requires API_SECRET_KEY
+ */
+router.post(['/:date/revisions/:revision/rollback', '/:date/:edition/revisions/:revision/rollback'], requireApiKey, async (req, res) => {
+  try {
+    const { date, edition = DEFAULT_EDITION } = req.params;
+    const revisionNumber = parseInt(req.params.revision);
+
+    const invalid = validateDateAndEdition(date, edition);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (isNaN(revisionNumber)) {
+      return res.status(400).json({ error: 'Invalid revision number' });
+    }
+
+    const result = await rollbackToRevision(date, edition, revisionNumber);
+
+    if (!result) {
+      return res.status(404).json({ error: `Revision ${revisionNumber} not found for ${date} (${edition})` });
+    }
+
+    res.json({
+      success: true,
+      message: `Restored revision ${revisionNumber} as revision ${result.revision.revision}`,
+      revision: result.revision.revision,
+      restored_from: revisionNumber,
+      newsletter: formatNewsletterResponse(result.newsletter, req, await getNewsletterAudioAssets([result.newsletter])),
+    });
+
+  } catch (error) {
+    console.error('❌ Rollback newsletter error:', error);
+    res.status(500).json({
+      error: 'Failed to roll back newsletter',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/newsletter/:date/audio/regenerate
+ * POST /api/newsletter/:date/:edition/audio/regenerate
+ * Queue a job that re-runs TTS only, from the stored sections
+ * 
+ * Body: { audio_mode?: "monologue" | "podcast" } (default: the newsletter's current mode)
+ * Auth: Requires API_SECRET_KEY
+ */
+router.post(['/:date/audio/regenerate', '/:date/:edition/audio/regenerate'], requireApiKey, async (req, res) => {
+  try {
+    const { date, edition = DEFAULT_EDITION } = req.params;
+    const { audio_mode: audioMode } = req.body || {};
+
+    const invalid = validateDateAndEdition(date, edition);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (audioMode !== undefined && !isValidAudioMode(audioMode)) {
+      return res.status(400).json({ error: `Invalid audio_mode. Use one of: ${AUDIO_MODES.join(', ')}` });
+    }
+
+    const newsletter = await getNewsletterByDate(date, edition);
+    if (!newsletter) {
+      return res.status(404).json({ error: `No ${edition} newsletter found for ${date}` });
+    }
+
+    if (newsletter.generation_status !== 'complete') {
+      return res.status(409).json({
+        error: `The newsletter is ${newsletter.generation_status}; only complete newsletters can have their audio regenerated`,
+        generation_status: newsletter.generation_status,
+      });
+    }
+
+    // A full generation rewrites the audio anyway
+    if (await isGenerationActive(date, edition)) {
+      return res.status(409).json({ error: `A generation job for ${date} (${edition}) is already in progress` });
+    }
+
+    console.log(`📨 API request: Regenerate ${edition} audio for ${date}`);
+    const { job, created } = await enqueueAudioJob(date, { edition, audioMode });
+
+    res.status(202).json({
+      success: true,
+      message: created
+        ? 'Audio regeneration queued'
+        : 'Audio regeneration already in progress',
+      job_id: job.id,
+      jobId: job.id, // Add camelCase alias for frontend compatibility
+      date,
+      edition,
+      status: job.status,
+      status_url: `/api/newsletter/jobs/${job.id}`,
+      audio_status: newsletter.audio_status,
+    });
+
+  } catch (error) {
+    console.error('❌ Regenerate audio error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate audio',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/newsletter/:date/pin
+ * POST /api/newsletter/:date/:edition/pin
+ * DELETE /api/newsletter/:date/pin
+ * DELETE /api/newsletter/:date/:edition/pin
+ * Pin a newsletter so cleanup keeps its text and audio forever, or unpin it
+ * (retention applies again on the next cleanup run)
+ * 
+ * Auth: Requires API_SECRET_KEY
+ */
+router.post(['/:date/pin', '/:date/:edition/pin'], requireApiKey, (req, res) => setPinned(req, res, true));
+router.delete(['/:date/pin', '/:date/:edition/pin'], requireApiKey, (req, res) => setPinned(req, res, false));
+
+async function setPinned(req, res, pinned) {
+  try {
+    const { date, edition = DEFAULT_EDITION } = req.params;
+
+    const invalid = validateDateAndEdition(date, edition);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const newsletter = await setNewsletterPinned(date, edition, pinned);
+    if (!newsletter) {
+      return res.status(404).json({ error: `No ${edition} newsletter found for ${date}` });
+    }
+
+    res.json({
+      success: true,
+      message: pinned ? 'Newsletter pinned' : 'Newsletter unpinned',
+      date,
+      edition,
+      pinned: newsletter.pinned,
+      pinned_at: newsletter.pinned_at,
+      pinnedAt: newsletter.pinned_at, // Add camelCase alias for frontend compatibility
+    });
+
+  } catch (error) {
+    console.error(`❌ ${pinned ? 'Pin' : 'Unpin'} newsletter error:`, error);
+    res.status(500).json({
+      error: `Failed to ${pinned ? 'pin' : 'unpin'} newsletter`,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * GET /api/newsletter/:date/captions.:format
+ * GET /api/newsletter/:date/:edition/captions.:format
+ * Captions of the newsletter audio as WebVTT (vtt) or SRT (srt)
+ * Captions of a private edition need the API key or the signature of the
+ * audio they belong to, like /api/audio.
+ *
+ * Query: mode (optional) - "monologue" | "podcast" (default: the newsletter's own audio)
+ *        format, expires, signature - from a signed audio URL (POST /api/audio/sign)
+ */
+router.get(['/:date/captions.:format', '/:date/:edition/captions.:format'], async (req, res) => {
+  try {
+    const { date, edition = DEFAULT_EDITION, format } = req.params;
+    const { mode } = req.query;
+
+    const invalid = validateDateAndEdition(date, edition);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (!isValidCaptionFormat(format)) {
+      return res.status(400).json({ error: `Invalid caption format. Use one of: ${Object.keys(CAPTION_FORMATS).join(', ')}` });
+    }
+
+    if (mode !== undefined && !isValidAudioMode(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Use one of: ${AUDIO_MODES.join(', ')}` });
+    }
+
+    const newsletter = await getNewsletterByDate(date, edition);
+    if (!newsletter) {
+      return res.status(404).json({ error: `No ${edition} newsletter found for ${date}` });
+    }
+
+    const isPrivate = isPrivateEdition(edition);
+    if (isPrivate && !hasValidApiKey(req)) {
+      // Any format of the audio's signed URL grants its captions
+      const { format: audioFormat, expires, signature } = req.query;
+      const access = audioFormat
+        ? verifyAudioAccess(newsletter.id, audioFormat, expires, signature, mode || null)
+        : 'invalid';
+      if (access !== 'valid') {
+        return res.status(403).json({
+          error: access === 'expired' ? 'Signed URL has expired' : 'A valid signed URL is required for this edition',
+        });
+      }
+    }
+
+    const audio = getAudioInMode(newsletter, mode || null);
+    if (!audio) {
+      return res.status(404).json({
+        error: 'Audio is not available in this mode',
+        available_modes: getAvailableAudioModes(newsletter),
+      });
+    }
+
+    if (!audio.audio_captions?.length) {
+      return res.status(404).json({
+        error: 'This newsletter has no captions',
+        audio_status: audio.audio_status || null,
+      });
+    }
+
+    const modeSuffix = audio.audio_mode === 'podcast' ? '-podcast' : '';
+    const fileName = `daily-pulse-${date}${edition === DEFAULT_EDITION ? '' : `-${edition}`}${modeSuffix}.${CAPTION_FORMATS[format].extension}`;
+    res.set({
+      'Cache-Control': `${isPrivate ? 'private' : 'public'}, max-age=${config.audioAccess.cacheMaxAgeSeconds}`,
+      'Content-Disposition': `inline; filename="${fileName}"`,
+      'Last-Modified': new Date(newsletter.updated_at).toUTCString(),
+    });
+    res.type(`${CAPTION_FORMATS[format].mimeType}; charset=utf-8`);
+    res.send(formatCaptions(audio.audio_captions, format));
+
+  } catch (error) {
+    console.error('❌ Get captions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve captions',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/newsletter/:date
- * Get newsletter by specific date
+ * GET /api/newsletter/:date/:edition
+ * Get newsletter by specific date (post-close edition unless one is given)
  * 
  * IMPORTANT: Must be defined AFTER specific routes (/latest, /history)
  */
-router.get('/:date', async (req, res) => {
+router.get(['/:date', '/:date/:edition'], async (req, res) => {
   try {
-    const { date } = req.params;
+    const { date, edition = DEFAULT_EDITION } = req.params;
 
     // Validate date format
     if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
       return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
     }
 
-    const newsletter = await getNewsletterByDate(date);
+    if (!isValidEdition(edition)) {
+      return res.status(400).json({ error: `Invalid edition. Use one of: ${EDITION_NAMES.join(', ')}` });
+    }
+
+    const newsletter = await getNewsletterByDate(date, edition);
 
     if (!newsletter) {
-      return res.status(404).json({ error: `No newsletter found for ${date}` });
+      // Point the caller at the editions that do exist for the date
+      const available = await getNewsletterEditions(date);
+      return res.status(404).json({
+        error: `No ${edition} newsletter found for ${date}`,
+        available_editions: available.map(n => n.edition),
+      });
     }
 
     res.json({
       success: true,
-      newsletter: formatNewsletterResponse(newsletter, req),
+      newsletter: formatNewsletterResponse(newsletter, req, await getNewsletterAudioAssets([newsletter])),
     });
 
   } catch (error) {
@@ -173,25 +765,53 @@ router.get('/:date', async (req, res) => {
 });
 
 /**
- * Format newsletter for API response
- * Fixes audio URL to use correct public domain
+ * Validate date and edition route parameters
+ * Returns an error message, or null if both are valid.
  */
-function formatNewsletterResponse(newsletter, req) {
-  // Fix audio URL if it's localhost
-  let audioUrl = newsletter.audio_url;
-  if (audioUrl && audioUrl.includes('localhost')) {
-    // Extract the audio filename from the URL
-    const audioFileName = audioUrl.split('/').pop();
-    // Build correct public URL using request host
-    const protocol = req.protocol || 'https';
-    const host = req.get('host');
-    audioUrl = `${protocol}://${host}/audio/${audioFileName}`;
+function validateDateAndEdition(date, edition) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return 'Invalid date format. Use YYYY-MM-DD';
+  }
+  if (!isValidEdition(edition)) {
+    return `Invalid edition. Use one of: ${EDITION_NAMES.join(', ')}`;
   }
+  return null;
+}
+
+/**
+ * Format newsletter for API response
+ * Fixes audio URL to use correct public domain; private editions get no
+ * direct file URLs, only stream_url (which needs a signed URL). Audio formats get their
+ * size, checksum and sample rate from the asset registry; available is
+ * false once the file was removed, null for audio from before the registry.
+ * The audio of the other mode (audio_variants) is listed the same way, with
+ * ?mode= on its stream and caption URLs.
+ *
+ * @param {Map<string, Object>} assets - Storage key -> audio_assets row (see getNewsletterAudioAssets)
+ */
+function formatNewsletterResponse(newsletter, req, assets = new Map()) {
+  const isPrivate = isPrivateEdition(newsletter.edition);
+  const audioUrl = isPrivate ? null : fixAudioUrl(newsletter.audio_url, req);
+  const audioFormats = formatAudioFormats(newsletter, newsletter.audio_formats, req, assets);
+  // Rows from before audio_status have audio unless audio_url is empty
+  const audioStatus = newsletter.audio_status || (newsletter.audio_url ? 'complete' : null);
+  const captions = formatCaptionUrls(newsletter, newsletter.audio_captions, req);
+  const audioVariants = Object.fromEntries(
+    Object.entries(newsletter.audio_variants || {}).map(([mode, variant]) => [mode, {
+      audio_url: isPrivate ? null : fixAudioUrl(variant.audio_url, req),
+      audio_duration_seconds: variant.audio_duration_seconds,
+      audio_chapters: variant.audio_chapters || [],
+      audio_formats: formatAudioFormats(newsletter, variant.audio_formats, req, assets, mode),
+      captions: formatCaptionUrls(newsletter, variant.audio_captions, req, mode),
+      dialogue_script: variant.dialogue_script || null,
+    }])
+  );
 
   return {
     id: newsletter.id,
     publish_date: newsletter.publish_date,
     publishDate: newsletter.publish_date, // Add camelCase alias for frontend compatibility
+    edition: newsletter.edition,
     title: newsletter.title,
     hook: newsletter.hook,
     sections: newsletter.sections,
@@ -200,13 +820,115 @@ function formatNewsletterResponse(newsletter, req) {
     audio_url: audioUrl,
     audioUrl: audioUrl, // Add camelCase alias for frontend compatibility
     audio_duration_seconds: newsletter.audio_duration_seconds,
+    audioDuration: newsletter.audio_duration_seconds, // Add camelCase alias for frontend compatibility
+    audio_chapters: newsletter.audio_chapters || [],
+    audioChapters: newsletter.audio_chapters || [], // Add camelCase alias for frontend compatibility
+    audio_formats: audioFormats,
+    audioFormats: audioFormats, // Add camelCase alias for frontend compatibility
+    captions, // { vtt, srt } URLs, or null without captions
+    audio_status: audioStatus,
+    audioStatus: audioStatus, // Add camelCase alias for frontend compatibility
+    audio_error: newsletter.audio_error || null,
+    audioError: newsletter.audio_error || null, // Add camelCase alias for frontend compatibility
+    audio_expired_at: newsletter.audio_expired_at || null,
+    audioExpiredAt: newsletter.audio_expired_at || null, // Add camelCase alias for frontend compatibility
+    pinned: Boolean(newsletter.pinned),
+    pinned_at: newsletter.pinned_at || null,
+    pinnedAt: newsletter.pinned_at || null, // Add camelCase alias for frontend compatibility
+    audio_mode: newsletter.audio_mode || 'monologue',
+    audioMode: newsletter.audio_mode || 'monologue', // Add camelCase alias for frontend compatibility
+    dialogue_script: newsletter.dialogue_script || null,
+    dialogueScript: newsletter.dialogue_script || null, // Add camelCase alias for frontend compatibility
+    audio_variants: audioVariants, // Audio of the other mode, by mode (see GET /api/audio?mode=)
+    audioVariants: audioVariants, // Add camelCase alias for frontend compatibility
     generation_status: newsletter.generation_status,
+    fact_check: newsletter.fact_check,
+    prompt_version: newsletter.prompt_version,
     created_at: newsletter.created_at,
     updated_at: newsletter.updated_at,
     updatedAt: newsletter.updated_at, // Add camelCase alias for frontend compatibility
   };
 }
 
+/**
+ * Format the audio_formats of a newsletter (or of one of its audio_variants, by mode)
+ */
+function formatAudioFormats(newsletter, files, req, assets, mode = null) {
+  const isPrivate = isPrivateEdition(newsletter.edition);
+  const baseUrl = `${req.protocol || 'https'}://${req.get('host')}`;
+  const modeQuery = mode ? `&mode=${mode}` : '';
+  return (files || []).map(file => {
+    const asset = assets.get(getAudioUrlKey(file.url));
+    return {
+      ...file,
+      url: isPrivate ? null : fixAudioUrl(file.url, req),
+      stream_url: `${baseUrl}/api/audio/id/${newsletter.id}?format=${file.format}${modeQuery}`,
+      ...(asset && {
+        bytes: asset.bytes,
+        sha256: asset.sha256,
+        sample_rate: asset.sample_rate,
+        duration_seconds: asset.duration_seconds,
+      }),
+      available: asset ? !asset.deleted_at : null,
+    };
+  });
+}
+
+/**
+ * Caption URLs ({ vtt, srt }) of a newsletter's audio, or null without captions
+ */
+function formatCaptionUrls(newsletter, audioCaptions, req, mode = null) {
+  if (!audioCaptions?.length) {
+    return null;
+  }
+  const baseUrl = `${req.protocol || 'https'}://${req.get('host')}`;
+  const date = formatDateOnly(newsletter.publish_date);
+  const modeQuery = mode ? `?mode=${mode}` : '';
+  return Object.fromEntries(Object.keys(CAPTION_FORMATS).map(format => [
+    format,
+    `${baseUrl}${getCaptionsPath(date, newsletter.edition, format)}${modeQuery}`,
+  ]));
+}
+
+/**
+ * Fix audio URL if it's localhost
+ */
+function fixAudioUrl(audioUrl, req) {
+  if (audioUrl && audioUrl.includes('localhost')) {
+    // Extract the audio filename from the URL
+    const audioFileName = audioUrl.split('/').pop();
+    // Build correct public URL using request host
+    const protocol = req.protocol || 'https';
+    const host = req.get('host');
+    return `${protocol}://${host}/audio/${audioFileName}`;
+  }
+  return audioUrl;
+}
+
+/**
+ * Format generation job for API response
+ */
+function formatJobResponse(job) {
+  return {
+    id: job.id,
+    type: job.job_type,
+    date: job.payload?.date || null,
+    edition: job.payload?.edition || DEFAULT_EDITION,
+    status: job.status,
+    stage: job.stage,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    error: job.error_message,
+    result: job.result,
+    batch_id: job.batch_id,
+    run_after: job.run_after,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    updated_at: job.updated_at,
+  };
+}
+
 export default router;
 
 
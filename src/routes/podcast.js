@@ -0,0 +1,89 @@
+/**
+ * Podcast API Routes
+ *
+ * Endpoints:
+ * - GET /api/podcast/feed.xml - Podcast RSS feed (?edition=pre-market for one edition)
+ * - GET /api/podcast/episodes/:id/chapters.json - Podcasting 2.0 chapters of an episode
+ */
+
+import express from 'express';
+import { buildPodcastFeed, buildEpisodeChapters } from '../services/podcastFeedService.js';
+import { getNewsletterById } from '../services/newsletterService.js';
+import { isPrivateEdition } from '../services/audioAccessService.js';
+import { EDITION_NAMES, isValidEdition } from '../services/editions.js';
+
+const router = express.Router();
+
+// Podcast apps poll often; a few minutes of caching is plenty fresh for a daily show
+const FEED_CACHE_SECONDS = 300;
+
+/**
+ * GET /api/podcast/feed.xml
+ * Podcast RSS feed of the daily audio
+ */
+router.get('/feed.xml', async (req, res) => {
+  try {
+    const edition = req.query.edition || null;
+
+    if (edition && !isValidEdition(edition)) {
+      return res.status(400).json({ error: `Invalid edition. Use one of: ${EDITION_NAMES.join(', ')}` });
+    }
+
+    if (edition && isPrivateEdition(edition)) {
+      return res.status(404).json({ error: `The ${edition} edition is not published as a podcast` });
+    }
+
+    const xml = await buildPodcastFeed({ baseUrl: getBaseUrl(req), edition });
+
+    res.set('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`);
+    res.type('application/rss+xml; charset=utf-8');
+    res.send(xml);
+
+  } catch (error) {
+    console.error('❌ Podcast feed error:', error);
+    res.status(500).json({
+      error: 'Failed to build podcast feed',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/podcast/episodes/:id/chapters.json
+ * Chapters of an episode (Podcasting 2.0 JSON chapters format)
+ */
+router.get('/episodes/:id/chapters.json', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid newsletter ID' });
+    }
+
+    const newsletter = await getNewsletterById(id);
+    if (!newsletter || isPrivateEdition(newsletter.edition)) {
+      return res.status(404).json({ error: `Episode ${id} not found` });
+    }
+
+    const chapters = buildEpisodeChapters(newsletter);
+    if (!chapters) {
+      return res.status(404).json({ error: `Episode ${id} has no chapters` });
+    }
+
+    res.set('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`);
+    res.type('application/json+chapters; charset=utf-8');
+    res.send(JSON.stringify(chapters));
+
+  } catch (error) {
+    console.error('❌ Podcast chapters error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve chapters',
+      message: error.message,
+    });
+  }
+});
+
+function getBaseUrl(req) {
+  return `${req.protocol || 'https'}://${req.get('host')}`;
+}
+
+export default router;
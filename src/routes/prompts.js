@@ -0,0 +1,201 @@
+/**
+ * Prompt Template Admin Routes
+ *
+ * Endpoints (all require API_SECRET_KEY):
+ * - GET /api/prompts - List templates and their active versions
+ * - GET /api/prompts/:name/versions - List versions of a template
+ * - POST /api/prompts/:name/versions - Create a new version
+ * - POST /api/prompts/:name/versions/:version/preview - Render a version
+ * - POST /api/prompts/:name/versions/:version/activate - Activate a version
+ */
+
+import express from 'express';
+import {
+  PROMPT_TEMPLATE_NAMES,
+  isKnownTemplate,
+  listTemplateVersions,
+  getTemplateVersion,
+  createTemplateVersion,
+  activateTemplateVersion,
+  renderTemplate,
+} from '../services/promptService.js';
+import { buildPromptVariables } from '../services/geminiService.js';
+import { getMarketSnapshot } from '../services/marketData/index.js';
+import { DEFAULT_EDITION, getEditionForTemplate, getEditionSessionDate } from '../services/editions.js';
+import { requireApiKey } from '../utils/auth.js';
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+/**
+ * Reject unknown template names
+ */
+router.param('name', (req, res, next, name) => {
+  if (!isKnownTemplate(name)) {
+    return res.status(404).json({
+      error: `Unknown prompt template: ${name}`,
+      templates: PROMPT_TEMPLATE_NAMES,
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/prompts
+ * List templates with their active version
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await Promise.all(
+      PROMPT_TEMPLATE_NAMES.map(async name => {
+        const { activeVersion, versions } = await listTemplateVersions(name);
+        return { name, activeVersion, versionCount: versions.length };
+      })
+    );
+
+    res.json({
+      success: true,
+      templates,
+    });
+
+  } catch (error) {
+    console.error('❌ List prompt templates error:', error);
+    res.status(500).json({
+      error: 'Failed to list prompt templates',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/:name/versions
+ * List versions of a template (newest first)
+ */
+router.get('/:name/versions', async (req, res) => {
+  try {
+    const result = await listTemplateVersions(req.params.name);
+
+    res.json({
+      success: true,
+      ...result,
+    });
+
+  } catch (error) {
+    console.error('❌ List prompt versions error:', error);
+    res.status(500).json({
+      error: 'Failed to list prompt versions',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/prompts/:name/versions
+ * Create a new (inactive) version
+ *
+ * Body: { body: "template text with {{variables}}", description?: "..." }
+ */
+router.post('/:name/versions', async (req, res) => {
+  try {
+    const { body, description } = req.body;
+
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ error: 'body is required' });
+    }
+
+    const created = await createTemplateVersion(req.params.name, body, description || null);
+
+    res.status(201).json({
+      success: true,
+      template: created,
+    });
+
+  } catch (error) {
+    console.error('❌ Create prompt version error:', error);
+    res.status(500).json({
+      error: 'Failed to create prompt version',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/prompts/:name/versions/:version/preview
+ * Render a version with the variables generation would use
+ *
+ * Body: { date?: "YYYY-MM-DD", watch_items?: [...], variables?: { ... } }
+ * `variables` override the computed ones (e.g. raw_content for newsletter_format).
+ */
+router.post('/:name/versions/:version/preview', async (req, res) => {
+  try {
+    const { name, version } = req.params;
+    const { date = new Date().toISOString().split('T')[0], watch_items: watchItems = [], variables = {} } = req.body;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const template = await getTemplateVersion(name, version);
+    if (!template) {
+      return res.status(404).json({ error: `Version ${version} of ${name} not found` });
+    }
+
+    // Search templates get the market data of the edition they belong to
+    const edition = getEditionForTemplate(name);
+    const snapshot = edition
+      ? await getMarketSnapshot(getEditionSessionDate(edition, date))
+      : null;
+    const computed = buildPromptVariables(name, date, { edition: edition || DEFAULT_EDITION, snapshot, watchItems });
+    const { text, missing } = renderTemplate(template.body, { ...computed, ...variables });
+
+    res.json({
+      success: true,
+      name,
+      version: template.version,
+      variables: { ...computed, ...variables },
+      missingVariables: missing,
+      rendered: text,
+    });
+
+  } catch (error) {
+    console.error('❌ Preview prompt error:', error);
+    res.status(500).json({
+      error: 'Failed to preview prompt',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/prompts/:name/versions/:version/activate
+ * Make a version the one used for generation ("builtin" restores the default)
+ */
+router.post('/:name/versions/:version/activate', async (req, res) => {
+  try {
+    const { name, version } = req.params;
+
+    if (version !== 'builtin' && isNaN(parseInt(version))) {
+      return res.status(400).json({ error: 'Invalid version' });
+    }
+
+    const activated = await activateTemplateVersion(name, version);
+    if (!activated) {
+      return res.status(404).json({ error: `Version ${version} of ${name} not found` });
+    }
+
+    res.json({
+      success: true,
+      template: activated,
+    });
+
+  } catch (error) {
+    console.error('❌ Activate prompt error:', error);
+    res.status(500).json({
+      error: 'Failed to activate prompt version',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,76 @@
+/**
+ * Scheduler API Routes
+ * 
+ * Endpoints:
+ * - GET /api/scheduler - Status of all scheduled jobs
+ * - POST /api/scheduler/generation - Enable or disable automatic generation
+ */
+
+import express from 'express';
+import {
+  getSchedulerStatus,
+  getGenerationSchedulerStatus,
+  setGenerationSchedulerEnabled,
+} from '../services/cronScheduler.js';
+import { requireApiKey } from '../utils/auth.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/scheduler
+ * Get status of the cleanup and generation schedules
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      cleanup: getSchedulerStatus(),
+      generation: getGenerationSchedulerStatus(),
+    });
+  } catch (error) {
+    console.error('❌ Failed to get scheduler status:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get scheduler status',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/scheduler/generation
+ * Enable or disable the generation schedule until the next restart
+ * 
+ * Body: { enabled: true|false }
+ * Auth: Requires API_SECRET_KEY
+ */
+router.post('/generation', requireApiKey, (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const status = setGenerationSchedulerEnabled(enabled);
+    console.log(`📅 Generation scheduler ${enabled ? 'enabled' : 'disabled'} via API`);
+
+    res.json({
+      success: true,
+      generation: status,
+    });
+  } catch (error) {
+    console.error('❌ Failed to update generation scheduler:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update generation scheduler',
+        details: error.message,
+      },
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,471 @@
+/**
+ * Archive Service
+ *
+ * Before cleanup deletes anything, the expiring data can be written to a
+ * dated bundle in storage (ARCHIVE_ENABLED=true):
+ *
+ *   archives/archive-<YYYY-MM-DD>-<HHMMSS>-<run>[-<part>].tar.gz
+ *   ├── manifest.jsonl   one JSON object per line (see below)
+ *   └── files/audio/...  the audio files, under their storage keys
+ *
+ * <run> is random (6 hex digits), so runs started in the same second never
+ * write to the same key. A run whose data exceeds ARCHIVE_MAX_BUNDLE_MB is
+ * split into several bundles (parts 2, 3, ... get a suffix); each one is
+ * complete on its own.
+ *
+ * Manifest lines:
+ * - { type: 'archive', version, created_at, reason, part }: always the first line
+ * - { type: 'newsletter', newsletter, revisions, files }: a record deleted by
+ *   text retention, with all its revisions and remaining audio
+ * - { type: 'audio', newsletter_id, publish_date, edition, audio, files }:
+ *   audio removed by audio retention; audio has the audio_url, audio_formats
+ *   and audio_status of the newsletter and its revisions before cleanup
+ *
+ * Each file entry has its storage key, its path in the bundle (null if the
+ * file was already missing), size, SHA-256 and the audio_assets metadata.
+ * ARCHIVE_INCLUDE_AUDIO=false archives only the newsletter records.
+ *
+ * Restoring a bundle inserts deleted newsletters again (with their original
+ * IDs) and puts audio files back in storage, re-registering them; data that
+ * exists again is skipped. Files are written before the records, and lines
+ * that fail are reported without stopping the others, so restoring the same
+ * bundle again finishes an interrupted restore. Nothing is re-checked against
+ * retention: pin the newsletters (or change the policy) or the next cleanup
+ * removes them again.
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { config } from '../config.js';
+import { Newsletter } from '../models/newsletter.js';
+import { NewsletterRevision } from '../models/newsletterRevision.js';
+import { AudioAsset } from '../models/audioAsset.js';
+import { getAudioUrlKey } from './audioAccessService.js';
+import { getStorage } from './storage/index.js';
+import { createTar, extractTar } from '../utils/tar.js';
+import { formatDateOnly } from '../utils/dates.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Key prefix of archive bundles (never served publicly)
+ */
+export const ARCHIVE_PREFIX = 'archives/';
+
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.jsonl';
+const FILES_DIR = 'files/';
+// Bundles from before run IDs have no -<run> part
+const ARCHIVE_NAME_PATTERN = /^archive-(\d{4}-\d{2}-\d{2})-\d{6}(?:-[0-9a-f]{6})?(?:-\d+)?\.tar\.gz$/;
+
+/**
+ * Check whether a name is an archive bundle name this service writes
+ */
+export function isValidArchiveName(name) {
+  return ARCHIVE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Write the data cleanup is about to delete to new bundles
+ * A bundle is closed once the next line's files would take it past
+ * ARCHIVE_MAX_BUNDLE_MB, so only one bundle is held in memory at a time
+ * (a line bigger than the limit gets a bundle of its own).
+ *
+ * @param {Object} expiring
+ * @param {Array} expiring.newsletters - Newsletter rows text retention deletes
+ * @param {Array} expiring.audio - Entries of audio retention: { newsletter, keys }
+ * @returns {Object|null} - { bundles: [{ name, key, bytes, newsletters, audio_newsletters, files }], bytes, newsletters, audio_newsletters, files }, or null if there was nothing to archive
+ */
+export async function createArchive({ newsletters = [], audio = [] }) {
+  const { includeAudio, maxBundleMb } = config.archive;
+  const expiringAudio = includeAudio ? audio : [];
+  if (newsletters.length === 0 && expiringAudio.length === 0) {
+    return null;
+  }
+
+  const storage = getStorage();
+  const createdAt = new Date();
+  const runId = crypto.randomBytes(3).toString('hex');
+  const maxBundleBytes = maxBundleMb * 1024 * 1024;
+  const bundles = [];
+  let pending = { lines: [], files: new Map(), bytes: 0 };
+
+  const addLine = async (line, keys, rows) => {
+    const formats = getListedFormats(rows);
+    const read = [];
+    for (const key of keys) {
+      read.push(await readAudioFile(storage, key, formats.get(key)));
+    }
+    const bytes = read.reduce((sum, entry) => sum + (entry.data ? entry.data.length : 0), 0);
+    if (pending.lines.length > 0 && pending.bytes + bytes > maxBundleBytes) {
+      bundles.push(await writeBundle(storage, { createdAt, runId, part: bundles.length + 1 }, pending));
+      pending = { lines: [], files: new Map(), bytes: 0 };
+    }
+    for (const entry of read.filter(entry => entry.data)) {
+      pending.files.set(entry.path, entry.data);
+    }
+    pending.lines.push({ ...line, files: read.map(entry => entry.file) });
+    pending.bytes += bytes;
+  };
+
+  for (const newsletter of newsletters) {
+    const revisions = await NewsletterRevision.listByNewsletter(newsletter.id);
+    await addLine(
+      {
+        type: 'newsletter',
+        newsletter: { ...newsletter, publish_date: formatDateOnly(newsletter.publish_date) },
+        revisions: revisions.map(revision => ({ ...revision, publish_date: formatDateOnly(revision.publish_date) })),
+      },
+      includeAudio ? await getNewsletterAudioKeys(newsletter, revisions) : [],
+      getAudioRows(newsletter, revisions)
+    );
+  }
+
+  for (const { newsletter, keys } of expiringAudio) {
+    const revisions = await NewsletterRevision.listAudioByNewsletter(newsletter.id);
+    await addLine(
+      {
+        type: 'audio',
+        newsletter_id: newsletter.id,
+        publish_date: formatDateOnly(newsletter.publish_date),
+        edition: newsletter.edition,
+        audio: {
+          newsletter: newsletter.audio_url || newsletter.audio_variants ? describeAudio(newsletter) : null,
+          revisions: revisions.map(revision => ({ id: revision.id, revision: revision.revision, ...describeAudio(revision) })),
+        },
+      },
+      keys,
+      getAudioRows(newsletter, revisions)
+    );
+  }
+
+  bundles.push(await writeBundle(storage, { createdAt, runId, part: bundles.length + 1 }, pending));
+
+  const sum = field => bundles.reduce((total, bundle) => total + bundle[field], 0);
+  return {
+    bundles,
+    bytes: sum('bytes'),
+    newsletters: sum('newsletters'),
+    audio_newsletters: sum('audio_newsletters'),
+    files: sum('files'),
+  };
+}
+
+/**
+ * List the archive bundles in storage (newest first)
+ *
+ * @returns {Array<{ name, date, bytes, created_at }>}
+ */
+export async function listArchives() {
+  const objects = await getStorage().list(ARCHIVE_PREFIX);
+  return objects
+    .map(object => ({ ...object, name: object.key.slice(ARCHIVE_PREFIX.length) }))
+    .filter(object => isValidArchiveName(object.name))
+    .map(object => ({
+      name: object.name,
+      date: object.name.match(ARCHIVE_NAME_PATTERN)[1],
+      bytes: object.bytes,
+      created_at: object.modifiedAt.toISOString(),
+    }))
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * Restore a bundle into the database and storage
+ *
+ * @param {string} name - Bundle name (from listArchives)
+ * @param {Object} options
+ * @param {boolean} options.pin - Pin every restored newsletter so cleanup keeps it
+ * @returns {Object|null} - { name, restored: { newsletters, audio_newsletters, files }, skipped, failed }, or null if the bundle does not exist
+ */
+export async function restoreArchive(name, { pin = false } = {}) {
+  const storage = getStorage();
+  const object = await storage.getStream(`${ARCHIVE_PREFIX}${name}`);
+  if (!object) {
+    return null;
+  }
+
+  const chunks = [];
+  for await (const chunk of object.stream) {
+    chunks.push(chunk);
+  }
+  const entries = new Map(extractTar(await gunzip(Buffer.concat(chunks))).map(entry => [entry.name, entry.data]));
+  const manifest = entries.get(MANIFEST_NAME);
+  if (!manifest) {
+    throw new Error(`${name} has no ${MANIFEST_NAME}`);
+  }
+  const [header, ...lines] = manifest.toString().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  if (header?.type !== 'archive' || header.version > ARCHIVE_VERSION) {
+    throw new Error(`${name} is not a supported archive (version ${header?.version})`);
+  }
+
+  const result = { name, restored: { newsletters: 0, audio_newsletters: 0, files: 0 }, skipped: [], failed: [] };
+  const skip = (line, reason) => {
+    const { publish_date: date, edition } = line.newsletter || line;
+    result.skipped.push({ type: line.type, publish_date: date, edition, reason });
+    console.log(`  ⏭️  Skipped ${line.type} of ${date} (${edition}): ${reason}`);
+  };
+
+  // Files go back before the records that point at them, and a failed line
+  // does not stop the others: running the restore again completes it
+  for (const line of lines) {
+    try {
+      if (line.type === 'newsletter') {
+        const { newsletter: archived } = line;
+        const existing = await Newsletter.getByDate(archived.publish_date, archived.edition);
+        if (existing && existing.id !== archived.id) {
+          skip(line, 'A newsletter already exists for this date and edition');
+          continue;
+        }
+        // An existing newsletter with the archived ID is left from an
+        // interrupted restore: only its missing files are put back
+        const bundled = getBundledFiles(entries, line.files);
+        const written = await writeFiles(storage, bundled);
+        if (!existing && !(await Newsletter.insertArchived(archived, line.revisions))) {
+          await removeFiles(storage, written);
+          skip(line, 'A newsletter already exists with this ID');
+          continue;
+        }
+        const registered = await registerFiles(bundled, archived.id);
+        result.restored.files += written.length;
+        if (pin) {
+          await Newsletter.setPinned(archived.id, true);
+        }
+        if (existing && written.length === 0 && registered === 0) {
+          skip(line, 'Already restored');
+          continue;
+        }
+        result.restored.newsletters++;
+        console.log(`  ✓ Restored newsletter ${archived.publish_date} (${archived.edition})`);
+      } else if (line.type === 'audio') {
+        const newsletter = await Newsletter.getById(line.newsletter_id);
+        if (!newsletter || formatDateOnly(newsletter.publish_date) !== line.publish_date || newsletter.edition !== line.edition) {
+          skip(line, 'The newsletter no longer exists');
+          continue;
+        }
+        if (hasNewAudio(newsletter, line.audio)) {
+          skip(line, 'The newsletter has new audio');
+          continue;
+        }
+        const bundled = getBundledFiles(entries, line.files);
+        const written = await writeFiles(storage, bundled);
+        result.restored.files += written.length;
+        await registerFiles(bundled, newsletter.id);
+        await Newsletter.restoreAudio(newsletter.id, line.audio);
+        result.restored.audio_newsletters++;
+        if (pin) {
+          await Newsletter.setPinned(newsletter.id, true);
+        }
+        console.log(`  ✓ Restored audio of ${line.publish_date} (${line.edition})`);
+      }
+    } catch (error) {
+      const { publish_date: date, edition } = line.newsletter || line;
+      result.failed.push({ type: line.type, publish_date: date, edition, error: error.message });
+      console.error(`  ❌ Failed to restore ${line.type} of ${date} (${edition}):`, error.message);
+    }
+  }
+
+  console.log(`📦 Restored ${name}: ${result.restored.newsletters} newsletters, ${result.restored.audio_newsletters} audio, ${result.restored.files} files (${result.skipped.length} skipped, ${result.failed.length} failed)`);
+  return result;
+}
+
+/**
+ * Bundle name; parts after the first of a run get a -<part> suffix
+ */
+function getArchiveName(date, runId, part = 1) {
+  const [day, time] = date.toISOString().split('T');
+  return `archive-${day}-${time.slice(0, 8).replace(/:/g, '')}-${runId}${part > 1 ? `-${part}` : ''}.tar.gz`;
+}
+
+/**
+ * Pack manifest lines and their files into a bundle and store it
+ *
+ * @returns {Object} - { name, key, bytes, newsletters, audio_newsletters, files }
+ */
+async function writeBundle(storage, { createdAt, runId, part }, { lines, files }) {
+  const header = { type: 'archive', version: ARCHIVE_VERSION, created_at: createdAt.toISOString(), reason: 'cleanup', part };
+  const manifest = [header, ...lines].map(line => JSON.stringify(line)).join('\n') + '\n';
+  const tar = createTar([
+    { name: MANIFEST_NAME, data: manifest, modifiedAt: createdAt },
+    ...[...files].map(([name, data]) => ({ name, data, modifiedAt: createdAt })),
+  ]);
+  const bundle = await gzip(tar);
+
+  const name = getArchiveName(createdAt, runId, part);
+  const key = `${ARCHIVE_PREFIX}${name}`;
+  // Never overwrite a bundle: it may hold the only copy of deleted data
+  if (await storage.head(key)) {
+    throw new Error(`Archive ${key} already exists`);
+  }
+  await storage.put(key, bundle, { contentType: 'application/gzip' });
+
+  const archive = {
+    name,
+    key,
+    bytes: bundle.length,
+    newsletters: lines.filter(line => line.type === 'newsletter').length,
+    audio_newsletters: lines.filter(line => line.type === 'audio').length,
+    files: files.size,
+  };
+  console.log(`📦 Archived ${archive.newsletters} newsletters and ${archive.files} audio files to ${key} (${(bundle.length / 1024 / 1024).toFixed(2)} MB)`);
+  return archive;
+}
+
+function describeAudio(row) {
+  return {
+    audio_url: row.audio_url,
+    audio_formats: row.audio_formats,
+    audio_status: row.audio_status,
+    ...(row.audio_variants && { audio_variants: row.audio_variants }),
+  };
+}
+
+/**
+ * Rows with audio files of a newsletter: the newsletter, its audio_variants
+ * and its revisions
+ */
+function getAudioRows(newsletter, revisions) {
+  return [newsletter, ...Object.values(newsletter.audio_variants || {}), ...revisions];
+}
+
+/**
+ * Storage keys of a newsletter's audio (live assets and the URLs it, its
+ * audio_variants and its revisions point at)
+ */
+async function getNewsletterAudioKeys(newsletter, revisions) {
+  const assets = await AudioAsset.listLiveByNewsletter(newsletter.id);
+  const urls = getAudioRows(newsletter, revisions).flatMap(row => [
+    row.audio_url,
+    ...(row.audio_formats || []).map(file => file.url),
+  ]).filter(Boolean);
+  return [...new Set([...assets.map(asset => asset.storage_key), ...urls.map(getAudioUrlKey)])];
+}
+
+/**
+ * Format and MIME type of the files listed in audio_formats, by storage key
+ */
+function getListedFormats(rows) {
+  const formats = new Map();
+  for (const file of rows.flatMap(row => row.audio_formats || [])) {
+    formats.set(getAudioUrlKey(file.url), { format: file.format, mime_type: file.mime_type, bitrate_kbps: file.bitrate_kbps });
+  }
+  return formats;
+}
+
+/**
+ * Read a stored audio file for the bundle
+ * Metadata comes from its live asset, or else from audio_formats (audio from
+ * before the registry).
+ *
+ * @returns {Object} - { file: manifest entry, path, data } (data null if the file is missing)
+ */
+async function readAudioFile(storage, key, listed = {}) {
+  const [object, asset] = await Promise.all([storage.getStream(key), AudioAsset.getByKey(key)]);
+  const metadata = asset && !asset.deleted_at
+    ? {
+      format: asset.format,
+      mime_type: asset.mime_type,
+      sample_rate: asset.sample_rate,
+      bitrate_kbps: asset.bitrate_kbps,
+      duration_seconds: asset.duration_seconds,
+    }
+    : listed;
+  if (!object) {
+    return { file: { key, path: null, ...metadata }, path: null, data: null };
+  }
+
+  const chunks = [];
+  for await (const chunk of object.stream) {
+    chunks.push(chunk);
+  }
+  const data = Buffer.concat(chunks);
+  const path = `${FILES_DIR}${key}`;
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  return { file: { key, path, bytes: data.length, sha256, ...metadata }, path, data };
+}
+
+/**
+ * Files of a manifest line that are in the bundle, with their data
+ * Throws if a checksum does not match, before anything is written.
+ *
+ * @returns {Array<{ file, data }>}
+ */
+function getBundledFiles(entries, files) {
+  return files
+    .filter(file => file.path && entries.has(file.path))
+    .map(file => {
+      const data = entries.get(file.path);
+      if (crypto.createHash('sha256').update(data).digest('hex') !== file.sha256) {
+        throw new Error(`Checksum mismatch for ${file.key} in the archive`);
+      }
+      return { file, data };
+    });
+}
+
+/**
+ * Put archived files back in storage
+ * Files already in storage are left as they are. Returns the keys written.
+ */
+async function writeFiles(storage, bundled) {
+  const written = [];
+  for (const { file, data } of bundled) {
+    if (!(await storage.head(file.key))) {
+      await storage.put(file.key, data, { contentType: file.mime_type || 'application/octet-stream' });
+      written.push(file.key);
+    }
+  }
+  return written;
+}
+
+/**
+ * Remove files written for a line that was not restored after all
+ */
+async function removeFiles(storage, keys) {
+  for (const key of keys) {
+    await storage.delete(key);
+  }
+}
+
+/**
+ * Register archived files that have no live asset
+ * Returns the number of assets registered.
+ */
+async function registerFiles(bundled, newsletterId) {
+  const assets = [];
+  for (const { file } of bundled) {
+    const asset = await AudioAsset.getByKey(file.key);
+    if (file.format && !(asset && !asset.deleted_at)) {
+      assets.push({
+        newsletter_id: newsletterId,
+        format: file.format,
+        storage_key: file.key,
+        mime_type: file.mime_type,
+        bytes: file.bytes,
+        sha256: file.sha256,
+        sample_rate: file.sample_rate,
+        bitrate_kbps: file.bitrate_kbps,
+        duration_seconds: file.duration_seconds,
+      });
+    }
+  }
+
+  if (assets.length > 0) {
+    await AudioAsset.register(assets);
+  }
+  return assets.length;
+}
+
+/**
+ * Check whether a newsletter points at audio the archive does not have
+ * (it was regenerated after cleanup); restoring would replace it
+ */
+function hasNewAudio(newsletter, audio) {
+  const archived = new Set([audio.newsletter, ...audio.revisions].filter(Boolean).flatMap(row => [
+    row.audio_url,
+    ...(row.audio_formats || []).map(file => file.url),
+  ]));
+  const current = [newsletter.audio_url, ...(newsletter.audio_formats || []).map(file => file.url)].filter(Boolean);
+  return current.some(url => !archived.has(url));
+}
@@ -0,0 +1,275 @@
+/**
+ * Audio Access Service
+ *
+ * Resolves the audio file of a newsletter for the /api/audio streaming route
+ * and signs or verifies expiring URLs for editions listed in
+ * AUDIO_PRIVATE_EDITIONS.
+ *
+ * Files are looked up in the audio_assets registry; audio from before the
+ * registry (no row for the key) is checked in storage directly.
+ *
+ * Signatures are an HMAC-SHA256 of "<newsletter id>:<format>:<expires>"
+ * (expires in Unix seconds) with AUDIO_SIGNING_SECRET. URLs for the audio of
+ * another mode (audio_variants) sign "<newsletter id>:<format>:<mode>:<expires>".
+ *
+ * API responses for private editions carry no direct file URLs (see
+ * hideDirectAudioUrls), and the /audio/<file> path checks access the same
+ * way as /api/audio.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { config } from '../config.js';
+import { AUDIO_FORMATS } from './audioEncoding.js';
+import { AUDIO_PREFIX, getAudioKey, getStorage } from './storage/index.js';
+import { AudioAsset } from '../models/audioAsset.js';
+import { Newsletter } from '../models/newsletter.js';
+
+/**
+ * Check whether an edition's audio needs a signed URL or the API key
+ */
+export function isPrivateEdition(edition) {
+  return config.audioAccess.privateEditions.includes(edition);
+}
+
+/**
+ * Find which newsletter (and edition) an audio file in storage belongs to
+ *
+ * @param {string} fileName - File name under the audio prefix, e.g. daily-pulse-2025-12-01.mp3
+ * @returns {Object|null} - { newsletterId, edition, revision, mode, format }, or null if nothing points at it
+ *   (mode is the audio_variants mode, null for the newsletter's own audio)
+ */
+export async function findAudioFileOwner(fileName) {
+  const owner = await Newsletter.findByAudioFile(fileName);
+  if (!owner) {
+    return null;
+  }
+  const extension = path.extname(fileName).slice(1);
+  const format = Object.keys(AUDIO_FORMATS).find(name => AUDIO_FORMATS[name].extension === extension) || null;
+  return {
+    newsletterId: owner.newsletter_id,
+    edition: owner.edition,
+    revision: owner.revision,
+    mode: owner.variant,
+    format,
+  };
+}
+
+/**
+ * Remove direct file URLs (audio_url, audio_formats[].url, also of
+ * audio_variants) from a newsletter or revision of a private edition; other
+ * editions are returned unchanged
+ * Clients of private editions stream through /api/audio with a signed URL.
+ */
+export function hideDirectAudioUrls(row) {
+  if (!row || !isPrivateEdition(row.edition)) {
+    return row;
+  }
+  return {
+    ...removeUrls(row),
+    ...(row.audio_variants && {
+      audio_variants: Object.fromEntries(
+        Object.entries(row.audio_variants).map(([mode, variant]) => [mode, removeUrls(variant)])
+      ),
+    }),
+  };
+}
+
+function removeUrls(audio) {
+  return {
+    ...audio,
+    audio_url: null,
+    ...(audio.audio_formats && {
+      audio_formats: audio.audio_formats.map(({ url, ...file }) => file),
+    }),
+  };
+}
+
+/**
+ * Get a newsletter's audio in an audio mode
+ * The newsletter's own audio is in its audio_mode; the other modes are kept
+ * in audio_variants. The result is the newsletter row with the audio columns
+ * of that mode, so it can be passed to the functions below.
+ *
+ * @param {Object} newsletter - Newsletter row
+ * @param {string} mode - Audio mode, or null for the newsletter's own audio
+ * @returns {Object|null} - null if there is no audio in that mode
+ */
+export function getAudioInMode(newsletter, mode = null) {
+  if (!mode || mode === (newsletter.audio_mode || 'monologue')) {
+    return newsletter;
+  }
+  const variant = newsletter.audio_variants?.[mode];
+  if (!variant) {
+    return null;
+  }
+  return {
+    ...newsletter,
+    ...variant,
+    audio_mode: mode,
+    audio_status: 'complete',
+    audio_error: null,
+  };
+}
+
+/**
+ * List the audio modes a newsletter has audio in (its own mode first)
+ */
+export function getAvailableAudioModes(newsletter) {
+  const modes = getNewsletterAudioFormats(newsletter).length > 0 ? [newsletter.audio_mode || 'monologue'] : [];
+  return [...modes, ...Object.keys(newsletter.audio_variants || {})];
+}
+
+/**
+ * List the audio files of a newsletter
+ * Newsletters generated before audio_formats existed only have audio_url (WAV).
+ * Failed audio has no files (older rows point audio_url at a silent placeholder).
+ *
+ * @returns {Array<{ format, url, mime_type }>}
+ */
+export function getNewsletterAudioFormats(newsletter) {
+  if (newsletter.audio_status === 'failed') {
+    return [];
+  }
+  if (newsletter.audio_formats?.length) {
+    return newsletter.audio_formats;
+  }
+  if (newsletter.audio_url) {
+    return [{ format: 'wav', url: newsletter.audio_url, mime_type: AUDIO_FORMATS.wav.mimeType }];
+  }
+  return [];
+}
+
+/**
+ * Storage key of an audio_formats entry (or audio_url)
+ */
+export function getAudioUrlKey(url) {
+  return getAudioKey(path.basename(new URL(url).pathname));
+}
+
+/**
+ * Look up the registry rows of the newsletters' audio files
+ *
+ * @param {Array<Object>} newsletters - Newsletter rows (audio_variants included)
+ * @returns {Map<string, Object>} - Storage key -> audio_assets row (live, or else the latest deleted one)
+ */
+export async function getNewsletterAudioAssets(newsletters) {
+  const keys = newsletters
+    .flatMap(newsletter => [
+      ...getNewsletterAudioFormats(newsletter),
+      ...Object.values(newsletter.audio_variants || {}).flatMap(variant => variant.audio_formats || []),
+    ])
+    .map(entry => getAudioUrlKey(entry.url));
+  if (keys.length === 0) {
+    return new Map();
+  }
+  const assets = await AudioAsset.getByKeys([...new Set(keys)]);
+  return new Map(assets.map(asset => [asset.storage_key, asset]));
+}
+
+/**
+ * Find the file to stream for a newsletter and format
+ *
+ * @param {Object} newsletter - Newsletter row
+ * @param {string} format - Format name, or null for the primary (audio_url) format
+ * @param {string} mode - Audio mode, or null for the newsletter's own audio (see getAudioInMode)
+ * @returns {Object} - { status, ... } where status is:
+ *   - 'ok': { key, filePath, fileName, format, mimeType, bytes, modifiedAt, sha256 }
+ *     (filePath only for local storage; other backends are read through key;
+ *     sha256 is null for files from before the registry)
+ *   - 'no_audio': the newsletter has no audio
+ *   - 'unknown_mode': { available } modes that do have audio
+ *   - 'unknown_format': { available } formats that do exist
+ *   - 'expired': { fileName, format } the file was removed (retention)
+ */
+export async function resolveAudioFile(newsletter, format = null, mode = null) {
+  const audio = getAudioInMode(newsletter, mode);
+  if (!audio) {
+    return { status: 'unknown_mode', available: getAvailableAudioModes(newsletter) };
+  }
+
+  const formats = getNewsletterAudioFormats(audio);
+  if (formats.length === 0) {
+    return { status: 'no_audio' };
+  }
+
+  const entry = format
+    ? formats.find(f => f.format === format)
+    : formats.find(f => f.url === audio.audio_url) || formats[0];
+  if (!entry) {
+    return { status: 'unknown_format', available: formats.map(f => f.format) };
+  }
+
+  const key = getAudioUrlKey(entry.url);
+  const fileName = key.slice(AUDIO_PREFIX.length);
+  const storage = getStorage();
+
+  const asset = await AudioAsset.getByKey(key);
+  const stored = asset
+    ? !asset.deleted_at && { bytes: asset.bytes, modifiedAt: asset.created_at }
+    : await storage.head(key);
+  if (!stored) {
+    return { status: 'expired', fileName, format: entry.format };
+  }
+
+  return {
+    status: 'ok',
+    key,
+    filePath: storage.getLocalPath?.(key) ?? null,
+    fileName,
+    format: entry.format,
+    mimeType: entry.mime_type || AUDIO_FORMATS[entry.format]?.mimeType || 'application/octet-stream',
+    bytes: stored.bytes,
+    modifiedAt: stored.modifiedAt,
+    sha256: asset?.sha256 ?? null,
+  };
+}
+
+/**
+ * Create the signature query parameters for a newsletter's audio
+ *
+ * @param {number} newsletterId - Newsletter ID
+ * @param {string} format - Format name
+ * @param {number} ttlSeconds - Lifetime of the URL (default AUDIO_SIGNED_URL_TTL_SECONDS)
+ * @param {string} mode - Audio mode of an audio_variants entry, or null for the newsletter's own audio
+ * @returns {Object} - { expires, signature, expiresAt }
+ */
+export function signAudioAccess(newsletterId, format, ttlSeconds = config.audioAccess.signedUrlTtlSeconds, mode = null) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    expires,
+    signature: computeSignature(newsletterId, format, mode, expires),
+    expiresAt: new Date(expires * 1000).toISOString(),
+  };
+}
+
+/**
+ * Verify signature query parameters
+ *
+ * @returns {string} - 'valid', 'expired' or 'invalid'
+ */
+export function verifyAudioAccess(newsletterId, format, expires, signature, mode = null) {
+  const expiresAt = parseInt(expires);
+  if (!signature || isNaN(expiresAt)) {
+    return 'invalid';
+  }
+
+  const expected = Buffer.from(computeSignature(newsletterId, format, mode, expiresAt));
+  const given = Buffer.from(String(signature));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return 'invalid';
+  }
+
+  return expiresAt * 1000 < Date.now() ? 'expired' : 'valid';
+}
+
+function computeSignature(newsletterId, format, mode, expires) {
+  if (!config.audioAccess.signingSecret) {
+    throw new Error('AUDIO_SIGNING_SECRET (or API_SECRET_KEY) is not set');
+  }
+  const subject = mode ? `${newsletterId}:${format}:${mode}` : `${newsletterId}:${format}`;
+  return crypto
+    .createHmac('sha256', config.audioAccess.signingSecret)
+    .update(`${subject}:${expires}`)
+    .digest('base64url');
+}
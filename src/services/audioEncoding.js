@@ -0,0 +1,226 @@
+/**
+ * Audio Encoding Service
+ *
+ * Encodes the joined TTS PCM stream into the formats we publish:
+ * - wav:  PCM with a RIFF header (lossless, largest)
+ * - mp3:  MPEG-1/2 Layer III via lamejs (plays everywhere)
+ * - opus: Opus in an Ogg container via opusscript (smallest)
+ *
+ * Everything runs in-process (pure JS / WebAssembly), so no ffmpeg or
+ * other binaries are needed on the host.
+ */
+
+import { Mp3Encoder } from '@breezystack/lamejs';
+import OpusScript from 'opusscript';
+import { config } from '../config.js';
+import { getBlockAlign } from '../utils/pcm.js';
+import { muxOggOpus } from '../utils/ogg.js';
+
+/**
+ * Published audio formats
+ */
+export const AUDIO_FORMATS = {
+  wav: { extension: 'wav', mimeType: 'audio/wav' },
+  mp3: { extension: 'mp3', mimeType: 'audio/mpeg' },
+  opus: { extension: 'ogg', mimeType: 'audio/ogg; codecs=opus' },
+};
+
+export const AUDIO_FORMAT_NAMES = Object.keys(AUDIO_FORMATS);
+
+// lamejs consumes 1152 samples (one MPEG-1 frame) at a time
+const MP3_BLOCK_SAMPLES = 1152;
+
+// Opus supports these input rates natively; 20ms frames
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const OPUS_FRAME_MS = 20;
+
+// libopus encoder lookahead (6.5ms at 48kHz), skipped by decoders
+const OPUS_PRE_SKIP = 312;
+
+/**
+ * Check whether a format name is known
+ */
+export function isValidAudioFormat(format) {
+  return AUDIO_FORMAT_NAMES.includes(format);
+}
+
+/**
+ * Get the formats to produce, in configured order
+ * Unknown names are ignored; WAV is used if nothing valid is configured.
+ */
+export function getConfiguredFormats() {
+  const formats = [...new Set(config.audio.formats)].filter(format => {
+    if (!isValidAudioFormat(format)) {
+      console.warn(`⚠️  Unknown audio format "${format}" in AUDIO_FORMATS, ignoring`);
+      return false;
+    }
+    return true;
+  });
+  return formats.length > 0 ? formats : ['wav'];
+}
+
+/**
+ * Bitrate a format is encoded at (null for uncompressed WAV)
+ */
+export function getFormatBitrateKbps(format) {
+  switch (format) {
+    case 'mp3': return config.audio.mp3BitrateKbps;
+    case 'opus': return config.audio.opusBitrateKbps;
+    default: return null;
+  }
+}
+
+/**
+ * Encode PCM audio into a format
+ *
+ * @param {string} format - One of AUDIO_FORMAT_NAMES
+ * @param {Object} speech - { pcm, sampleRate, channels, bitsPerSample }
+ * @returns {Buffer} - Encoded file contents
+ */
+export function encodeAudio(format, speech) {
+  switch (format) {
+    case 'wav': return addWavHeader(speech.pcm, speech);
+    case 'mp3': return encodeMp3(speech, getFormatBitrateKbps('mp3'));
+    case 'opus': return encodeOggOpus(speech, getFormatBitrateKbps('opus'));
+    default: throw new Error(`Unknown audio format: ${format}`);
+  }
+}
+
+/**
+ * Add WAV header to raw PCM audio data
+ * TTS providers return raw PCM data, we need to add WAV header for browser playback
+ */
+export function addWavHeader(pcmBuffer, { sampleRate = 24000, channels: numChannels = 1, bitsPerSample = 16 } = {}) {
+  // Gemini TTS outputs 24kHz, 16-bit, mono PCM
+
+  const dataSize = pcmBuffer.length;
+  const fileSize = 44 + dataSize;
+
+  const header = Buffer.alloc(44);
+
+  // RIFF header
+  header.write('RIFF', 0);
+  header.writeUInt32LE(fileSize - 8, 4);
+  header.write('WAVE', 8);
+
+  // fmt chunk
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // audio format (PCM)
+  header.writeUInt16LE(numChannels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * numChannels * (bitsPerSample / 8), 28); // byte rate
+  header.writeUInt16LE(numChannels * (bitsPerSample / 8), 32); // block align
+  header.writeUInt16LE(bitsPerSample, 34);
+
+  // data chunk
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+
+  // Combine header and PCM data
+  return Buffer.concat([header, pcmBuffer]);
+}
+
+/**
+ * Encode 16-bit PCM as MP3
+ */
+function encodeMp3({ pcm, sampleRate, channels, bitsPerSample }, bitrateKbps) {
+  assert16Bit(bitsPerSample, 'MP3');
+  if (channels > 2) {
+    throw new Error(`MP3 encoding supports mono or stereo, got ${channels} channels`);
+  }
+
+  const samples = toInt16Samples(pcm);
+  const encoder = new Mp3Encoder(channels, sampleRate, bitrateKbps);
+  const frames = [];
+  const push = data => {
+    if (data.length > 0) {
+      frames.push(Buffer.from(data.buffer, data.byteOffset, data.length));
+    }
+  };
+
+  if (channels === 1) {
+    for (let i = 0; i < samples.length; i += MP3_BLOCK_SAMPLES) {
+      push(encoder.encodeBuffer(samples.subarray(i, i + MP3_BLOCK_SAMPLES)));
+    }
+  } else {
+    // lamejs takes separate left/right buffers
+    const frameCount = samples.length / 2;
+    const left = new Int16Array(frameCount);
+    const right = new Int16Array(frameCount);
+    for (let i = 0; i < frameCount; i++) {
+      left[i] = samples[i * 2];
+      right[i] = samples[i * 2 + 1];
+    }
+    for (let i = 0; i < frameCount; i += MP3_BLOCK_SAMPLES) {
+      push(encoder.encodeBuffer(left.subarray(i, i + MP3_BLOCK_SAMPLES), right.subarray(i, i + MP3_BLOCK_SAMPLES)));
+    }
+  }
+  push(encoder.flush());
+
+  return Buffer.concat(frames);
+}
+
+/**
+ * Encode 16-bit PCM as Opus in an Ogg container
+ */
+function encodeOggOpus({ pcm, sampleRate, channels, bitsPerSample }, bitrateKbps) {
+  assert16Bit(bitsPerSample, 'Opus');
+  if (!OPUS_SAMPLE_RATES.includes(sampleRate)) {
+    throw new Error(`Opus encoding does not support ${sampleRate}Hz input`);
+  }
+
+  const frameSamples = sampleRate * OPUS_FRAME_MS / 1000;
+  const frameBytes = frameSamples * getBlockAlign({ channels, bitsPerSample });
+  const encoder = new OpusScript(sampleRate, channels, OpusScript.Application.AUDIO);
+
+  try {
+    encoder.setBitrate(bitrateKbps * 1000);
+
+    // Opus granule positions are always counted at 48kHz
+    const rateFactor = 48000 / sampleRate;
+
+    // Pad to whole frames plus one, so the decoded length covers the
+    // pre-skip; the end granule tells decoders to drop the padding
+    const frameCount = Math.ceil(pcm.length / frameBytes) + 1;
+    const padded = Buffer.alloc(frameCount * frameBytes);
+    pcm.copy(padded);
+
+    const packets = [];
+    for (let i = 0; i < frameCount; i++) {
+      const frame = padded.subarray(i * frameBytes, (i + 1) * frameBytes);
+      packets.push(Buffer.from(encoder.encode(frame, frameSamples)));
+    }
+
+    return muxOggOpus(packets, {
+      channels,
+      inputSampleRate: sampleRate,
+      frameSamples48k: frameSamples * rateFactor,
+      preSkip: OPUS_PRE_SKIP,
+      totalSamples48k: (pcm.length / getBlockAlign({ channels, bitsPerSample })) * rateFactor,
+    });
+  } finally {
+    encoder.delete();
+  }
+}
+
+function assert16Bit(bitsPerSample, label) {
+  if (bitsPerSample !== 16) {
+    throw new Error(`${label} encoding expects 16-bit PCM, got ${bitsPerSample}-bit`);
+  }
+}
+
+/**
+ * View little-endian 16-bit PCM bytes as samples (copies if unaligned)
+ */
+function toInt16Samples(pcm) {
+  const length = Math.floor(pcm.length / 2);
+  if (pcm.byteOffset % 2 === 0) {
+    return new Int16Array(pcm.buffer, pcm.byteOffset, length);
+  }
+  const samples = new Int16Array(length);
+  for (let i = 0; i < length; i++) {
+    samples[i] = pcm.readInt16LE(i * 2);
+  }
+  return samples;
+}
@@ -0,0 +1,217 @@
+/**
+ * Audio Integrity Service
+ *
+ * Compares the audio_assets registry with the files in storage:
+ * - missing: live assets whose file is not in storage
+ * - size_mismatches: live assets whose stored size differs from the registry
+ * - checksum_mismatches: live assets whose SHA-256 differs (only when
+ *   checksums are verified, which reads every file)
+ * - orphans: audio files in storage that no live asset, newsletter or
+ *   revision points at (e.g. staging files left by a crashed run)
+ * - unregistered: files a newsletter or revision points at that have no
+ *   live asset (audio generated before the registry existed)
+ * - placeholders: newsletters published as audio 'complete' whose file is
+ *   the 1-second silent WAV older versions wrote when TTS failed
+ *
+ * The check only reports; nothing is deleted or changed.
+ * failPlaceholderAudio() marks the placeholder audio failed so it can be
+ * regenerated.
+ */
+
+import crypto from 'crypto';
+import { AudioAsset } from '../models/audioAsset.js';
+import { Newsletter } from '../models/newsletter.js';
+import { getAudioUrlKey } from './audioAccessService.js';
+import { AUDIO_PREFIX, getStorage } from './storage/index.js';
+import { formatDateOnly } from '../utils/dates.js';
+
+// The placeholder: WAV header + 1 second of 44.1 kHz 16-bit mono silence
+const WAV_HEADER_BYTES = 44;
+const PLACEHOLDER_WAV_BYTES = WAV_HEADER_BYTES + 44100 * 2;
+
+/**
+ * Check the registry against storage
+ *
+ * @param {Object} options
+ * @param {boolean} options.verifyChecksums - Hash every stored file (reads all audio)
+ * @returns {Object} - { checked_at, storage, checksums_verified, summary, missing,
+ *   size_mismatches, checksum_mismatches, orphans, unregistered, placeholders }
+ */
+export async function checkAudioIntegrity({ verifyChecksums = false } = {}) {
+  const storage = getStorage();
+  const [assets, storedFiles, referencedUrls] = await Promise.all([
+    AudioAsset.listLive(),
+    storage.list(AUDIO_PREFIX),
+    Newsletter.listAudioUrls(),
+  ]);
+
+  const stored = new Map(storedFiles.map(file => [file.key, file]));
+  const registered = new Set(assets.map(asset => asset.storage_key));
+  const referenced = new Set();
+  for (const url of referencedUrls) {
+    try {
+      referenced.add(getAudioUrlKey(url));
+    } catch {
+      // Not a URL (never written by this service)
+    }
+  }
+
+  const missing = [];
+  const sizeMismatches = [];
+  const checksumMismatches = [];
+  let ok = 0;
+
+  for (const asset of assets) {
+    const file = stored.get(asset.storage_key);
+    if (!file) {
+      missing.push(describeAsset(asset));
+      continue;
+    }
+    if (file.bytes !== asset.bytes) {
+      sizeMismatches.push({ ...describeAsset(asset), stored_bytes: file.bytes });
+      continue;
+    }
+    if (verifyChecksums) {
+      const sha256 = await hashStoredFile(storage, asset.storage_key);
+      if (sha256 !== asset.sha256) {
+        checksumMismatches.push({ ...describeAsset(asset), stored_sha256: sha256 });
+        continue;
+      }
+    }
+    ok++;
+  }
+
+  const orphans = [];
+  const unregistered = [];
+  for (const file of storedFiles) {
+    if (registered.has(file.key)) {
+      continue;
+    }
+    const entry = { key: file.key, bytes: file.bytes, modified_at: file.modifiedAt.toISOString() };
+    (referenced.has(file.key) ? unregistered : orphans).push(entry);
+  }
+
+  const placeholders = await findPlaceholderAudio(storage, stored);
+
+  return {
+    checked_at: new Date().toISOString(),
+    storage: storage.name,
+    checksums_verified: verifyChecksums,
+    summary: {
+      stored_files: storedFiles.length,
+      live_assets: assets.length,
+      ok,
+      missing: missing.length,
+      size_mismatches: sizeMismatches.length,
+      checksum_mismatches: checksumMismatches.length,
+      orphans: orphans.length,
+      unregistered: unregistered.length,
+      placeholders: placeholders.length,
+    },
+    missing,
+    size_mismatches: sizeMismatches,
+    checksum_mismatches: checksumMismatches,
+    orphans,
+    unregistered,
+    placeholders,
+  };
+}
+
+/**
+ * Mark the audio of newsletters that only have the silent placeholder as
+ * failed (the placeholder stays in storage until cleanup removes it)
+ *
+ * @returns {Array<{ newsletter_id, publish_date, edition, key }>} - Newsletters updated
+ */
+export async function failPlaceholderAudio() {
+  const storage = getStorage();
+  const placeholders = await findPlaceholderAudio(storage);
+
+  for (const placeholder of placeholders) {
+    await Newsletter.updateAudio(placeholder.newsletter_id, {
+      audio_status: 'failed',
+      audio_error: 'TTS failed; a silent placeholder was published instead',
+    });
+    console.log(`🔇 Marked placeholder audio of ${placeholder.publish_date} (${placeholder.edition}) as failed`);
+  }
+
+  return placeholders;
+}
+
+/**
+ * Newsletters whose only audio file is the silent placeholder
+ *
+ * @param {Object} storage - Storage backend
+ * @param {Map<string, Object>} stored - Stored files by key (listed when omitted)
+ */
+async function findPlaceholderAudio(storage, stored = null) {
+  const placeholders = [];
+
+  for (const newsletter of await Newsletter.listLegacyAudio()) {
+    let key;
+    try {
+      key = getAudioUrlKey(newsletter.audio_url);
+    } catch {
+      continue;
+    }
+    const bytes = stored ? stored.get(key)?.bytes : (await storage.head(key))?.bytes;
+    if (bytes !== PLACEHOLDER_WAV_BYTES || !(await isSilentWav(storage, key))) {
+      continue;
+    }
+    placeholders.push({
+      newsletter_id: newsletter.id,
+      publish_date: formatDateOnly(newsletter.publish_date),
+      edition: newsletter.edition,
+      key,
+    });
+  }
+
+  return placeholders;
+}
+
+/**
+ * Whether every sample of a stored WAV is zero
+ */
+async function isSilentWav(storage, key) {
+  const object = await storage.getStream(key);
+  if (!object) {
+    return false;
+  }
+  let offset = 0;
+  let silent = true;
+  for await (const chunk of object.stream) {
+    const start = Math.max(0, WAV_HEADER_BYTES - offset);
+    offset += chunk.length;
+    if (silent && start < chunk.length && chunk.subarray(start).some(byte => byte !== 0)) {
+      silent = false;
+    }
+  }
+  return silent;
+}
+
+function describeAsset(asset) {
+  return {
+    asset_id: asset.id,
+    newsletter_id: asset.newsletter_id,
+    format: asset.format,
+    key: asset.storage_key,
+    bytes: asset.bytes,
+    sha256: asset.sha256,
+    created_at: asset.created_at,
+  };
+}
+
+/**
+ * SHA-256 (hex) of a stored file, or null if it disappeared meanwhile
+ */
+async function hashStoredFile(storage, key) {
+  const object = await storage.getStream(key);
+  if (!object) {
+    return null;
+  }
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of object.stream) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
@@ -0,0 +1,173 @@
+/**
+ * Audio Post-Processing Service
+ *
+ * Runs between joining the TTS chunks and encoding (see ttsService.js):
+ *
+ * 1. Trim leading and trailing silence (AUDIO_TRIM_SILENCE)
+ * 2. Normalize the speech to AUDIO_TARGET_LUFS, peaks capped at AUDIO_PEAK_CEILING_DB
+ * 3. Mix a looped music bed under the speech, ducked while someone talks (AUDIO_BED_PATH)
+ * 4. Add the intro and outro stingers (AUDIO_INTRO_PATH, AUDIO_OUTRO_PATH)
+ *
+ * Clips are WAV files on the volume (relative paths are resolved against
+ * it) and are converted to the speech format. A missing or unreadable clip
+ * is skipped with a warning; the episode is still published without it.
+ *
+ * All DSP is pure JavaScript, see utils/dsp.js.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import {
+  applyGain,
+  audioToPcm,
+  concatAudio,
+  convertAudio,
+  decodeWav,
+  fade,
+  gainToDb,
+  getDurationSeconds,
+  getPeak,
+  measureLoudness,
+  mixDuckedBed,
+  normalizeLoudness,
+  pcmToAudio,
+  trimSilence,
+} from '../utils/dsp.js';
+
+// Decoded clips by path, reloaded when the file changes
+const clipCache = new Map();
+
+/**
+ * Post-process joined speech
+ *
+ * @param {Object} speech - 16-bit PCM { pcm, sampleRate, channels, bitsPerSample }
+ * @returns {Object} - { speech, timeline, report }
+ *   timeline: { trimmedStartSeconds, speechStartSeconds, speechDurationSeconds },
+ *     to move offsets in the raw speech onto the processed audio (mapSpeechTime)
+ *   report: what was applied, stored in generation_stats
+ */
+export async function postProcessSpeech(speech) {
+  const settings = config.audioPost;
+  let audio = pcmToAudio(speech);
+  const report = {};
+
+  let trimmedStartSeconds = 0;
+  if (settings.trimSilence) {
+    const trimmed = trimSilence(audio, {
+      thresholdDb: settings.silenceThresholdDb,
+      paddingMs: settings.silencePaddingMs,
+    });
+    audio = trimmed.audio;
+    trimmedStartSeconds = trimmed.trimmedStartSeconds;
+    report.trimmedSeconds = round(trimmed.trimmedStartSeconds + trimmed.trimmedEndSeconds);
+  }
+
+  if (settings.normalize) {
+    const normalized = normalizeLoudness(audio, {
+      targetLufs: settings.targetLufs,
+      peakCeilingDb: settings.peakCeilingDb,
+    });
+    audio = normalized.audio;
+    report.inputLufs = round(normalized.inputLufs);
+    report.gainDb = round(normalized.gainDb);
+  }
+
+  const speechDurationSeconds = getDurationSeconds(audio);
+
+  const bed = await loadClip(settings.bedPath, audio, 'music bed');
+  if (bed) {
+    audio = mixDuckedBed(audio, bed, {
+      bedGainDb: settings.bedGainDb,
+      duckGainDb: settings.bedDuckGainDb,
+    });
+    report.bed = path.basename(settings.bedPath);
+  }
+
+  const intro = await loadClip(settings.introPath, audio, 'intro');
+  const outro = await loadClip(settings.outroPath, audio, 'outro');
+  const clips = [
+    intro && applyGain(intro, settings.stingerGainDb),
+    audio,
+    outro && applyGain(outro, settings.stingerGainDb),
+  ].filter(Boolean);
+  const speechStartSeconds = intro ? getDurationSeconds(intro) + settings.stingerGapMs / 1000 : 0;
+  if (clips.length > 1) {
+    audio = concatAudio(clips, { gapMs: settings.stingerGapMs });
+  }
+  if (intro) {
+    report.intro = path.basename(settings.introPath);
+  }
+  if (outro) {
+    report.outro = path.basename(settings.outroPath);
+  }
+
+  // Stingers and the bed can push peaks back over the ceiling
+  const peakDb = gainToDb(getPeak(audio));
+  if (peakDb > settings.peakCeilingDb) {
+    audio = applyGain(audio, settings.peakCeilingDb - peakDb);
+  }
+
+  report.loudnessLufs = round(measureLoudness(audio));
+  report.peakDb = round(gainToDb(getPeak(audio)));
+  console.log(`🎚️ Audio post-processed: ${formatReport(report)}`);
+
+  return {
+    speech: audioToPcm(audio),
+    timeline: { trimmedStartSeconds, speechStartSeconds, speechDurationSeconds },
+    report,
+  };
+}
+
+/**
+ * Map a time in the raw joined speech onto the processed audio
+ */
+export function mapSpeechTime(timeline, seconds) {
+  const inSpeech = Math.min(Math.max(seconds - timeline.trimmedStartSeconds, 0), timeline.speechDurationSeconds);
+  return timeline.speechStartSeconds + inSpeech;
+}
+
+/**
+ * Load a clip from the volume in the format of the target audio
+ * Returns null when no path is configured or the clip cannot be used.
+ */
+async function loadClip(clipPath, target, label) {
+  if (!clipPath) {
+    return null;
+  }
+
+  const filePath = path.resolve(config.railwayVolumePath, clipPath);
+  try {
+    const { mtimeMs } = await fs.stat(filePath);
+    const key = `${filePath}:${target.sampleRate}:${target.channels}`;
+    const cached = clipCache.get(key);
+    if (cached?.mtimeMs === mtimeMs) {
+      return cached.audio;
+    }
+
+    const audio = convertAudio(decodeWav(await fs.readFile(filePath)), target);
+    // Short fades avoid clicks where the clip starts and stops
+    const faded = fade(audio, { inMs: 5, outMs: 5 });
+    clipCache.set(key, { mtimeMs, audio: faded });
+    return faded;
+  } catch (error) {
+    console.warn(`⚠️  Skipping ${label} ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(2)) : null;
+}
+
+function formatReport(report) {
+  return [
+    report.inputLufs !== undefined && `${report.inputLufs} → ${report.loudnessLufs} LUFS`,
+    report.inputLufs === undefined && `${report.loudnessLufs} LUFS`,
+    `peak ${report.peakDb} dBFS`,
+    report.trimmedSeconds && `${report.trimmedSeconds}s silence trimmed`,
+    report.bed && 'music bed',
+    report.intro && 'intro',
+    report.outro && 'outro',
+  ].filter(Boolean).join(', ');
+}
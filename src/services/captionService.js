@@ -0,0 +1,183 @@
+/**
+ * Caption Service
+ *
+ * Builds time-aligned caption cues for the generated audio and renders them
+ * as WebVTT or SRT.
+ *
+ * Timings come from the synthesis of each chunk: a chunk's measured duration
+ * is shared between its sentences by length, so every sentence (or part of a
+ * long sentence) becomes one cue. Cues show the script as it was read (after
+ * speech normalization); in podcast mode each cue carries its speaker.
+ */
+
+import { DEFAULT_EDITION } from './editions.js';
+
+export const CAPTION_FORMATS = {
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+};
+
+// Longer sentences are split at clause, then word boundaries
+const MAX_CUE_CHARS = 120;
+// Cues shorter than this after remapping (e.g. inside trimmed silence) are dropped
+const MIN_CUE_SECONDS = 0.05;
+
+/**
+ * Check whether a caption format is supported
+ */
+export function isValidCaptionFormat(format) {
+  return Object.hasOwn(CAPTION_FORMATS, format);
+}
+
+/**
+ * API path of a newsletter's captions (the post-close edition has the short form)
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} edition - Newsletter edition
+ * @param {string} format - 'vtt' or 'srt'
+ */
+export function getCaptionsPath(date, edition, format) {
+  const editionPath = edition === DEFAULT_EDITION ? '' : `/${edition}`;
+  return `/api/newsletter/${date}${editionPath}/captions.${CAPTION_FORMATS[format].extension}`;
+}
+
+/**
+ * Build caption cues from the synthesized chunks
+ *
+ * @param {Array<{ text }>} chunks - Text of each chunk, in order
+ * @param {Array<{ start, duration }>} timings - Start offset and duration (seconds) of each chunk in the joined speech
+ * @param {Object} options
+ * @param {boolean} options.dialogue - Chunk lines are "Speaker: text" turns
+ * @returns {Array<{ start, end, text, speaker? }>} - Offsets in seconds
+ */
+export function buildCaptionCues(chunks, timings, { dialogue = false } = {}) {
+  return chunks.flatMap((chunk, index) => {
+    const { start, duration } = timings[index];
+    const lines = splitCueLines(chunk.text, dialogue);
+    const totalChars = lines.reduce((sum, line) => sum + line.text.length, 0);
+    if (totalChars === 0) {
+      return [];
+    }
+
+    let elapsedChars = 0;
+    return lines.map(line => {
+      const cueStart = start + duration * (elapsedChars / totalChars);
+      elapsedChars += line.text.length;
+      const cueEnd = start + duration * (elapsedChars / totalChars);
+      return {
+        start: roundSeconds(cueStart),
+        end: roundSeconds(cueEnd),
+        text: line.text,
+        ...(line.speaker && { speaker: line.speaker }),
+      };
+    });
+  });
+}
+
+/**
+ * Move cues onto another timeline (e.g. the post-processed audio)
+ *
+ * @param {Array} cues
+ * @param {Function} mapTime - (seconds in the original) => seconds in the new timeline
+ */
+export function remapCaptionCues(cues, mapTime) {
+  return cues
+    .map(cue => ({ ...cue, start: roundSeconds(mapTime(cue.start)), end: roundSeconds(mapTime(cue.end)) }))
+    .filter(cue => cue.end - cue.start >= MIN_CUE_SECONDS);
+}
+
+/**
+ * Render cues as a WebVTT or SRT document
+ *
+ * @param {Array<{ start, end, text, speaker? }>} cues
+ * @param {string} format - 'vtt' or 'srt'
+ * @returns {string}
+ */
+export function formatCaptions(cues, format) {
+  if (format === 'vtt') {
+    const blocks = cues.map((cue, index) => [
+      String(index + 1),
+      `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+      cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}` : escapeVtt(cue.text),
+    ].join('\n'));
+    return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+  }
+
+  if (format === 'srt') {
+    return cues.map((cue, index) => [
+      String(index + 1),
+      `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+      cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text,
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  throw new Error(`Unsupported caption format: ${format}`);
+}
+
+/**
+ * Split chunk text into cue lines: paragraphs (or dialogue turns), then
+ * sentences, then pieces of at most MAX_CUE_CHARS
+ *
+ * @returns {Array<{ text, speaker? }>}
+ */
+function splitCueLines(text, dialogue) {
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(paragraph => {
+      const turn = dialogue ? paragraph.match(/^([^:]{1,40}):\s+(.*)$/) : null;
+      const speaker = turn ? turn[1] : null;
+      return splitSentences(turn ? turn[2] : paragraph)
+        .flatMap(sentence => splitLongSentence(sentence))
+        .map(piece => (speaker ? { text: piece, speaker } : { text: piece }));
+    });
+}
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?]["')\]]?)\s+(?=\S)/).filter(Boolean);
+}
+
+function splitLongSentence(sentence) {
+  if (sentence.length <= MAX_CUE_CHARS) {
+    return [sentence];
+  }
+
+  // Prefer clause boundaries; a clause that is still too long is packed by words
+  const clauses = sentence.split(/(?<=[,;:])\s+/);
+  const units = clauses.flatMap(clause => (clause.length > MAX_CUE_CHARS ? clause.split(/\s+/) : [clause]));
+
+  const pieces = [];
+  let current = '';
+  for (const unit of units) {
+    if (current && current.length + 1 + unit.length > MAX_CUE_CHARS) {
+      pieces.push(current);
+      current = unit;
+    } else {
+      current = current ? `${current} ${unit}` : unit;
+    }
+  }
+  pieces.push(current);
+  return pieces;
+}
+
+/**
+ * 3725.5 -> "01:02:05.500" (WebVTT) or "01:02:05,500" (SRT)
+ */
+function formatTimestamp(seconds, decimalSeparator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${decimalSeparator}${pad(ms, 3)}`;
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function roundSeconds(seconds) {
+  return Number(seconds.toFixed(3));
+}
@@ -4,23 +4,194 @@
  * Automatically removes old audio files and newsletter records
  * to maintain storage efficiency and comply with retention policies.
  * 
- * Retention Policy:
- * - Audio files: 14 days (2 weeks)
- * - Newsletter text: 365 days (1 year)
+ * Audio retention works from the database, by publish_date (file
+ * timestamps change when files are copied or restored): every expired file of
+ * a newsletter and its revisions is deleted, the audio_assets rows are marked
+ * deleted, and the records stop pointing at it. A record left without audio
+ * is flagged (audio_status 'expired', audio_expired_at) with audio_url
+ * cleared. Files no record points at are left alone; GET /api/audio/integrity
+ * reports them. Deleting a newsletter record deletes all of its remaining
+ * audio too, even where audio retention is longer, so no file outlives the
+ * record that points at it.
+ * 
+ * Retention Policy (see retentionService.js):
+ * - Audio files: AUDIO_RETENTION_DAYS (default 14), per edition and format
+ * - Newsletter text: NEWSLETTER_RETENTION_DAYS (default 365), per edition
+ * - Rules stored via PUT /api/cleanup/policy override the configuration
+ * - Pinned newsletters are kept forever
+ * 
+ * With ARCHIVE_ENABLED=true, everything a run is about to delete is first
+ * written to a compressed bundle in storage (see archiveService.js); if that
+ * fails, nothing is deleted.
  */
 
-import fs from 'fs/promises';
-import path from 'path';
 import { Newsletter } from '../models/newsletter.js';
+import { NewsletterRevision } from '../models/newsletterRevision.js';
+import { AudioAsset } from '../models/audioAsset.js';
 import { config } from '../config.js';
+import { AUDIO_FORMATS } from './audioEncoding.js';
+import { createArchive } from './archiveService.js';
+import { getAudioUrlKey } from './audioAccessService.js';
+import { EDITION_NAMES } from './editions.js';
+import { getCutoffDate, getRetentionDays, getRetentionPolicy, getRetentionRules } from './retentionService.js';
+import { AUDIO_PREFIX, getStorage } from './storage/index.js';
+import { formatDateOnly } from '../utils/dates.js';
+
+const AUDIO_EXTENSIONS = Object.values(AUDIO_FORMATS).map(({ extension }) => `.${extension}`);
+
+/**
+ * Check whether a stored file is audio we produced (any format)
+ */
+function isAudioFile(key) {
+  return AUDIO_EXTENSIONS.some(extension => key.endsWith(extension));
+}
+
+/**
+ * Get the audio format of a stored file from its extension (null if unknown)
+ */
+function getKeyFormat(key) {
+  const format = Object.entries(AUDIO_FORMATS).find(([, { extension }]) => key.endsWith(`.${extension}`));
+  return format ? format[0] : null;
+}
+
+/**
+ * Find the audio that is past retention, per newsletter: the storage keys to
+ * delete (live registry rows plus the URLs the newsletter, its audio_variants
+ * and its revisions point at, for audio from before the registry), and the
+ * audio each record keeps afterwards
+ *
+ * @param {Array} rules - From getRetentionRules()
+ * @returns {Array<{ newsletter, keys, remaining }>} - remaining is for Newsletter.setRemainingAudio()
+ */
+async function findExpiringAudio(rules) {
+  // Candidates: newsletters older than the shortest audio retention
+  const cutoffDates = rules
+    .filter(rule => rule.data_type === 'audio' && rule.days !== null)
+    .map(rule => getCutoffDate(rule.days))
+    .sort();
+  if (cutoffDates.length === 0) {
+    return [];
+  }
+  const newsletters = await Newsletter.getWithAudioBefore(cutoffDates[cutoffDates.length - 1]);
+  const expiring = [];
+
+  for (const newsletter of newsletters) {
+    const { formats, revisions } = await getNewsletterAudio(newsletter);
+    const date = formatDateOnly(newsletter.publish_date);
+    const keys = [...formats].filter(([, format]) => {
+      const cutoffDate = getCutoffDate(getRetentionDays(rules, 'audio', { edition: newsletter.edition, format }));
+      return cutoffDate !== null && date < cutoffDate;
+    }).map(([key]) => key);
+    if (keys.length === 0) {
+      continue;
+    }
+
+    const removed = new Set(keys);
+    const remaining = { newsletter: getRemainingAudio(newsletter, removed), revisions: [] };
+    const remainingVariants = getRemainingVariants(newsletter.audio_variants, removed);
+    if (remainingVariants !== undefined) {
+      remaining.newsletter = {
+        ...(remaining.newsletter || { audio_url: newsletter.audio_url, audio_formats: newsletter.audio_formats }),
+        audio_variants: remainingVariants,
+      };
+    }
+    for (const revision of revisions) {
+      const audio = getRemainingAudio(revision, removed);
+      if (audio) {
+        remaining.revisions.push({ id: revision.id, ...audio });
+      }
+    }
+    expiring.push({ newsletter, keys, remaining });
+  }
+
+  return expiring;
+}
+
+/**
+ * Get all the audio of a newsletter: the format of each storage key (live
+ * registry rows plus the URLs the newsletter, its audio_variants and its
+ * revisions point at), and its revisions with audio
+ *
+ * @returns {{ formats: Map<string, string|null>, revisions: Array }}
+ */
+async function getNewsletterAudio(newsletter) {
+  const [assets, revisions] = await Promise.all([
+    AudioAsset.listLiveByNewsletter(newsletter.id),
+    NewsletterRevision.listAudioByNewsletter(newsletter.id),
+  ]);
+  const formats = new Map(assets.map(asset => [asset.storage_key, asset.format]));
+  const variants = Object.values(newsletter.audio_variants || {});
+  for (const row of [newsletter, ...variants, ...revisions]) {
+    for (const file of row.audio_formats || []) {
+      formats.set(getAudioUrlKey(file.url), file.format);
+    }
+    if (row.audio_url && !formats.has(getAudioUrlKey(row.audio_url))) {
+      formats.set(getAudioUrlKey(row.audio_url), getKeyFormat(row.audio_url));
+    }
+  }
+  return { formats, revisions };
+}
+
+/**
+ * Get the audio_variants left once some files are removed (undefined if
+ * none of them are); a variant without files left is dropped
+ */
+function getRemainingVariants(variants, removedKeys) {
+  let changed = false;
+  const remaining = {};
+  for (const [mode, variant] of Object.entries(variants || {})) {
+    const audio = getRemainingAudio(variant, removedKeys);
+    if (!audio) {
+      remaining[mode] = variant;
+      continue;
+    }
+    changed = true;
+    if (audio.audio_url) {
+      remaining[mode] = { ...variant, ...audio };
+    }
+  }
+  if (!changed) {
+    return undefined;
+  }
+  return Object.keys(remaining).length > 0 ? remaining : null;
+}
+
+/**
+ * Find the newsletter records past the retention period of their edition
+ * (pinned newsletters are never returned)
+ */
+async function findExpiredNewsletters(rules) {
+  const newsletters = [];
+  for (const edition of EDITION_NAMES) {
+    const cutoffDate = getCutoffDate(getRetentionDays(rules, 'newsletter', { edition }));
+    if (cutoffDate) {
+      newsletters.push(...await Newsletter.getOlderThan(cutoffDate, edition));
+    }
+  }
+  return newsletters;
+}
 
 /**
- * Retention periods in days
+ * Get the audio a record points at once some files are removed
+ * (null if none of them are): the primary URL falls back to the first
+ * remaining format
  */
-const RETENTION_POLICY = {
-  AUDIO_DAYS: 14,      // 2 weeks
-  NEWSLETTER_DAYS: 365, // 1 year
-};
+function getRemainingAudio(row, removedKeys) {
+  const isRemoved = url => removedKeys.has(getAudioUrlKey(url));
+  const files = row.audio_formats || [];
+  if (!(row.audio_url && isRemoved(row.audio_url)) && !files.some(file => isRemoved(file.url))) {
+    return null;
+  }
+  const audioFormats = files.filter(file => !isRemoved(file.url));
+  let audioUrl = row.audio_url && !isRemoved(row.audio_url) ? row.audio_url : null;
+  if (!audioUrl && row.audio_url && audioFormats.length > 0) {
+    audioUrl = audioFormats[0].url;
+  }
+  return {
+    audio_url: audioUrl,
+    audio_formats: audioFormats.length > 0 ? audioFormats : null,
+  };
+}
 
 /**
  * Run complete cleanup process
@@ -33,23 +204,40 @@ export async function runCleanup() {
   const startTime = Date.now();
   const results = {
     audioFilesDeleted: 0,
+    audioNewslettersExpired: 0,
     audioErrors: 0,
     newslettersDeleted: 0,
     databaseErrors: 0,
+    archive: null,
     startTime: new Date().toISOString(),
   };
 
   try {
+    const rules = await getRetentionRules();
+    const expiringAudio = await findExpiringAudio(rules);
+    const expiredNewsletters = await findExpiredNewsletters(rules);
+
+    // Archive first: if it fails, the error ends the run before anything is deleted
+    if (config.archive.enabled) {
+      console.log('\n📦 Archiving expiring data...');
+      results.archive = await createArchive({ newsletters: expiredNewsletters, audio: expiringAudio });
+      if (!results.archive) {
+        console.log('  ℹ️  Nothing to archive');
+      }
+    }
+
     // Step 1: Clean audio files
     console.log('\n📁 Step 1: Cleaning audio files...');
-    const audioResult = await cleanupAudioFiles();
+    const audioResult = await cleanupAudioFiles(rules, expiringAudio);
     results.audioFilesDeleted = audioResult.deleted;
+    results.audioNewslettersExpired = audioResult.expired;
     results.audioErrors = audioResult.errors;
     
     // Step 2: Clean database records
     console.log('\n🗄️  Step 2: Cleaning database records...');
-    const dbResult = await cleanupNewsletterRecords();
+    const dbResult = await cleanupNewsletterRecords(rules, expiredNewsletters);
     results.newslettersDeleted = dbResult.deleted;
+    results.audioFilesDeleted += dbResult.audioFilesDeleted;
     results.databaseErrors = dbResult.errors;
     
     // Summary
@@ -62,9 +250,13 @@ export async function runCleanup() {
     console.log('='.repeat(60));
     console.log(`📊 Summary:`);
     console.log(`  Audio files deleted:     ${results.audioFilesDeleted}`);
+    console.log(`  Audio expired (records): ${results.audioNewslettersExpired}`);
     console.log(`  Audio errors:            ${results.audioErrors}`);
     console.log(`  Newsletters deleted:     ${results.newslettersDeleted}`);
     console.log(`  Database errors:         ${results.databaseErrors}`);
+    if (results.archive) {
+      console.log(`  Archive:                 ${results.archive.bundles.map(bundle => bundle.key).join(', ')}`);
+    }
     console.log(`  Duration:                ${duration}ms`);
     console.log('='.repeat(60));
     
@@ -78,60 +270,48 @@ export async function runCleanup() {
 }
 
 /**
- * Clean up audio files older than retention period
+ * Remove the audio that is past retention (from findExpiringAudio)
+ * The records are only updated once all of the expired files are deleted;
+ * after an error the newsletter is retried on the next run.
  */
-async function cleanupAudioFiles() {
-  const result = { deleted: 0, errors: 0, files: [] };
+async function cleanupAudioFiles(rules, expiring) {
+  const result = { deleted: 0, expired: 0, errors: 0, files: [] };
   
   try {
-    // Get audio storage directory
-    const audioDir = path.join(config.railwayVolumePath, 'audio');
-    
-    // Check if directory exists
-    try {
-      await fs.access(audioDir);
-    } catch (error) {
-      console.log(`⚠️  Audio directory does not exist: ${audioDir}`);
-      return result;
-    }
+    const storage = getStorage();
+    const days = getRetentionDays(rules, 'audio');
     
-    // Get all audio files
-    const files = await fs.readdir(audioDir);
-    const wavFiles = files.filter(f => f.endsWith('.wav'));
+    console.log(`🗓️  Default cutoff date: ${getCutoffDate(days) || 'none'} (${days === null ? 'kept forever' : `${days} days ago`}, by publish date)`);
     
-    console.log(`📂 Found ${wavFiles.length} audio files in ${audioDir}`);
+    console.log(`📋 Found ${expiring.length} newsletters with audio to remove`);
     
-    // Calculate cutoff date
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - RETENTION_POLICY.AUDIO_DAYS);
-    
-    console.log(`🗓️  Cutoff date: ${cutoffDate.toISOString().split('T')[0]} (${RETENTION_POLICY.AUDIO_DAYS} days ago)`);
-    
-    // Process each file
-    for (const file of wavFiles) {
+    for (const { newsletter, keys, remaining } of expiring) {
+      const date = formatDateOnly(newsletter.publish_date);
       try {
-        const filePath = path.join(audioDir, file);
-        const stats = await fs.stat(filePath);
-        
-        // Check if file is older than retention period
-        if (stats.mtime < cutoffDate) {
-          await fs.unlink(filePath);
-          result.deleted++;
-          result.files.push({
-            name: file,
-            size: stats.size,
-            modified: stats.mtime.toISOString(),
-          });
-          console.log(`  ✓ Deleted: ${file} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+        for (const key of keys) {
+          // Already gone (e.g. removed by an earlier cleanup): only the records are updated
+          const removed = await storage.delete(key);
+          await AudioAsset.markDeleted(key, 'cleanup');
+          if (removed) {
+            const name = key.slice(AUDIO_PREFIX.length);
+            result.deleted++;
+            result.files.push({ name, newsletterId: newsletter.id, publishDate: date });
+            console.log(`  ✓ Deleted: ${name}`);
+          }
+        }
+        await Newsletter.setRemainingAudio(newsletter.id, remaining);
+        if (remaining.newsletter && !remaining.newsletter.audio_url) {
+          result.expired++;
+          console.log(`  ✓ Audio expired: ${date} (${newsletter.edition})`);
         }
       } catch (error) {
-        console.error(`  ✗ Error deleting ${file}:`, error.message);
+        console.error(`  ✗ Error expiring audio of ${date} (${newsletter.edition}):`, error.message);
         result.errors++;
       }
     }
     
-    if (result.deleted === 0) {
-      console.log('  ℹ️  No audio files to delete');
+    if (expiring.length === 0) {
+      console.log('  ℹ️  No audio to remove');
     }
     
   } catch (error) {
@@ -143,40 +323,58 @@ async function cleanupAudioFiles() {
 }
 
 /**
- * Clean up newsletter records older than retention period
+ * Delete the newsletter records past retention (from findExpiredNewsletters)
+ * Pinned newsletters are kept, even if pinned since they were found. The
+ * audio files of the deleted records go with them: once a record is gone,
+ * audio retention has nothing left to find them by.
  */
-async function cleanupNewsletterRecords() {
-  const result = { deleted: 0, errors: 0, records: [] };
+async function cleanupNewsletterRecords(rules, expired) {
+  const result = { deleted: 0, errors: 0, records: [], audioFilesDeleted: 0 };
   
   try {
-    // Calculate cutoff date
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - RETENTION_POLICY.NEWSLETTER_DAYS);
-    const cutoffDateStr = cutoffDate.toISOString().split('T')[0];
-    
-    console.log(`🗓️  Cutoff date: ${cutoffDateStr} (${RETENTION_POLICY.NEWSLETTER_DAYS} days ago)`);
-    
-    // Get old newsletters (for logging)
-    const oldNewsletters = await Newsletter.getOlderThan(cutoffDateStr);
+    for (const edition of EDITION_NAMES) {
+      const days = getRetentionDays(rules, 'newsletter', { edition });
+      if (days === null) {
+        console.log(`🗓️  ${edition}: kept forever`);
+        continue;
+      }
+      console.log(`🗓️  ${edition}: cutoff date ${getCutoffDate(days)} (${days} days ago)`);
+      
+      const oldNewsletters = expired.filter(n => n.edition === edition);
+      if (oldNewsletters.length === 0) {
+        continue;
+      }
+      
+      console.log(`📋 Found ${oldNewsletters.length} old ${edition} newsletter records`);
+      
+      // The audio keys are read first: the registry rows lose their
+      // newsletter_id when the record is deleted
+      const audioKeys = new Map();
+      for (const newsletter of oldNewsletters) {
+        audioKeys.set(newsletter.id, [...(await getNewsletterAudio(newsletter)).formats.keys()]);
+      }
+      
+      // Delete exactly the records found (and archived), not whatever is old by now
+      const deleteResult = await Newsletter.deleteByIds(oldNewsletters.map(n => n.id));
+      result.deleted += deleteResult.count;
+      result.records.push(...oldNewsletters.filter(n => deleteResult.ids.includes(n.id)).map(n => ({
+        id: n.id,
+        date: n.publish_date,
+        edition: n.edition,
+        title: n.title,
+      })));
+      
+      console.log(`  ✓ Deleted ${deleteResult.count} ${edition} newsletter records`);
+      
+      for (const id of deleteResult.ids) {
+        result.audioFilesDeleted += await deleteRecordAudio(audioKeys.get(id), result);
+      }
+    }
     
-    if (oldNewsletters.length === 0) {
+    if (result.records.length === 0) {
       console.log('  ℹ️  No newsletter records to delete');
-      return result;
     }
     
-    console.log(`📋 Found ${oldNewsletters.length} old newsletter records`);
-    
-    // Delete old newsletters
-    const deleteResult = await Newsletter.deleteOlderThan(cutoffDateStr);
-    result.deleted = deleteResult.count;
-    result.records = oldNewsletters.map(n => ({
-      id: n.id,
-      date: n.publish_date,
-      title: n.title,
-    }));
-    
-    console.log(`  ✓ Deleted ${result.deleted} newsletter records`);
-    
   } catch (error) {
     console.error('❌ Database cleanup error:', error);
     result.errors++;
@@ -185,8 +383,37 @@ async function cleanupNewsletterRecords() {
   return result;
 }
 
+/**
+ * Delete the audio files of a deleted newsletter record and mark their
+ * registry rows deleted
+ * Errors are counted in result.errors; the files are then left for
+ * GET /api/audio/integrity to report.
+ *
+ * @returns {number} - Files deleted
+ */
+async function deleteRecordAudio(keys, result) {
+  const storage = getStorage();
+  let deleted = 0;
+  for (const key of keys) {
+    try {
+      const removed = await storage.delete(key);
+      await AudioAsset.markDeleted(key, 'cleanup');
+      if (removed) {
+        deleted++;
+        console.log(`  ✓ Deleted: ${key.slice(AUDIO_PREFIX.length)} (record deleted)`);
+      }
+    } catch (error) {
+      console.error(`  ✗ Error deleting audio ${key} of a deleted record:`, error.message);
+      result.errors++;
+    }
+  }
+  return deleted;
+}
+
 /**
  * Get cleanup statistics without deleting anything
+ * cutoffDates are those of the default rules (null: kept forever); retention
+ * has the effective policy per edition and format.
  */
 export async function getCleanupStats() {
   const stats = {
@@ -195,54 +422,57 @@ export async function getCleanupStats() {
       toDelete: 0,
       totalSizeMB: 0,
       toDeleteSizeMB: 0,
+      newslettersToExpire: 0,
     },
     newsletters: {
       total: 0,
       toDelete: 0,
+      pinned: 0,
     },
     cutoffDates: {
       audio: null,
       newsletter: null,
     },
+    retention: null,
+    archive: {
+      enabled: config.archive.enabled,
+      includeAudio: config.archive.includeAudio,
+      maxBundleMb: config.archive.maxBundleMb,
+    },
   };
   
   try {
-    // Audio stats
-    const audioDir = path.join(config.railwayVolumePath, 'audio');
-    const audioCutoff = new Date();
-    audioCutoff.setDate(audioCutoff.getDate() - RETENTION_POLICY.AUDIO_DAYS);
-    stats.cutoffDates.audio = audioCutoff.toISOString().split('T')[0];
+    stats.retention = await getRetentionPolicy();
+    const { rules } = stats.retention;
+    stats.cutoffDates.audio = getCutoffDate(getRetentionDays(rules, 'audio'));
+    stats.cutoffDates.newsletter = getCutoffDate(getRetentionDays(rules, 'newsletter'));
     
+    // Audio stats: every stored audio file, and the files past retention
     try {
-      const files = await fs.readdir(audioDir);
-      const wavFiles = files.filter(f => f.endsWith('.wav'));
-      stats.audioFiles.total = wavFiles.length;
+      const audioFiles = (await getStorage().list(AUDIO_PREFIX)).filter(file => isAudioFile(file.key));
+      const sizes = new Map(audioFiles.map(file => [file.key, file.bytes]));
+      stats.audioFiles.total = audioFiles.length;
+      stats.audioFiles.totalSizeMB = audioFiles.reduce((sum, file) => sum + file.bytes, 0) / 1024 / 1024;
       
-      for (const file of wavFiles) {
-        const filePath = path.join(audioDir, file);
-        const fileStats = await fs.stat(filePath);
-        const sizeMB = fileStats.size / 1024 / 1024;
-        stats.audioFiles.totalSizeMB += sizeMB;
-        
-        if (fileStats.mtime < audioCutoff) {
+      const expiring = await findExpiringAudio(rules);
+      stats.audioFiles.newslettersToExpire = expiring
+        .filter(entry => entry.remaining.newsletter && !entry.remaining.newsletter.audio_url).length;
+      for (const key of expiring.flatMap(entry => entry.keys)) {
+        if (sizes.has(key)) {
           stats.audioFiles.toDelete++;
-          stats.audioFiles.toDeleteSizeMB += sizeMB;
+          stats.audioFiles.toDeleteSizeMB += sizes.get(key) / 1024 / 1024;
         }
       }
     } catch (error) {
-      // Directory doesn't exist, that's ok
+      console.error('⚠️  Failed to get audio stats:', error.message);
     }
     
     // Newsletter stats
-    const newsletterCutoff = new Date();
-    newsletterCutoff.setDate(newsletterCutoff.getDate() - RETENTION_POLICY.NEWSLETTER_DAYS);
-    stats.cutoffDates.newsletter = newsletterCutoff.toISOString().split('T')[0];
-    
     const allNewsletters = await Newsletter.getAll();
     stats.newsletters.total = allNewsletters.length;
+    stats.newsletters.pinned = (await Newsletter.listPinned()).length;
     
-    const oldNewsletters = await Newsletter.getOlderThan(stats.cutoffDates.newsletter);
-    stats.newsletters.toDelete = oldNewsletters.length;
+    stats.newsletters.toDelete = (await findExpiredNewsletters(rules)).length;
     
   } catch (error) {
     console.error('Error getting cleanup stats:', error);
@@ -1,16 +1,27 @@
 /**
  * Cron Scheduler
  * 
- * Schedules automatic cleanup tasks to run daily
+ * Schedules automatic tasks:
  * 
- * Schedule: Every day at 2:00 AM (server time)
- * Tasks: Clean old audio files and newsletter records
+ * - Cleanup: Every day at 2:00 AM UTC
+ *   Clean old audio files and newsletter records
+ * - Generation: Configurable per edition (default post-close at 17:30
+ *   America/New_York on weekdays, pre-market at 08:00 when enabled)
+ *   Queue the newsletter editions, skipping NYSE holidays
  */
 
 import cron from 'node-cron';
 import { runCleanup } from './cleanupService.js';
+import { enqueueGenerationJob } from './jobQueue.js';
+import { getTradingDayInfo } from './tradingCalendar.js';
+import { isValidEdition } from './editions.js';
+import { config } from '../config.js';
+import { getDateInTimeZone } from '../utils/dates.js';
 
 let cleanupJob = null;
+let generationJobs = {};
+let generationEnabled = config.generationSchedule.enabled;
+const lastGenerationRuns = {};
 
 /**
  * Start the cleanup cron job
@@ -40,7 +51,7 @@ export function startCleanupScheduler() {
 
   console.log('✅ Cleanup scheduler started');
   console.log('📅 Schedule: Daily at 02:00 UTC');
-  console.log('🧹 Tasks: Clean audio files (>14 days) and newsletters (>365 days)');
+  console.log('🧹 Tasks: Clean audio files and newsletters past retention (policy: GET /api/cleanup/policy)');
   
   return cleanupJob;
 }
@@ -67,6 +78,136 @@ export function getSchedulerStatus() {
   };
 }
 
+/**
+ * Start the generation cron jobs, one per edition in GENERATION_EDITIONS
+ * Does nothing unless the schedule is enabled (GENERATION_SCHEDULE_ENABLED
+ * or setGenerationSchedulerEnabled).
+ */
+export function startGenerationScheduler() {
+  const { editions, cron: expressions, timezone } = config.generationSchedule;
+
+  // Stop existing jobs if running
+  stopGenerationTasks();
+
+  if (!generationEnabled) {
+    console.log('⏸️  Generation scheduler disabled');
+    return null;
+  }
+
+  for (const edition of editions) {
+    if (!isValidEdition(edition)) {
+      throw new Error(`Invalid GENERATION_EDITIONS entry: ${edition}`);
+    }
+    if (!cron.validate(expressions[edition])) {
+      throw new Error(`Invalid cron expression for ${edition} edition: ${expressions[edition]}`);
+    }
+  }
+
+  for (const edition of editions) {
+    generationJobs[edition] = cron.schedule(expressions[edition], () => runScheduledGeneration(edition), {
+      scheduled: true,
+      timezone,
+    });
+  }
+
+  console.log('✅ Generation scheduler started');
+  for (const edition of editions) {
+    console.log(`📅 Schedule (${edition}): ${expressions[edition]} (${timezone})`);
+  }
+
+  return generationJobs;
+}
+
+/**
+ * Stop the generation scheduler
+ */
+export function stopGenerationScheduler() {
+  if (stopGenerationTasks()) {
+    console.log('🛑 Generation scheduler stopped');
+  }
+}
+
+/**
+ * Enable or disable the generation schedule at runtime
+ * Not persisted: GENERATION_SCHEDULE_ENABLED applies again after a restart.
+ */
+export function setGenerationSchedulerEnabled(enabled) {
+  generationEnabled = Boolean(enabled);
+
+  if (generationEnabled) {
+    startGenerationScheduler();
+  } else {
+    stopGenerationScheduler();
+  }
+
+  return getGenerationSchedulerStatus();
+}
+
+/**
+ * Get generation scheduler status
+ */
+export function getGenerationSchedulerStatus() {
+  const { editions, cron: expressions, timezone } = config.generationSchedule;
+
+  return {
+    enabled: generationEnabled,
+    running: Object.keys(generationJobs).length > 0,
+    timezone,
+    editions: Object.fromEntries(editions.map(edition => [edition, {
+      schedule: expressions[edition] || null,
+      nextRun: generationJobs[edition]?.getNextRun()?.toISOString() || null,
+      lastRun: lastGenerationRuns[edition] || null,
+    }])),
+  };
+}
+
+/**
+ * Stop all generation cron tasks
+ * Returns true if any were running.
+ */
+function stopGenerationTasks() {
+  const tasks = Object.values(generationJobs);
+  tasks.forEach(task => task.stop());
+  generationJobs = {};
+  return tasks.length > 0;
+}
+
+/**
+ * Queue an edition for the current date in the schedule's time zone
+ * Weekends and market holidays are skipped.
+ */
+async function runScheduledGeneration(edition) {
+  const date = getDateInTimeZone(new Date(), config.generationSchedule.timezone);
+  console.log(`\n⏰ Scheduled ${edition} generation triggered for ${date} at:`, new Date().toISOString());
+
+  const lastRun = {
+    at: new Date().toISOString(),
+    date,
+    jobId: null,
+    outcome: 'pending',
+  };
+  lastGenerationRuns[edition] = lastRun;
+
+  const tradingDay = getTradingDayInfo(date);
+  if (!tradingDay.isTradingDay) {
+    lastRun.outcome = 'skipped_non_trading_day';
+    lastRun.reason = tradingDay.holiday || 'Weekend';
+    console.log(`⏭️  Skipping ${edition} generation: market closed on ${date} (${lastRun.reason})`);
+    return;
+  }
+
+  try {
+    const { job, created } = await enqueueGenerationJob(date, { edition });
+    lastRun.jobId = job.id;
+    lastRun.outcome = created ? 'queued' : 'already_queued';
+    console.log(`✅ Scheduled ${edition} generation ${lastRun.outcome}: job #${job.id}`);
+  } catch (error) {
+    lastRun.outcome = 'failed';
+    lastRun.error = error.message;
+    console.error(`❌ Scheduled ${edition} generation failed:`, error);
+  }
+}
+
 /**
  * Calculate next run time
  */
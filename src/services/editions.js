@@ -0,0 +1,60 @@
+/**
+ * Newsletter Editions
+ *
+ * A day can have one newsletter per edition:
+ * - post-close: Recap of the session after the US close (default)
+ * - pre-market: "What to watch" before the US open
+ *
+ * Each edition has its own search prompt template; the format step is shared.
+ * publishTime is when the edition comes out (New York time, the default
+ * generation schedule); the podcast feed dates episodes with it.
+ */
+
+import { getLastTradingSession, getPreviousTradingDay } from './tradingCalendar.js';
+
+export const EDITIONS = {
+  'post-close': {
+    label: 'Post-Close Recap',
+    searchTemplate: 'newsletter_search',
+    publishTime: '17:30',
+  },
+  'pre-market': {
+    label: 'Pre-Market: What to Watch',
+    searchTemplate: 'newsletter_search_pre_market',
+    publishTime: '08:00',
+  },
+};
+
+export const DEFAULT_EDITION = 'post-close';
+
+export const EDITION_NAMES = Object.keys(EDITIONS);
+
+/**
+ * Check whether an edition name is known
+ */
+export function isValidEdition(edition) {
+  return EDITION_NAMES.includes(edition);
+}
+
+/**
+ * Get the last completed trading session an edition reports on
+ * The post-close edition covers the date's own session; the pre-market
+ * edition is written before the open, so it covers the session before.
+ *
+ * @param {string} edition - Edition name
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getEditionSessionDate(edition, date) {
+  return edition === 'pre-market'
+    ? getPreviousTradingDay(date)
+    : getLastTradingSession(date).date;
+}
+
+/**
+ * Find the edition that uses a search prompt template
+ * Returns null for templates shared by all editions.
+ */
+export function getEditionForTemplate(templateName) {
+  return EDITION_NAMES.find(edition => EDITIONS[edition].searchTemplate === templateName) || null;
+}
@@ -0,0 +1,312 @@
+/**
+ * Fact-Check Service
+ *
+ * Post-generation check of the numbers the model wrote against the
+ * market data snapshot for the session:
+ *
+ * 1. Find mentions of each instrument (S&P 500, Nasdaq-100, Dow, VIX, 10Y, Bitcoin)
+ * 2. Pull the level and percent change written next to each mention
+ *    (percentages over a longer period, e.g. "1.5% over the week", are not
+ *    the day's change and are skipped)
+ * 3. Compare with the snapshot using FACT_CHECK_LEVEL_TOLERANCE_PCT and
+ *    FACT_CHECK_CHANGE_TOLERANCE_PTS
+ *
+ * FACT_CHECK_MODE decides what a deviation does:
+ * - off: skip the check
+ * - flag: record issues, publish anyway
+ * - block: record issues, do not publish
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Phrases that refer to each instrument (longest first)
+ */
+const SYMBOL_ALIASES = {
+  SPX: ['S&P 500', 'S&P500', 'SPX', 'S&P'],
+  NDX: ['Nasdaq-100', 'Nasdaq 100', 'NDX'],
+  DJI: ['Dow Jones Industrial Average', 'Dow Jones', 'DJIA', 'Dow'],
+  VIX: ['CBOE Volatility Index', 'VIX'],
+  US10Y: ['10-year Treasury yield', '10-year yield', '10-year Treasury', '10-year note', '10Y'],
+  BTC: ['Bitcoin', 'BTC'],
+};
+
+// Levels further than this from the snapshot are treated as other numbers
+// in the sentence (point changes, years, targets) rather than a wrong level.
+const LEVEL_PLAUSIBILITY_PCT = 50;
+
+const NEGATIVE_WORDS = /\b(down|fell|fall|falls|falling|slid|slide|slip|slipped|lost|lose|drop|dropped|declin\w*|sank|sink|tumbl\w*|plung\w*|retreat\w*|lower|shed|sheds|dipped|dip|slump\w*)\b/gi;
+// A percentage whose clause names one of these periods is a multi-day move
+const MULTI_DAY_PERIOD = /\b(weeks?|weekly|week-to-date|WTD|months?|monthly|month-to-date|MTD|quarters?|quarterly|years?|yearly|year-to-date|YTD|annual\w*|since|sessions|days|streak)\b|\b(?:from|below|above|off) (?:its|the|a) (?:[\w-]+ )?(?:high|low|peak|bottom)\b/i;
+// Ends the clause a percentage belongs to
+const CLAUSE_BOUNDARY = /[,;:()]|\b(?:and|but|while|after|with)\b/g;
+
+const POSITIVE_WORDS = /\b(up|rose|rise|rises|rising|gain\w*|climb\w*|jump\w*|rall\w*|surg\w*|soar\w*|add|added|adds|higher|advanc\w*|rebound\w*)\b/gi;
+
+/**
+ * Check newsletter figures against a market snapshot
+ *
+ * @param {Object} content - { hook, sections, conclusion }
+ * @param {Object|null} snapshot - From getMarketSnapshot()
+ * @returns {Object} - { status, mode, snapshotDate, checks, issues }
+ */
+export function checkNewsletterFigures(content, snapshot) {
+  const { mode, levelTolerancePct, changeTolerancePts } = config.factCheck;
+  const result = {
+    status: 'skipped',
+    mode,
+    checkedAt: new Date().toISOString(),
+    snapshotDate: snapshot?.date || null,
+    tolerance: { levelPct: levelTolerancePct, changePts: changeTolerancePts },
+    checks: [],
+    issues: [],
+  };
+
+  if (mode === 'off') {
+    result.reason = 'Fact-check disabled';
+    return result;
+  }
+  if (!snapshot || Object.keys(snapshot.quotes).length === 0) {
+    result.reason = 'No market data snapshot for this session';
+    return result;
+  }
+
+  const seen = new Set();
+  for (const { location, text } of getCheckableText(content)) {
+    for (const figure of extractFigures(text, snapshot.quotes)) {
+      const key = `${figure.symbol}:${figure.kind}:${figure.reported}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const check = compareFigure(figure, snapshot.quotes[figure.symbol], { levelTolerancePct, changeTolerancePts });
+      check.location = location;
+      result.checks.push(check);
+      if (!check.ok) {
+        result.issues.push(check);
+      }
+    }
+  }
+
+  if (result.issues.length === 0) {
+    result.status = 'passed';
+  } else {
+    result.status = mode === 'block' ? 'blocked' : 'flagged';
+  }
+
+  return result;
+}
+
+/**
+ * Summarize fact-check issues in one line (for logs and error_message)
+ */
+export function describeFactCheckIssues(factCheck) {
+  return factCheck.issues
+    .map(i => `${i.symbol} ${i.kind} ${i.reported} vs ${i.expected}`)
+    .join('; ');
+}
+
+/**
+ * Extract instrument figures from a block of text
+ *
+ * @param {string} text
+ * @param {Object} quotes - Snapshot quotes (used to tell levels from other numbers)
+ * @returns {Array<{symbol, kind, reported, excerpt}>}
+ */
+export function extractFigures(text, quotes) {
+  const figures = [];
+  const mentions = findMentions(text);
+
+  mentions.forEach((mention, index) => {
+    const quote = quotes[mention.symbol];
+    if (!quote) return;
+
+    // The figures for a mention sit between it and the next mention or sentence end
+    const nextMention = mentions[index + 1];
+    const sentenceEnd = text.slice(mention.end).search(/[.!?](\s|$)/);
+    let windowEnd = sentenceEnd === -1 ? text.length : mention.end + sentenceEnd;
+    if (nextMention && nextMention.symbol !== mention.symbol) {
+      windowEnd = Math.min(windowEnd, nextMention.start);
+    }
+    windowEnd = Math.min(windowEnd, mention.end + 160);
+
+    const window = text.slice(mention.end, windowEnd);
+    const excerpt = text.slice(mention.start, windowEnd).trim();
+
+    const level = mention.symbol === 'US10Y'
+      ? findYieldLevel(window)
+      : findLevel(window, quote.close);
+    if (level !== null) {
+      figures.push({ symbol: mention.symbol, kind: 'level', reported: level, excerpt });
+    }
+
+    if (mention.symbol !== 'US10Y') {
+      const change = findPercentChange(window);
+      if (change !== null) {
+        figures.push({ symbol: mention.symbol, kind: 'change', reported: change, excerpt });
+      }
+    }
+  });
+
+  return figures;
+}
+
+/**
+ * Find non-overlapping instrument mentions in text order
+ */
+function findMentions(text) {
+  const mentions = [];
+
+  for (const [symbol, aliases] of Object.entries(SYMBOL_ALIASES)) {
+    for (const alias of aliases) {
+      const pattern = new RegExp(`(?<![\\w&])${escapeRegExp(alias)}(?![\\w&])`, 'gi');
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const overlaps = mentions.some(m => start < m.end && end > m.start);
+        if (!overlaps) {
+          mentions.push({ symbol, start, end });
+        }
+      }
+    }
+  }
+
+  return mentions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * First number in the window that looks like a level for this instrument
+ */
+function findLevel(window, expected) {
+  const pattern = /(?<![\d.,])\$?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\s*([kK]\b)?(?![\d,]|\.\d|\s*%|\s*(?:points?|pts|bps|basis)\b)/g;
+
+  for (const match of window.matchAll(pattern)) {
+    let value = parseFloat(`${match[1].replace(/,/g, '')}${match[2] || ''}`);
+    if (match[3]) value *= 1000;
+
+    const deviationPct = Math.abs(value - expected) / expected * 100;
+    if (deviationPct <= LEVEL_PLAUSIBILITY_PCT) {
+      return value;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * First percentage in the window (yields are quoted in percent)
+ */
+function findYieldLevel(window) {
+  const match = window.match(/(\d{1,2}(?:\.\d+)?)\s*%/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * First daily percent change in the window, signed from explicit +/- or wording
+ * Percentages whose clause refers to a longer period ("over the week",
+ * "year to date", "from its high") are skipped.
+ */
+function findPercentChange(window) {
+  const matches = [...window.matchAll(/([+\-−])?\s*(\d+(?:\.\d+)?)\s*%/g)];
+
+  for (const [index, match] of matches.entries()) {
+    const matchEnd = match.index + match[0].length;
+    const clauseStart = index > 0 ? matches[index - 1].index + matches[index - 1][0].length : 0;
+    const clauseEnd = index + 1 < matches.length ? matches[index + 1].index : window.length;
+    const before = window.slice(clauseStart, match.index);
+    const after = window.slice(matchEnd, clauseEnd);
+    const clause = `${before.slice(lastMatchEnd(before, CLAUSE_BOUNDARY))} ${after.slice(0, firstMatchIndex(after, CLAUSE_BOUNDARY))}`;
+    if (MULTI_DAY_PERIOD.test(clause)) {
+      continue;
+    }
+
+    const value = parseFloat(match[2]);
+    if (match[1]) {
+      return match[1] === '+' ? value : -value;
+    }
+
+    // Use the last direction word before the number (since the previous
+    // percentage, else anywhere before it)
+    const direction = getDirection(before) || getDirection(window.slice(0, match.index));
+    return direction < 0 ? -value : value;
+  }
+
+  return null;
+}
+
+/**
+ * Direction of the last direction word in text: -1, 1, or 0 if there is none
+ */
+function getDirection(text) {
+  const lastNegative = lastMatchIndex(text, NEGATIVE_WORDS);
+  const lastPositive = lastMatchIndex(text, POSITIVE_WORDS);
+  if (lastNegative === lastPositive) return 0;
+  return lastNegative > lastPositive ? -1 : 1;
+}
+
+/**
+ * Compare one extracted figure with the snapshot quote
+ */
+function compareFigure(figure, quote, { levelTolerancePct, changeTolerancePts }) {
+  const check = { ...figure };
+
+  if (figure.kind === 'level') {
+    check.expected = quote.close;
+    check.deviation = Number((Math.abs(figure.reported - quote.close) / quote.close * 100).toFixed(2));
+    check.unit = 'pct';
+    check.ok = check.deviation <= levelTolerancePct;
+  } else {
+    if (quote.changePct === null || quote.changePct === undefined) {
+      check.expected = null;
+      check.ok = true;
+      check.note = 'No previous close in snapshot';
+      return check;
+    }
+    check.expected = quote.changePct;
+    check.deviation = Number(Math.abs(figure.reported - quote.changePct).toFixed(2));
+    check.unit = 'pts';
+    check.ok = check.deviation <= changeTolerancePts;
+  }
+
+  return check;
+}
+
+/**
+ * Text blocks of a newsletter worth checking
+ */
+function getCheckableText(content) {
+  const blocks = [
+    { location: 'title', text: content.title || '' },
+    { location: 'hook', text: content.hook || '' },
+    ...(content.sections || []).map((section, index) => ({
+      location: `sections[${index}]`,
+      text: `${section.heading || ''}. ${section.content || ''}`,
+    })),
+    { location: 'conclusion', text: content.conclusion || '' },
+  ];
+  return blocks.filter(block => block.text.trim());
+}
+
+function lastMatchIndex(text, pattern) {
+  let last = -1;
+  for (const match of text.matchAll(pattern)) {
+    last = match.index;
+  }
+  return last;
+}
+
+function lastMatchEnd(text, pattern) {
+  let end = 0;
+  for (const match of text.matchAll(pattern)) {
+    end = match.index + match[0].length;
+  }
+  return end;
+}
+
+function firstMatchIndex(text, pattern) {
+  const match = text.matchAll(pattern).next().value;
+  return match ? match.index : text.length;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
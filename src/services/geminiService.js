@@ -1,160 +1,112 @@
 /**
  * Gemini AI Service
  * 
- * Handles newsletter content generation using Google Gemini 2.5 Flash
- * with Google Search grounding for real-time market data
+ * Handles newsletter content generation through the configured LLM provider
+ * (Gemini with Google Search grounding by default, see ./providers)
  * 
  * Two-step approach:
- * 1. Search + Generate (with Google Search tool)
- * 2. Format as JSON (without tools, using JSON mode)
+ * 1. Search + Generate (grounded text)
+ * 2. Format as JSON (structured JSON with a response schema)
  */
 
-import { GoogleGenAI } from '@google/genai';
+import { getProvider } from './providers/index.js';
+import { MARKET_SYMBOLS } from './marketData/index.js';
+import { renderActivePrompt } from './promptService.js';
+import { EDITIONS, DEFAULT_EDITION, getEditionSessionDate } from './editions.js';
+import {
+  getTradingDayInfo,
+  getLastTradingSession,
+  getPreviousTradingDay,
+  getNextTradingDay,
+} from './tradingCalendar.js';
 import { config } from '../config.js';
-
-const genai = new GoogleGenAI({ apiKey: config.geminiApiKey });
+import { getDateInTimeZone } from '../utils/dates.js';
 
 /**
  * Generate newsletter content with Google Search grounding
+ * 
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} options
+ * @param {string} options.edition - Newsletter edition (selects the search prompt)
+ * @param {Object} options.stats - Resilience stats collector (records retries)
+ * @param {Object} options.snapshot - Market data snapshot for the session (optional)
+ * @param {string[]} options.watchItems - Topics the newsletter should cover (optional)
+ * @returns {Object} - { title, hook, sections, conclusion, sources, promptVersion }
  */
-export async function generateNewsletterContent(date) {
+export async function generateNewsletterContent(date, { edition = DEFAULT_EDITION, stats, snapshot = null, watchItems = [] } = {}) {
   try {
     console.log('📝 Step 1: Generating content with Google Search...');
     
     // Step 1: Generate content with Google Search grounding
-    const searchPrompt = `You are CycleScope, a prominent financial analyst known for delivering sharp, humorous, and easy-to-understand analyses of the US stock market. Your persona is educational yet entertaining, often reassuring viewers during market volatility while maintaining a confident, slightly provocative edge. You blend macroeconomic factors with technical analysis, simplifying complex topics for a broad audience. Your goal is to make finance accessible and engaging, providing insights that range from broad market trends to specific stock behaviors.
-
-You are writing "Daily Market Pulse" newsletter for ${date}.
-
-**STRUCTURE & CONTENT GUIDELINES**:
-
-1. **Broader Market Update (Indices, VIX, Bonds)**:
-   - Begin with an engaging question or hook related to the day's market sentiment or a pressing economic theme (e.g., "It's time for CPI again!", "Will there be a Black Friday?").
-   - Analyze the overall performance of major US indices (S&P 500, Nasdaq, Dow Jones) and discuss key macroeconomic data points (CPI, PPI, Fed actions, interest rate expectations) and their influence on market direction.
-   - Offer your outlook on the broader market, incorporating both technical and macro perspectives, using phrases that hint at potential shifts (e.g., "All the way up or a big turn?").
-
-2. **Key Individual Stocks in Play (Movers, Earnings)**:
-   - Highlight specific stocks that are making headlines due to earnings, significant price movements, or other relevant news (e.g., Nvidia, Tesla, Apple).
-   - Briefly explain the underlying reasons for their performance, connecting them to broader market themes or specific catalysts.
-
-3. **Specific Angles/Data Points**:
-   - Integrate insights from both macroeconomic data and proven technical analysis methods.
-   - Discuss options strategies and implied market maker positioning, explaining how these dynamics might influence future price action, even if not explicitly citing advanced metrics like GEX or Dark Pool data in every instance.
-   - Maintain your signature blend of sharp analysis and humor, making complex market interactions easy to grasp for beginners.
-   - Use rhetorical questions, exclamations, and reassuring statements to keep the tone engaging and approachable.
-
-4. **Other Assets (Optional)**:
-   - You may also include or reference other non-US equity assets like crypto (Bitcoin, Ethereum) in the newsletter if they are relevant to the day's market narrative.
-
-**DATA ACCURACY (CRITICAL)**:
-- S&P 500 is currently trading in the 6000-7000 range (late 2024/early 2025)
-- Any SPX value below 6000 is OUTDATED - reject and search again for current data
-- Verify all closing prices are from ${date}, not older articles
-- Cross-reference multiple recent sources (Yahoo Finance, Bloomberg, MarketWatch)
-
-**FORMATTING RULES**:
-- Write in a clear, concise, and highly accessible language.
-- Employ a confident, slightly informal, and humorous tone throughout.
-- Utilize exclamation points and engaging questions to punctuate your analysis and maintain reader interest.
-- Conclude the newsletter with a subtle yet clear call to action.
-- Use real-time data from Google Search.
-- 1000-1100 words total (comprehensive and detailed).
-- Include specific numbers, percentage changes, and data points.
-- Always cite sources for specific claims.
-
-Write the complete newsletter now:`;
-
-    const searchResult = await genai.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: searchPrompt,
-      config: {
-        tools: [{
-          googleSearch: {}
-        }]
-      }
-    });
+    const searchTemplate = EDITIONS[edition].searchTemplate;
+    const searchPrompt = await renderActivePrompt(
+      searchTemplate,
+      buildPromptVariables(searchTemplate, date, { edition, snapshot, watchItems })
+    );
+    console.log(`🧾 Using prompt ${searchPrompt.version}`);
+
+    const provider = getProvider();
+
+    const searchResult = await provider.generateGroundedText({ prompt: searchPrompt.text, stats });
 
     const rawContent = searchResult.text;
-    
-    // Extract grounding metadata sources
-    const groundingSources = searchResult.candidates?.[0]?.groundingMetadata?.groundingChunks
-      ?.map(chunk => ({
-        url: chunk.web?.uri,
-        title: chunk.web?.title
-      }))
-      .filter(source => source.url) || [];
+    const groundingSources = searchResult.sources;
     
     console.log('✅ Step 1 complete. Content length:', rawContent.length);
     console.log('📚 Found', groundingSources.length, 'grounding sources');
     console.log('📝 Step 2: Formatting as structured JSON...');
 
     // Step 2: Format the content as JSON
-    const formatPrompt = `Convert the following newsletter content into structured JSON format.
-
-Extract:
-- Title (create a compelling title in format: "[Main Market Story/Theme]". Example: "Bitcoin Surges Past $100K as Institutional Demand Soars" or "Crypto Markets Plunge as Bitcoin Breaks Key Support Levels Amid Extreme Fear")
-- Hook (the opening 1-2 sentences)
-- Sections (break down into: Market Overview, Key Developments, Technical Analysis, etc.)
-- Conclusion (the closing summary)
-
-Newsletter content:
-${rawContent}
-
-Note: We already have grounding sources from Google Search, so don't extract sources from the text.
-
-Return the structured JSON now:`;
-
-    const formatResult = await genai.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: formatPrompt,
-      config: {
-        responseMimeType: 'application/json',
-        responseSchema: {
-          type: 'object',
-          properties: {
-            title: {
-              type: 'string',
-              description: 'Newsletter title with main market theme (no date prefix), e.g., "Crypto Markets Rally on Fed Rate Cut Hopes" or "Bitcoin Breaks $100K Barrier"'
-            },
-            hook: {
-              type: 'string',
-              description: 'Opening hook (1-2 sentences)'
-            },
-            sections: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  heading: { type: 'string' },
-                  content: { type: 'string' }
-                },
-                required: ['heading', 'content']
-              }
-            },
-            conclusion: {
-              type: 'string',
-              description: 'Closing summary and outlook'
-            },
-            sources: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  title: { type: 'string' },
-                  url: { type: 'string' }
-                }
+    const formatPrompt = await renderActivePrompt(
+      'newsletter_format',
+      buildPromptVariables('newsletter_format', date, { rawContent })
+    );
+
+    const structured = await provider.generateStructuredJson({
+      prompt: formatPrompt.text,
+      stats,
+      schema: {
+        type: 'object',
+        properties: {
+          title: {
+            type: 'string',
+            description: 'Newsletter title with main market theme (no date prefix), e.g., "Crypto Markets Rally on Fed Rate Cut Hopes" or "Bitcoin Breaks $100K Barrier"'
+          },
+          hook: {
+            type: 'string',
+            description: 'Opening hook (1-2 sentences)'
+          },
+          sections: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                heading: { type: 'string' },
+                content: { type: 'string' }
               },
-              description: 'List of sources cited (if any)'
+              required: ['heading', 'content']
             }
           },
-          required: ['title', 'hook', 'sections', 'conclusion']
-        }
+          conclusion: {
+            type: 'string',
+            description: 'Closing summary and outlook'
+          },
+          sources: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                url: { type: 'string' }
+              }
+            },
+            description: 'List of sources cited (if any)'
+          }
+        },
+        required: ['title', 'hook', 'sections', 'conclusion']
       }
     });
 
-    const jsonText = formatResult.text;
-    const structured = JSON.parse(jsonText);
-
     console.log('✅ Step 2 complete. Structured newsletter generated.');
 
     return {
@@ -162,7 +114,8 @@ Return the structured JSON now:`;
       hook: structured.hook || '',
       sections: structured.sections || [],
       conclusion: structured.conclusion || '',
-      sources: groundingSources // Use grounding metadata sources instead of extracted sources
+      sources: groundingSources, // Use grounding metadata sources instead of extracted sources
+      promptVersion: `${searchPrompt.version},${formatPrompt.version}`,
     };
 
   } catch (error) {
@@ -171,14 +124,125 @@ Return the structured JSON now:`;
   }
 }
 
+/**
+ * Build the template variables for a prompt
+ * Also used by the prompt preview endpoint.
+ *
+ * @param {string} name - Template name
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} options - { edition, snapshot, watchItems, rawContent, newsletter }
+ */
+export function buildPromptVariables(name, date, { edition = DEFAULT_EDITION, snapshot = null, watchItems = [], rawContent = '', newsletter = null } = {}) {
+  if (name === 'newsletter_format') {
+    return { date, raw_content: rawContent };
+  }
+
+  if (name === 'podcast_dialogue') {
+    const [hostA, hostB] = config.podcast.hosts;
+    return {
+      date,
+      host_a: hostA.name,
+      host_b: hostB.name,
+      newsletter_text: newsletter ? formatNewsletterText(newsletter) : '',
+    };
+  }
+
+  const sessionDate = getEditionSessionDate(edition, date);
+  return {
+    date,
+    session_date: sessionDate,
+    previous_session: getPreviousTradingDay(sessionDate),
+    market_calendar: buildMarketCalendarContext(date, edition, sessionDate),
+    watch_items: watchItems.length > 0
+      ? watchItems.map(item => `- ${item}`).join('\n')
+      : "- No specific watch items; pick the day's most important themes.",
+    reference_levels: buildReferenceLevels(snapshot),
+  };
+}
+
+/**
+ * Render a structured newsletter as plain text for a prompt
+ */
+function formatNewsletterText(newsletter) {
+  return [
+    `Title: ${newsletter.title}`,
+    `Hook: ${newsletter.hook}`,
+    ...newsletter.sections.map(section => `## ${section.heading}\n${section.content}`),
+    `Conclusion: ${newsletter.conclusion}`,
+  ].join('\n\n');
+}
+
+/**
+ * Describe the NYSE session around a date for the prompt
+ * Tells the model whether the market was open, about early closes,
+ * and which session the closing prices should come from.
+ * Past dates are framed as a recap written at the time, not today's news.
+ */
+function buildMarketCalendarContext(date, edition, sessionDate) {
+  const day = getTradingDayInfo(date);
+  const lines = [];
+
+  const today = getDateInTimeZone(new Date(), config.generationSchedule.timezone);
+  if (date < today) {
+    lines.push(edition === 'pre-market'
+      ? `- HISTORICAL EDITION: write this as it would have read before the open on ${date}. Use only information published by 9:30 AM ET on ${date}; do not mention anything that happened later.`
+      : `- HISTORICAL EDITION: this is a recap of the ${sessionDate} session, written as of that evening. Use sources published on or shortly after ${sessionDate}; do not mention anything that happened later or present it as today's news.`);
+  }
+
+  if (day.isTradingDay) {
+    if (day.earlyClose) {
+      lines.push(`- ${date} is an EARLY-CLOSE session (${day.earlyClose.name}): US stocks closed at 1:00 PM ET. Expect lighter volume and mention the shortened session.`);
+    } else {
+      lines.push(`- ${date} is a regular NYSE trading day (close at 4:00 PM ET).`);
+    }
+    lines.push(`- The previous trading session was ${getPreviousTradingDay(date)}; use it as the baseline for daily changes.`);
+  } else {
+    const session = getLastTradingSession(date);
+    const reason = day.holiday || 'weekend';
+    lines.push(`- US stock markets were CLOSED on ${date} (${reason}). Do not report ${date} price action for stocks; recap the last trading session instead.`);
+    lines.push(`- The last trading session was ${session.date}${session.earlyClose ? ` (early close at 1:00 PM ET, ${session.earlyClose.name})` : ''}.`);
+  }
+
+  const next = getTradingDayInfo(getNextTradingDay(date));
+  lines.push(`- The next trading session is ${next.date}${next.earlyClose ? ` (early close at 1:00 PM ET, ${next.earlyClose.name})` : ''}.`);
+
+  return lines.join('\n');
+}
+
+/**
+ * List reference closing levels from the market data snapshot for the prompt
+ * Without a snapshot, the model is told to cross-check against live sources only.
+ */
+function buildReferenceLevels(snapshot) {
+  if (!snapshot || Object.keys(snapshot.quotes).length === 0) {
+    return '- Any index level that does not match current quotes is OUTDATED - reject and search again for current data';
+  }
+
+  const lines = Object.entries(snapshot.quotes)
+    .filter(([symbol]) => MARKET_SYMBOLS[symbol])
+    .map(([symbol, quote]) => {
+      const { label, unit } = MARKET_SYMBOLS[symbol];
+      const level = unit === '%'
+        ? `${quote.close}%`
+        : `${unit === '$' ? '$' : ''}${quote.close.toLocaleString('en-US')}`;
+      const change = quote.changePct !== null && quote.changePct !== undefined && unit !== '%'
+        ? ` (${quote.changePct >= 0 ? '+' : ''}${quote.changePct}%)`
+        : '';
+      return `  - ${label}: ${level}${change}`;
+    });
+
+  return `- Reference closing levels for the ${snapshot.date} session (authoritative; use these exact figures):
+${lines.join('\n')}
+- Any figure that contradicts these reference levels is OUTDATED - do not use it`;
+}
+
 /**
  * Test Gemini connection
  */
 export async function testGeminiConnection() {
   try {
-    const result = await genai.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: 'Say "Hello from Gemini!"'
+    const result = await getProvider().generateText({
+      prompt: 'Say "Hello from Gemini!"'
     });
     console.log('✅ Gemini connection test:', result.text);
     return true;
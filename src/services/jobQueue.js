@@ -0,0 +1,360 @@
+/**
+ * Job Queue Service
+ *
+ * Postgres-backed worker loop for long-running generation jobs.
+ *
+ * - Jobs are persisted in generation_jobs, so a restart never loses work
+ * - The worker polls for queued jobs and runs up to JOB_CONCURRENCY at once
+ * - Running jobs hold a lease the worker keeps extending; jobs whose lease
+ *   ran out (their process died) are requeued
+ * - Only one job per type, date and edition is queued or running at a time,
+ *   and only one job of any type per date and edition runs at a time
+ * - Backfill batches queue one job per trading day, spaced out with run_after
+ * - 'audio' jobs re-run TTS only for a published newsletter
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import { GenerationJob } from '../models/generationJob.js';
+import { generateDailyNewsletter, getNewsletterByDate, regenerateNewsletterAudio } from './newsletterService.js';
+import { DEFAULT_EDITION } from './editions.js';
+import { getTradingDaysInRange } from './tradingCalendar.js';
+import { config } from '../config.js';
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${Date.now()}`;
+
+/**
+ * Handlers by job_type
+ * Each handler receives (payload, { setStage }) and returns a JSON-serializable result.
+ */
+const JOB_HANDLERS = {
+  generate: async (payload, { setStage }) => {
+    const newsletter = await generateDailyNewsletter(payload.date, {
+      edition: payload.edition || DEFAULT_EDITION,
+      onStage: setStage,
+      watchItems: payload.watchItems,
+      ...(payload.audioMode && { audioMode: payload.audioMode }),
+    });
+    return {
+      newsletter_id: newsletter.id,
+      publish_date: newsletter.publish_date,
+      edition: newsletter.edition,
+      title: newsletter.title,
+      generation_status: newsletter.generation_status,
+    };
+  },
+  audio: async (payload, { setStage }) => {
+    const newsletter = await regenerateNewsletterAudio(payload.date, {
+      edition: payload.edition || DEFAULT_EDITION,
+      onStage: setStage,
+      ...(payload.audioMode && { audioMode: payload.audioMode }),
+    });
+    return {
+      newsletter_id: newsletter.id,
+      publish_date: newsletter.publish_date,
+      edition: newsletter.edition,
+      audio_status: newsletter.audio_status,
+      audio_url: newsletter.audio_url,
+      audio_duration_seconds: newsletter.audio_duration_seconds,
+    };
+  },
+};
+
+let pollTimer = null;
+let heartbeatTimer = null;
+let activeJobs = 0;
+let polling = false;
+const runningJobIds = new Set();
+
+/**
+ * Enqueue a newsletter generation job
+ * Returns the already queued/running job for the same date and edition instead of a duplicate.
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} options
+ * @param {string} options.edition - Newsletter edition
+ * @param {string[]} options.watchItems - Topics the newsletter should cover
+ * @param {string} options.audioMode - 'monologue' or 'podcast' (null: AUDIO_MODE when the job runs)
+ * @returns {Object} - { job, created }
+ */
+export async function enqueueGenerationJob(date, { edition = DEFAULT_EDITION, watchItems = [], audioMode = null } = {}) {
+  const { job, created } = await GenerationJob.create({
+    jobType: 'generate',
+    payload: { date, edition, watchItems, ...(audioMode && { audioMode }) },
+    maxAttempts: config.jobs.maxAttempts,
+  });
+
+  if (created) {
+    console.log(`📥 Queued generation job #${job.id} for ${date} (${edition})`);
+    kickWorker();
+  }
+
+  return { job, created };
+}
+
+/**
+ * Enqueue an audio-only regeneration job for a published newsletter
+ * Returns the already queued/running audio job for the same date and edition instead of a duplicate.
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} options
+ * @param {string} options.edition - Newsletter edition
+ * @param {string} options.audioMode - 'monologue' or 'podcast' (null: keep the newsletter's mode)
+ * @returns {Object} - { job, created }
+ */
+export async function enqueueAudioJob(date, { edition = DEFAULT_EDITION, audioMode = null } = {}) {
+  const { job, created } = await GenerationJob.create({
+    jobType: 'audio',
+    payload: { date, edition, ...(audioMode && { audioMode }) },
+    maxAttempts: config.jobs.maxAttempts,
+  });
+
+  if (created) {
+    console.log(`📥 Queued audio job #${job.id} for ${date} (${edition})`);
+    kickWorker();
+  }
+
+  return { job, created };
+}
+
+/**
+ * Check whether a full generation job is queued or running for a date and edition
+ */
+export async function isGenerationActive(date, edition = DEFAULT_EDITION) {
+  return Boolean(await GenerationJob.findActive('generate', date, edition));
+}
+
+/**
+ * Queue generation for every trading day in a date range
+ * Jobs start BACKFILL_SPACING_MS apart so a long range does not hit the LLM
+ * all at once. Days that already have a complete newsletter are skipped
+ * unless overwrite is set; days with a job in flight keep that job.
+ *
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format (inclusive)
+ * @param {Object} options - { edition, watchItems, overwrite }
+ * @returns {Object} - { batchId, dates: [{ date, outcome, jobId, runAfter }] }
+ */
+export async function enqueueBackfill(startDate, endDate, { edition = DEFAULT_EDITION, watchItems = [], overwrite = false } = {}) {
+  const batchId = crypto.randomUUID();
+  const dates = [];
+  let slot = 0;
+
+  for (const date of getTradingDaysInRange(startDate, endDate)) {
+    if (!overwrite) {
+      const existing = await getNewsletterByDate(date, edition);
+      if (existing?.generation_status === 'complete') {
+        dates.push({ date, outcome: 'skipped_exists', jobId: null, newsletterId: existing.id });
+        continue;
+      }
+    }
+
+    const runAfter = new Date(Date.now() + slot * config.backfill.spacingMs);
+
+    const { job, created } = await GenerationJob.create({
+      jobType: 'generate',
+      payload: { date, edition, watchItems },
+      maxAttempts: config.jobs.maxAttempts,
+      runAfter,
+      batchId,
+    });
+    if (!created) {
+      dates.push({ date, outcome: 'already_queued', jobId: job.id });
+      continue;
+    }
+
+    slot++;
+    dates.push({ date, outcome: 'queued', jobId: job.id, runAfter: job.run_after });
+  }
+
+  console.log(`📥 Backfill ${batchId}: queued ${slot} ${edition} job(s) for ${startDate}..${endDate}`);
+  kickWorker();
+
+  return { batchId, dates };
+}
+
+/**
+ * Get per-date progress of a backfill batch
+ * Returns null if the batch does not exist.
+ */
+export async function getBackfillProgress(batchId) {
+  const jobs = await GenerationJob.getByBatch(batchId);
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  const summary = { total: jobs.length, queued: 0, running: 0, complete: 0, failed: 0 };
+  for (const job of jobs) {
+    summary[job.status] = (summary[job.status] || 0) + 1;
+  }
+
+  return {
+    batchId,
+    done: summary.queued === 0 && summary.running === 0,
+    summary,
+    jobs,
+  };
+}
+
+/**
+ * Get job by ID
+ */
+export async function getJob(id) {
+  return await GenerationJob.getById(id);
+}
+
+/**
+ * Start the worker loop
+ */
+export async function startJobWorker() {
+  if (pollTimer) {
+    return;
+  }
+
+  await recoverStaleJobs();
+
+  pollTimer = setInterval(pollQueue, config.jobs.pollIntervalMs);
+  heartbeatTimer = setInterval(renewLeases, Math.floor(config.jobs.leaseMs / 3));
+
+  console.log('✅ Job worker started');
+  console.log(`⚙️  Worker: ${WORKER_ID}, concurrency: ${config.jobs.concurrency}, poll: ${config.jobs.pollIntervalMs}ms, lease: ${config.jobs.leaseMs}ms`);
+
+  kickWorker();
+}
+
+/**
+ * Stop the worker loop
+ * Jobs still running are left as 'running' and recovered once their lease runs out.
+ */
+export function stopJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    pollTimer = null;
+    heartbeatTimer = null;
+    console.log('🛑 Job worker stopped');
+  }
+}
+
+/**
+ * Get worker status
+ */
+export function getJobWorkerStatus() {
+  return {
+    running: pollTimer !== null,
+    workerId: WORKER_ID,
+    activeJobs,
+    concurrency: config.jobs.concurrency,
+  };
+}
+
+/**
+ * Requeue jobs whose worker stopped renewing the lease
+ */
+async function recoverStaleJobs() {
+  const recovered = await GenerationJob.recoverStale(config.jobs.leaseMs);
+  if (recovered.length > 0) {
+    console.log(`♻️  Recovered ${recovered.length} interrupted job(s): ${recovered.map(j => `#${j.id} (${j.status})`).join(', ')}`);
+  }
+}
+
+/**
+ * Extend the lease of the jobs this worker is running, then recover jobs
+ * that other (dead) workers left behind
+ */
+async function renewLeases() {
+  try {
+    if (runningJobIds.size > 0) {
+      await GenerationJob.heartbeat([...runningJobIds], WORKER_ID, config.jobs.leaseMs);
+    }
+    await recoverStaleJobs();
+  } catch (error) {
+    console.error('❌ Job lease renewal failed:', error.message);
+  }
+}
+
+/**
+ * Poll immediately instead of waiting for the next interval
+ */
+function kickWorker() {
+  if (pollTimer) {
+    setImmediate(pollQueue);
+  }
+}
+
+/**
+ * Claim queued jobs until the concurrency limit is reached
+ */
+async function pollQueue() {
+  if (polling) {
+    return;
+  }
+  polling = true;
+
+  try {
+    while (pollTimer && activeJobs < config.jobs.concurrency) {
+      const job = await GenerationJob.claimNext(WORKER_ID, config.jobs.leaseMs);
+      if (!job) {
+        break;
+      }
+
+      activeJobs++;
+      runningJobIds.add(job.id);
+      runJob(job).finally(() => {
+        activeJobs--;
+        runningJobIds.delete(job.id);
+        kickWorker();
+      });
+    }
+  } catch (error) {
+    console.error('❌ Job queue poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Execute a claimed job and record the outcome
+ */
+async function runJob(job) {
+  console.log(`\n🏗️  Running job #${job.id} (${job.job_type}, attempt ${job.attempts}/${job.max_attempts})`);
+
+  try {
+    const handler = JOB_HANDLERS[job.job_type];
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.job_type}`);
+    }
+
+    const setStage = async (stage) => {
+      try {
+        await GenerationJob.setStage(job.id, WORKER_ID, stage);
+      } catch (error) {
+        // Stage tracking is informational, never fail the job over it
+        console.error(`⚠️  Failed to update stage for job #${job.id}:`, error.message);
+      }
+    };
+
+    const result = await handler(job.payload, { setStage });
+    // Zero rows: the lease ran out and the job was recovered (and maybe
+    // claimed by another worker), which now owns its status
+    if (!(await GenerationJob.complete(job.id, WORKER_ID, result))) {
+      console.warn(`⚠️  Job #${job.id} finished after losing its lease; its status was left to the current owner`);
+      return;
+    }
+
+    console.log(`✅ Job #${job.id} complete`);
+  } catch (error) {
+    console.error(`❌ Job #${job.id} failed:`, error.message);
+
+    try {
+      const updated = await GenerationJob.fail(job.id, WORKER_ID, error.message);
+      if (!updated) {
+        console.warn(`⚠️  Job #${job.id} lost its lease; the failure was not recorded`);
+      } else if (updated.status === 'queued') {
+        console.log(`🔁 Job #${job.id} requeued (attempt ${updated.attempts}/${updated.max_attempts})`);
+      }
+    } catch (dbError) {
+      console.error(`❌ Failed to record failure for job #${job.id}:`, dbError.message);
+    }
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Pronunciation Lexicon Service
+ *
+ * The lexicon maps terms in the newsletter to how TTS should say them
+ * (applied by speechNormalizer.js before synthesis).
+ *
+ * - Built-in entries below cover common tickers, indexes and finance
+ *   abbreviations
+ * - Entries in pronunciation_lexicon override a built-in entry with the same
+ *   term or add new ones; to keep a built-in term as written, store it with
+ *   spoken equal to the term
+ * - If the database is unavailable, the built-in lexicon is used
+ */
+
+import { PronunciationLexicon } from '../models/pronunciationLexicon.js';
+import { createSpeechNormalizer } from './speechNormalizer.js';
+
+export const LEXICON_KINDS = ['ticker', 'abbreviation', 'term'];
+
+const ticker = (term, spoken) => ({ term, spoken, kind: 'ticker' });
+const abbreviation = (term, spoken) => ({ term, spoken, kind: 'abbreviation' });
+const term = (term, spoken) => ({ term, spoken, kind: 'term' });
+
+export const DEFAULT_LEXICON = [
+  // Indexes and index proxies
+  ticker('SPX', 'S and P 500'),
+  ticker('SPY', 'S P Y'),
+  ticker('NDX', 'Nasdaq 100'),
+  ticker('QQQ', 'triple Q'),
+  ticker('DJI', 'Dow'),
+  ticker('DJIA', 'Dow'),
+  ticker('RUT', 'Russell 2000'),
+  ticker('IWM', 'I W M'),
+  ticker('DXY', 'dollar index'),
+  ticker('TNX', 'ten-year Treasury yield'),
+  abbreviation('S&P 500', 'S and P 500'),
+  abbreviation('S&P', 'S and P'),
+
+  // Large caps
+  ticker('AAPL', 'Apple'),
+  ticker('MSFT', 'Microsoft'),
+  ticker('NVDA', 'Nvidia'),
+  ticker('AMZN', 'Amazon'),
+  ticker('GOOGL', 'Alphabet'),
+  ticker('GOOG', 'Alphabet'),
+  ticker('META', 'Meta'),
+  ticker('TSLA', 'Tesla'),
+  ticker('AVGO', 'Broadcom'),
+  ticker('AMD', 'A M D'),
+  ticker('INTC', 'Intel'),
+  ticker('ORCL', 'Oracle'),
+  ticker('CRM', 'Salesforce'),
+  ticker('ADBE', 'Adobe'),
+  ticker('NFLX', 'Netflix'),
+  ticker('JPM', 'JPMorgan'),
+  ticker('GS', 'Goldman Sachs'),
+  ticker('BAC', 'Bank of America'),
+  ticker('WMT', 'Walmart'),
+  ticker('COST', 'Costco'),
+  ticker('XOM', 'ExxonMobil'),
+  ticker('CVX', 'Chevron'),
+  ticker('LLY', 'Eli Lilly'),
+  ticker('UNH', 'UnitedHealth'),
+  ticker('JNJ', 'Johnson and Johnson'),
+  ticker('PFE', 'Pfizer'),
+  ticker('DIS', 'Disney'),
+  ticker('BA', 'Boeing'),
+
+  // Macro and market abbreviations
+  abbreviation('FOMC', 'F O M C'),
+  abbreviation('CPI', 'C P I'),
+  abbreviation('PPI', 'P P I'),
+  abbreviation('PCE', 'P C E'),
+  abbreviation('ETF', 'E T F'),
+  abbreviation('ETFs', 'E T Fs'),
+  abbreviation('IPO', 'I P O'),
+  abbreviation('EPS', 'E P S'),
+  abbreviation('AI', 'A I'),
+  abbreviation('WTI', 'W T I'),
+  abbreviation('M&A', 'M and A'),
+  abbreviation('ATH', 'all-time high'),
+  abbreviation('YTD', 'year to date'),
+  term('YoY', 'year over year'),
+  term('QoQ', 'quarter over quarter'),
+  term('MoM', 'month over month'),
+  term('vs.', 'versus'),
+  term('vs', 'versus'),
+  term('e.g.', 'for example'),
+  term('i.e.', 'that is'),
+];
+
+/**
+ * Check whether a lexicon kind is known
+ */
+export function isValidLexiconKind(kind) {
+  return LEXICON_KINDS.includes(kind);
+}
+
+/**
+ * Get the effective lexicon: built-in entries merged with stored ones
+ *
+ * @returns {Array<{ term, spoken, kind, source, notes?, id? }>} - source is 'builtin' or 'database'
+ */
+export async function getLexicon() {
+  const entries = new Map(DEFAULT_LEXICON.map(entry => [entry.term, { ...entry, source: 'builtin' }]));
+
+  try {
+    for (const row of await PronunciationLexicon.list()) {
+      entries.set(row.term, {
+        id: row.id,
+        term: row.term,
+        spoken: row.spoken,
+        kind: row.kind,
+        notes: row.notes,
+        source: 'database',
+        overrides_builtin: DEFAULT_LEXICON.some(entry => entry.term === row.term),
+        updated_at: row.updated_at,
+      });
+    }
+  } catch (error) {
+    console.error('⚠️  Failed to load pronunciation lexicon, using built-in:', error.message);
+  }
+
+  return [...entries.values()].sort((a, b) => a.term.localeCompare(b.term));
+}
+
+/**
+ * Build the speech normalizer with the current lexicon
+ *
+ * @returns {Function} - (text) => text as it should be spoken
+ */
+export async function loadSpeechNormalizer() {
+  return createSpeechNormalizer(await getLexicon());
+}
+
+/**
+ * Create or replace a stored entry
+ *
+ * @returns {Object} - { entry, created }
+ */
+export async function saveLexiconEntry({ term, spoken, kind, notes }) {
+  const { created, ...entry } = await PronunciationLexicon.upsert({ term, spoken, kind, notes });
+  console.log(`🗣️ ${created ? 'Added' : 'Updated'} lexicon entry "${term}" → "${spoken}"`);
+  return { entry, created };
+}
+
+/**
+ * Delete a stored entry (a built-in entry with the same term applies again)
+ * Returns null if no entry is stored for the term.
+ */
+export async function deleteLexiconEntry(term) {
+  const deleted = await PronunciationLexicon.delete(term);
+  if (deleted) {
+    console.log(`🗑️  Deleted lexicon entry "${term}"`);
+  }
+  return deleted;
+}
@@ -0,0 +1,133 @@
+/**
+ * File Market Data Provider
+ *
+ * Reads closing levels from local files in MARKET_DATA_PATH
+ * (default: <RAILWAY_VOLUME_MOUNT_PATH>/market-data):
+ *
+ * 1. <date>.json, e.g. 2025-12-01.json
+ *    { "quotes": { "SPX": { "close": 6032.45, "previousClose": 6007.1 }, "VIX": 15.2 } }
+ *    (a quote may be an object or just the closing number)
+ *
+ * 2. closes.csv, one row per symbol and date:
+ *    date,symbol,close
+ *    2025-11-28,SPX,6007.10
+ *    2025-12-01,SPX,6032.45
+ *    previousClose is taken from the symbol's latest earlier row.
+ *
+ * The JSON file wins when both exist for a date.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const CSV_FILE = 'closes.csv';
+
+/**
+ * Create a file-backed market data provider
+ *
+ * @param {Object} marketDataConfig - config.marketData
+ */
+export function createFileMarketDataProvider(marketDataConfig) {
+  const dataDir = marketDataConfig.path;
+
+  return {
+    name: 'file',
+
+    async getSnapshot(date) {
+      const fromJson = await readJsonSnapshot(dataDir, date);
+      if (fromJson) {
+        return fromJson;
+      }
+      return await readCsvSnapshot(dataDir, date);
+    },
+  };
+}
+
+/**
+ * Read <date>.json, or null if it does not exist
+ */
+async function readJsonSnapshot(dataDir, date) {
+  const filePath = path.join(dataDir, `${date}.json`);
+
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const data = JSON.parse(raw);
+  const quotes = {};
+  for (const [symbol, value] of Object.entries(data.quotes || data)) {
+    const quote = typeof value === 'number' ? { close: value } : value;
+    if (typeof quote?.close === 'number') {
+      quotes[symbol.toUpperCase()] = normalizeQuote(quote);
+    }
+  }
+
+  return { date, source: filePath, quotes };
+}
+
+/**
+ * Read the rows for a date from closes.csv, or null if none
+ */
+async function readCsvSnapshot(dataDir, date) {
+  const filePath = path.join(dataDir, CSV_FILE);
+
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const [header, ...lines] = raw.split(/\r?\n/).filter(line => line.trim());
+  const columns = header.split(',').map(c => c.trim().toLowerCase());
+  const dateIndex = columns.indexOf('date');
+  const symbolIndex = columns.indexOf('symbol');
+  const closeIndex = columns.indexOf('close');
+
+  if (dateIndex === -1 || symbolIndex === -1 || closeIndex === -1) {
+    throw new Error(`${filePath} must have date, symbol and close columns`);
+  }
+
+  // Latest close on the date, and latest close before it, per symbol
+  const current = {};
+  const previous = {};
+  for (const line of lines) {
+    const cells = line.split(',').map(c => c.trim());
+    const rowDate = cells[dateIndex];
+    const symbol = cells[symbolIndex].toUpperCase();
+    const close = parseFloat(cells[closeIndex]);
+    if (isNaN(close)) continue;
+
+    if (rowDate === date) {
+      current[symbol] = close;
+    } else if (rowDate < date && (!previous[symbol] || rowDate > previous[symbol].date)) {
+      previous[symbol] = { date: rowDate, close };
+    }
+  }
+
+  if (Object.keys(current).length === 0) {
+    return null;
+  }
+
+  const quotes = {};
+  for (const [symbol, close] of Object.entries(current)) {
+    quotes[symbol] = normalizeQuote({ close, previousClose: previous[symbol]?.close });
+  }
+
+  return { date, source: filePath, quotes };
+}
+
+/**
+ * Fill in changePct from previousClose when not given
+ */
+function normalizeQuote({ close, previousClose = null, changePct = null }) {
+  if (changePct === null && previousClose) {
+    changePct = Number((((close - previousClose) / previousClose) * 100).toFixed(2));
+  }
+  return { close, previousClose, changePct };
+}
@@ -0,0 +1,64 @@
+/**
+ * Market Data Provider Registry
+ * 
+ * Market data providers implement one method:
+ * 
+ * - getSnapshot(date) → { date, source, quotes } or null when no data exists
+ *   quotes: { SPX, NDX, DJI, VIX, US10Y, BTC } → { close, previousClose, changePct }
+ * 
+ * The provider is chosen with MARKET_DATA_PROVIDER ('file' or 'none').
+ */
+
+import { config } from '../../config.js';
+import { createFileMarketDataProvider } from './fileMarketDataProvider.js';
+
+/**
+ * Instruments covered by snapshots and the fact-check stage
+ */
+export const MARKET_SYMBOLS = {
+  SPX: { label: 'S&P 500' },
+  NDX: { label: 'Nasdaq-100' },
+  DJI: { label: 'Dow Jones Industrial Average' },
+  VIX: { label: 'VIX' },
+  US10Y: { label: '10-year Treasury yield', unit: '%' },
+  BTC: { label: 'Bitcoin', unit: '$' },
+};
+
+const PROVIDER_FACTORIES = {
+  file: createFileMarketDataProvider,
+  none: () => ({
+    name: 'none',
+    async getSnapshot() {
+      return null;
+    },
+  }),
+};
+
+let provider = null;
+
+/**
+ * Get the configured market data provider (created on first use)
+ */
+export function getMarketDataProvider() {
+  if (!provider) {
+    const factory = PROVIDER_FACTORIES[config.marketData.provider];
+    if (!factory) {
+      throw new Error(`Unknown MARKET_DATA_PROVIDER: ${config.marketData.provider} (expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    }
+    provider = factory(config.marketData);
+  }
+  return provider;
+}
+
+/**
+ * Get the market snapshot for a date, or null if unavailable
+ * Provider errors are logged and treated as missing data.
+ */
+export async function getMarketSnapshot(date) {
+  try {
+    return await getMarketDataProvider().getSnapshot(date);
+  } catch (error) {
+    console.error(`⚠️  Failed to load market data for ${date}:`, error.message);
+    return null;
+  }
+}
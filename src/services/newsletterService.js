@@ -3,83 +3,196 @@
  * 
  * Orchestrates the complete newsletter generation workflow:
  * 1. Generate content with Gemini
- * 2. Generate audio with TTS
+ * 2. Generate audio with TTS (podcast mode: write a two-host dialogue first)
  * 3. Save to database
+ * 
+ * Audio has its own audio_status: when TTS fails the text is still
+ * published, and regenerateNewsletterAudio() re-runs TTS only.
+ * 
+ * Monologue and podcast audio have their own files. Regenerating the audio
+ * in the other mode keeps the previous mode's audio in audio_variants; new
+ * content drops the variants (they read the old text).
+ * 
+ * Regenerating a day that is already published leaves the published row
+ * alone until the new version is saved; progress and failures are tracked
+ * on the generation job instead.
  */
 
 import { generateNewsletterContent } from './geminiService.js';
 import { generateNewsletterAudio } from './ttsService.js';
+import { generateDialogueScript } from './podcastScriptService.js';
+import { getMarketSnapshot } from './marketData/index.js';
+import { checkNewsletterFigures, describeFactCheckIssues } from './factCheckService.js';
+import { DEFAULT_EDITION, getEditionSessionDate } from './editions.js';
+import { AUDIO_FORMATS } from './audioEncoding.js';
+import { getAudioUrlKey } from './audioAccessService.js';
 import { Newsletter } from '../models/newsletter.js';
+import { NewsletterRevision } from '../models/newsletterRevision.js';
+import { AudioAsset } from '../models/audioAsset.js';
 import { config } from '../config.js';
-import path from 'path';
-import fs from 'fs/promises';
+import { callWithResilience, createResilienceStats } from '../utils/resilience.js';
+import { getAudioKey, getStorage } from './storage/index.js';
+
+// Audio is written as <name>.partial.<ext> and moved into place once every format is encoded
+const STAGING_SUFFIX = '.partial';
+// Retries of a failed audio_assets insert (connection errors and the like)
+const REGISTER_RETRIES = 2;
 
 /**
- * Generate complete daily newsletter (content + audio)
+ * Generate complete daily newsletter (content + fact-check + audio)
  * 
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} options
+ * @param {string} options.edition - Newsletter edition (post-close or pre-market)
+ * @param {Function} options.onStage - Called with the stage name as the pipeline progresses
+ * @param {string[]} options.watchItems - Topics the newsletter should cover
+ * @param {string} options.audioMode - 'monologue' or 'podcast' (default AUDIO_MODE)
  * @returns {Object} - Newsletter record from database
  */
-export async function generateDailyNewsletter(date) {
-  // Always use today's date for publish_date
-  const today = new Date().toISOString().split('T')[0];
-  console.log(`\n🚀 Starting newsletter generation for ${today}...`);
+export async function generateDailyNewsletter(date, { edition = DEFAULT_EDITION, onStage, watchItems = [], audioMode = config.podcast.mode } = {}) {
+  // The requested date is the publish_date, so regenerating a past day never touches today's row
+  console.log(`\n🚀 Starting ${edition} newsletter generation for ${date}...`);
+  
+  // Collects retries and circuit breaker state for the generation record
+  const stats = createResilienceStats();
+  
+  // A published newsletter stays live while its replacement is generated
+  const published = await Newsletter.getByDate(date, edition);
+  const regenerating = published?.generation_status === 'complete';
   
   try {
-    // Step 1: Update status to 'generating'
-    await Newsletter.create({
-      publish_date: today,
-      title: `Generating newsletter for ${date}...`,
-      hook: '',
-      sections: [],
-      conclusion: '',
-      sources: [],
-      generation_status: 'generating',
-    });
+    // Step 1: Update status to 'generating' (first generation only)
+    const newsletterId = regenerating
+      ? published.id
+      : (await Newsletter.create({
+        publish_date: date,
+        edition,
+        title: `Generating newsletter for ${date}...`,
+        hook: '',
+        sections: [],
+        conclusion: '',
+        sources: [],
+        generation_status: 'generating',
+      })).id;
+    if (regenerating) {
+      console.log(`ℹ️  Regenerating: the published newsletter #${published.id} stays live until the new version is saved`);
+    }
 
-    // Step 2: Generate content with Gemini
+    // Step 2: Generate content with Gemini, anchored to the session's market data
+    await onStage?.('content');
+    const snapshot = await getMarketSnapshot(getEditionSessionDate(edition, date));
+    console.log(`\n📊 Market data snapshot: ${snapshot ? Object.keys(snapshot.quotes).join(', ') : 'none'}`);
     console.log('\n📝 Step 1: Generating content with Gemini...');
-    const content = await generateNewsletterContent(date);
+    const content = await generateNewsletterContent(date, { edition, stats, snapshot, watchItems });
     
-    // Step 3: Generate audio with TTS
-    console.log('\n🎙️ Step 2: Generating audio with TTS...');
-    const audioFileName = `daily-pulse-${date}.wav`;
-    const audioPath = getAudioStoragePath(audioFileName);
+    // Step 2b: Check the figures in the content against the snapshot
+    await onStage?.('fact_check');
+    const factCheck = checkNewsletterFigures(content, snapshot);
+    console.log(`🔎 Fact-check ${factCheck.status}: ${factCheck.checks.length} figures checked, ${factCheck.issues.length} issue(s)`);
     
-    const audioResult = await generateNewsletterAudio(content, audioPath);
+    if (factCheck.status === 'blocked') {
+      const issues = describeFactCheckIssues(factCheck);
+      console.warn(`⛔ Newsletter blocked by fact-check: ${issues}`);
+      
+      // A blocked regeneration must not replace the published version
+      if (regenerating) {
+        throw new Error(`Fact-check blocked the regenerated newsletter, the published version is kept: ${issues}`);
+      }
+      
+      // Keep the content for review, but skip audio and do not publish
+      return await Newsletter.create({
+        publish_date: date,
+        edition,
+        title: content.title,
+        hook: content.hook,
+        sections: content.sections,
+        conclusion: content.conclusion,
+        sources: content.sources || [],
+        prompt_version: content.promptVersion,
+        generation_status: 'blocked',
+        audio_status: 'skipped',
+        error_message: `Fact-check blocked publishing: ${issues}`,
+        generation_stats: summarizeStats(stats),
+        fact_check: factCheck,
+      });
+    }
+    if (factCheck.status === 'flagged') {
+      console.warn(`⚠️ Fact-check flagged: ${describeFactCheckIssues(factCheck)}`);
+    }
     
-    // Step 4: Get audio URL
-    const audioUrl = getAudioPublicUrl(audioFileName);
+    // Step 2c: Podcast mode - write the two-host dialogue
+    // A failed script falls back to the monologue rather than losing the audio
+    let dialogue = null;
+    if (audioMode === 'podcast') {
+      await onStage?.('script');
+      console.log('\n🎭 Writing two-host podcast script...');
+      try {
+        dialogue = await generateDialogueScript(content, { date, stats });
+      } catch (error) {
+        console.error('⚠️  Dialogue script failed, falling back to monologue audio:', error.message);
+        stats.dialogueError = error.message;
+      }
+    }
     
-    // Step 5: Save complete newsletter to database
+    // Step 3: Generate audio with TTS
+    // A TTS failure does not hold back the text: the newsletter is published
+    // with audio_status 'failed' and the audio can be regenerated on its own
+    await onStage?.('audio');
+    console.log('\n🎙️ Step 2: Generating audio with TTS...');
+    let audio;
+    try {
+      audio = await produceNewsletterAudio(content, date, edition, { newsletterId, stats, dialogue });
+    } catch (error) {
+      console.error('⚠️  Audio failed, publishing the newsletter without it:', error.message);
+      audio = { audio_status: 'failed', audio_error: error.message };
+    }
+    
+    // Step 4: Save complete newsletter to database
+    await onStage?.('saving');
     console.log('\n💾 Step 3: Saving to database...');
     const newsletter = await Newsletter.create({
-      publish_date: today,
+      publish_date: date,
+      edition,
       title: content.title,
       hook: content.hook,
       sections: content.sections,
       conclusion: content.conclusion,
       sources: content.sources || [],
-      audio_url: audioUrl,
-      audio_duration_seconds: audioResult.durationSeconds,
+      ...audio,
+      audio_mode: dialogue ? 'podcast' : 'monologue',
+      dialogue_script: dialogue,
+      prompt_version: dialogue ? `${content.promptVersion},${dialogue.prompt_version}` : content.promptVersion,
       generation_status: 'complete',
       error_message: null,
+      generation_stats: summarizeStats(stats),
+      fact_check: factCheck,
     });
 
     console.log(`\n✅ Newsletter generation complete!`);
     console.log(`   - Content: ${content.sections.length} sections`);
     console.log(`   - Sources: ${content.sources?.length || 0} citations`);
-    console.log(`   - Audio: ${audioResult.durationSeconds}s`);
-    console.log(`   - URL: ${audioUrl}`);
+    if (audio.audio_status === 'complete') {
+      console.log(`   - Audio: ${audio.audio_duration_seconds}s (${audio.audio_formats.map(f => f.format).join(', ')})`);
+      console.log(`   - URL: ${audio.audio_url}`);
+    } else {
+      console.log(`   - Audio: failed (${audio.audio_error})`);
+    }
+    console.log(`   - Retries: ${stats.totalRetries}`);
 
     return newsletter;
 
   } catch (error) {
     console.error(`\n❌ Newsletter generation failed:`, error);
 
+    // The job records the failure; the published newsletter is left as it was
+    if (regenerating) {
+      throw error;
+    }
+
     // Save error to database
     await Newsletter.create({
-      publish_date: today,
+      publish_date: date,
+      edition,
       title: `Failed to generate newsletter for ${date}`,
       hook: '',
       sections: [],
@@ -87,6 +200,7 @@ export async function generateDailyNewsletter(date) {
       sources: [],
       generation_status: 'failed',
       error_message: error.message,
+      generation_stats: summarizeStats(stats),
     });
 
     throw error;
@@ -94,64 +208,446 @@ export async function generateDailyNewsletter(date) {
 }
 
 /**
- * Get audio storage path (Railway Volume or local)
+ * Regenerate only the audio of a published newsletter
+ * TTS reads the stored title, hook, sections and conclusion; text, sources
+ * and fact-check stay as they are. In podcast mode the stored dialogue
+ * script is reused, unless there is none or the mode changes.
+ *
+ * A failed run keeps the previous audio (if any) and records why in
+ * audio_error; the error is rethrown so the job can retry.
+ * Switching modes moves the previous mode's audio to audio_variants (a
+ * stored podcast variant's dialogue script is reused).
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} options
+ * @param {string} options.edition - Newsletter edition
+ * @param {Function} options.onStage - Called with the stage name as the pipeline progresses
+ * @param {string} options.audioMode - 'monologue' or 'podcast' (default: the newsletter's current mode)
+ * @returns {Object} - Updated newsletter record
  */
-function getAudioStoragePath(fileName) {
-  // Use Railway Volume if available, otherwise local storage
-  const storageDir = config.useS3 
-    ? '/tmp/audio'  // Temporary for S3 upload
-    : path.join(config.railwayVolumePath, 'audio');
-  
-  return path.join(storageDir, fileName);
+export async function regenerateNewsletterAudio(date, { edition = DEFAULT_EDITION, onStage, audioMode = null } = {}) {
+  const existing = await Newsletter.getByDate(date, edition);
+  if (!existing) {
+    throw new Error(`No ${edition} newsletter found for ${date}`);
+  }
+  if (existing.generation_status !== 'complete') {
+    throw new Error(`The ${edition} newsletter for ${date} is ${existing.generation_status}; only complete newsletters have audio`);
+  }
+
+  const mode = audioMode || existing.audio_mode || config.podcast.mode;
+  console.log(`\n🔁 Regenerating ${mode} audio for ${date} (${edition})...`);
+
+  const stats = createResilienceStats();
+  await Newsletter.updateAudio(existing.id, { audio_status: 'generating' });
+
+  try {
+    const content = {
+      title: existing.title,
+      hook: existing.hook,
+      sections: existing.sections,
+      conclusion: existing.conclusion,
+    };
+
+    let dialogue = null;
+    if (mode === 'podcast') {
+      dialogue = existing.audio_mode === 'podcast'
+        ? existing.dialogue_script
+        : existing.audio_variants?.podcast?.dialogue_script || null;
+      if (!dialogue) {
+        await onStage?.('script');
+        try {
+          dialogue = await generateDialogueScript(content, { date, stats });
+        } catch (error) {
+          console.error('⚠️  Dialogue script failed, falling back to monologue audio:', error.message);
+          stats.dialogueError = error.message;
+        }
+      }
+    }
+
+    await onStage?.('audio');
+    const audio = await produceNewsletterAudio(content, date, edition, { newsletterId: existing.id, stats, dialogue });
+
+    // The content prompts are unchanged; only the dialogue prompt may differ
+    const contentPromptVersion = (existing.prompt_version || '')
+      .split(',')
+      .filter(version => version && !version.startsWith('podcast_dialogue@'))
+      .join(',');
+    const { audioProcessing, ...regeneration } = summarizeStats(stats);
+
+    await onStage?.('saving');
+    const newMode = dialogue ? 'podcast' : 'monologue';
+    const newsletter = await Newsletter.updateAudio(existing.id, {
+      ...audio,
+      audio_mode: newMode,
+      dialogue_script: dialogue,
+      audio_variants: getAudioVariants(existing, newMode),
+      prompt_version: dialogue ? `${contentPromptVersion},${dialogue.prompt_version}` : contentPromptVersion,
+      generation_stats: {
+        ...existing.generation_stats,
+        ...(audioProcessing && { audioProcessing }),
+        audioRegeneration: { regeneratedAt: new Date().toISOString(), ...regeneration },
+      },
+    });
+
+    console.log(`✅ Audio regenerated: ${audio.audio_duration_seconds}s (${audio.audio_formats.map(f => f.format).join(', ')})`);
+    return newsletter;
+
+  } catch (error) {
+    console.error('❌ Audio regeneration failed:', error.message);
+    // The earlier audio stays published only if its files are still in place
+    await Newsletter.updateAudio(existing.id, {
+      audio_status: await hasPublishedAudio(existing) ? 'complete' : 'failed',
+      audio_error: `Audio regeneration failed: ${error.message}`,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Check whether a newsletter's complete audio is still in storage
+ * A file that cannot be checked counts as missing.
+ */
+async function hasPublishedAudio(newsletter) {
+  if (newsletter.audio_status !== 'complete' || !newsletter.audio_url) {
+    return false;
+  }
+  try {
+    return Boolean(await getStorage().head(getAudioUrlKey(newsletter.audio_url)));
+  } catch (error) {
+    console.error('⚠️  Failed to check the published audio:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Audio of the other modes once a newsletter's audio is replaced by audio in newMode
+ * The replaced audio is kept when it was complete and in another mode.
+ *
+ * @returns {Object|null} - audio_variants for the newsletter row
+ */
+function getAudioVariants(existing, newMode) {
+  const variants = { ...existing.audio_variants };
+  delete variants[newMode];
+
+  const previousMode = existing.audio_mode || 'monologue';
+  if (previousMode !== newMode && existing.audio_status === 'complete' && existing.audio_url) {
+    variants[previousMode] = {
+      audio_url: existing.audio_url,
+      audio_formats: existing.audio_formats,
+      audio_duration_seconds: existing.audio_duration_seconds,
+      audio_chapters: existing.audio_chapters,
+      audio_captions: existing.audio_captions,
+      ...(previousMode === 'podcast' && { dialogue_script: existing.dialogue_script }),
+    };
+  }
+
+  return Object.keys(variants).length > 0 ? variants : null;
+}
+
+/**
+ * Build the generation_stats record from the resilience stats collector
+ */
+function summarizeStats(stats) {
+  return {
+    totalRetries: stats.totalRetries,
+    calls: stats.calls,
+    breakers: stats.breakers,
+    ...(stats.dialogueError && { dialogueError: stats.dialogueError }),
+    ...(stats.audioProcessing && { audioProcessing: stats.audioProcessing }),
+  };
+}
+
+/**
+ * Generate the audio of a newsletter and publish it under the edition's file name
+ * Files are written under a staging name and only moved into place (after
+ * the previous revision's audio is archived) once TTS and encoding
+ * succeeded; staging files left by a failed run are deleted.
+ * The published files are recorded in the audio_assets registry. If a move
+ * or the registration (after retries) fails, the new files are removed, the
+ * archived revision audio is moved back, and the audio step fails like a TTS
+ * failure, so a failed run leaves the published audio untouched.
+ *
+ * @returns {Object} - Audio columns for the newsletter row (audio_status 'complete')
+ * @throws when no audio could be produced
+ */
+async function produceNewsletterAudio(content, date, edition, { newsletterId, stats, dialogue }) {
+  const audioBaseName = getAudioBaseName(date, edition, dialogue ? 'podcast' : 'monologue');
+  const stagingKey = getAudioKey(`${audioBaseName}${STAGING_SUFFIX}`);
+  const moved = new Set();
+
+  try {
+    const audioResult = await generateNewsletterAudio(content, stagingKey, { stats, dialogue });
+    if (audioResult.processing) {
+      stats.audioProcessing = audioResult.processing;
+    }
+
+    const archived = await archiveRevisionAudio(date, edition, audioBaseName);
+
+    // The first format produced is the primary one (audio_url)
+    const audioFormats = [];
+    const assets = [];
+    try {
+      for (const file of audioResult.files) {
+        const fileName = `${audioBaseName}.${AUDIO_FORMATS[file.format].extension}`;
+        await getStorage().move(file.key, getAudioKey(fileName));
+        moved.add(file.key);
+        assets.push({
+          newsletter_id: newsletterId,
+          format: file.format,
+          storage_key: getAudioKey(fileName),
+          mime_type: file.mimeType,
+          bytes: file.bytes,
+          sha256: file.sha256,
+          sample_rate: file.sampleRate,
+          bitrate_kbps: file.bitrateKbps,
+          duration_seconds: file.durationSeconds,
+        });
+        audioFormats.push({
+          format: file.format,
+          url: getAudioPublicUrl(fileName),
+          mime_type: file.mimeType,
+          bytes: file.bytes,
+          bitrate_kbps: file.bitrateKbps,
+        });
+      }
+
+      // Audio without registry rows is not published
+      await callWithResilience('audio_assets.register', () => AudioAsset.register(assets).catch(error => {
+        error.retryable = isTransientDbError(error);
+        throw error;
+      }), {
+        retries: REGISTER_RETRIES,
+        baseDelayMs: 500,
+        stats,
+      }).catch(error => {
+        throw new Error(`Failed to register audio assets: ${error.message}`);
+      });
+    } catch (error) {
+      console.error('❌ Failed to publish audio:', error.message);
+      for (const asset of assets) {
+        await getStorage().delete(asset.storage_key).catch(deleteError => {
+          console.error(`⚠️  Failed to remove unpublished audio ${asset.storage_key}:`, deleteError.message);
+        });
+      }
+      await restoreRevisionAudio(archived);
+      throw error;
+    }
+
+    return {
+      audio_url: audioFormats[0].url,
+      audio_duration_seconds: audioResult.durationSeconds,
+      audio_chapters: audioResult.chapters,
+      audio_captions: audioResult.captions,
+      audio_formats: audioFormats,
+      audio_status: 'complete',
+      audio_error: null,
+      audio_expired_at: null,
+    };
+  } finally {
+    await removeStagedAudio(stagingKey, moved);
+  }
+}
+
+/**
+ * Check whether a database error may succeed on a retry: connection
+ * failures (SQLSTATE class 08, server shutdown), deadlocks and serialization
+ * failures
+ */
+function isTransientDbError(error) {
+  const code = String(error?.code || '');
+  return code.startsWith('08')
+    || ['40001', '40P01', '57P01', '57P02', '57P03'].includes(code)
+    || /Connection terminated|timeout exceeded when trying to connect/i.test(error?.message || '');
+}
+
+/**
+ * Delete the staging files a run left behind (a format written before
+ * encoding or a move failed); moved files are skipped
+ * Failures are logged only.
+ */
+async function removeStagedAudio(stagingKey, moved) {
+  for (const { extension } of Object.values(AUDIO_FORMATS)) {
+    const key = `${stagingKey}.${extension}`;
+    if (moved.has(key)) {
+      continue;
+    }
+    try {
+      if (await getStorage().delete(key)) {
+        console.log(`🧹 Removed staged audio ${key}`);
+      }
+    } catch (error) {
+      console.error(`⚠️  Failed to remove staged audio ${key}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Get the audio file name (without extension) for a date, edition and mode
+ * The post-close edition keeps the original daily-pulse-<date> name, and
+ * podcast audio gets a -podcast suffix so it never overwrites the monologue.
+ */
+function getAudioBaseName(date, edition, mode = 'monologue') {
+  const baseName = edition === DEFAULT_EDITION
+    ? `daily-pulse-${date}`
+    : `daily-pulse-${date}-${edition}`;
+  return mode === 'podcast' ? `${baseName}-podcast` : baseName;
+}
+
+/**
+ * Move the audio of earlier revisions aside before it is overwritten
+ * Revisions that point at the published files are repointed to
+ * <name>-r<revision>.<ext>, so rolling back restores the matching audio.
+ * Failures are logged only; they must not stop the new generation.
+ *
+ * @returns {Object} - What was moved, for restoreRevisionAudio: { moves: [{ from, to }], revisions }
+ */
+async function archiveRevisionAudio(date, edition, audioBaseName) {
+  const archived = { moves: [], revisions: [] };
+  try {
+    const existing = await Newsletter.getByDate(date, edition);
+    if (!existing) {
+      return archived;
+    }
+
+    const publishedUrls = Object.values(AUDIO_FORMATS)
+      .map(({ extension }) => getAudioPublicUrl(`${audioBaseName}.${extension}`));
+    const revisions = await NewsletterRevision.findByAudioUrls(existing.id, publishedUrls);
+    if (revisions.length === 0) {
+      return archived;
+    }
+
+    const archivedBaseName = `${audioBaseName}-r${revisions[0].revision}`;
+    const renamed = new Map();
+    for (const { extension } of Object.values(AUDIO_FORMATS)) {
+      const fileName = `${audioBaseName}.${extension}`;
+      const archivedFileName = `${archivedBaseName}.${extension}`;
+      // Not moved: format not produced, or already removed by cleanup
+      if (await getStorage().move(getAudioKey(fileName), getAudioKey(archivedFileName))) {
+        archived.moves.push({ from: getAudioKey(fileName), to: getAudioKey(archivedFileName) });
+        renamed.set(getAudioPublicUrl(fileName), getAudioPublicUrl(archivedFileName));
+        await AudioAsset.moveKey(getAudioKey(fileName), getAudioKey(archivedFileName));
+      }
+    }
+
+    const audioUrl = renamed.get(revisions[0].audio_url);
+    if (!audioUrl) {
+      return archived; // Already removed by cleanup
+    }
+
+    // Revisions sharing the audio_url share the same set of files
+    const audioFormats = revisions[0].audio_formats?.map(file => ({
+      ...file,
+      url: renamed.get(file.url) || file.url,
+    })) ?? null;
+
+    await NewsletterRevision.setAudio(revisions.map(r => r.id), audioUrl, audioFormats);
+    archived.revisions = revisions;
+    console.log(`🗄️  Archived revision audio as ${archivedBaseName}.*`);
+  } catch (error) {
+    console.error('⚠️  Failed to archive revision audio:', error.message);
+  }
+  return archived;
+}
+
+/**
+ * Undo archiveRevisionAudio when the new audio could not be published: the
+ * files (and their audio_assets keys) move back under the published names
+ * and the revisions point at them again
+ * Failures are logged only.
+ */
+async function restoreRevisionAudio({ moves, revisions }) {
+  try {
+    for (const { from, to } of moves) {
+      await getStorage().move(to, from);
+      await AudioAsset.moveKey(to, from);
+    }
+    if (revisions.length > 0) {
+      await NewsletterRevision.setAudio(revisions.map(r => r.id), revisions[0].audio_url, revisions[0].audio_formats ?? null);
+    }
+    if (moves.length > 0) {
+      console.log(`↩️  Restored the published audio (${moves.length} files)`);
+    }
+  } catch (error) {
+    console.error('⚠️  Failed to restore the published audio:', error.message);
+  }
 }
 
 /**
  * Get public URL for audio file
+ * The storage backend's own URL (volume served at /audio, or S3_PUBLIC_URL);
+ * private S3 buckets go through /audio, which redirects to a presigned URL.
  */
 function getAudioPublicUrl(fileName) {
-  if (config.useS3) {
-    // TODO: Upload to S3 and return S3 URL (Phase 4)
-    return `${config.publicUrl}/audio/${fileName}`;
-  } else {
-    // Railway Volume served via static route
-    return `${config.publicUrl}/audio/${fileName}`;
-  }
+  return getStorage().getPublicUrl(getAudioKey(fileName))
+    || `${config.publicUrl}/audio/${fileName}`;
 }
 
 /**
- * Ensure audio storage directory exists
+ * Ensure audio storage is reachable (creates the volume directory)
  */
 export async function ensureAudioStorageExists() {
   try {
-    const audioDir = config.useS3
-      ? '/tmp/audio'
-      : path.join(config.railwayVolumePath, 'audio');
-    
-    await fs.mkdir(audioDir, { recursive: true });
-    console.log(`✅ Audio storage directory ready: ${audioDir}`);
+    const storage = getStorage();
+    const location = await storage.ensureReady();
+    console.log(`✅ Audio storage ready (${storage.name}): ${location}`);
   } catch (error) {
-    console.error('❌ Failed to create audio storage directory:', error);
+    console.error('❌ Audio storage is not available:', error);
     throw error;
   }
 }
 
 /**
- * Get newsletter by date (from database)
+ * Get newsletter by date and edition (from database)
+ */
+export async function getNewsletterByDate(date, edition = DEFAULT_EDITION) {
+  return await Newsletter.getByDate(date, edition);
+}
+
+/**
+ * Get newsletter by ID (from database)
+ */
+export async function getNewsletterById(id) {
+  return await Newsletter.getById(id);
+}
+
+/**
+ * Get all editions published for a date (from database)
  */
-export async function getNewsletterByDate(date) {
-  return await Newsletter.getByDate(date);
+export async function getNewsletterEditions(date) {
+  return await Newsletter.getEditionsByDate(date);
 }
 
 /**
- * Get latest newsletter (from database)
+ * Get latest newsletter, optionally of one edition (from database)
  */
-export async function getLatestNewsletter() {
-  return await Newsletter.getLatest();
+export async function getLatestNewsletter(edition = null) {
+  return await Newsletter.getLatest(edition);
+}
+
+/**
+ * Get newsletter history, optionally of one edition (from database)
+ */
+export async function getNewsletterHistory(limit = 30, edition = null) {
+  return await Newsletter.getHistory(limit, edition);
+}
+
+/**
+ * Pin (keep forever) or unpin a newsletter
+ * Returns the updated newsletter, or null if none exists for the date and edition
+ */
+export async function setNewsletterPinned(date, edition, pinned) {
+  const newsletter = await Newsletter.getByDate(date, edition);
+  if (!newsletter) {
+    return null;
+  }
+  const updated = await Newsletter.setPinned(newsletter.id, pinned);
+  console.log(`📌 ${pinned ? 'Pinned' : 'Unpinned'} ${edition} newsletter for ${date}`);
+  return updated;
 }
 
 /**
- * Get newsletter history (from database)
+ * Get the pinned newsletters (without the full content)
  */
-export async function getNewsletterHistory(limit = 30) {
-  return await Newsletter.getHistory(limit);
+export async function getPinnedNewsletters() {
+  return await Newsletter.listPinned();
 }
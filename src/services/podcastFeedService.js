@@ -0,0 +1,229 @@
+/**
+ * Podcast Feed Service
+ *
+ * Builds the RSS 2.0 podcast feed of the daily audio with iTunes and
+ * Podcasting 2.0 tags, from Newsletter.getHistory().
+ *
+ * - One episode per newsletter (date + edition); the GUID is stable, so
+ *   regenerating a day updates the episode instead of adding one
+ * - pubDate is the publish date at the edition's publish time (see
+ *   getEpisodePubDate), so regenerated and backfilled episodes keep their place
+ * - The enclosure is the first available format of ENCLOSURE_PREFERENCE;
+ *   the others are listed as podcast:alternateEnclosure
+ * - Captions are linked as podcast:transcript (WebVTT and SRT)
+ * - Episodes whose audio files were removed by cleanup are left out
+ * - Editions in AUDIO_PRIVATE_EDITIONS are never published
+ */
+
+import { Newsletter } from '../models/newsletter.js';
+import { EDITIONS } from './editions.js';
+import { getNewsletterAudioFormats, isPrivateEdition, resolveAudioFile } from './audioAccessService.js';
+import { CAPTION_FORMATS, getCaptionsPath } from './captionService.js';
+import { config } from '../config.js';
+import { formatDateOnly, getInstantInTimeZone } from '../utils/dates.js';
+
+// MP3 plays in every podcast app; Opus and WAV are alternates
+const ENCLOSURE_PREFERENCE = ['mp3', 'opus', 'wav'];
+
+/**
+ * Build the podcast feed XML
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - Public base URL of this service (for enclosure and feed links)
+ * @param {string} options.edition - Only this edition, or null for every public edition
+ * @returns {string} - RSS XML
+ */
+export async function buildPodcastFeed({ baseUrl, edition = null }) {
+  const feed = config.podcastFeed;
+  const newsletters = await Newsletter.getHistory(feed.limit, edition);
+
+  const episodes = [];
+  for (const newsletter of newsletters) {
+    if (isPrivateEdition(newsletter.edition)) {
+      continue;
+    }
+    const episode = await buildEpisode(newsletter, baseUrl);
+    if (episode) {
+      episodes.push(episode);
+    }
+  }
+
+  const feedUrl = `${baseUrl}/api/podcast/feed.xml${edition ? `?edition=${edition}` : ''}`;
+  const title = edition ? `${feed.title} (${EDITIONS[edition].label})` : feed.title;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0"',
+    '  xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"',
+    '  xmlns:podcast="https://podcastindex.org/namespace/1.0"',
+    '  xmlns:atom="http://www.w3.org/2005/Atom"',
+    '  xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '<channel>',
+    element('title', title),
+    element('link', baseUrl),
+    `<atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    element('description', feed.description),
+    element('language', feed.language),
+    element('lastBuildDate', new Date().toUTCString()),
+    element('itunes:author', feed.author),
+    element('itunes:summary', feed.description),
+    element('itunes:explicit', 'false'),
+    element('itunes:type', 'episodic'),
+    `<itunes:owner>${element('itunes:name', feed.ownerName)}${feed.ownerEmail ? element('itunes:email', feed.ownerEmail) : ''}</itunes:owner>`,
+    `<itunes:category text="${escapeXml(feed.category)}">${feed.subcategory ? `<itunes:category text="${escapeXml(feed.subcategory)}"/>` : ''}</itunes:category>`,
+    ...(feed.imageUrl
+      ? [
+        `<itunes:image href="${escapeXml(feed.imageUrl)}"/>`,
+        `<image>${element('url', feed.imageUrl)}${element('title', title)}${element('link', baseUrl)}</image>`,
+      ]
+      : []),
+    element('podcast:locked', 'no'),
+    ...episodes,
+    '</channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Podcasting 2.0 chapters document for an episode
+ *
+ * @returns {Object|null} - { version, chapters: [{ startTime, endTime, title }] }, or null without chapters
+ */
+export function buildEpisodeChapters(newsletter) {
+  if (!newsletter.audio_chapters?.length) {
+    return null;
+  }
+
+  return {
+    version: '1.2.0',
+    chapters: newsletter.audio_chapters.map(chapter => ({
+      startTime: chapter.start,
+      endTime: chapter.end,
+      title: chapter.title,
+    })),
+  };
+}
+
+/**
+ * Publish time of an episode: its publish date at the time the edition's
+ * generation cron runs (GENERATION_TIMEZONE), or the edition's publishTime
+ * when the cron has no single time of day
+ */
+export function getEpisodePubDate(date, edition) {
+  const schedule = config.generationSchedule;
+  const [minute, hour] = (schedule.cron[edition] || '').trim().split(/\s+/);
+  const time = /^\d{1,2}$/.test(minute) && /^\d{1,2}$/.test(hour)
+    ? `${hour}:${minute}`
+    : EDITIONS[edition]?.publishTime || '00:00';
+  return getInstantInTimeZone(date, time, schedule.timezone);
+}
+
+/**
+ * Build one <item>, or null if none of its audio files is left
+ */
+async function buildEpisode(newsletter, baseUrl) {
+  const available = [];
+  const formats = getNewsletterAudioFormats(newsletter)
+    .map(entry => entry.format)
+    .sort((a, b) => rank(a) - rank(b));
+
+  for (const format of formats) {
+    const audio = await resolveAudioFile(newsletter, format);
+    if (audio.status === 'ok') {
+      available.push({ ...audio, bitrateKbps: newsletter.audio_formats?.find(f => f.format === format)?.bitrate_kbps });
+    }
+  }
+
+  if (available.length === 0) {
+    return null; // Removed by cleanup
+  }
+
+  const date = formatDateOnly(newsletter.publish_date);
+  const [enclosure, ...alternates] = available;
+  const fileUrl = audio => `${baseUrl}/audio/${audio.fileName}`;
+
+  return [
+    '<item>',
+    element('title', newsletter.title),
+    element('itunes:title', newsletter.title),
+    element('description', newsletter.hook),
+    `<content:encoded><![CDATA[${buildShowNotes(newsletter)}]]></content:encoded>`,
+    element('link', `${baseUrl}/api/newsletter/${date}/${newsletter.edition}`),
+    `<guid isPermaLink="false">${escapeXml(`cyclescope-daily-pulse:${date}:${newsletter.edition}`)}</guid>`,
+    element('pubDate', getEpisodePubDate(date, newsletter.edition).toUTCString()),
+    `<enclosure url="${escapeXml(fileUrl(enclosure))}" length="${enclosure.bytes}" type="${escapeXml(enclosure.mimeType)}"/>`,
+    ...alternates.map(audio => [
+      `<podcast:alternateEnclosure type="${escapeXml(audio.mimeType)}" length="${audio.bytes}"`,
+      audio.bitrateKbps ? ` bitrate="${audio.bitrateKbps * 1000}"` : '',
+      audio.format === 'wav' ? ' title="Lossless"' : '',
+      `><podcast:source uri="${escapeXml(fileUrl(audio))}"/></podcast:alternateEnclosure>`,
+    ].join('')),
+    ...(newsletter.audio_duration_seconds ? [element('itunes:duration', formatDuration(newsletter.audio_duration_seconds))] : []),
+    ...(newsletter.audio_chapters?.length
+      ? [`<podcast:chapters url="${escapeXml(`${baseUrl}/api/podcast/episodes/${newsletter.id}/chapters.json`)}" type="application/json+chapters"/>`]
+      : []),
+    ...(newsletter.audio_captions?.length
+      ? Object.keys(CAPTION_FORMATS).map(format => [
+        `<podcast:transcript url="${escapeXml(`${baseUrl}${getCaptionsPath(date, newsletter.edition, format)}`)}"`,
+        ` type="${CAPTION_FORMATS[format].mimeType}" language="${escapeXml(config.podcastFeed.language)}"`,
+        format === 'vtt' ? ' rel="captions"' : '',
+        '/>',
+      ].join(''))
+      : []),
+    element('itunes:episodeType', 'full'),
+    element('itunes:explicit', 'false'),
+    '</item>',
+  ].join('\n');
+}
+
+/**
+ * HTML show notes: hook, sections, conclusion and sources
+ * All text is escaped, so the result never contains "]]>" and is safe in CDATA.
+ */
+function buildShowNotes(newsletter) {
+  const paragraphs = text => (text || '')
+    .split(/\n\n+/)
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeXml(paragraph)}</p>`)
+    .join('');
+  const sources = (newsletter.sources || [])
+    .map(source => (typeof source === 'string' ? { url: source, title: source } : source))
+    .filter(source => source?.url)
+    .map(source => `<li><a href="${escapeXml(source.url)}">${escapeXml(source.title || source.url)}</a></li>`);
+
+  return [
+    paragraphs(newsletter.hook),
+    ...(newsletter.sections || []).map(section => `<h3>${escapeXml(section.heading)}</h3>${paragraphs(section.content)}`),
+    paragraphs(newsletter.conclusion),
+    sources.length > 0 ? `<h3>Sources</h3><ul>${sources.join('')}</ul>` : '',
+  ].join('');
+}
+
+function rank(format) {
+  const index = ENCLOSURE_PREFERENCE.indexOf(format);
+  return index === -1 ? ENCLOSURE_PREFERENCE.length : index;
+}
+
+/**
+ * Format seconds as HH:MM:SS for itunes:duration
+ */
+function formatDuration(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+function element(name, value) {
+  return `<${name}>${escapeXml(value ?? '')}</${name}>`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,109 @@
+/**
+ * Podcast Script Service
+ *
+ * Podcast audio mode: turns the structured newsletter into a two-host
+ * conversation (podcast_dialogue prompt, structured JSON), which the TTS
+ * step renders with a multi-speaker voice configuration.
+ *
+ * The script mirrors the newsletter blocks (intro, one entry per section,
+ * outro), so chapters still line up with the newsletter.
+ */
+
+import { getProvider } from './providers/index.js';
+import { renderActivePrompt } from './promptService.js';
+import { buildPromptVariables } from './geminiService.js';
+import { config } from '../config.js';
+
+export const AUDIO_MODES = ['monologue', 'podcast'];
+
+/**
+ * Check whether an audio mode name is known
+ */
+export function isValidAudioMode(mode) {
+  return AUDIO_MODES.includes(mode);
+}
+
+/**
+ * Write the two-host dialogue for a newsletter
+ *
+ * @param {Object} newsletter - { title, hook, sections, conclusion }
+ * @param {Object} options
+ * @param {string} options.date - Newsletter date (YYYY-MM-DD)
+ * @param {Object} options.stats - Resilience stats collector (records retries)
+ * @returns {Object} - { hosts: [{ name, voice }], intro, sections: [{ heading, turns }], outro, prompt_version }
+ *   where intro, outro and turns are [{ speaker, text }]
+ */
+export async function generateDialogueScript(newsletter, { date, stats } = {}) {
+  const hosts = config.podcast.hosts;
+  const hostNames = hosts.map(host => host.name);
+
+  const prompt = await renderActivePrompt(
+    'podcast_dialogue',
+    buildPromptVariables('podcast_dialogue', date, { newsletter })
+  );
+  console.log(`🧾 Using prompt ${prompt.version}`);
+
+  const turnSchema = {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        speaker: { type: 'string', enum: hostNames },
+        text: { type: 'string', description: 'What the host says, written to be read aloud' },
+      },
+      required: ['speaker', 'text'],
+    },
+  };
+
+  const script = await getProvider().generateStructuredJson({
+    prompt: prompt.text,
+    stats,
+    schema: {
+      type: 'object',
+      properties: {
+        intro: { ...turnSchema, description: 'Welcome and tease of the main theme' },
+        sections: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              heading: { type: 'string' },
+              turns: turnSchema,
+            },
+            required: ['heading', 'turns'],
+          },
+        },
+        outro: { ...turnSchema, description: 'Wrap-up and sign-off' },
+      },
+      required: ['intro', 'sections', 'outro'],
+    },
+  });
+
+  const dialogue = {
+    hosts: hosts.map(({ name, voice }) => ({ name, voice })),
+    intro: cleanTurns(script.intro, hostNames),
+    sections: (script.sections || [])
+      .map(section => ({ heading: section.heading || '', turns: cleanTurns(section.turns, hostNames) }))
+      .filter(section => section.turns.length > 0),
+    outro: cleanTurns(script.outro, hostNames),
+    prompt_version: prompt.version,
+  };
+
+  const turnCount = dialogue.intro.length + dialogue.outro.length
+    + dialogue.sections.reduce((sum, section) => sum + section.turns.length, 0);
+  if (turnCount === 0) {
+    throw new Error('Dialogue script contained no usable turns');
+  }
+
+  console.log(`🎭 Dialogue script: ${dialogue.sections.length} sections, ${turnCount} turns`);
+  return dialogue;
+}
+
+/**
+ * Keep turns spoken by a known host with non-empty text
+ */
+function cleanTurns(turns, hostNames) {
+  return (turns || [])
+    .filter(turn => hostNames.includes(turn?.speaker) && turn.text?.trim())
+    .map(turn => ({ speaker: turn.speaker, text: turn.text.trim() }));
+}
@@ -0,0 +1,133 @@
+/**
+ * Prompt Service
+ *
+ * Loads and renders versioned prompt templates.
+ *
+ * - Templates are stored in prompt_templates with an incrementing version
+ * - One version per template is active; without one, the built-in
+ *   default from prompts/defaultTemplates.js is used (version "builtin")
+ * - Variables use {{name}} placeholders
+ */
+
+import { PromptTemplate } from '../models/promptTemplate.js';
+import { DEFAULT_PROMPT_TEMPLATES } from '../prompts/defaultTemplates.js';
+
+export const PROMPT_TEMPLATE_NAMES = Object.keys(DEFAULT_PROMPT_TEMPLATES);
+
+const BUILTIN_VERSION = 'builtin';
+
+/**
+ * Check whether a template name is known
+ */
+export function isKnownTemplate(name) {
+  return PROMPT_TEMPLATE_NAMES.includes(name);
+}
+
+/**
+ * Get the template used for generation
+ * Falls back to the built-in default if none is active or the database is unavailable.
+ *
+ * @returns {Object} - { name, version, body, source }
+ */
+export async function getActiveTemplate(name) {
+  try {
+    const active = await PromptTemplate.getActive(name);
+    if (active) {
+      return { name, version: active.version, body: active.body, source: 'database' };
+    }
+  } catch (error) {
+    console.error(`⚠️  Failed to load prompt template "${name}", using built-in:`, error.message);
+  }
+
+  return { name, version: BUILTIN_VERSION, body: DEFAULT_PROMPT_TEMPLATES[name], source: 'builtin' };
+}
+
+/**
+ * Render the active template with variables
+ *
+ * @returns {Object} - { text, version } where version is "<name>@<version>"
+ */
+export async function renderActivePrompt(name, variables) {
+  const template = await getActiveTemplate(name);
+  const { text, missing } = renderTemplate(template.body, variables);
+
+  if (missing.length > 0) {
+    console.warn(`⚠️  Prompt "${name}@${template.version}" uses unknown variables: ${missing.join(', ')}`);
+  }
+
+  return { text, version: `${name}@${template.version}` };
+}
+
+/**
+ * Replace {{variable}} placeholders
+ * Unknown variables render as empty strings and are reported in `missing`.
+ *
+ * @returns {Object} - { text, missing }
+ */
+export function renderTemplate(body, variables) {
+  const missing = new Set();
+
+  const text = body.replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (_, key) => {
+    if (variables[key] === undefined || variables[key] === null) {
+      missing.add(key);
+      return '';
+    }
+    return String(variables[key]);
+  });
+
+  return { text, missing: [...missing] };
+}
+
+/**
+ * Get a template version, including the built-in one
+ */
+export async function getTemplateVersion(name, version) {
+  if (version === BUILTIN_VERSION) {
+    return { name, version: BUILTIN_VERSION, body: DEFAULT_PROMPT_TEMPLATES[name], is_active: false, source: 'builtin' };
+  }
+  if (isNaN(parseInt(version))) {
+    return null;
+  }
+  const row = await PromptTemplate.getVersion(name, parseInt(version));
+  return row ? { ...row, source: 'database' } : null;
+}
+
+/**
+ * List versions of a template, with the active one marked
+ */
+export async function listTemplateVersions(name) {
+  const versions = await PromptTemplate.listVersions(name);
+  return {
+    name,
+    activeVersion: versions.find(v => v.is_active)?.version ?? BUILTIN_VERSION,
+    versions,
+  };
+}
+
+/**
+ * Create a new (inactive) version of a template
+ */
+export async function createTemplateVersion(name, body, description) {
+  const created = await PromptTemplate.createVersion(name, body, description);
+  console.log(`📝 Created prompt template ${name}@${created.version}`);
+  return created;
+}
+
+/**
+ * Activate a template version
+ * Activating "builtin" deactivates all stored versions.
+ * Returns null if the version does not exist.
+ */
+export async function activateTemplateVersion(name, version) {
+  if (version === BUILTIN_VERSION) {
+    await PromptTemplate.deactivateAll(name);
+    console.log(`✅ Activated built-in prompt template for ${name}`);
+    return getTemplateVersion(name, BUILTIN_VERSION);
+  }
+
+  const activated = await PromptTemplate.activate(name, parseInt(version));
+  if (activated) {
+    console.log(`✅ Activated prompt template ${name}@${activated.version}`);
+  }
+  return activated;
+}
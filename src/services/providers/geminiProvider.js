@@ -0,0 +1,160 @@
+/**
+ * Gemini Provider
+ *
+ * Implements the LLM provider interface with the @google/genai SDK:
+ * - Grounded text uses the Google Search tool
+ * - Structured JSON uses JSON mode with a response schema
+ * - Speech uses the Gemini TTS model (raw 24kHz 16-bit mono PCM), with one
+ *   voice or a two-speaker configuration for dialogue
+ *
+ * Each call tries the primary model first, then the configured fallback models.
+ */
+
+import { GoogleGenAI } from '@google/genai';
+import { config } from '../../config.js';
+
+/**
+ * Create a Gemini provider
+ *
+ * @param {Object} llmConfig - config.llm
+ */
+export function createGeminiProvider(llmConfig) {
+  const genai = new GoogleGenAI({ apiKey: config.geminiApiKey });
+  const textModels = [llmConfig.textModel, ...llmConfig.textFallbackModels];
+  const ttsModels = [llmConfig.ttsModel, ...llmConfig.ttsFallbackModels];
+  const generationConfig = llmConfig.temperature !== undefined
+    ? { temperature: llmConfig.temperature }
+    : {};
+
+  return {
+    name: 'gemini',
+
+    async generateText({ prompt, signal }) {
+      const result = await withModelFallback(textModels, model =>
+        genai.models.generateContent({
+          model,
+          contents: prompt,
+          config: { ...generationConfig, abortSignal: signal },
+        })
+      );
+      return { text: result.text };
+    },
+
+    async generateGroundedText({ prompt, signal }) {
+      const result = await withModelFallback(textModels, model =>
+        genai.models.generateContent({
+          model,
+          contents: prompt,
+          config: {
+            ...generationConfig,
+            abortSignal: signal,
+            tools: [{
+              googleSearch: {}
+            }]
+          }
+        })
+      );
+
+      // Extract grounding metadata sources
+      const sources = result.candidates?.[0]?.groundingMetadata?.groundingChunks
+        ?.map(chunk => ({
+          url: chunk.web?.uri,
+          title: chunk.web?.title
+        }))
+        .filter(source => source.url) || [];
+
+      return { text: result.text, sources };
+    },
+
+    async generateStructuredJson({ prompt, schema, signal }) {
+      const result = await withModelFallback(textModels, model =>
+        genai.models.generateContent({
+          model,
+          contents: prompt,
+          config: {
+            ...generationConfig,
+            abortSignal: signal,
+            responseMimeType: 'application/json',
+            responseSchema: schema,
+          }
+        })
+      );
+      return JSON.parse(result.text);
+    },
+
+    async synthesizeSpeech({ text, voice = llmConfig.ttsVoice, speakers = null, signal }) {
+      const speechConfig = speakers?.length
+        ? {
+          multiSpeakerVoiceConfig: {
+            speakerVoiceConfigs: speakers.map(({ speaker, voice: speakerVoice }) => ({
+              speaker,
+              voiceConfig: {
+                prebuiltVoiceConfig: {
+                  voiceName: speakerVoice,
+                }
+              }
+            }))
+          }
+        }
+        : {
+          voiceConfig: {
+            prebuiltVoiceConfig: {
+              voiceName: voice,
+            }
+          }
+        };
+
+      const response = await withModelFallback(ttsModels, model =>
+        genai.models.generateContent({
+          model,
+          contents: text,
+          config: {
+            abortSignal: signal,
+            responseModalities: ['AUDIO'],
+            speechConfig,
+          },
+        })
+      );
+
+      // Extract audio data from response (raw PCM data, not WAV)
+      const audioData = response.candidates?.[0]?.content?.parts?.find(part => part.inlineData)?.inlineData?.data;
+      if (!audioData) {
+        // The model occasionally answers without audio; a retry usually succeeds
+        const error = new Error('TTS response contained no audio data');
+        error.retryable = true;
+        throw error;
+      }
+
+      return {
+        pcm: Buffer.from(audioData, 'base64'),
+        sampleRate: 24000,
+        channels: 1,
+        bitsPerSample: 16,
+      };
+    },
+  };
+}
+
+/**
+ * Run a request against each model in order until one succeeds
+ * An aborted request (timeout) is not retried on the fallback models.
+ */
+async function withModelFallback(models, request) {
+  let lastError;
+
+  for (const model of models) {
+    try {
+      return await request(model);
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        throw error;
+      }
+      lastError = error;
+      if (models.length > 1) {
+        console.warn(`⚠️  Model ${model} failed: ${error.message}`);
+      }
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,91 @@
+/**
+ * LLM Provider Registry
+ * 
+ * Every provider implements the same interface, so services never talk
+ * to a vendor SDK directly:
+ * 
+ * - generateText({ prompt, signal }) → { text }
+ * - generateGroundedText({ prompt, signal }) → { text, sources: [{ url, title }] }
+ * - generateStructuredJson({ prompt, schema, signal }) → parsed object
+ * - synthesizeSpeech({ text, voice, speakers, signal }) → { pcm: Buffer, sampleRate, channels, bitsPerSample }
+ *   (speakers: [{ speaker, voice }] for a "Speaker: line" dialogue instead of one voice)
+ * 
+ * The provider is chosen with LLM_PROVIDER ('gemini' or 'mock') and wrapped
+ * with retries, timeouts and circuit breakers (see utils/resilience.js).
+ * Callers may pass `stats` (from createResilienceStats) to record attempts.
+ */
+
+import { config } from '../../config.js';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { CircuitBreaker, callWithResilience } from '../../utils/resilience.js';
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider,
+};
+
+let provider = null;
+
+/**
+ * Get the configured provider (created on first use)
+ */
+export function getProvider() {
+  if (!provider) {
+    const factory = PROVIDER_FACTORIES[config.llm.provider];
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER: ${config.llm.provider} (expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    }
+    provider = withResilience(factory(config.llm));
+    console.log(`🤖 LLM provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+/**
+ * Get the state of the provider's circuit breakers
+ */
+export function getProviderHealth() {
+  return provider ? provider.getBreakerStates() : null;
+}
+
+/**
+ * Wrap each provider method with retries, timeout and a circuit breaker
+ * Text calls share one breaker and speech calls another, so a TTS outage
+ * does not block content generation.
+ */
+function withResilience(rawProvider) {
+  const settings = config.resilience;
+  const breakerOptions = {
+    failureThreshold: settings.breakerFailureThreshold,
+    resetTimeoutMs: settings.breakerResetMs,
+  };
+  const textBreaker = new CircuitBreaker(`${rawProvider.name}-text`, breakerOptions);
+  const speechBreaker = new CircuitBreaker(`${rawProvider.name}-speech`, breakerOptions);
+
+  const wrap = (method, breaker, timeoutMs) => ({ stats, ...args } = {}) =>
+    callWithResilience(
+      method,
+      ({ signal }) => rawProvider[method]({ ...args, signal }),
+      {
+        retries: settings.maxRetries,
+        baseDelayMs: settings.baseDelayMs,
+        maxDelayMs: settings.maxDelayMs,
+        timeoutMs,
+        breaker,
+        stats,
+      }
+    );
+
+  return {
+    name: rawProvider.name,
+    generateText: wrap('generateText', textBreaker, settings.textTimeoutMs),
+    generateGroundedText: wrap('generateGroundedText', textBreaker, settings.textTimeoutMs),
+    generateStructuredJson: wrap('generateStructuredJson', textBreaker, settings.textTimeoutMs),
+    synthesizeSpeech: wrap('synthesizeSpeech', speechBreaker, settings.speechTimeoutMs),
+    getBreakerStates: () => ({
+      text: textBreaker.getState(),
+      speech: speechBreaker.getState(),
+    }),
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic, offline implementation of the LLM provider interface.
+ * The same input always produces the same output, so the whole pipeline
+ * (content → JSON → audio → database) runs without network or API key.
+ *
+ * - Text is assembled from the prompt (date, fixed market narrative)
+ * - Structured JSON is generated by walking the response schema
+ * - Speech is a tone per word at ~150 words per minute (pitch varies by voice)
+ */
+
+const SAMPLE_RATE = 24000;
+const SECONDS_PER_WORD = 0.4; // ~150 words per minute
+
+const MOCK_SENTENCES = [
+  'Stocks drifted higher as investors weighed fresh inflation data against a steady Federal Reserve.',
+  'The S&P 500 added 0.4% while the Nasdaq Composite gained 0.6% on strength in semiconductors.',
+  'Treasury yields eased, with the 10-year note slipping to 4.2% as bond buyers returned.',
+  'Volatility stayed contained, keeping the VIX near 15 for most of the session.',
+  'Bitcoin traded sideways, holding its recent range as crypto flows cooled.',
+  'Earnings season kept single-stock moves lively, with guidance driving the biggest swings.',
+  'Options positioning suggests dealers are long gamma, which tends to dampen intraday moves.',
+  'Looking ahead, traders will watch jobs data and Fed speakers for the next catalyst.',
+];
+
+/**
+ * Create a mock provider
+ *
+ * @param {Object} llmConfig - config.llm
+ */
+export function createMockProvider(llmConfig) {
+  return {
+    name: 'mock',
+
+    async generateText({ prompt }) {
+      return { text: `Mock response (${hash(prompt).toString(16)}): ${pick(MOCK_SENTENCES, hash(prompt))}` };
+    },
+
+    async generateGroundedText({ prompt }) {
+      const date = prompt.match(/\d{4}-\d{2}-\d{2}/)?.[0] || '1970-01-01';
+      const seed = hash(prompt);
+      const paragraphs = [
+        `Is the market catching its breath? Here is your Daily Market Pulse for ${date}.`,
+        ...rotate(MOCK_SENTENCES, seed),
+        'Stay sharp, stay curious, and check back tomorrow for the next Pulse!',
+      ];
+
+      return {
+        text: paragraphs.join('\n\n'),
+        sources: [
+          { url: `https://example.com/mock/markets/${date}`, title: `Mock market wrap for ${date}` },
+          { url: `https://example.com/mock/rates/${date}`, title: `Mock rates update for ${date}` },
+        ],
+      };
+    },
+
+    async generateStructuredJson({ prompt, schema }) {
+      return fromSchema(schema, { seed: hash(prompt), path: 'root' });
+    },
+
+    async synthesizeSpeech({ text, voice = llmConfig.ttsVoice, speakers = null }) {
+      const words = toVoicedWords(text, voice, speakers);
+      const samplesPerWord = Math.round(SECONDS_PER_WORD * SAMPLE_RATE);
+      const pcm = Buffer.alloc(words.length * samplesPerWord * 2);
+
+      words.forEach(({ word, voice: wordVoice }, wordIndex) => {
+        // Tone for 75% of the word, silence for the rest
+        const frequency = 120 + (hash(wordVoice || '') % 60) + (hash(word) % 120);
+        const toneSamples = Math.round(samplesPerWord * 0.75);
+        for (let i = 0; i < toneSamples; i++) {
+          const sample = Math.round(Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) * 6000);
+          pcm.writeInt16LE(sample, (wordIndex * samplesPerWord + i) * 2);
+        }
+      });
+
+      return {
+        pcm,
+        sampleRate: SAMPLE_RATE,
+        channels: 1,
+        bitsPerSample: 16,
+      };
+    },
+  };
+}
+
+/**
+ * Split text into words, each with the voice that reads it
+ * With speakers, a "Name: " line prefix switches to that speaker's voice.
+ */
+function toVoicedWords(text, voice, speakers) {
+  const voices = new Map((speakers || []).map(({ speaker, voice: speakerVoice }) => [speaker, speakerVoice]));
+  const words = [];
+  let currentVoice = voices.size > 0 ? voices.values().next().value : voice;
+
+  for (const line of text.split('\n')) {
+    const speaker = line.match(/^\s*([^:]+):\s/)?.[1];
+    if (voices.has(speaker)) {
+      currentVoice = voices.get(speaker);
+    }
+    for (const word of line.split(/\s+/).filter(Boolean)) {
+      words.push({ word, voice: currentVoice });
+    }
+  }
+
+  return words;
+}
+
+/**
+ * Build a value matching a (Gemini/OpenAPI-style) JSON schema
+ */
+function fromSchema(schema, { seed, path }) {
+  switch (schema?.type) {
+    case 'object': {
+      const result = {};
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        result[key] = fromSchema(propertySchema, { seed: seed + hash(key), path: key });
+      }
+      return result;
+    }
+    case 'array':
+      return [0, 1, 2].map(index =>
+        fromSchema(schema.items, { seed: seed + index, path: `${path} ${index + 1}` })
+      );
+    case 'number':
+    case 'integer':
+      return seed % 100;
+    case 'boolean':
+      return seed % 2 === 0;
+    case 'string':
+    default:
+      if (schema?.enum?.length) {
+        return pick(schema.enum, seed);
+      }
+      return `${capitalize(path)}: ${pick(MOCK_SENTENCES, seed)}`;
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash, used as a deterministic seed
+ */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function pick(items, seed) {
+  return items[seed % items.length];
+}
+
+function rotate(items, seed) {
+  const offset = seed % items.length;
+  return [...items.slice(offset), ...items.slice(0, offset)];
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,209 @@
+/**
+ * Retention Policy Service
+ *
+ * Decides how long audio files and newsletter records are kept, in days
+ * after the newsletter's publish_date (null keeps them forever):
+ *
+ * - Config: AUDIO_RETENTION_DAYS / NEWSLETTER_RETENTION_DAYS, plus overrides
+ *   per edition, per audio format or per edition and format
+ *   (AUDIO_RETENTION_OVERRIDES / NEWSLETTER_RETENTION_OVERRIDES)
+ * - Rules in retention_rules override the config rule with the same scope
+ *   or add new ones; if the database is unavailable, the config is used
+ * - The most specific rule wins: edition and format, then format, then
+ *   edition, then the default
+ *
+ * Pinned newsletters are never cleaned up, whatever the policy says.
+ */
+
+import { config } from '../config.js';
+import { RetentionRule } from '../models/retentionRule.js';
+import { AUDIO_FORMAT_NAMES, isValidAudioFormat } from './audioEncoding.js';
+import { EDITION_NAMES, isValidEdition } from './editions.js';
+
+export const RETENTION_TYPES = ['audio', 'newsletter'];
+
+// Upper bound for a stored rule (100 years)
+export const MAX_RETENTION_DAYS = 36500;
+
+/**
+ * Check whether a retention data type is known
+ */
+export function isValidRetentionType(type) {
+  return RETENTION_TYPES.includes(type);
+}
+
+/**
+ * Get the effective rules: configured rules merged with stored ones
+ *
+ * @returns {Array<{ data_type, edition, format, days, source, ... }>} - source is 'config' or 'database'
+ */
+export async function getRetentionRules() {
+  const rules = new Map(getConfiguredRules().map(rule => [getScopeKey(rule), rule]));
+
+  try {
+    for (const row of await RetentionRule.list()) {
+      const key = getScopeKey(row);
+      rules.set(key, {
+        id: row.id,
+        data_type: row.data_type,
+        edition: row.edition,
+        format: row.format,
+        days: row.days,
+        notes: row.notes,
+        source: 'database',
+        overrides_config: rules.has(key),
+        updated_at: row.updated_at,
+      });
+    }
+  } catch (error) {
+    console.error('⚠️  Failed to load retention rules, using config:', error.message);
+  }
+
+  return [...rules.values()].sort((a, b) => getSpecificity(a) - getSpecificity(b) || getScopeKey(a).localeCompare(getScopeKey(b)));
+}
+
+/**
+ * Get the retention period that applies to a newsletter's data
+ *
+ * @param {Array} rules - From getRetentionRules()
+ * @param {string} dataType - 'audio' or 'newsletter'
+ * @param {Object} scope - { edition, format } (format: audio only)
+ * @returns {number|null} - Days, or null to keep forever
+ */
+export function getRetentionDays(rules, dataType, { edition = null, format = null } = {}) {
+  const matches = rules
+    .filter(rule => rule.data_type === dataType)
+    .filter(rule => (rule.edition === null || rule.edition === edition) && (rule.format === null || rule.format === format))
+    .sort((a, b) => getSpecificity(b) - getSpecificity(a));
+  return matches.length > 0 ? matches[0].days : null;
+}
+
+/**
+ * Get the cutoff date (YYYY-MM-DD) for a retention period
+ * Data published before the cutoff is removed; null for "forever".
+ */
+export function getCutoffDate(days) {
+  if (days === null) {
+    return null;
+  }
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - days);
+  return cutoffDate.toISOString().split('T')[0];
+}
+
+/**
+ * Get the effective policy: the rules, plus the resulting days and cutoff
+ * dates for every edition (and audio format)
+ *
+ * @returns {Object} - { rules, audio: { <edition>: { <format>: { days, cutoff_date } } },
+ *   newsletter: { <edition>: { days, cutoff_date } } }
+ */
+export async function getRetentionPolicy() {
+  const rules = await getRetentionRules();
+  const describe = days => ({ days, cutoff_date: getCutoffDate(days) });
+
+  return {
+    rules,
+    audio: Object.fromEntries(EDITION_NAMES.map(edition => [
+      edition,
+      Object.fromEntries(AUDIO_FORMAT_NAMES.map(format => [
+        format,
+        describe(getRetentionDays(rules, 'audio', { edition, format })),
+      ])),
+    ])),
+    newsletter: Object.fromEntries(EDITION_NAMES.map(edition => [
+      edition,
+      describe(getRetentionDays(rules, 'newsletter', { edition })),
+    ])),
+  };
+}
+
+/**
+ * Create or replace a stored rule
+ *
+ * @returns {Object} - { rule, created }
+ */
+export async function saveRetentionRule({ dataType, edition = null, format = null, days, notes = null }) {
+  const { created, ...rule } = await RetentionRule.upsert({ data_type: dataType, edition, format, days, notes });
+  console.log(`🗓️  ${created ? 'Added' : 'Updated'} retention rule ${describeScope(rule)}: ${days === null ? 'forever' : `${days} days`}`);
+  return { rule, created };
+}
+
+/**
+ * Delete a stored rule (a configured rule with the same scope applies again)
+ * Returns null if no rule is stored for the scope.
+ */
+export async function deleteRetentionRule({ dataType, edition = null, format = null }) {
+  const deleted = await RetentionRule.delete({ data_type: dataType, edition, format });
+  if (deleted) {
+    console.log(`🗑️  Deleted retention rule ${describeScope(deleted)}`);
+  }
+  return deleted;
+}
+
+// Configured rules, parsed once (the config does not change at runtime)
+let configuredRules = null;
+
+/**
+ * Build the configured rules (defaults and overrides)
+ */
+function getConfiguredRules() {
+  if (!configuredRules) {
+    const { retention } = config;
+    configuredRules = [
+      { data_type: 'audio', edition: null, format: null, days: retention.audioDays, source: 'config' },
+      { data_type: 'newsletter', edition: null, format: null, days: retention.newsletterDays, source: 'config' },
+      ...parseOverrides('audio', retention.audioOverrides),
+      ...parseOverrides('newsletter', retention.newsletterOverrides),
+    ];
+  }
+  return configuredRules;
+}
+
+/**
+ * Parse "<edition>=<days>", "<format>=<days>" or "<edition>:<format>=<days>"
+ * entries (days may be 'forever'); invalid entries are skipped with a warning
+ */
+export function parseOverrides(dataType, entries) {
+  const rules = [];
+  for (const entry of entries) {
+    const match = entry.match(/^([\w-]+)(?::([\w-]+))?=(\d+|forever)$/i);
+    let edition = null;
+    let format = null;
+    if (match) {
+      const [, first, second] = match;
+      if (second) {
+        edition = first;
+        format = second;
+      } else if (isValidAudioFormat(first)) {
+        format = first;
+      } else {
+        edition = first;
+      }
+    }
+
+    const valid = match
+      && (edition === null || isValidEdition(edition))
+      && (format === null || (dataType === 'audio' && isValidAudioFormat(format)));
+    if (!valid) {
+      console.warn(`⚠️  Ignoring invalid ${dataType} retention override "${entry}"`);
+      continue;
+    }
+
+    const days = match[3].toLowerCase() === 'forever' ? null : parseInt(match[3]);
+    rules.push({ data_type: dataType, edition, format, days, source: 'config' });
+  }
+  return rules;
+}
+
+function getScopeKey(rule) {
+  return `${rule.data_type}:${rule.edition || '*'}:${rule.format || '*'}`;
+}
+
+function getSpecificity(rule) {
+  return (rule.edition ? 1 : 0) + (rule.format ? 2 : 0);
+}
+
+function describeScope(rule) {
+  return `${rule.data_type} (${rule.edition || 'all editions'}${rule.data_type === 'audio' ? `, ${rule.format || 'all formats'}` : ''})`;
+}
@@ -0,0 +1,165 @@
+/**
+ * Revision Service
+ *
+ * Every complete or blocked version of a newsletter is kept in
+ * newsletter_revisions. This service lists them, diffs two of them and
+ * rolls the published newsletter back to an earlier one.
+ */
+
+import { Newsletter } from '../models/newsletter.js';
+import { NewsletterRevision } from '../models/newsletterRevision.js';
+
+/**
+ * Scalar fields compared by the diff
+ */
+const DIFF_FIELDS = [
+  'title', 'hook', 'conclusion', 'generation_status', 'prompt_version',
+  'audio_url', 'audio_duration_seconds', 'audio_mode', 'audio_status', 'audio_error',
+];
+
+/**
+ * List revisions for a date and edition (newest first)
+ */
+export async function listRevisions(date, edition) {
+  return await NewsletterRevision.listByDate(date, edition);
+}
+
+/**
+ * Get one full revision
+ */
+export async function getRevision(date, edition, revision) {
+  return await NewsletterRevision.getRevision(date, edition, revision);
+}
+
+/**
+ * Compare two revisions of a newsletter
+ *
+ * @returns {Object|null} - Structured diff, or null if either revision is missing
+ */
+export async function diffRevisionNumbers(date, edition, fromRevision, toRevision) {
+  const [from, to] = await Promise.all([
+    NewsletterRevision.getRevision(date, edition, fromRevision),
+    NewsletterRevision.getRevision(date, edition, toRevision),
+  ]);
+
+  if (!from || !to) {
+    return null;
+  }
+
+  return diffRevisions(from, to);
+}
+
+/**
+ * Build a structured diff between two revision rows
+ * - fields: changed scalar fields with both values
+ * - sections: matched by heading; added, removed, changed or moved
+ * - sources: added and removed URLs
+ * - fact_check: status before and after
+ */
+export function diffRevisions(from, to) {
+  const fields = DIFF_FIELDS
+    .filter(field => (from[field] ?? null) !== (to[field] ?? null))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+  const sections = diffSections(from.sections || [], to.sections || []);
+  const sources = diffSources(from.sources || [], to.sources || []);
+
+  const factCheck = {
+    from: from.fact_check?.status || null,
+    to: to.fact_check?.status || null,
+  };
+
+  return {
+    from: describeRevision(from),
+    to: describeRevision(to),
+    changed: fields.length > 0
+      || sections.length > 0
+      || sources.added.length > 0
+      || sources.removed.length > 0
+      || factCheck.from !== factCheck.to,
+    fields,
+    sections,
+    sources,
+    fact_check: factCheck,
+  };
+}
+
+/**
+ * Publish an earlier revision again
+ *
+ * @returns {Object|null} - { newsletter, revision }, or null if the revision does not exist
+ */
+export async function rollbackToRevision(date, edition, revisionNumber) {
+  const revision = await NewsletterRevision.getRevision(date, edition, revisionNumber);
+  if (!revision) {
+    return null;
+  }
+
+  const result = await Newsletter.restoreRevision(revision);
+  console.log(`⏪ Rolled back ${edition} newsletter for ${date} to revision ${revisionNumber} (now revision ${result.revision.revision})`);
+
+  return result;
+}
+
+/**
+ * Match sections by heading and report what changed
+ */
+function diffSections(fromSections, toSections) {
+  const changes = [];
+  const key = section => (section.heading || '').trim().toLowerCase();
+  const unmatched = new Map(toSections.map((section, index) => [index, section]));
+
+  fromSections.forEach((section, fromIndex) => {
+    const match = [...unmatched.entries()].find(([, candidate]) => key(candidate) === key(section));
+
+    if (!match) {
+      changes.push({ change: 'removed', heading: section.heading, fromIndex, from: section.content });
+      return;
+    }
+
+    const [toIndex, candidate] = match;
+    unmatched.delete(toIndex);
+
+    if (candidate.content !== section.content) {
+      changes.push({
+        change: 'changed',
+        heading: candidate.heading,
+        fromIndex,
+        toIndex,
+        from: section.content,
+        to: candidate.content,
+      });
+    } else if (fromIndex !== toIndex) {
+      changes.push({ change: 'moved', heading: candidate.heading, fromIndex, toIndex });
+    }
+  });
+
+  for (const [toIndex, section] of unmatched) {
+    changes.push({ change: 'added', heading: section.heading, toIndex, to: section.content });
+  }
+
+  return changes;
+}
+
+/**
+ * Compare source lists by URL (sources may be objects or plain URLs)
+ */
+function diffSources(fromSources, toSources) {
+  const url = source => (typeof source === 'string' ? source : source?.url);
+  const fromUrls = new Set(fromSources.map(url));
+  const toUrls = new Set(toSources.map(url));
+
+  return {
+    added: toSources.filter(source => !fromUrls.has(url(source))),
+    removed: fromSources.filter(source => !toUrls.has(url(source))),
+  };
+}
+
+function describeRevision(revision) {
+  return {
+    revision: revision.revision,
+    source: revision.source,
+    restored_from: revision.restored_from,
+    created_at: revision.created_at,
+  };
+}
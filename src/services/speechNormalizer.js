@@ -0,0 +1,255 @@
+/**
+ * Speech Normalizer
+ *
+ * Rewrites newsletter text so TTS reads it the same way every day:
+ *
+ * - Markdown (emphasis, links, headings, list markers) and bare URLs are removed
+ * - Lexicon entries are replaced by their spoken form (see lexiconService.js);
+ *   "$NVDA" and "NVDA" both use a ticker entry, unknown cashtags are spelled out
+ * - Dates, quarters, tenors ("10Y"), percentages, percentage points, basis
+ *   points, currency, multiples, ordinals, years and plain numbers become words
+ *
+ * Times ("4:00") and fractions ("1/2") are left as they are.
+ */
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+const ORDINAL_WORDS = {
+  one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth',
+};
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+const CURRENCY_SCALES = {
+  k: 'thousand', thousand: 'thousand',
+  m: 'million', mn: 'million', million: 'million',
+  b: 'billion', bn: 'billion', billion: 'billion',
+  t: 'trillion', tn: 'trillion', trillion: 'trillion',
+};
+
+// A number with optional thousands separators and decimals
+const NUMBER = String.raw`\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?`;
+// A leading sign only counts at the start of a word ("-2.3%", not "2-3")
+const SIGN = String.raw`(?:(?<=^|[\s(])([+\-−]))?`;
+
+/**
+ * Build a normalizer for a lexicon
+ *
+ * @param {Array<{ term, spoken, kind }>} lexicon - kind 'ticker' also matches "$TERM";
+ *   'ticker' and 'abbreviation' match case-sensitively, 'term' ignores case
+ * @returns {Function} - (text) => normalized text
+ */
+export function createSpeechNormalizer(lexicon = []) {
+  const replaceLexicon = compileLexicon(lexicon);
+  return text => normalizeSpeechText(text, replaceLexicon);
+}
+
+function normalizeSpeechText(text, replaceLexicon) {
+  let result = stripMarkdown(text || '');
+
+  result = result.replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) => {
+    const monthName = MONTHS[parseInt(month, 10) - 1];
+    return monthName ? `${monthName} ${ordinalToWords(parseInt(day, 10))}, ${yearToWords(parseInt(year, 10))}` : match;
+  });
+
+  result = replaceLexicon(result);
+
+  // Unknown cashtags: spell the letters
+  result = result.replace(/(?<![\w$])\$([A-Z]{1,5})(?![\w])/g, (match, ticker) => ticker.split('').join(' '));
+
+  result = result
+    .replace(/\bFY\s?(\d{4}|\d{2})\b/g, (match, year) => `fiscal ${year.length === 4 ? yearToWords(parseInt(year, 10)) : integerToWords(parseInt(year, 10))}`)
+    .replace(/\bQ([1-4])\b/g, (match, quarter) => `${ordinalToWords(parseInt(quarter, 10))} quarter`)
+    .replace(/\b(\d{1,2})\s?(?:Y|yr)\b/g, (match, years) => `${integerToWords(parseInt(years, 10))}-year`);
+
+  result = result
+    .replace(new RegExp(String.raw`(${NUMBER})\s?[-–]\s?(${NUMBER})\s?%`, 'g'),
+      (match, from, to) => `${numberToWords(from)} to ${numberToWords(to)} percent`)
+    .replace(new RegExp(String.raw`${SIGN}(${NUMBER})\s?%`, 'g'),
+      (match, sign, value) => `${signToWords(sign)}${numberToWords(value)} percent`)
+    .replace(new RegExp(String.raw`${SIGN}(${NUMBER})\s?(?:pp|ppts?|percentage points?)\b`, 'g'),
+      (match, sign, value) => `${signToWords(sign)}${numberToWords(value)} percentage ${unit(value, 'point')}`)
+    .replace(new RegExp(String.raw`${SIGN}(${NUMBER})\s?(?:bps|bp|basis points?)\b`, 'g'),
+      (match, sign, value) => `${signToWords(sign)}${numberToWords(value)} basis ${unit(value, 'point')}`)
+    .replace(new RegExp(String.raw`${SIGN}\$(${NUMBER})(?:\s?(k|mn|bn|tn|m|b|t|thousand|million|billion|trillion)\b)?`, 'gi'),
+      (match, sign, value, scale) => `${signToWords(sign)}${currencyToWords(value, scale)}`)
+    .replace(new RegExp(String.raw`(?<![\w.])(${NUMBER})x\b`, 'g'),
+      (match, value) => `${numberToWords(value)} times`)
+    .replace(/\b(\d+)(?:st|nd|rd|th)\b/g, (match, value) => ordinalToWords(parseInt(value, 10)))
+    .replace(/(?<![\w.,$:/])((?:19|20)\d{2})(?![\w:/%]|[.,]\d)/g, (match, year) => yearToWords(parseInt(year, 10)))
+    .replace(new RegExp(String.raw`(?<![\w.,:/])${SIGN}(${NUMBER})(?![\w:/]|[.,]\d)`, 'g'),
+      (match, sign, value) => `${signToWords(sign)}${numberToWords(value)}`);
+
+  return result
+    .replace(/\s*&\s*/g, ' and ')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/ +\n/g, '\n')
+    .trim();
+}
+
+/**
+ * Remove markdown formatting and URLs, keeping the readable text
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(?<![\w*])[*_](\S(?:[^*_\n]*\S)?)[*_](?![\w*])/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/gm, '')
+    .replace(/^\s*[-*_]{3,}\s*$/gm, '')
+    .replace(/[*#]/g, '');
+}
+
+/**
+ * One replacement pass over the text for all lexicon entries
+ * Longer terms win ("S&P 500" before "S&P").
+ */
+function compileLexicon(lexicon) {
+  const exact = new Map();
+  const anyCase = new Map();
+  for (const entry of lexicon) {
+    if (entry.kind === 'term') {
+      anyCase.set(entry.term.toLowerCase(), entry.spoken);
+    } else {
+      exact.set(entry.term, entry.spoken);
+      if (entry.kind === 'ticker') {
+        exact.set(`$${entry.term}`, entry.spoken);
+      }
+    }
+  }
+
+  const build = (terms, flags) => {
+    if (terms.length === 0) {
+      return null;
+    }
+    const alternation = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|');
+    return new RegExp(String.raw`(?<![\w$&])(?:${alternation})(?![\w&])`, flags);
+  };
+  const exactPattern = build([...exact.keys()], 'g');
+  const anyCasePattern = build([...anyCase.keys()], 'gi');
+
+  return (text) => {
+    let result = text;
+    if (exactPattern) {
+      result = result.replace(exactPattern, match => exact.get(match));
+    }
+    if (anyCasePattern) {
+      result = result.replace(anyCasePattern, match => anyCase.get(match.toLowerCase()));
+    }
+    return result;
+  };
+}
+
+/**
+ * "1,234.56" -> "one thousand two hundred thirty-four point five six"
+ */
+function numberToWords(value) {
+  const [integer, decimals] = value.replace(/,/g, '').split('.');
+  const words = integerToWords(parseInt(integer, 10));
+  return decimals
+    ? `${words} point ${decimals.split('').map(digit => ONES[digit]).join(' ')}`
+    : words;
+}
+
+function integerToWords(n) {
+  if (!Number.isSafeInteger(n) || n >= 1e15) {
+    return String(n);
+  }
+  if (n < 20) {
+    return ONES[n];
+  }
+  if (n < 100) {
+    return n % 10 ? `${TENS[Math.floor(n / 10)]}-${ONES[n % 10]}` : TENS[Math.floor(n / 10)];
+  }
+  if (n < 1000) {
+    const rest = n % 100;
+    return `${ONES[Math.floor(n / 100)]} hundred${rest ? ` ${integerToWords(rest)}` : ''}`;
+  }
+
+  const parts = [];
+  let remaining = n;
+  for (let scale = 0; remaining > 0; scale++) {
+    const group = remaining % 1000;
+    if (group) {
+      parts.unshift(`${integerToWords(group)}${SCALES[scale] ? ` ${SCALES[scale]}` : ''}`);
+    }
+    remaining = Math.floor(remaining / 1000);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * 2025 -> "twenty twenty-five", 2005 -> "two thousand five", 1900 -> "nineteen hundred"
+ */
+function yearToWords(year) {
+  const century = Math.floor(year / 100);
+  const rest = year % 100;
+  if (year % 1000 < 10 && year >= 2000) {
+    return integerToWords(year);
+  }
+  if (rest === 0) {
+    return `${integerToWords(century)} hundred`;
+  }
+  return `${integerToWords(century)} ${rest < 10 ? `oh ${ONES[rest]}` : integerToWords(rest)}`;
+}
+
+function ordinalToWords(n) {
+  const words = integerToWords(n);
+  return words.replace(/([a-z]+)$/, (last) => {
+    if (ORDINAL_WORDS[last]) {
+      return ORDINAL_WORDS[last];
+    }
+    return last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`;
+  });
+}
+
+/**
+ * "$3.50" -> "three dollars and fifty cents", "$1.2" + "B" -> "one point two billion dollars"
+ */
+function currencyToWords(value, scale) {
+  const scaleWord = scale ? CURRENCY_SCALES[scale.toLowerCase()] : null;
+  if (scaleWord) {
+    return `${numberToWords(value)} ${scaleWord} dollars`;
+  }
+
+  const [integer, decimals = ''] = value.replace(/,/g, '').split('.');
+  const dollars = parseInt(integer, 10);
+  if (decimals.length !== 2) {
+    return `${numberToWords(value)} ${unit(value, 'dollar')}`;
+  }
+  const cents = parseInt(decimals, 10);
+  const centWords = `${integerToWords(cents)} ${cents === 1 ? 'cent' : 'cents'}`;
+  if (dollars === 0) {
+    return centWords;
+  }
+  const dollarWords = `${integerToWords(dollars)} ${dollars === 1 ? 'dollar' : 'dollars'}`;
+  return cents ? `${dollarWords} and ${centWords}` : dollarWords;
+}
+
+function signToWords(sign) {
+  if (sign === '+') {
+    return 'plus ';
+  }
+  return sign ? 'minus ' : '';
+}
+
+function unit(value, word) {
+  return value === '1' ? word : `${word}s`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,62 @@
+/**
+ * Storage Backend Registry
+ *
+ * Audio (and other published files) are stored through one interface, so
+ * services never call fs or a vendor API directly. Keys are "/"-separated
+ * paths relative to the storage root, e.g. "audio/daily-pulse-2025-12-01.mp3".
+ *
+ * - put(key, body, { contentType }) → { key, bytes }   (body: Buffer or string)
+ * - getStream(key, { start, end }) → { stream, bytes, modifiedAt } or null if missing
+ *   (start/end: optional inclusive byte range)
+ * - head(key) → { key, bytes, modifiedAt } or null if missing
+ * - delete(key) → true, or false if it did not exist
+ * - move(fromKey, toKey) → true, or false if fromKey did not exist
+ * - list(prefix) → [{ key, bytes, modifiedAt }] for every key starting with prefix
+ * - getPublicUrl(key) → URL anyone can fetch, or null if the backend has none
+ * - getSignedUrl(key, { expiresInSeconds }) → expiring URL for the object
+ * - ensureReady() → description of the location (creates it if needed)
+ * - getLocalPath(key) → file path (local backend only; undefined elsewhere)
+ *
+ * The backend is chosen with STORAGE_BACKEND ('local' or 's3'; USE_S3=true
+ * is the same as 's3').
+ */
+
+import { config } from '../../config.js';
+import { createLocalStorage } from './localStorage.js';
+import { createS3Storage } from './s3Storage.js';
+
+/**
+ * Key prefix of published newsletter audio
+ */
+export const AUDIO_PREFIX = 'audio/';
+
+const STORAGE_FACTORIES = {
+  local: () => createLocalStorage({
+    rootDir: config.railwayVolumePath,
+    publicBaseUrl: config.publicUrl,
+  }),
+  s3: () => createS3Storage(config.aws),
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage backend (created on first use)
+ */
+export function getStorage() {
+  if (!storage) {
+    const factory = STORAGE_FACTORIES[config.storage.backend];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_BACKEND: ${config.storage.backend} (expected one of: ${Object.keys(STORAGE_FACTORIES).join(', ')})`);
+    }
+    storage = factory();
+  }
+  return storage;
+}
+
+/**
+ * Storage key of a published audio file
+ */
+export function getAudioKey(fileName) {
+  return `${AUDIO_PREFIX}${fileName}`;
+}
@@ -0,0 +1,156 @@
+/**
+ * Local Storage Backend
+ *
+ * Stores objects as files under a root directory (the Railway volume by
+ * default). Keys under audio/ are served by the app at /audio, so their
+ * public URL is <PUBLIC_URL>/<key>; local files have no signed URLs, so
+ * getSignedUrl() returns the same URL.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+
+/**
+ * Create the local storage backend
+ *
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory keys are relative to
+ * @param {string} options.publicBaseUrl - Base URL the app is served at
+ */
+export function createLocalStorage({ rootDir, publicBaseUrl }) {
+  const root = path.resolve(rootDir);
+
+  /**
+   * Map a key to a path inside the root (keys cannot escape it)
+   */
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!key || path.isAbsolute(key) || !filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  function toKey(filePath) {
+    return path.relative(root, filePath).split(path.sep).join('/');
+  }
+
+  function getPublicUrl(key) {
+    return `${publicBaseUrl}/${key}`;
+  }
+
+  async function statOrNull(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.isFile() ? stats : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+      return { key, bytes: Buffer.byteLength(body) };
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const filePath = resolveKey(key);
+      const stats = await statOrNull(filePath);
+      if (!stats) {
+        return null;
+      }
+      return {
+        stream: createReadStream(filePath, { start, end }),
+        bytes: stats.size,
+        modifiedAt: stats.mtime,
+      };
+    },
+
+    async head(key) {
+      const stats = await statOrNull(resolveKey(key));
+      return stats ? { key, bytes: stats.size, modifiedAt: stats.mtime } : null;
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async move(fromKey, toKey) {
+      const toPath = resolveKey(toKey);
+      try {
+        await fs.mkdir(path.dirname(toPath), { recursive: true });
+        await fs.rename(resolveKey(fromKey), toPath);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      // Walk the deepest directory the prefix names, then filter by the full prefix
+      const dir = prefix.includes('/') ? resolveKey(prefix.slice(0, prefix.lastIndexOf('/') + 1)) : root;
+      const objects = [];
+
+      async function walk(current) {
+        let entries;
+        try {
+          entries = await fs.readdir(current, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return;
+          }
+          throw error;
+        }
+        for (const entry of entries) {
+          const entryPath = path.join(current, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else if (entry.isFile() && toKey(entryPath).startsWith(prefix)) {
+            const stats = await statOrNull(entryPath);
+            if (stats) {
+              objects.push({ key: toKey(entryPath), bytes: stats.size, modifiedAt: stats.mtime });
+            }
+          }
+        }
+      }
+
+      await walk(dir);
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    getPublicUrl,
+
+    async getSignedUrl(key) {
+      return getPublicUrl(key);
+    },
+
+    async ensureReady() {
+      await fs.mkdir(root, { recursive: true });
+      return root;
+    },
+
+    getLocalPath(key) {
+      return resolveKey(key);
+    },
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * S3-Compatible Storage Backend
+ *
+ * Talks to the S3 REST API with fetch and SigV4 signing (see
+ * utils/sigv4.js), so it works with AWS S3 and S3-compatible services such as
+ * MinIO or R2:
+ *
+ * - S3_ENDPOINT points at a non-AWS service (e.g. http://localhost:9000);
+ *   requests then use path-style URLs (<endpoint>/<bucket>/<key>) unless
+ *   S3_FORCE_PATH_STYLE=false
+ * - S3_PREFIX is prepended to every key (e.g. "daily-pulse/")
+ * - S3_PUBLIC_URL is the public base URL of the bucket (CDN or public
+ *   bucket); without it getPublicUrl() returns null and objects are only
+ *   reachable through presigned URLs
+ */
+
+import { Readable } from 'stream';
+import {
+  EMPTY_PAYLOAD_HASH,
+  encodeS3Key,
+  presignUrl,
+  sha256Hex,
+  signRequest,
+} from '../../utils/sigv4.js';
+
+// Presigned URLs can last at most 7 days
+const MAX_PRESIGN_SECONDS = 7 * 24 * 3600;
+
+/**
+ * Create the S3 storage backend
+ *
+ * @param {Object} options - config.aws
+ */
+export function createS3Storage({
+  region,
+  accessKeyId,
+  secretAccessKey,
+  s3BucketName: bucket,
+  s3Endpoint: endpoint,
+  s3ForcePathStyle: forcePathStyle,
+  s3Prefix: prefix = '',
+  s3PublicUrl: publicUrl,
+  s3TimeoutMs: timeoutMs = 30000,
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET_NAME, AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
+  }
+
+  const credentials = { accessKeyId, secretAccessKey };
+  const baseUrl = endpoint
+    ? endpoint.replace(/\/+$/, '')
+    : `https://s3.${region}.amazonaws.com`;
+
+  /**
+   * URL of the bucket (no key) or of an object
+   */
+  function getUrl(objectKey = null) {
+    const keyPath = objectKey === null ? '' : encodeS3Key(objectKey);
+    if (forcePathStyle) {
+      return new URL(`${baseUrl}/${bucket}/${keyPath}`);
+    }
+    const { protocol, host } = new URL(baseUrl);
+    return new URL(`${protocol}//${bucket}.${host}/${keyPath}`);
+  }
+
+  /**
+   * Send a signed request
+   * Non-2xx responses throw, except the statuses listed in `allow`.
+   */
+  async function request(method, url, { body = null, headers = {}, allow = [] } = {}) {
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH,
+      credentials,
+      region,
+    });
+
+    const response = await fetch(url, {
+      method,
+      headers: signedHeaders,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok && !allow.includes(response.status)) {
+      const text = method === 'HEAD' ? '' : await response.text().catch(() => '');
+      const code = text.match(/<Code>([^<]+)<\/Code>/)?.[1];
+      throw new Error(`S3 ${method} ${url.pathname} failed: ${response.status}${code ? ` ${code}` : ''}`);
+    }
+    return response;
+  }
+
+  async function head(key) {
+    const response = await request('HEAD', getUrl(prefix + key), { allow: [404] });
+    if (response.status === 404) {
+      return null;
+    }
+    return {
+      key,
+      bytes: parseInt(response.headers.get('content-length')),
+      modifiedAt: new Date(response.headers.get('last-modified')),
+    };
+  }
+
+  async function deleteObject(key) {
+    // DELETE succeeds whether or not the object exists
+    if (!(await head(key))) {
+      return false;
+    }
+    await request('DELETE', getUrl(prefix + key));
+    return true;
+  }
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+      const payload = Buffer.isBuffer(body) ? body : Buffer.from(body);
+      await request('PUT', getUrl(prefix + key), {
+        body: payload,
+        headers: { 'content-type': contentType },
+      });
+      return { key, bytes: payload.length };
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const ranged = start !== undefined || end !== undefined;
+      const response = await request('GET', getUrl(prefix + key), {
+        headers: ranged ? { range: `bytes=${start ?? 0}-${end ?? ''}` } : {},
+        allow: [404],
+      });
+      if (response.status === 404) {
+        await response.body?.cancel();
+        return null;
+      }
+      const total = response.headers.get('content-range')?.split('/')[1];
+      return {
+        stream: Readable.fromWeb(response.body),
+        bytes: parseInt(total || response.headers.get('content-length')),
+        modifiedAt: new Date(response.headers.get('last-modified')),
+      };
+    },
+
+    head,
+
+    delete: deleteObject,
+
+    async move(fromKey, toKey) {
+      if (!(await head(fromKey))) {
+        return false;
+      }
+      const response = await request('PUT', getUrl(prefix + toKey), {
+        headers: { 'x-amz-copy-source': `/${bucket}/${encodeS3Key(prefix + fromKey)}` },
+      });
+      // A copy can fail after the 200 status has been sent
+      const text = await response.text();
+      if (text.includes('<Error>')) {
+        throw new Error(`S3 copy ${fromKey} → ${toKey} failed: ${text.match(/<Code>([^<]+)<\/Code>/)?.[1] || 'unknown error'}`);
+      }
+      await request('DELETE', getUrl(prefix + fromKey));
+      return true;
+    },
+
+    async list(keyPrefix = '') {
+      const objects = [];
+      let continuationToken = null;
+      do {
+        const url = getUrl();
+        url.searchParams.set('list-type', '2');
+        url.searchParams.set('prefix', prefix + keyPrefix);
+        if (continuationToken) {
+          url.searchParams.set('continuation-token', continuationToken);
+        }
+        const xml = await (await request('GET', url)).text();
+
+        for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const field = name => decodeXml(contents.match(new RegExp(`<${name}>([^<]*)</${name}>`))?.[1] || '');
+          objects.push({
+            key: field('Key').slice(prefix.length),
+            bytes: parseInt(field('Size')),
+            modifiedAt: new Date(field('LastModified')),
+          });
+        }
+        continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+          ? decodeXml(xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/)?.[1] || '')
+          : null;
+      } while (continuationToken);
+
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    getPublicUrl(key) {
+      return publicUrl ? `${publicUrl.replace(/\/+$/, '')}/${encodeS3Key(prefix + key)}` : null;
+    },
+
+    async getSignedUrl(key, { expiresInSeconds = 900 } = {}) {
+      return presignUrl({
+        url: getUrl(prefix + key),
+        expiresInSeconds: Math.min(Math.max(1, Math.round(expiresInSeconds)), MAX_PRESIGN_SECONDS),
+        credentials,
+        region,
+      });
+    },
+
+    async ensureReady() {
+      await request('HEAD', getUrl());
+      return `s3://${bucket}/${prefix}`;
+    },
+  };
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
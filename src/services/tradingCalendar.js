@@ -0,0 +1,255 @@
+/**
+ * Trading Calendar
+ *
+ * NYSE trading days, holidays and early closes, computed by rule.
+ * Nothing is fetched, so the calendar works for any year offline.
+ *
+ * Full-day holidays:
+ * - New Year's Day (Sunday → Monday; not observed when it falls on Saturday)
+ * - Martin Luther King Jr. Day (3rd Monday of January)
+ * - Washington's Birthday (3rd Monday of February)
+ * - Good Friday (2 days before Easter Sunday)
+ * - Memorial Day (last Monday of May)
+ * - Juneteenth (June 19, from 2022)
+ * - Independence Day (July 4)
+ * - Labor Day (1st Monday of September)
+ * - Thanksgiving Day (4th Thursday of November)
+ * - Christmas Day (December 25)
+ *
+ * Saturday holidays are observed the Friday before, Sunday holidays the
+ * Monday after.
+ *
+ * Early closes (1:00 PM ET):
+ * - July 3 when it is a trading day
+ * - The day after Thanksgiving
+ * - December 24 when it is a trading day
+ *
+ * Unscheduled closures (e.g. national days of mourning) are not covered.
+ */
+
+const EARLY_CLOSE_TIME = '13:00';
+const REGULAR_CLOSE_TIME = '16:00';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get full-day market holidays for a year
+ *
+ * @param {number} year
+ * @returns {Array<{date: string, name: string}>} - Sorted by date
+ */
+export function getMarketHolidays(year) {
+  const holidays = [];
+
+  // New Year's Day: a Saturday holiday is not moved into the previous year
+  const newYear = utcDate(year, 0, 1);
+  if (newYear.getUTCDay() !== 6) {
+    holidays.push({ date: toDateString(observed(newYear)), name: "New Year's Day" });
+  }
+
+  holidays.push({ date: toDateString(nthWeekday(year, 0, 1, 3)), name: 'Martin Luther King Jr. Day' });
+  holidays.push({ date: toDateString(nthWeekday(year, 1, 1, 3)), name: "Washington's Birthday" });
+  holidays.push({ date: toDateString(addDays(easterSunday(year), -2)), name: 'Good Friday' });
+  holidays.push({ date: toDateString(lastWeekday(year, 4, 1)), name: 'Memorial Day' });
+
+  if (year >= 2022) {
+    holidays.push({ date: toDateString(observed(utcDate(year, 5, 19))), name: 'Juneteenth National Independence Day' });
+  }
+
+  holidays.push({ date: toDateString(observed(utcDate(year, 6, 4))), name: 'Independence Day' });
+  holidays.push({ date: toDateString(nthWeekday(year, 8, 1, 1)), name: 'Labor Day' });
+  holidays.push({ date: toDateString(nthWeekday(year, 10, 4, 4)), name: 'Thanksgiving Day' });
+  holidays.push({ date: toDateString(observed(utcDate(year, 11, 25))), name: 'Christmas Day' });
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get early-close (1:00 PM ET) sessions for a year
+ *
+ * @param {number} year
+ * @returns {Array<{date: string, name: string, closeTime: string}>}
+ */
+export function getEarlyCloses(year) {
+  const candidates = [
+    { date: utcDate(year, 6, 3), name: 'Day before Independence Day' },
+    { date: addDays(nthWeekday(year, 10, 4, 4), 1), name: 'Day after Thanksgiving' },
+    { date: utcDate(year, 11, 24), name: 'Christmas Eve' },
+  ];
+
+  return candidates
+    .map(({ date, name }) => ({ date: toDateString(date), name, closeTime: EARLY_CLOSE_TIME }))
+    .filter(({ date }) => isTradingDay(date));
+}
+
+/**
+ * Check whether the market is open on a date
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+export function isTradingDay(date) {
+  const day = parseDate(date);
+  const weekday = day.getUTCDay();
+  if (weekday === 0 || weekday === 6) {
+    return false;
+  }
+  return !findHoliday(date);
+}
+
+/**
+ * Describe the market session on a date
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object} - { date, isTradingDay, isWeekend, holiday, earlyClose, closeTime }
+ */
+export function getTradingDayInfo(date) {
+  const weekday = parseDate(date).getUTCDay();
+  const isWeekend = weekday === 0 || weekday === 6;
+  const holiday = findHoliday(date);
+  const tradingDay = !isWeekend && !holiday;
+  const earlyClose = tradingDay
+    ? getEarlyCloses(Number(date.slice(0, 4))).find(e => e.date === date) || null
+    : null;
+
+  return {
+    date,
+    isTradingDay: tradingDay,
+    isWeekend,
+    holiday: holiday?.name || null,
+    earlyClose: earlyClose ? { name: earlyClose.name, closeTime: earlyClose.closeTime } : null,
+    closeTime: tradingDay ? (earlyClose ? EARLY_CLOSE_TIME : REGULAR_CLOSE_TIME) : null,
+  };
+}
+
+/**
+ * Get the last trading day strictly before a date
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getPreviousTradingDay(date) {
+  let day = addDays(parseDate(date), -1);
+  while (!isTradingDay(toDateString(day))) {
+    day = addDays(day, -1);
+  }
+  return toDateString(day);
+}
+
+/**
+ * Get the first trading day strictly after a date
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getNextTradingDay(date) {
+  let day = addDays(parseDate(date), 1);
+  while (!isTradingDay(toDateString(day))) {
+    day = addDays(day, 1);
+  }
+  return toDateString(day);
+}
+
+/**
+ * Get the most recent trading session on or before a date
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object} - getTradingDayInfo() of that session
+ */
+export function getLastTradingSession(date) {
+  const sessionDate = isTradingDay(date) ? date : getPreviousTradingDay(date);
+  return getTradingDayInfo(sessionDate);
+}
+
+/**
+ * List trading days in an inclusive date range
+ *
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {string[]}
+ */
+export function getTradingDaysInRange(startDate, endDate) {
+  const days = [];
+  const end = parseDate(endDate);
+  for (let day = parseDate(startDate); day <= end; day = addDays(day, 1)) {
+    const date = toDateString(day);
+    if (isTradingDay(date)) {
+      days.push(date);
+    }
+  }
+  return days;
+}
+
+/**
+ * Find the holiday observed on a date
+ * Checks the neighbouring year too, since observed dates can cross years.
+ */
+function findHoliday(date) {
+  const year = Number(date.slice(0, 4));
+  return [...getMarketHolidays(year), ...getMarketHolidays(year + 1)]
+    .find(h => h.date === date) || null;
+}
+
+/**
+ * Move a Saturday holiday to Friday and a Sunday holiday to Monday
+ */
+function observed(date) {
+  const weekday = date.getUTCDay();
+  if (weekday === 6) return addDays(date, -1);
+  if (weekday === 0) return addDays(date, 1);
+  return date;
+}
+
+/**
+ * Get the nth given weekday of a month (weekday: 0 = Sunday)
+ */
+function nthWeekday(year, month, weekday, n) {
+  const first = utcDate(year, month, 1);
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return addDays(first, offset + (n - 1) * 7);
+}
+
+/**
+ * Get the last given weekday of a month (weekday: 0 = Sunday)
+ */
+function lastWeekday(year, month, weekday) {
+  const last = utcDate(year, month + 1, 0);
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return addDays(last, -offset);
+}
+
+/**
+ * Easter Sunday (Gregorian calendar, anonymous algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month - 1, day);
+}
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function parseDate(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
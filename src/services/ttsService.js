@@ -1,205 +1,361 @@
 /**
  * Text-to-Speech Service
  * 
- * Converts newsletter text to audio using Gemini 2.5 Flash TTS
- * Using @google/genai SDK (new, supports Gemini 2.0+)
+ * Converts newsletter text to audio through the configured LLM provider
+ * (Gemini 2.5 Flash TTS by default, see ./providers)
+ * 
+ * Long scripts are packed into chunks of at most TTS_CHUNK_MAX_CHARS,
+ * synthesized TTS_CHUNK_CONCURRENCY at a time and joined into one PCM
+ * stream. Each chunk is its own provider call, so a failed chunk is retried
+ * on its own (see utils/resilience.js).
+ * 
+ * Whole blocks (title, hook, sections, conclusion) are packed together as
+ * long as they fit; only a block longer than the limit is split. The
+ * TTS_CHUNK_PAUSE_MS pause goes between chunks that end a block, never into
+ * the middle of a split block. Each block's start becomes a chapter, placed
+ * within its chunk by length like the caption cues.
+ * 
+ * In podcast mode the blocks come from the two-host dialogue script instead
+ * (see podcastScriptService.js) and are read with one voice per host.
+ * 
+ * Caption cues are timed from the measured duration of each chunk (see
+ * captionService.js) and moved onto the post-processed audio with the chapters.
+ * 
+ * Block text is normalized for speech before chunking (tickers, numbers,
+ * percentages, markdown; see speechNormalizer.js) unless
+ * TTS_NORMALIZE_SCRIPT=false. Chapter titles keep the original text.
+ * 
+ * The joined PCM is post-processed (silence trim, loudness, music bed,
+ * intro/outro, see audioPostProcessing.js) and then encoded into each
+ * published format (see audioEncoding.js) and written to storage
+ * (see storage/index.js).
  */
 
-import { GoogleGenAI } from '@google/genai';
+import crypto from 'crypto';
+import { getProvider } from './providers/index.js';
 import { config } from '../config.js';
-import fs from 'fs/promises';
-import path from 'path';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { concatPcm, getPcmDurationSeconds } from '../utils/pcm.js';
+import { AUDIO_FORMATS, encodeAudio, getConfiguredFormats, getFormatBitrateKbps } from './audioEncoding.js';
+import { mapSpeechTime, postProcessSpeech } from './audioPostProcessing.js';
+import { loadSpeechNormalizer } from './lexiconService.js';
+import { buildCaptionCues, remapCaptionCues } from './captionService.js';
+import { getStorage } from './storage/index.js';
+
+const SPEECH_INSTRUCTION = 'Read the following market newsletter in a professional, clear voice suitable for financial news. Use a conversational but authoritative tone:';
 
-// Initialize Gemini AI
-const ai = new GoogleGenAI({ apiKey: config.geminiApiKey });
+// Blank line pairs separate the blocks of the audio script (the pauses)
+const SEGMENT_SEPARATOR = '\n\n\n\n';
 
 /**
- * Generate audio from newsletter content using Gemini 2.5 Flash TTS
+ * Generate audio from newsletter content
+ * 
+ * One file is written to storage per configured audio format (AUDIO_FORMATS),
+ * with the key <baseKey>.<extension>. A format that fails to encode is
+ * skipped as long as at least one other format was written.
  * 
  * @param {Object} newsletter - Newsletter object with title, hook, sections, conclusion
- * @param {string} outputPath - Path to save the audio file
- * @returns {Object} - { audioPath, durationSeconds }
+ * @param {string} baseKey - Storage key without extension (see storage/index.js)
+ * @param {Object} options
+ * @param {Object} options.stats - Resilience stats collector (records retries)
+ * @param {Object} options.dialogue - Two-host dialogue script (podcast mode), or null for a monologue
+ * @returns {Object} - { files: [{ format, key, bytes, sha256, mimeType, bitrateKbps, sampleRate, durationSeconds }],
+ *   durationSeconds, chapters, captions, processing? }
+ *   captions: [{ start, end, text, speaker? }] cues in seconds
+ *   processing: post-processing report (loudness, gain, trimmed silence, clips)
+ * @throws when no audio could be produced (nothing is written in that case)
  */
-export async function generateNewsletterAudio(newsletter, outputPath) {
+export async function generateNewsletterAudio(newsletter, baseKey, { stats, dialogue = null } = {}) {
   try {
-    console.log('🎙️ Generating audio with Gemini 2.5 Flash TTS...');
+    const provider = getProvider();
+    console.log(`🎙️ Generating ${dialogue ? 'two-host podcast' : 'monologue'} audio with ${provider.name} TTS...`);
 
-    // Build audio script from newsletter
-    const fullText = buildAudioScript(newsletter);
+    // Build audio script from newsletter (or dialogue), split at section boundaries
+    const normalize = config.tts.normalizeScript ? await loadSpeechNormalizer() : text => text;
+    const segments = dialogue
+      ? buildDialogueSegments(dialogue, config.tts.chunkMaxChars, normalize)
+      : buildAudioSegments(newsletter, normalize);
+    const fullText = buildAudioScript(segments);
+    const chunks = chunkAudioScript(segments, config.tts.chunkMaxChars);
+    const instruction = dialogue ? buildDialogueInstruction(dialogue.hosts) : SPEECH_INSTRUCTION;
+    const speakers = dialogue?.hosts.map(host => ({ speaker: host.name, voice: host.voice })) || null;
     
-    console.log(`📝 Audio script length: ${fullText.length} characters`);
-
-    // Generate audio with Gemini TTS
-    const response = await ai.models.generateContent({
-      model: 'gemini-2.5-flash-preview-tts',
-      contents: `Read the following market newsletter in a professional, clear voice suitable for financial news. Use a conversational but authoritative tone:\n\n${fullText}`,
-      config: {
-        responseModalities: ['AUDIO'],
-        speechConfig: {
-          voiceConfig: {
-            prebuiltVoiceConfig: {
-              voiceName: 'Fenrir', // Deep, authoritative male voice
-            }
-          }
-        }
-      },
-    });
+    console.log(`📝 Audio script length: ${fullText.length} characters in ${chunks.length} chunk(s)`);
 
-    // Extract audio data from response
-    const audioData = response.candidates[0].content.parts[0].inlineData.data;
-    
-    // Decode base64 audio data (this is raw PCM data, not WAV)
-    const pcmBuffer = Buffer.from(audioData, 'base64');
-    
-    // Add WAV header to PCM data
-    const wavBuffer = addWavHeader(pcmBuffer);
+    // Generate audio for each chunk (raw PCM data, not WAV)
+    const speeches = await mapWithConcurrency(chunks, config.tts.chunkConcurrency, async (chunk, index) => {
+      const chunkSpeech = await provider.synthesizeSpeech({
+        stats,
+        text: `${instruction}\n\n${chunk.text}`,
+        speakers,
+      });
+      console.log(`🔊 Chunk ${index + 1}/${chunks.length} synthesized (${chunk.text.length} characters)`);
+      return chunkSpeech;
+    });
     
-    // Ensure output directory exists
-    const outputDir = path.dirname(outputPath);
-    await fs.mkdir(outputDir, { recursive: true });
+    // Join the chunks into one continuous stream, pausing only between blocks
+    const joined = concatPcm(speeches, {
+      pauseMs: chunks.slice(0, -1).map(chunk => chunk.endsBlock ? config.tts.chunkPauseMs : 0),
+    });
+    const timings = speeches.map((chunkSpeech, index) => ({
+      start: joined.offsets[index],
+      duration: getPcmDurationSeconds(chunkSpeech.pcm.length, chunkSpeech),
+    }));
+    let speech = joined;
+    let chapters = buildChapters(segments, chunks, timings, getPcmDurationSeconds(joined.pcm.length, joined));
+    let captions = buildCaptionCues(chunks, timings, { dialogue: Boolean(dialogue) });
+    let processing;
 
-    // Save audio file
-    await fs.writeFile(outputPath, wavBuffer);
+    // Post-processing is polish: if it fails, the raw speech is published
+    if (config.audioPost.enabled) {
+      try {
+        const processed = await postProcessSpeech(joined);
+        speech = processed.speech;
+        processing = processed.report;
+        chapters = remapChapters(chapters, processed.timeline, getPcmDurationSeconds(speech.pcm.length, speech));
+        captions = remapCaptionCues(captions, seconds => mapSpeechTime(processed.timeline, seconds));
+      } catch (error) {
+        console.error('⚠️  Audio post-processing failed, using raw speech:', error.message);
+        processing = { error: error.message };
+      }
+    }
+    const durationSeconds = getPcmDurationSeconds(speech.pcm.length, speech);
     
-    console.log(`✅ Audio saved to: ${outputPath}`);
-    console.log(`📊 Audio size: ${(wavBuffer.length / 1024 / 1024).toFixed(2)} MB`);
-
-    // Estimate duration (rough estimate: ~150 words per minute)
-    const wordCount = fullText.split(/\s+/).length;
-    const estimatedDuration = Math.ceil((wordCount / 150) * 60);
+    // Encode and save each format
+    const files = await writeAudioFormats(speech, baseKey, durationSeconds);
+    
+    console.log(`📊 Audio duration: ${durationSeconds.toFixed(1)}s, ${chapters.length} chapters, ${captions.length} caption cues`);
 
     return {
-      audioPath: outputPath,
-      durationSeconds: estimatedDuration,
+      files,
+      durationSeconds: Math.round(durationSeconds),
+      chapters,
+      captions,
+      ...(processing && { processing }),
     };
 
   } catch (error) {
-    console.error('❌ Failed to generate audio:', error);
-    
-    // If TTS fails, create placeholder audio
-    console.log('⚠️ Creating placeholder audio file...');
-    await createPlaceholderAudio(outputPath);
-    
-    const wordCount = buildAudioScript(newsletter).split(/\s+/).length;
-    const estimatedDuration = Math.ceil((wordCount / 150) * 60);
-    
-    return {
-      audioPath: outputPath,
-      durationSeconds: estimatedDuration,
-      error: error.message,
-    };
+    // Retries are exhausted (or the error is fatal) at this point
+    console.error('❌ Failed to generate audio after retries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Encode the joined speech into every configured format and store the files
+ * 
+ * @param {Object} speech - { pcm, sampleRate, channels, bitsPerSample }
+ * @param {string} baseKey - Storage key without extension
+ * @param {number} durationSeconds - Duration of the speech
+ * @returns {Array<{ format, key, bytes, sha256, mimeType, bitrateKbps, sampleRate, durationSeconds }>}
+ */
+async function writeAudioFormats(speech, baseKey, durationSeconds) {
+  const storage = getStorage();
+  const files = [];
+  const failures = [];
+
+  for (const format of getConfiguredFormats()) {
+    const key = `${baseKey}.${AUDIO_FORMATS[format].extension}`;
+    try {
+      const encoded = encodeAudio(format, speech);
+      await storage.put(key, encoded, { contentType: AUDIO_FORMATS[format].mimeType });
+      files.push({
+        format,
+        key,
+        bytes: encoded.length,
+        sha256: crypto.createHash('sha256').update(encoded).digest('hex'),
+        mimeType: AUDIO_FORMATS[format].mimeType,
+        bitrateKbps: getFormatBitrateKbps(format),
+        sampleRate: speech.sampleRate,
+        durationSeconds: Number(durationSeconds.toFixed(3)),
+      });
+      console.log(`✅ Audio saved to: ${key} (${(encoded.length / 1024 / 1024).toFixed(2)} MB)`);
+    } catch (error) {
+      console.error(`⚠️  Failed to encode ${format} audio:`, error.message);
+      failures.push(`${format}: ${error.message}`);
+    }
   }
+
+  if (files.length === 0) {
+    throw new Error(`No audio format could be encoded (${failures.join('; ')})`);
+  }
+
+  return files;
+}
+
+/**
+ * Build audio script from the blocks to read
+ */
+function buildAudioScript(segments) {
+  return segments.map(segment => segment.text).join(SEGMENT_SEPARATOR);
+}
+
+/**
+ * Split the newsletter into the blocks read in order:
+ * title, hook, each section (heading + content), conclusion
+ * 
+ * @param {Function} normalize - Speech normalizer applied to the text read
+ * @returns {Array<{ type, title, text }>}
+ */
+function buildAudioSegments(newsletter, normalize) {
+  return [
+    { type: 'title', title: newsletter.title, text: normalize(newsletter.title) },
+    { type: 'hook', title: 'Introduction', text: normalize(newsletter.hook) },
+    ...newsletter.sections.map(section => ({
+      type: 'section',
+      title: section.heading,
+      text: `${normalize(section.heading)}\n\n${normalize(section.content)}`,
+    })),
+    { type: 'conclusion', title: 'Conclusion', text: normalize(newsletter.conclusion) },
+  ].filter(segment => segment.text && segment.text.trim());
+}
+
+/**
+ * Split the dialogue script into the blocks read in order:
+ * intro, each section, outro; one "Speaker: text" paragraph per turn
+ * A turn longer than maxChars is split into several turns of the same
+ * speaker, so every chunk line keeps its speaker label.
+ * 
+ * @param {Function} normalize - Speech normalizer applied to each turn
+ * @returns {Array<{ type, title, text }>}
+ */
+function buildDialogueSegments(dialogue, maxChars, normalize) {
+  const formatTurns = turns => turns
+    .flatMap(turn => splitText(normalize(turn.text), maxChars - turn.speaker.length - 2)
+      .map(text => `${turn.speaker}: ${text}`))
+    .join('\n\n');
+
+  return [
+    { type: 'hook', title: 'Introduction', text: formatTurns(dialogue.intro) },
+    ...dialogue.sections.map(section => ({
+      type: 'section',
+      title: section.heading,
+      text: formatTurns(section.turns),
+    })),
+    { type: 'conclusion', title: 'Conclusion', text: formatTurns(dialogue.outro) },
+  ].filter(segment => segment.text);
 }
 
 /**
- * Add WAV header to raw PCM audio data
- * Gemini TTS returns raw PCM data, we need to add WAV header for browser playback
+ * Speech instruction for a two-host dialogue
  */
-function addWavHeader(pcmBuffer) {
-  // Gemini TTS typically outputs 24kHz, 16-bit, mono PCM
-  const sampleRate = 24000;
-  const numChannels = 1;
-  const bitsPerSample = 16;
-  
-  const dataSize = pcmBuffer.length;
-  const fileSize = 44 + dataSize;
-  
-  const header = Buffer.alloc(44);
-  
-  // RIFF header
-  header.write('RIFF', 0);
-  header.writeUInt32LE(fileSize - 8, 4);
-  header.write('WAVE', 8);
-  
-  // fmt chunk
-  header.write('fmt ', 12);
-  header.writeUInt32LE(16, 16); // fmt chunk size
-  header.writeUInt16LE(1, 20); // audio format (PCM)
-  header.writeUInt16LE(numChannels, 22);
-  header.writeUInt32LE(sampleRate, 24);
-  header.writeUInt32LE(sampleRate * numChannels * (bitsPerSample / 8), 28); // byte rate
-  header.writeUInt16LE(numChannels * (bitsPerSample / 8), 32); // block align
-  header.writeUInt16LE(bitsPerSample, 34);
-  
-  // data chunk
-  header.write('data', 36);
-  header.writeUInt32LE(dataSize, 40);
-  
-  // Combine header and PCM data
-  return Buffer.concat([header, pcmBuffer]);
+function buildDialogueInstruction(hosts) {
+  const names = hosts.map(host => host.name).join(' and ');
+  return `TTS the following conversation between ${names}, two hosts of a financial news podcast. Keep it natural, warm and energetic, with clear, authoritative delivery:`;
 }
 
 /**
- * Build audio script from newsletter content
+ * Pack the audio script into chunks of at most maxChars
+ * Blocks are added to the current chunk while they fit; a block longer than
+ * maxChars is split at paragraph, then sentence, then word boundaries.
+ * 
+ * @returns {Array<{ text, starts: Array<{ segmentIndex, offset }>, endsBlock }>}
+ *   starts: blocks that begin in the chunk, with their character offset
+ *   endsBlock: the chunk ends at a block boundary (a pause may follow)
  */
-function buildAudioScript(newsletter) {
-  const parts = [];
-
-  // Title
-  parts.push(newsletter.title);
-  parts.push(''); // Pause
-
-  // Hook
-  parts.push(newsletter.hook);
-  parts.push(''); // Pause
-
-  // Sections
-  newsletter.sections.forEach(section => {
-    parts.push(section.heading);
-    parts.push(section.content);
-    parts.push(''); // Pause between sections
+function chunkAudioScript(segments, maxChars) {
+  const chunks = [];
+  let current = null;
+
+  segments.forEach((segment, segmentIndex) => {
+    const pieces = splitText(segment.text, maxChars);
+    pieces.forEach((piece, pieceIndex) => {
+      const fits = current
+        && current.endsBlock
+        && current.text.length + SEGMENT_SEPARATOR.length + piece.length <= maxChars;
+      if (fits) {
+        current.text += SEGMENT_SEPARATOR;
+      } else {
+        current = { text: '', starts: [], endsBlock: false };
+        chunks.push(current);
+      }
+      if (pieceIndex === 0) {
+        current.starts.push({ segmentIndex, offset: current.text.length });
+      }
+      current.text += piece;
+      current.endsBlock = pieceIndex === pieces.length - 1;
+    });
   });
 
-  // Conclusion
-  parts.push(newsletter.conclusion);
+  return chunks;
+}
 
-  return parts.join('\n\n');
+/**
+ * Chapter markers from the start of each block
+ * A block that starts inside a chunk is placed by its share of the
+ * chunk's characters.
+ * 
+ * @param {Array<{ start, duration }>} timings - Offset and duration of each chunk in seconds
+ * @returns {Array<{ type, title, start, end }>} - Offsets in seconds
+ */
+function buildChapters(segments, chunks, timings, durationSeconds) {
+  const starts = [];
+  chunks.forEach((chunk, index) => {
+    const { start, duration } = timings[index];
+    for (const { segmentIndex, offset } of chunk.starts) {
+      starts[segmentIndex] = start + duration * (offset / chunk.text.length);
+    }
+  });
+
+  return segments.map((segment, index) => ({
+    type: segment.type,
+    title: segment.title,
+    start: Number(starts[index].toFixed(2)),
+    end: Number((index + 1 < segments.length ? starts[index + 1] : durationSeconds).toFixed(2)),
+  }));
 }
 
 /**
- * Create a placeholder audio file when TTS fails
+ * Move chapters onto the post-processed audio
+ * The intro stinger belongs to the first chapter and the outro to the last,
+ * so the chapters still cover the whole file.
  */
-async function createPlaceholderAudio(outputPath) {
-  try {
-    // Ensure output directory exists
-    const outputDir = path.dirname(outputPath);
-    await fs.mkdir(outputDir, { recursive: true });
-    
-    // Create a minimal WAV file header (1 second of silence)
-    const sampleRate = 44100;
-    const duration = 1;
-    const numSamples = sampleRate * duration;
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    
-    const dataSize = numSamples * numChannels * (bitsPerSample / 8);
-    const fileSize = 44 + dataSize;
-    
-    const buffer = Buffer.alloc(fileSize);
-    
-    // WAV header
-    buffer.write('RIFF', 0);
-    buffer.writeUInt32LE(fileSize - 8, 4);
-    buffer.write('WAVE', 8);
-    buffer.write('fmt ', 12);
-    buffer.writeUInt32LE(16, 16); // fmt chunk size
-    buffer.writeUInt16LE(1, 20); // audio format (PCM)
-    buffer.writeUInt16LE(numChannels, 22);
-    buffer.writeUInt32LE(sampleRate, 24);
-    buffer.writeUInt32LE(sampleRate * numChannels * (bitsPerSample / 8), 28);
-    buffer.writeUInt16LE(numChannels * (bitsPerSample / 8), 32);
-    buffer.writeUInt16LE(bitsPerSample, 34);
-    buffer.write('data', 36);
-    buffer.writeUInt32LE(dataSize, 40);
-    
-    // Data (silence = zeros, already initialized by Buffer.alloc)
-    
-    await fs.writeFile(outputPath, buffer);
-    console.log('✅ Placeholder audio created');
-  } catch (error) {
-    console.error('❌ Failed to create placeholder audio:', error);
-    throw error;
+function remapChapters(chapters, timeline, durationSeconds) {
+  return chapters.map((chapter, index) => ({
+    ...chapter,
+    start: index === 0 ? 0 : Number(mapSpeechTime(timeline, chapter.start).toFixed(2)),
+    end: Number((index === chapters.length - 1 ? durationSeconds : mapSpeechTime(timeline, chapter.end)).toFixed(2)),
+  }));
+}
+
+/**
+ * Split text into pieces of at most maxChars at the coarsest boundary that fits
+ */
+function splitText(text, maxChars) {
+  if (text.length <= maxChars) {
+    return [text];
   }
+
+  for (const [pattern, joiner] of [[/\n\n+/, '\n\n'], [/(?<=[.!?])\s+/, ' '], [/\s+/, ' ']]) {
+    const units = text.split(pattern).filter(Boolean);
+    if (units.length < 2) {
+      continue;
+    }
+
+    const pieces = [];
+    let current = '';
+    for (const unit of units) {
+      if (current && current.length + joiner.length + unit.length > maxChars) {
+        pieces.push(current);
+        current = unit;
+      } else {
+        current = current ? `${current}${joiner}${unit}` : unit;
+      }
+    }
+    pieces.push(current);
+
+    // Pieces still too long (e.g. one huge sentence) are split further
+    return pieces.flatMap(piece => piece.length > maxChars && piece !== text
+      ? splitText(piece, maxChars)
+      : [piece]);
+  }
+
+  // A single unbreakable word: hard split
+  const pieces = [];
+  for (let i = 0; i < text.length; i += maxChars) {
+    pieces.push(text.slice(i, i + maxChars));
+  }
+  return pieces;
 }
 
 /**
@@ -213,23 +369,25 @@ export async function testTTS() {
       sections: [
         {
           heading: 'Test Section',
-          content: 'This is test content to verify audio generation works correctly with Gemini 2.5 Flash TTS.'
+          content: 'This is test content to verify audio generation works correctly with the configured TTS provider.'
         }
       ],
       conclusion: 'End of test.'
     };
 
-    const testPath = '/tmp/test-audio.wav';
-    const result = await generateNewsletterAudio(testNewsletter, testPath);
+    const result = await generateNewsletterAudio(testNewsletter, 'test/test-audio');
     
     console.log('✅ TTS test result:', result);
     
-    // Check if file exists
-    const stats = await fs.stat(testPath);
-    console.log(`✅ Audio file created: ${stats.size} bytes`);
-    
-    // Clean up
-    await fs.unlink(testPath).catch(() => {});
+    // Check if files exist
+    const storage = getStorage();
+    for (const file of result.files) {
+      const stored = await storage.head(file.key);
+      console.log(`✅ ${file.format} audio file created: ${stored?.bytes} bytes`);
+      
+      // Clean up
+      await storage.delete(file.key).catch(() => {});
+    }
     
     return true;
   } catch (error) {
@@ -0,0 +1,20 @@
+import { config } from '../config.js';
+
+/**
+ * Check that the X-API-Key header matches API_SECRET_KEY
+ * Always false while API_SECRET_KEY is not set.
+ */
+export function hasValidApiKey(req) {
+  const apiKey = req.headers['x-api-key'];
+  return Boolean(config.apiSecretKey) && apiKey === config.apiSecretKey;
+}
+
+/**
+ * Express middleware requiring the X-API-Key header to match API_SECRET_KEY
+ */
+export function requireApiKey(req, res, next) {
+  if (!hasValidApiKey(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
@@ -0,0 +1,36 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the input order. The first failure rejects the whole map and
+ * no further items are started (calls already running are left to finish).
+ *
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
@@ -0,0 +1,76 @@
+/**
+ * Date helpers
+ *
+ * Newsletter dates are plain YYYY-MM-DD strings. These helpers convert
+ * between those strings and instants without depending on server time.
+ */
+
+/**
+ * Get the calendar date (YYYY-MM-DD) of an instant in a time zone
+ *
+ * @param {Date} instant - Point in time (defaults to now)
+ * @param {string} timeZone - IANA time zone, e.g. 'America/New_York'
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getDateInTimeZone(instant = new Date(), timeZone = 'UTC') {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(instant);
+}
+
+/**
+ * Get the instant of a wall-clock time on a date in a time zone
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - IANA time zone, e.g. 'America/New_York'
+ * @returns {Date}
+ */
+export function getInstantInTimeZone(date, time, timeZone = 'UTC') {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // The offset at the first guess can be off by the DST change, so check again at the result
+  let instant = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  instant = wallClock - getTimeZoneOffset(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function getTimeZoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(instant).map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Format a DATE column value as YYYY-MM-DD
+ * pg returns DATE columns as Dates at local midnight, so the local
+ * calendar fields are the stored date.
+ *
+ * @param {Date|string} value - DATE value from the database
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function formatDateOnly(value) {
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
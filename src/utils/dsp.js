@@ -0,0 +1,479 @@
+/**
+ * Audio DSP helpers
+ *
+ * Pure JavaScript processing for the TTS post-processing stage. Audio is
+ * handled as { samples, sampleRate, channels } where samples is an
+ * interleaved Float32Array in [-1, 1].
+ *
+ * Loudness is integrated loudness per ITU-R BS.1770-4 (K-weighting,
+ * 400ms blocks with 75% overlap, absolute and relative gating), in LUFS.
+ */
+
+const INT16_SCALE = 32768;
+
+// BS.1770 gates
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const BLOCK_SECONDS = 0.4;
+const BLOCK_STEP_SECONDS = 0.1;
+
+/**
+ * Convert dB to a linear gain
+ */
+export function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * Convert a linear gain to dB
+ */
+export function gainToDb(gain) {
+  return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+}
+
+/**
+ * Duration in seconds
+ */
+export function getDurationSeconds(audio) {
+  return audio.samples.length / audio.channels / audio.sampleRate;
+}
+
+/**
+ * 16-bit PCM ({ pcm, sampleRate, channels, bitsPerSample }) to float audio
+ */
+export function pcmToAudio(speech) {
+  if (speech.bitsPerSample !== 16) {
+    throw new Error(`Unsupported PCM bit depth: ${speech.bitsPerSample}`);
+  }
+  const count = Math.floor(speech.pcm.length / 2);
+  const samples = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    samples[i] = speech.pcm.readInt16LE(i * 2) / INT16_SCALE;
+  }
+  return { samples, sampleRate: speech.sampleRate, channels: speech.channels };
+}
+
+/**
+ * Float audio to 16-bit PCM, clipping out-of-range samples
+ */
+export function audioToPcm(audio) {
+  const pcm = Buffer.alloc(audio.samples.length * 2);
+  for (let i = 0; i < audio.samples.length; i++) {
+    const value = Math.round(audio.samples[i] * INT16_SCALE);
+    pcm.writeInt16LE(Math.max(-INT16_SCALE, Math.min(INT16_SCALE - 1, value)), i * 2);
+  }
+  return { pcm, sampleRate: audio.sampleRate, channels: audio.channels, bitsPerSample: 16 };
+}
+
+/**
+ * Decode a WAV file (PCM 8/16/24/32-bit or 32-bit float)
+ *
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Object} - { samples, sampleRate, channels }
+ */
+export function decodeWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = buffer.subarray(offset + 8, Math.min(offset + 8 + size, buffer.length));
+    if (id === 'fmt ') {
+      let audioFormat = body.readUInt16LE(0);
+      if (audioFormat === 0xfffe && body.length >= 26) {
+        audioFormat = body.readUInt16LE(24); // WAVE_FORMAT_EXTENSIBLE sub-format
+      }
+      format = {
+        audioFormat,
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14),
+      };
+    } else if (id === 'data') {
+      data = body;
+    }
+    offset += 8 + size + (size % 2); // Chunks are word-aligned
+  }
+
+  if (!format || !data) {
+    throw new Error('WAV file has no fmt or data chunk');
+  }
+
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const bytes = bitsPerSample / 8;
+  const count = Math.floor(data.length / bytes);
+  const samples = new Float32Array(count);
+
+  let read;
+  if (audioFormat === 3 && bitsPerSample === 32) {
+    read = i => data.readFloatLE(i * 4);
+  } else if (audioFormat === 1 && bitsPerSample === 8) {
+    read = i => (data[i] - 128) / 128;
+  } else if (audioFormat === 1 && bitsPerSample === 16) {
+    read = i => data.readInt16LE(i * 2) / INT16_SCALE;
+  } else if (audioFormat === 1 && bitsPerSample === 24) {
+    read = i => data.readIntLE(i * 3, 3) / 8388608;
+  } else if (audioFormat === 1 && bitsPerSample === 32) {
+    read = i => data.readInt32LE(i * 4) / 2147483648;
+  } else {
+    throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit)`);
+  }
+
+  for (let i = 0; i < count; i++) {
+    samples[i] = read(i);
+  }
+  return { samples, sampleRate, channels };
+}
+
+/**
+ * Convert audio to another sample rate and channel count
+ * Channels are averaged down to mono or mono is copied to every channel;
+ * resampling is linear interpolation, which is fine for stingers and beds.
+ */
+export function convertAudio(audio, { sampleRate, channels }) {
+  let converted = audio;
+
+  if (converted.channels !== channels) {
+    const frames = converted.samples.length / converted.channels;
+    const samples = new Float32Array(frames * channels);
+    for (let frame = 0; frame < frames; frame++) {
+      let sum = 0;
+      for (let c = 0; c < converted.channels; c++) {
+        sum += converted.samples[frame * converted.channels + c];
+      }
+      const value = sum / converted.channels;
+      for (let c = 0; c < channels; c++) {
+        samples[frame * channels + c] = value;
+      }
+    }
+    converted = { samples, sampleRate: converted.sampleRate, channels };
+  }
+
+  if (converted.sampleRate !== sampleRate) {
+    const inFrames = converted.samples.length / channels;
+    const outFrames = Math.round(inFrames * sampleRate / converted.sampleRate);
+    const ratio = converted.sampleRate / sampleRate;
+    const samples = new Float32Array(outFrames * channels);
+    for (let frame = 0; frame < outFrames; frame++) {
+      const position = frame * ratio;
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const next = Math.min(index + 1, inFrames - 1);
+      for (let c = 0; c < channels; c++) {
+        const a = converted.samples[index * channels + c];
+        const b = converted.samples[next * channels + c];
+        samples[frame * channels + c] = a + (b - a) * fraction;
+      }
+    }
+    converted = { samples, sampleRate, channels };
+  }
+
+  return converted;
+}
+
+/**
+ * Integrated loudness in LUFS (ITU-R BS.1770-4)
+ * Returns -Infinity for silence.
+ */
+export function measureLoudness(audio) {
+  const { sampleRate, channels } = audio;
+  const frames = audio.samples.length / channels;
+  if (frames === 0) {
+    return -Infinity;
+  }
+
+  // K-weighted squared samples, summed over channels (all weights 1 for mono/stereo)
+  const power = new Float64Array(frames);
+  for (let c = 0; c < channels; c++) {
+    const shelf = createBiquad(kWeightingShelf(sampleRate));
+    const highPass = createBiquad(kWeightingHighPass(sampleRate));
+    for (let frame = 0; frame < frames; frame++) {
+      const y = highPass(shelf(audio.samples[frame * channels + c]));
+      power[frame] += y * y;
+    }
+  }
+
+  const blockFrames = Math.min(frames, Math.round(BLOCK_SECONDS * sampleRate));
+  const stepFrames = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+  const blocks = [];
+  for (let start = 0; start + blockFrames <= frames; start += stepFrames) {
+    let sum = 0;
+    for (let i = start; i < start + blockFrames; i++) {
+      sum += power[i];
+    }
+    blocks.push(sum / blockFrames);
+  }
+
+  const toLufs = meanSquare => -0.691 + 10 * Math.log10(meanSquare);
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const aboveAbsolute = blocks.filter(block => toLufs(block) > ABSOLUTE_GATE_LUFS);
+  if (aboveAbsolute.length === 0) {
+    return -Infinity;
+  }
+  const relativeGate = toLufs(mean(aboveAbsolute)) + RELATIVE_GATE_LU;
+  const gated = aboveAbsolute.filter(block => toLufs(block) > relativeGate);
+  return toLufs(mean(gated));
+}
+
+/**
+ * Highest absolute sample value (linear)
+ */
+export function getPeak(audio) {
+  let peak = 0;
+  for (let i = 0; i < audio.samples.length; i++) {
+    const value = Math.abs(audio.samples[i]);
+    if (value > peak) {
+      peak = value;
+    }
+  }
+  return peak;
+}
+
+/**
+ * Apply a gain in dB (returns new audio)
+ */
+export function applyGain(audio, gainDb) {
+  const gain = dbToGain(gainDb);
+  const samples = new Float32Array(audio.samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = audio.samples[i] * gain;
+  }
+  return { ...audio, samples };
+}
+
+/**
+ * Bring audio to a target integrated loudness
+ * The gain is capped so the sample peak stays at or below peakCeilingDb;
+ * very peaky audio may therefore end up quieter than the target.
+ *
+ * @returns {Object} - { audio, inputLufs, outputLufs, gainDb }
+ */
+export function normalizeLoudness(audio, { targetLufs, peakCeilingDb }) {
+  const inputLufs = measureLoudness(audio);
+  if (!Number.isFinite(inputLufs)) {
+    return { audio, inputLufs, outputLufs: inputLufs, gainDb: 0 };
+  }
+
+  const peakDb = gainToDb(getPeak(audio));
+  const gainDb = Math.min(targetLufs - inputLufs, peakCeilingDb - peakDb);
+  return {
+    audio: applyGain(audio, gainDb),
+    inputLufs,
+    outputLufs: inputLufs + gainDb,
+    gainDb,
+  };
+}
+
+/**
+ * Remove leading and trailing silence
+ * Silence is every sample below thresholdDb; paddingMs of it is kept on
+ * each side so words are not clipped.
+ *
+ * @returns {Object} - { audio, trimmedStartSeconds, trimmedEndSeconds }
+ */
+export function trimSilence(audio, { thresholdDb, paddingMs }) {
+  const { channels, sampleRate } = audio;
+  const frames = audio.samples.length / channels;
+  const threshold = dbToGain(thresholdDb);
+
+  const isSound = frame => {
+    for (let c = 0; c < channels; c++) {
+      if (Math.abs(audio.samples[frame * channels + c]) > threshold) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  let first = 0;
+  while (first < frames && !isSound(first)) {
+    first++;
+  }
+  if (first === frames) {
+    return { audio, trimmedStartSeconds: 0, trimmedEndSeconds: 0 }; // All silence: leave it alone
+  }
+  let last = frames - 1;
+  while (last > first && !isSound(last)) {
+    last--;
+  }
+
+  const padding = Math.round((paddingMs / 1000) * sampleRate);
+  const start = Math.max(0, first - padding);
+  const end = Math.min(frames, last + 1 + padding);
+
+  return {
+    audio: { ...audio, samples: audio.samples.slice(start * channels, end * channels) },
+    trimmedStartSeconds: start / sampleRate,
+    trimmedEndSeconds: (frames - end) / sampleRate,
+  };
+}
+
+/**
+ * Join clips of the same format with silence between them
+ */
+export function concatAudio(clips, { gapMs = 0 } = {}) {
+  const { sampleRate, channels } = clips[0];
+  const gap = Math.round((gapMs / 1000) * sampleRate) * channels;
+  const length = clips.reduce((sum, clip) => sum + clip.samples.length, 0) + gap * (clips.length - 1);
+
+  const samples = new Float32Array(length);
+  let offset = 0;
+  clips.forEach((clip, index) => {
+    if (index > 0) {
+      offset += gap;
+    }
+    samples.set(clip.samples, offset);
+    offset += clip.samples.length;
+  });
+  return { samples, sampleRate, channels };
+}
+
+/**
+ * Fade the start and end of audio in and out linearly (returns new audio)
+ */
+export function fade(audio, { inMs = 0, outMs = 0 }) {
+  const { channels, sampleRate } = audio;
+  const frames = audio.samples.length / channels;
+  const fadeIn = Math.min(frames, Math.round((inMs / 1000) * sampleRate));
+  const fadeOut = Math.min(frames, Math.round((outMs / 1000) * sampleRate));
+  const samples = audio.samples.slice();
+
+  for (let frame = 0; frame < frames; frame++) {
+    let gain = 1;
+    if (frame < fadeIn) {
+      gain = Math.min(gain, frame / fadeIn);
+    }
+    if (frame >= frames - fadeOut) {
+      gain = Math.min(gain, (frames - frame) / fadeOut);
+    }
+    if (gain < 1) {
+      for (let c = 0; c < channels; c++) {
+        samples[frame * channels + c] *= gain;
+      }
+    }
+  }
+  return { ...audio, samples };
+}
+
+/**
+ * Mix a looped music bed under speech, ducked while the speech is active
+ * The bed plays at bedGainDb in pauses and duckGainDb under speech; the
+ * gain moves towards its target with attackMs (ducking) and releaseMs
+ * (recovering) time constants.
+ *
+ * @param {Object} speech - Foreground audio
+ * @param {Object} bed - Music bed in the same format as speech (looped to length)
+ * @param {Object} options - { bedGainDb, duckGainDb, thresholdDb, attackMs, releaseMs, fadeMs }
+ * @returns {Object} - Mixed audio, same length as speech
+ */
+export function mixDuckedBed(speech, bed, { bedGainDb, duckGainDb, thresholdDb = -40, attackMs = 80, releaseMs = 600, fadeMs = 1000 }) {
+  const { channels, sampleRate } = speech;
+  const frames = speech.samples.length / channels;
+  const bedFrames = bed.samples.length / channels;
+  if (frames === 0 || bedFrames === 0) {
+    return speech;
+  }
+
+  // Speech activity per 10ms window
+  const windowFrames = Math.max(1, Math.round(0.01 * sampleRate));
+  const threshold = dbToGain(thresholdDb);
+  const active = [];
+  for (let start = 0; start < frames; start += windowFrames) {
+    const end = Math.min(frames, start + windowFrames);
+    let sum = 0;
+    for (let i = start * channels; i < end * channels; i++) {
+      sum += speech.samples[i] * speech.samples[i];
+    }
+    active.push(Math.sqrt(sum / ((end - start) * channels)) > threshold);
+  }
+
+  const openGain = dbToGain(bedGainDb);
+  const duckedGain = dbToGain(duckGainDb);
+  const attack = 1 - Math.exp(-1 / ((attackMs / 1000) * sampleRate));
+  const release = 1 - Math.exp(-1 / ((releaseMs / 1000) * sampleRate));
+  const fadeFrames = Math.min(Math.floor(frames / 2), Math.round((fadeMs / 1000) * sampleRate));
+
+  const samples = new Float32Array(speech.samples.length);
+  let gain = active[0] ? duckedGain : openGain;
+  for (let frame = 0; frame < frames; frame++) {
+    const target = active[Math.floor(frame / windowFrames)] ? duckedGain : openGain;
+    gain += (target - gain) * (target < gain ? attack : release);
+
+    let envelope = gain;
+    if (frame < fadeFrames) {
+      envelope *= frame / fadeFrames;
+    } else if (frame >= frames - fadeFrames) {
+      envelope *= (frames - frame) / fadeFrames;
+    }
+
+    const bedFrame = frame % bedFrames;
+    for (let c = 0; c < channels; c++) {
+      samples[frame * channels + c] = speech.samples[frame * channels + c]
+        + bed.samples[bedFrame * channels + c] * envelope;
+    }
+  }
+  return { ...speech, samples };
+}
+
+/**
+ * Direct form I biquad filter; returns a per-sample function with its own state
+ */
+function createBiquad({ b0, b1, b2, a1, a2 }) {
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  return (x) => {
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    return y;
+  };
+}
+
+/**
+ * K-weighting stage 1: high shelf (head effects), for any sample rate
+ */
+function kWeightingShelf(sampleRate) {
+  const f0 = 1681.974450955533;
+  const gainDb = 3.999843853973347;
+  const q = 0.7071752369554196;
+
+  const k = Math.tan(Math.PI * f0 / sampleRate);
+  const vh = Math.pow(10, gainDb / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  const a0 = 1 + k / q + k * k;
+  return {
+    b0: (vh + vb * k / q + k * k) / a0,
+    b1: 2 * (k * k - vh) / a0,
+    b2: (vh - vb * k / q + k * k) / a0,
+    a1: 2 * (k * k - 1) / a0,
+    a2: (1 - k / q + k * k) / a0,
+  };
+}
+
+/**
+ * K-weighting stage 2: RLB high-pass, for any sample rate
+ */
+function kWeightingHighPass(sampleRate) {
+  const f0 = 38.13547087602444;
+  const q = 0.5003270373238773;
+
+  const k = Math.tan(Math.PI * f0 / sampleRate);
+  const a0 = 1 + k / q + k * k;
+  return {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (k * k - 1) / a0,
+    a2: (1 - k / q + k * k) / a0,
+  };
+}
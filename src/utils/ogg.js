@@ -0,0 +1,149 @@
+/**
+ * Ogg Opus muxer
+ *
+ * Wraps Opus packets in an Ogg container (RFC 3533, RFC 7845) so the
+ * encoded audio plays in browsers as audio/ogg without external tools.
+ */
+
+const OGG_CRC_TABLE = buildCrcTable();
+
+// Packets per page; keeps pages small so players can seek
+const PACKETS_PER_PAGE = 50;
+
+const HEADER_TYPE = {
+  BOS: 0x02,
+  EOS: 0x04,
+};
+
+/**
+ * Build an Ogg Opus file from encoded packets
+ *
+ * @param {Buffer[]} packets - Opus packets in order, each one frame long
+ * @param {Object} options
+ * @param {number} options.channels - Channel count
+ * @param {number} options.inputSampleRate - Original sample rate (informational)
+ * @param {number} options.frameSamples48k - Samples per packet at 48kHz (960 for 20ms)
+ * @param {number} options.preSkip - Encoder lookahead at 48kHz, skipped by decoders
+ * @param {number} options.totalSamples48k - Length of the original audio at 48kHz
+ * @param {string} options.vendor - Vendor string for the OpusTags header
+ * @returns {Buffer}
+ */
+export function muxOggOpus(packets, { channels, inputSampleRate, frameSamples48k, preSkip, totalSamples48k, vendor = 'cyclescope-daily-pulse' }) {
+  const serial = Math.floor(Math.random() * 0xffffffff) >>> 0;
+  const pages = [];
+  let sequence = 0;
+
+  pages.push(buildPage([buildOpusHead(channels, preSkip, inputSampleRate)], {
+    headerType: HEADER_TYPE.BOS,
+    granule: 0,
+    serial,
+    sequence: sequence++,
+  }));
+  pages.push(buildPage([buildOpusTags(vendor)], {
+    headerType: 0,
+    granule: 0,
+    serial,
+    sequence: sequence++,
+  }));
+
+  // The last page's granule trims the padding added to fill the final frame
+  const endGranule = preSkip + totalSamples48k;
+  for (let i = 0; i < packets.length; i += PACKETS_PER_PAGE) {
+    const pagePackets = packets.slice(i, i + PACKETS_PER_PAGE);
+    const isLast = i + PACKETS_PER_PAGE >= packets.length;
+    const granule = Math.min((i + pagePackets.length) * frameSamples48k, endGranule);
+
+    pages.push(buildPage(pagePackets, {
+      headerType: isLast ? HEADER_TYPE.EOS : 0,
+      granule,
+      serial,
+      sequence: sequence++,
+    }));
+  }
+
+  return Buffer.concat(pages);
+}
+
+/**
+ * OpusHead identification header (RFC 7845 section 5.1)
+ */
+function buildOpusHead(channels, preSkip, inputSampleRate) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'ascii');
+  head.writeUInt8(1, 8); // version
+  head.writeUInt8(channels, 9);
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(inputSampleRate, 12);
+  head.writeInt16LE(0, 16); // output gain
+  head.writeUInt8(0, 18); // channel mapping family (mono/stereo)
+  return head;
+}
+
+/**
+ * OpusTags comment header (RFC 7845 section 5.2)
+ */
+function buildOpusTags(vendor) {
+  const vendorBytes = Buffer.from(vendor, 'utf8');
+  const tags = Buffer.alloc(8 + 4 + vendorBytes.length + 4);
+  tags.write('OpusTags', 0, 'ascii');
+  tags.writeUInt32LE(vendorBytes.length, 8);
+  vendorBytes.copy(tags, 12);
+  tags.writeUInt32LE(0, 12 + vendorBytes.length); // no user comments
+  return tags;
+}
+
+/**
+ * Build one Ogg page holding whole packets
+ */
+function buildPage(packets, { headerType, granule, serial, sequence }) {
+  const lacing = [];
+  for (const packet of packets) {
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      lacing.push(255);
+      remaining -= 255;
+    }
+    lacing.push(remaining); // A packet ending on a 255 boundary gets a 0
+  }
+  if (lacing.length > 255) {
+    throw new Error(`Ogg page needs ${lacing.length} segments (max 255)`);
+  }
+
+  const header = Buffer.alloc(27 + lacing.length);
+  header.write('OggS', 0, 'ascii');
+  header.writeUInt8(0, 4); // stream structure version
+  header.writeUInt8(headerType, 5);
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt32LE(0, 22); // CRC, filled in below
+  header.writeUInt8(lacing.length, 26);
+  Buffer.from(lacing).copy(header, 27);
+
+  const page = Buffer.concat([header, ...packets]);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+/**
+ * Ogg CRC-32 (polynomial 0x04c11db7, no reflection, zero initial value)
+ */
+function oggCrc(buffer) {
+  let crc = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ buffer[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+function buildCrcTable() {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let r = i << 24;
+    for (let j = 0; j < 8; j++) {
+      r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+    }
+    table[i] = r >>> 0;
+  }
+  return table;
+}
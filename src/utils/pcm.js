@@ -0,0 +1,86 @@
+/**
+ * PCM helpers
+ *
+ * TTS providers return raw little-endian PCM. These helpers describe and
+ * join PCM buffers; a format is { sampleRate, channels, bitsPerSample }.
+ */
+
+/**
+ * Bytes per sample frame (one sample for every channel)
+ */
+export function getBlockAlign({ channels, bitsPerSample }) {
+  return channels * (bitsPerSample / 8);
+}
+
+/**
+ * Duration in seconds of PCM data in a format
+ */
+export function getPcmDurationSeconds(byteLength, format) {
+  return byteLength / getBlockAlign(format) / format.sampleRate;
+}
+
+/**
+ * Silence of the given length in a PCM format
+ */
+export function createSilence(durationMs, format) {
+  const frames = Math.round((durationMs / 1000) * format.sampleRate);
+  return Buffer.alloc(frames * getBlockAlign(format));
+}
+
+/**
+ * Check that two PCM formats match
+ */
+export function isSameFormat(a, b) {
+  return a.sampleRate === b.sampleRate
+    && a.channels === b.channels
+    && a.bitsPerSample === b.bitsPerSample;
+}
+
+/**
+ * Join PCM segments into one continuous stream with silence between them
+ * Segments must share one format; a trailing partial frame is dropped so
+ * samples stay aligned across the joins.
+ *
+ * @param {Array<{ pcm: Buffer, sampleRate, channels, bitsPerSample }>} segments
+ * @param {Object} options
+ * @param {number|number[]} options.pauseMs - Silence inserted between segments
+ *   (one length for every join, or one per join: pauseMs[i] goes after segment i)
+ * @returns {Object} - { pcm, sampleRate, channels, bitsPerSample, offsets }
+ *   offsets: start time in seconds of each segment in the joined stream
+ */
+export function concatPcm(segments, { pauseMs = 0 } = {}) {
+  if (segments.length === 0) {
+    throw new Error('No PCM segments to join');
+  }
+
+  const format = {
+    sampleRate: segments[0].sampleRate,
+    channels: segments[0].channels,
+    bitsPerSample: segments[0].bitsPerSample,
+  };
+  const blockAlign = getBlockAlign(format);
+  const getPause = index => {
+    const ms = Array.isArray(pauseMs) ? pauseMs[index - 1] : pauseMs;
+    return ms > 0 ? createSilence(ms, format) : null;
+  };
+
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  segments.forEach((segment, index) => {
+    if (!isSameFormat(segment, format)) {
+      throw new Error(`PCM segment ${index} is ${segment.sampleRate}Hz/${segment.channels}ch/${segment.bitsPerSample}bit, expected ${format.sampleRate}Hz/${format.channels}ch/${format.bitsPerSample}bit`);
+    }
+    const pause = index > 0 ? getPause(index) : null;
+    if (pause) {
+      parts.push(pause);
+      length += pause.length;
+    }
+    const alignedLength = segment.pcm.length - (segment.pcm.length % blockAlign);
+    offsets.push(getPcmDurationSeconds(length, format));
+    parts.push(segment.pcm.subarray(0, alignedLength));
+    length += alignedLength;
+  });
+
+  return { pcm: Buffer.concat(parts), ...format, offsets };
+}
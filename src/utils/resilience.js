@@ -0,0 +1,269 @@
+/**
+ * Resilience helpers for external API calls
+ *
+ * - Exponential backoff with full jitter between attempts
+ * - Per-attempt timeout (passes an AbortSignal to the call)
+ * - Retryable vs fatal error classification
+ * - Circuit breaker that fails fast while the API is down
+ * - Optional stats collector recording attempts and breaker state
+ */
+
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET',
+]);
+const RETRYABLE_MESSAGE_PATTERN = /RESOURCE_EXHAUSTED|UNAVAILABLE|DEADLINE_EXCEEDED|overloaded|fetch failed|socket hang up/i;
+
+/**
+ * Thrown when an attempt exceeds its timeout
+ */
+export class TimeoutError extends Error {
+  constructor(operation, timeoutMs) {
+    super(`${operation} timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Thrown without calling the API while the circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit "${name}" is open; failing fast until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Classify an error as 'retryable' or 'fatal'
+ */
+export function classifyError(error) {
+  if (error instanceof CircuitOpenError) {
+    return 'fatal';
+  }
+  if (error instanceof TimeoutError || error?.name === 'AbortError') {
+    return 'retryable';
+  }
+
+  // Set by callers for failures they know to be transient
+  if (error?.retryable === true) {
+    return 'retryable';
+  }
+
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  if (typeof status === 'number') {
+    return RETRYABLE_STATUS_CODES.has(status) ? 'retryable' : 'fatal';
+  }
+
+  const code = error?.code ?? error?.cause?.code;
+  if (code && RETRYABLE_ERROR_CODES.has(code)) {
+    return 'retryable';
+  }
+
+  // Malformed model output (e.g. truncated JSON) usually succeeds on a retry
+  if (error instanceof SyntaxError) {
+    return 'retryable';
+  }
+
+  if (RETRYABLE_MESSAGE_PATTERN.test(error?.message || '')) {
+    return 'retryable';
+  }
+
+  return 'fatal';
+}
+
+/**
+ * Circuit breaker
+ *
+ * closed → open after `failureThreshold` consecutive failures,
+ * open → half_open after `resetTimeoutMs`, half_open → closed on the
+ * next success (or back to open on failure).
+ */
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 60000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Throw CircuitOpenError if calls are currently blocked
+   */
+  assertCanCall() {
+    if (this.state === 'open') {
+      const retryAt = this.openedAt + this.resetTimeoutMs;
+      if (Date.now() < retryAt) {
+        throw new CircuitOpenError(this.name, retryAt);
+      }
+      this.state = 'half_open';
+      console.log(`🔌 Circuit "${this.name}" half-open, allowing a trial call`);
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`🔌 Circuit "${this.name}" closed`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`🔌 Circuit "${this.name}" opened after ${this.consecutiveFailures} consecutive failure(s)`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+    };
+  }
+}
+
+/**
+ * Create a stats collector to pass to callWithResilience()
+ */
+export function createResilienceStats() {
+  return {
+    calls: [],
+    totalRetries: 0,
+    breakers: {},
+  };
+}
+
+/**
+ * Call `fn` with timeout, retries and circuit breaker
+ *
+ * @param {string} operation - Name used in logs and stats
+ * @param {Function} fn - Receives { signal, attempt } and returns a promise
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Backoff base delay
+ * @param {number} options.maxDelayMs - Backoff delay cap
+ * @param {number} options.timeoutMs - Per-attempt timeout (0 disables)
+ * @param {CircuitBreaker} options.breaker - Optional circuit breaker
+ * @param {Object} options.stats - Optional collector from createResilienceStats()
+ */
+export async function callWithResilience(operation, fn, {
+  retries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  timeoutMs = 0,
+  breaker = null,
+  stats = null,
+} = {}) {
+  const startedAt = Date.now();
+  const record = {
+    operation,
+    attempts: 0,
+    retries: 0,
+    outcome: 'pending',
+    errors: [],
+  };
+  stats?.calls.push(record);
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      breaker?.assertCanCall();
+      record.attempts = attempt;
+
+      try {
+        const result = await runWithTimeout(operation, fn, attempt, timeoutMs);
+        breaker?.recordSuccess();
+        record.outcome = 'success';
+        return result;
+      } catch (error) {
+        const classification = classifyError(error);
+
+        // Only failures that say the service is unhealthy count towards the breaker
+        if (classification === 'retryable') {
+          breaker?.recordFailure();
+        }
+
+        record.errors.push({
+          attempt,
+          message: error.message,
+          status: error.status ?? null,
+          classification,
+        });
+
+        if (classification === 'fatal' || attempt > retries) {
+          record.outcome = 'failed';
+          throw error;
+        }
+
+        const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+        record.retries++;
+        if (stats) stats.totalRetries++;
+        console.warn(`🔁 ${operation} failed (attempt ${attempt}/${retries + 1}): ${error.message}. Retrying in ${delay}ms...`);
+        await sleep(delay);
+      }
+    }
+  } catch (error) {
+    if (error instanceof CircuitOpenError) {
+      record.outcome = 'circuit_open';
+    }
+    throw error;
+  } finally {
+    record.durationMs = Date.now() - startedAt;
+    if (stats && breaker) {
+      stats.breakers[breaker.name] = breaker.getState();
+    }
+  }
+}
+
+/**
+ * Run one attempt, aborting it after timeoutMs
+ */
+async function runWithTimeout(operation, fn, attempt, timeoutMs) {
+  if (!timeoutMs) {
+    return await fn({ signal: undefined, attempt });
+  }
+
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(operation, timeoutMs));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn({ signal: controller.signal, attempt }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
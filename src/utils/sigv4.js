@@ -0,0 +1,142 @@
+/**
+ * AWS Signature Version 4
+ *
+ * Signs S3 requests (Authorization header) and creates presigned URLs,
+ * without the AWS SDK. Works with any S3-compatible service (MinIO, R2, ...).
+ *
+ * URLs must already be encoded the way S3 expects (each key segment
+ * RFC 3986-encoded, see encodeS3Key); S3 paths are not encoded twice.
+ */
+
+import crypto from 'crypto';
+
+export const EMPTY_PAYLOAD_HASH = sha256Hex('');
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+/**
+ * Encode an object key for a URL path ("/" is kept between segments)
+ */
+export function encodeS3Key(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+/**
+ * Sign a request with the Authorization header
+ *
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Request URL
+ * @param {Object} request.headers - Headers to sign (host, x-amz-date and x-amz-content-sha256 are added)
+ * @param {string} request.payloadHash - SHA-256 hex of the body (or UNSIGNED_PAYLOAD)
+ * @param {Object} request.credentials - { accessKeyId, secretAccessKey }
+ * @param {string} request.region
+ * @param {string} request.service - Default 's3'
+ * @param {Date} request.date - Signing time (default now)
+ * @returns {Object} - Headers to send, including Authorization
+ */
+export function signRequest({ method, url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH, credentials, region, service = 's3', date = new Date() }) {
+  const amzDate = toAmzDate(date);
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+
+  const scope = getScope(amzDate, region, service);
+  const signedHeaders = Object.keys(signed).sort().join(';');
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery(url.searchParams),
+    ...Object.keys(signed).sort().map(name => `${name}:${signed[name].trim().replace(/\s+/g, ' ')}`),
+    '',
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+  const signature = sign(canonicalRequest, amzDate, scope, credentials.secretAccessKey, region, service);
+
+  const { host, ...rest } = signed;
+  return {
+    ...rest,
+    authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Create a presigned URL (query-string authentication, only "host" is signed)
+ *
+ * @param {Object} request
+ * @param {string} request.method - Default 'GET'
+ * @param {URL} request.url - Object URL
+ * @param {number} request.expiresInSeconds - Lifetime of the URL (at most 7 days)
+ * @param {Object} request.credentials - { accessKeyId, secretAccessKey }
+ * @param {string} request.region
+ * @param {string} request.service - Default 's3'
+ * @param {Date} request.date - Signing time (default now)
+ * @returns {string} - Presigned URL
+ */
+export function presignUrl({ method = 'GET', url, expiresInSeconds, credentials, region, service = 's3', date = new Date() }) {
+  const amzDate = toAmzDate(date);
+  const scope = getScope(amzDate, region, service);
+  const presigned = new URL(url);
+  presigned.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+  presigned.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${scope}`);
+  presigned.searchParams.set('X-Amz-Date', amzDate);
+  presigned.searchParams.set('X-Amz-Expires', String(expiresInSeconds));
+  presigned.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const canonicalRequest = [
+    method,
+    presigned.pathname,
+    canonicalQuery(presigned.searchParams),
+    `host:${presigned.host}`,
+    '',
+    'host',
+    UNSIGNED_PAYLOAD,
+  ].join('\n');
+  const signature = sign(canonicalRequest, amzDate, scope, credentials.secretAccessKey, region, service);
+
+  // URLSearchParams encodes with "+"; S3 expects the canonical (RFC 3986) form
+  return `${presigned.origin}${presigned.pathname}?${canonicalQuery(presigned.searchParams)}&X-Amz-Signature=${signature}`;
+}
+
+export function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function sign(canonicalRequest, amzDate, scope, secretAccessKey, region, service) {
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const dateKey = hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8));
+  const signingKey = hmac(hmac(hmac(dateKey, region), service), 'aws4_request');
+  return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function getScope(amzDate, region, service) {
+  return `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+}
+
+/**
+ * 2013-05-24T00:00:00.000Z -> "20130524T000000Z"
+ */
+function toAmzDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function canonicalQuery(searchParams) {
+  return [...searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
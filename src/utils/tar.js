@@ -0,0 +1,115 @@
+/**
+ * Tar archives (POSIX ustar)
+ *
+ * Packs and unpacks plain files in memory so archive bundles can be written
+ * without external tools. Only regular files with names up to 100 bytes are
+ * supported, which covers every name this service writes.
+ */
+
+const BLOCK_SIZE = 512;
+const MAX_NAME_BYTES = 100;
+
+// Type flags: '0' (and NUL in old archives) is a regular file
+const REGULAR_FILE_TYPES = ['0', '\0'];
+
+/**
+ * Build a tar archive
+ *
+ * @param {Array<{ name: string, data: Buffer|string, modifiedAt?: Date }>} entries
+ * @returns {Buffer}
+ */
+export function createTar(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+    blocks.push(buildHeader(entry.name, data.length, entry.modifiedAt || new Date()));
+    blocks.push(data);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+  // End of archive: two empty blocks
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Read the regular files of a tar archive (other entry types are skipped)
+ *
+ * @param {Buffer} buffer
+ * @returns {Array<{ name: string, data: Buffer }>}
+ */
+export function extractTar(buffer) {
+  const entries = [];
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+    if (readOctal(header, 148, 8) !== getChecksum(header)) {
+      throw new Error(`Invalid tar header checksum at offset ${offset}`);
+    }
+
+    const prefix = readString(header, 345, 155);
+    const name = prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100);
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156]);
+    const dataStart = offset + BLOCK_SIZE;
+    if (dataStart + size > buffer.length) {
+      throw new Error(`Truncated tar entry: ${name}`);
+    }
+
+    if (REGULAR_FILE_TYPES.includes(type)) {
+      entries.push({ name, data: buffer.subarray(dataStart, dataStart + size) });
+    }
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+}
+
+function buildHeader(name, size, modifiedAt) {
+  if (Buffer.byteLength(name) > MAX_NAME_BYTES) {
+    throw new Error(`Tar entry name too long: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, MAX_NAME_BYTES);
+  writeOctal(header, 100, 8, 0o644);                                  // mode
+  writeOctal(header, 108, 8, 0);                                      // uid
+  writeOctal(header, 116, 8, 0);                                      // gid
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(modifiedAt.getTime() / 1000));
+  header.write('0', 156);                                             // regular file
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  writeOctal(header, 148, 8, getChecksum(header));
+  return header;
+}
+
+function getChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+function writeOctal(header, offset, length, value) {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length);
+}
+
+function readOctal(header, offset, length) {
+  const text = readString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString();
+}
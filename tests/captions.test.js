@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCaptionCues, formatCaptions, remapCaptionCues } from '../src/services/captionService.js';
+
+test('a chunk is shared between its sentences by length', () => {
+  const cues = buildCaptionCues(
+    [{ text: 'Stocks rose. Bonds fell sharply today.' }, { text: 'Gold was flat.' }],
+    [{ start: 0, duration: 5 }, { start: 5.5, duration: 2 }]
+  );
+
+  assert.deepEqual(cues, [
+    { start: 0, end: 1.622, text: 'Stocks rose.' },
+    { start: 1.622, end: 5, text: 'Bonds fell sharply today.' },
+    { start: 5.5, end: 7.5, text: 'Gold was flat.' },
+  ]);
+});
+
+test('dialogue turns carry their speaker', () => {
+  const cues = buildCaptionCues(
+    [{ text: 'Alex: Big day.\n\nJordan: It was.' }],
+    [{ start: 0, duration: 2 }],
+    { dialogue: true }
+  );
+
+  assert.deepEqual(cues.map(cue => cue.speaker), ['Alex', 'Jordan']);
+  assert.equal(cues[1].text, 'It was.');
+});
+
+test('long sentences are split into cues of at most 120 characters', () => {
+  const sentence = `${'word '.repeat(60).trim()}.`;
+  const cues = buildCaptionCues([{ text: sentence }], [{ start: 0, duration: 10 }]);
+
+  assert.ok(cues.length > 1);
+  assert.ok(cues.every(cue => cue.text.length <= 120));
+  assert.equal(cues[cues.length - 1].end, 10);
+});
+
+test('WebVTT uses dots and voice tags', () => {
+  const vtt = formatCaptions([
+    { start: 0, end: 1.5, text: 'Hello & welcome' },
+    { start: 3725.5, end: 3726, text: 'Bye', speaker: 'Alex' },
+  ], 'vtt');
+
+  assert.equal(vtt, [
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:00.000 --> 00:00:01.500',
+    'Hello &amp; welcome',
+    '',
+    '2',
+    '01:02:05.500 --> 01:02:06.000',
+    '<v Alex>Bye',
+    '',
+  ].join('\n'));
+});
+
+test('SRT uses commas and speaker prefixes', () => {
+  const srt = formatCaptions([{ start: 61.25, end: 62, text: 'Bye', speaker: 'Jordan' }], 'srt');
+  assert.equal(srt, '1\n00:01:01,250 --> 00:01:02,000\nJordan: Bye\n');
+});
+
+test('remapped cues that collapse are dropped', () => {
+  const cues = remapCaptionCues(
+    [{ start: 1, end: 2, text: 'kept' }, { start: 2, end: 2.5, text: 'trimmed' }],
+    seconds => Math.min(seconds, 2) * 2
+  );
+  assert.deepEqual(cues, [{ start: 2, end: 4, text: 'kept' }]);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dbToGain, measureLoudness, normalizeLoudness } from '../src/utils/dsp.js';
+
+const SAMPLE_RATE = 48000;
+
+function sine({ frequency = 1000, amplitude = 1, seconds = 3, channels = 1 } = {}) {
+  const frames = seconds * SAMPLE_RATE;
+  const samples = new Float32Array(frames * channels);
+  for (let frame = 0; frame < frames; frame++) {
+    const value = amplitude * Math.sin(2 * Math.PI * frequency * frame / SAMPLE_RATE);
+    for (let c = 0; c < channels; c++) {
+      samples[frame * channels + c] = value;
+    }
+  }
+  return { samples, sampleRate: SAMPLE_RATE, channels };
+}
+
+test('a full-scale 1 kHz sine measures -3.01 LUFS (BS.1770-4)', () => {
+  assert.ok(Math.abs(measureLoudness(sine()) - -3.01) < 0.05);
+});
+
+test('loudness follows the level of the signal', () => {
+  assert.ok(Math.abs(measureLoudness(sine({ amplitude: dbToGain(-20) })) - -23.01) < 0.05);
+});
+
+test('stereo sums the channels', () => {
+  assert.ok(Math.abs(measureLoudness(sine({ channels: 2 })) - 0) < 0.05);
+});
+
+test('silence measures -Infinity', () => {
+  const silence = { samples: new Float32Array(SAMPLE_RATE), sampleRate: SAMPLE_RATE, channels: 1 };
+  assert.equal(measureLoudness(silence), -Infinity);
+});
+
+test('normalizeLoudness reaches the target within the peak ceiling', () => {
+  const result = normalizeLoudness(sine({ amplitude: dbToGain(-30) }), { targetLufs: -16, peakCeilingDb: -1 });
+  assert.ok(Math.abs(result.outputLufs - -16) < 0.05);
+  assert.ok(Math.abs(result.gainDb - 17.01) < 0.05);
+});
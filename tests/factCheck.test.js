@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkNewsletterFigures, extractFigures } from '../src/services/factCheckService.js';
+
+const quotes = {
+  SPX: { close: 6032.38, changePct: 1.25 },
+  VIX: { close: 14.2, changePct: -3.1 },
+};
+
+test('the level and daily change are read next to the instrument', () => {
+  const figures = extractFigures('The VIX fell 3.1% to 14.2.', quotes);
+  assert.deepEqual(figures.map(({ symbol, kind, reported }) => ({ symbol, kind, reported })), [
+    { symbol: 'VIX', kind: 'level', reported: 14.2 },
+    { symbol: 'VIX', kind: 'change', reported: -3.1 },
+  ]);
+});
+
+test('multi-day percentages are not taken as the daily change', () => {
+  const weekly = extractFigures('The S&P 500 rose 1.25% to 6,032.38, up 3.4% over the week.', quotes);
+  assert.deepEqual(weekly.filter(f => f.kind === 'change').map(f => f.reported), [1.25]);
+
+  const fromHigh = extractFigures('The S&P 500 is 2% below its record high and fell 0.4% today.', quotes);
+  assert.deepEqual(fromHigh.filter(f => f.kind === 'change').map(f => f.reported), [-0.4]);
+});
+
+test('a wrong daily change is flagged', () => {
+  const result = checkNewsletterFigures(
+    { hook: 'The S&P 500 fell 2.5% on the day.', sections: [], conclusion: '' },
+    { date: '2025-12-01', quotes }
+  );
+  assert.equal(result.status, 'flagged');
+  assert.equal(result.issues.length, 1);
+  assert.equal(result.issues[0].reported, -2.5);
+});
+
+test('without a snapshot the check is skipped', () => {
+  const result = checkNewsletterFigures({ hook: 'The S&P 500 fell 2.5%.' }, null);
+  assert.equal(result.status, 'skipped');
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { muxOggOpus } from '../src/utils/ogg.js';
+
+// Ogg CRC-32: polynomial 0x04c11db7, no reflection, computed with the CRC field zeroed
+function oggCrc(page) {
+  let crc = 0;
+  for (const byte of page) {
+    crc ^= byte << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+}
+
+function readPages(buffer) {
+  const pages = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    assert.equal(buffer.toString('ascii', offset, offset + 4), 'OggS');
+    const segments = buffer[offset + 26];
+    const lacing = buffer.subarray(offset + 27, offset + 27 + segments);
+    const bodyLength = lacing.reduce((sum, value) => sum + value, 0);
+    const end = offset + 27 + segments + bodyLength;
+    const page = Buffer.from(buffer.subarray(offset, end));
+    const crc = page.readUInt32LE(22);
+    page.writeUInt32LE(0, 22);
+    pages.push({
+      headerType: buffer[offset + 5],
+      granule: Number(buffer.readBigUInt64LE(offset + 6)),
+      sequence: buffer.readUInt32LE(offset + 18),
+      crcValid: crc === oggCrc(page),
+      body: buffer.subarray(offset + 27 + segments, end),
+    });
+    offset = end;
+  }
+  return pages;
+}
+
+test('packets are wrapped in valid Ogg pages with Opus headers', () => {
+  const packets = Array.from({ length: 120 }, (_, i) => Buffer.alloc(300 + i, i));
+  const pages = readPages(muxOggOpus(packets, {
+    channels: 1,
+    inputSampleRate: 24000,
+    frameSamples48k: 960,
+    preSkip: 312,
+    totalSamples48k: 120 * 960 - 500,
+  }));
+
+  assert.ok(pages.every(page => page.crcValid));
+  assert.deepEqual(pages.map(page => page.sequence), pages.map((_, i) => i));
+  assert.equal(pages[0].headerType, 0x02);
+  assert.equal(pages[0].body.toString('ascii', 0, 8), 'OpusHead');
+  assert.equal(pages[0].body.readUInt16LE(10), 312);
+  assert.equal(pages[1].body.toString('ascii', 0, 8), 'OpusTags');
+
+  // 120 packets in pages of 50; the last granule trims the padding of the final frame
+  const audioPages = pages.slice(2);
+  assert.equal(audioPages.length, 3);
+  assert.deepEqual(audioPages.map(page => page.granule), [50 * 960, 100 * 960, 312 + 120 * 960 - 500]);
+  assert.equal(audioPages[2].headerType, 0x04);
+});
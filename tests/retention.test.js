@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRetentionDays, parseOverrides } from '../src/services/retentionService.js';
+
+const rule = (dataType, edition, format, days) => ({ data_type: dataType, edition, format, days });
+
+const rules = [
+  rule('audio', null, null, 14),
+  rule('audio', 'pre-market', null, 7),
+  rule('audio', null, 'wav', 3),
+  rule('audio', 'pre-market', 'mp3', 30),
+  rule('newsletter', null, null, 90),
+  rule('newsletter', 'pre-market', null, null),
+];
+
+test('the most specific audio rule wins', () => {
+  assert.equal(getRetentionDays(rules, 'audio', { edition: 'pre-market', format: 'mp3' }), 30);
+  assert.equal(getRetentionDays(rules, 'audio', { edition: 'pre-market', format: 'wav' }), 3);
+  assert.equal(getRetentionDays(rules, 'audio', { edition: 'pre-market', format: 'opus' }), 7);
+  assert.equal(getRetentionDays(rules, 'audio', { edition: 'post-close', format: 'mp3' }), 14);
+  assert.equal(getRetentionDays(rules, 'audio'), 14);
+});
+
+test('null days keeps data forever', () => {
+  assert.equal(getRetentionDays(rules, 'newsletter', { edition: 'pre-market' }), null);
+  assert.equal(getRetentionDays(rules, 'newsletter', { edition: 'post-close' }), 90);
+});
+
+test('without a matching rule data is kept', () => {
+  assert.equal(getRetentionDays([], 'audio', { edition: 'post-close', format: 'mp3' }), null);
+});
+
+test('overrides are parsed by edition, format or both', () => {
+  assert.deepEqual(parseOverrides('audio', ['pre-market=7', 'wav=3', 'post-close:mp3=forever']), [
+    { ...rule('audio', 'pre-market', null, 7), source: 'config' },
+    { ...rule('audio', null, 'wav', 3), source: 'config' },
+    { ...rule('audio', 'post-close', 'mp3', null), source: 'config' },
+  ]);
+});
+
+test('invalid overrides are skipped', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(parseOverrides('audio', ['weekend=7', 'pre-market:flac=3', 'mp3=soon']), []);
+  // Formats only apply to audio
+  assert.deepEqual(parseOverrides('newsletter', ['mp3=7']), []);
+  assert.equal(console.warn.mock.callCount(), 4);
+});
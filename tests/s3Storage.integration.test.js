@@ -0,0 +1,78 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createS3Storage } from '../src/services/storage/s3Storage.js';
+
+// Opt-in: runs against a real S3-compatible service, e.g. MinIO:
+//   docker run -p 9000:9000 minio/minio server /data   (then create the bucket)
+//   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=daily-pulse-test \
+//   S3_TEST_ACCESS_KEY_ID=minioadmin S3_TEST_SECRET_ACCESS_KEY=minioadmin npm test
+const endpoint = process.env.S3_TEST_ENDPOINT;
+
+describe('S3 storage against S3_TEST_ENDPOINT', { skip: !endpoint && 'S3_TEST_ENDPOINT is not set' }, () => {
+  const storage = endpoint && createS3Storage({
+    region: process.env.S3_TEST_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY,
+    s3BucketName: process.env.S3_TEST_BUCKET,
+    s3Endpoint: endpoint,
+    s3ForcePathStyle: process.env.S3_TEST_FORCE_PATH_STYLE !== 'false',
+    // Every run writes under its own prefix and removes what it wrote
+    s3Prefix: `integration-test-${Date.now()}/`,
+  });
+  const key = 'audio/daily pulse (test)+1.mp3';
+  const body = Buffer.from('0123456789abcdefghij');
+
+  after(async () => {
+    if (storage) {
+      for (const file of await storage.list()) {
+        await storage.delete(file.key);
+      }
+    }
+  });
+
+  const readStream = async stream => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  test('the bucket is reachable', async () => {
+    assert.match(await storage.ensureReady(), /^s3:\/\//);
+  });
+
+  test('put, head and read back a key that needs encoding', async () => {
+    assert.deepEqual(await storage.put(key, body, { contentType: 'audio/mpeg' }), { key, bytes: body.length });
+    assert.equal((await storage.head(key)).bytes, body.length);
+
+    const file = await storage.getStream(key);
+    assert.ok((await readStream(file.stream)).equals(body));
+  });
+
+  test('byte ranges report the full size', async () => {
+    const file = await storage.getStream(key, { start: 5, end: 9 });
+    assert.equal((await readStream(file.stream)).toString(), '56789');
+    assert.equal(file.bytes, body.length);
+  });
+
+  test('missing keys return null or false', async () => {
+    assert.equal(await storage.head('audio/missing.mp3'), null);
+    assert.equal(await storage.getStream('audio/missing.mp3'), null);
+    assert.equal(await storage.delete('audio/missing.mp3'), false);
+  });
+
+  test('presigned URLs can be fetched without credentials', async () => {
+    const response = await fetch(await storage.getSignedUrl(key, { expiresInSeconds: 60 }));
+    assert.equal(response.status, 200);
+    assert.ok(Buffer.from(await response.arrayBuffer()).equals(body));
+  });
+
+  test('move and list', async () => {
+    const movedKey = 'audio/moved & renamed.mp3';
+    assert.equal(await storage.move(key, movedKey), true);
+    assert.equal(await storage.head(key), null);
+    assert.deepEqual((await storage.list('audio/')).map(file => file.key), [movedKey]);
+    assert.equal(await storage.delete(movedKey), true);
+  });
+});
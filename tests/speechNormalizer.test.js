@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSpeechNormalizer } from '../src/services/speechNormalizer.js';
+
+const normalize = createSpeechNormalizer([
+  { term: 'NVDA', spoken: 'Nvidia', kind: 'ticker' },
+  { term: 'FOMC', spoken: 'F O M C', kind: 'abbreviation' },
+]);
+
+test('numbers and percentages are read as words', () => {
+  assert.equal(
+    normalize('The S&P 500 rose 1.25% to 6,032.38.'),
+    'The S and P five hundred rose one point two five percent to six thousand thirty-two point three eight.'
+  );
+  assert.equal(normalize('See -2.3% moves.'), 'See minus two point three percent moves.');
+});
+
+test('cashtags, currency and dates use their spoken form', () => {
+  assert.equal(
+    normalize('$NVDA gained $1.2B on 2025-12-01.'),
+    'Nvidia gained one point two billion dollars on December first, twenty twenty-five.'
+  );
+});
+
+test('markdown is removed and abbreviations are spelled out', () => {
+  assert.equal(
+    normalize('Yields fell 5 bps; the **FOMC** meets in [Q3](https://example.com).'),
+    'Yields fell five basis points; the F O M C meets in third quarter.'
+  );
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTar, extractTar } from '../src/utils/tar.js';
+
+test('files survive a round trip', () => {
+  const binary = Buffer.from(Array.from({ length: 1500 }, (_, i) => i % 256));
+  const entries = extractTar(createTar([
+    { name: 'manifest.jsonl', data: '{"type":"archive"}\n' },
+    { name: 'files/audio/daily-pulse-2025-12-01.mp3', data: binary },
+    { name: 'empty.txt', data: '' },
+  ]));
+
+  assert.deepEqual(entries.map(entry => entry.name), ['manifest.jsonl', 'files/audio/daily-pulse-2025-12-01.mp3', 'empty.txt']);
+  assert.equal(entries[0].data.toString(), '{"type":"archive"}\n');
+  assert.ok(entries[1].data.equals(binary));
+  assert.equal(entries[2].data.length, 0);
+});
+
+test('the archive is padded to 512-byte blocks', () => {
+  const tar = createTar([{ name: 'a.txt', data: 'x' }]);
+  // Header, one data block and the two end-of-archive blocks
+  assert.equal(tar.length, 4 * 512);
+});
+
+test('names longer than 100 bytes are rejected', () => {
+  assert.throws(() => createTar([{ name: 'x'.repeat(101), data: '' }]), /name too long/);
+});
+
+test('a corrupted header is rejected', () => {
+  const tar = createTar([{ name: 'a.txt', data: 'hello' }]);
+  tar[0] = 'b'.charCodeAt(0);
+  assert.throws(() => extractTar(tar), /checksum/);
+});
+
+test('a truncated archive is rejected', () => {
+  const tar = createTar([{ name: 'a.txt', data: Buffer.alloc(2000) }]);
+  assert.throws(() => extractTar(tar.subarray(0, 1024)), /Truncated/);
+});